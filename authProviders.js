@@ -0,0 +1,139 @@
+/**
+ * @file authProviders.js
+ * @description Ways tokenManager can obtain a DocuWare access token for a connection, tried in the
+ * order of DOCUWARE_AUTH_PROVIDERS (default 'refresh_token,client_credentials,password') until one
+ * succeeds:
+ *
+ *   refresh_token       refresh token of an app login (authorization code flow)
+ *   client_credentials  service principal: DOCUWARE_CLIENT_CREDENTIALS_ID / DOCUWARE_CLIENT_CREDENTIALS_SECRET
+ *   password            service account (ROPC): DOCUWARE_USERNAME / DOCUWARE_PASSWORD
+ *
+ * The unattended providers (all but refresh_token) use credentials from the environment, so they are
+ * only used for the connection of the organization they belong to: DOCUWARE_SERVICE_CONNECTION, else
+ * the host of DOCUWARE_PLATFORM_URL, and never without one. Token endpoints are discovered (IdentityServiceInfo, then OpenID discovery)
+ * instead of assuming a DocuWare Cloud region.
+ */
+import axios from 'axios';
+
+const DEFAULT_ORDER = ['refresh_token', 'client_credentials', 'password'];
+
+const PROVIDERS = {
+    refresh_token: {
+        unattended: false,
+        isConfigured: (connection) => Boolean(connection.refreshToken),
+        getParams: (connection) => ({
+            grant_type: 'refresh_token',
+            refresh_token: connection.refreshToken,
+            client_id: process.env.VITE_DOCUWARE_CLIENT_ID || 'docuware.platform',
+            client_secret: process.env.VITE_DOCUWARE_CLIENT_SECRET || ''
+        })
+    },
+    client_credentials: {
+        unattended: true,
+        isConfigured: () => Boolean(process.env.DOCUWARE_CLIENT_CREDENTIALS_ID && process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET),
+        getParams: () => ({
+            grant_type: 'client_credentials',
+            client_id: process.env.DOCUWARE_CLIENT_CREDENTIALS_ID,
+            client_secret: process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET,
+            scope: process.env.DOCUWARE_CLIENT_CREDENTIALS_SCOPE || 'docuware.platform'
+        })
+    },
+    password: {
+        unattended: true,
+        isConfigured: () => Boolean(process.env.DOCUWARE_USERNAME && process.env.DOCUWARE_PASSWORD),
+        getParams: () => ({
+            grant_type: 'password',
+            username: process.env.DOCUWARE_USERNAME,
+            password: process.env.DOCUWARE_PASSWORD,
+            // 'docuware.platform.net.client' is required for ROPC (Public Client), without client_secret
+            client_id: 'docuware.platform.net.client',
+            scope: 'docuware.platform'
+        })
+    }
+};
+
+/**
+ * Provider names in the configured order (unknown names are ignored).
+ */
+function getOrder() {
+    const configured = (process.env.DOCUWARE_AUTH_PROVIDERS || '').split(',').map(name => name.trim()).filter(Boolean);
+    const order = configured.filter(name => PROVIDERS[name]);
+    configured.filter(name => !PROVIDERS[name]).forEach(name => console.warn(`[TokenManager] Unknown auth provider in DOCUWARE_AUTH_PROVIDERS: ${name}`));
+    return order.length ? order : DEFAULT_ORDER;
+}
+
+export const authProviders = {
+    get: (name) => PROVIDERS[name] || null,
+
+    /**
+     * Connection id (DocuWare host) the unattended credentials belong to: DOCUWARE_SERVICE_CONNECTION,
+     * else the host of DOCUWARE_PLATFORM_URL, or null when neither is set.
+     *
+     * @returns {string|null}
+     */
+    getServiceConnection: () => {
+        if (process.env.DOCUWARE_SERVICE_CONNECTION) return process.env.DOCUWARE_SERVICE_CONNECTION.trim().toLowerCase();
+        try {
+            return new URL(process.env.DOCUWARE_PLATFORM_URL).host.toLowerCase();
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Providers that can obtain a token for a connection, in the order they are tried.
+     *
+     * @param {Object} connection
+     * @param {Object} [options]
+     * @param {boolean} [options.unattendedOnly] - Skip the login refresh token.
+     * @returns {string[]}
+     */
+    getAvailable: (connection, { unattendedOnly = false } = {}) => {
+        const serviceConnection = authProviders.getServiceConnection();
+        return getOrder().filter(name => {
+            const provider = PROVIDERS[name];
+            if (provider.unattended && (!serviceConnection || serviceConnection !== connection.id)) return false;
+            if (unattendedOnly && !provider.unattended) return false;
+            return provider.isConfigured(connection);
+        });
+    },
+
+    /**
+     * Whether client credentials or a service account are configured, with the connection they
+     * belong to.
+     */
+    isUnattendedConfigured: () => Boolean(authProviders.getServiceConnection()) && authProviders.hasUnattendedCredentials(),
+
+    /**
+     * Whether client credentials or a service account are set in the environment, used or not.
+     */
+    hasUnattendedCredentials: () => Object.values(PROVIDERS).some(provider => provider.unattended && provider.isConfigured({})),
+
+    /**
+     * Token endpoint of a DocuWare organization: Platform IdentityServiceInfo gives the Identity
+     * Service URL, whose OpenID configuration gives the token endpoint.
+     *
+     * @param {string} baseUrl - DocuWare URL, e.g. https://rcsangola.docuware.cloud
+     * @returns {Promise<{ identityServiceUrl: string, tokenEndpoint: string }>}
+     */
+    discoverTokenEndpoint: async (baseUrl) => {
+        const infoUrl = `${baseUrl.replace(/\/$/, '')}/DocuWare/Platform/Home/IdentityServiceInfo`;
+        const info = await axios.get(infoUrl, { headers: { 'Accept': 'application/json' } });
+        const identityServiceUrl = info.data.IdentityServiceUrl.replace(/\/$/, '');
+        const discovery = await axios.get(`${identityServiceUrl}/.well-known/openid-configuration`, { headers: { 'Accept': 'application/json' } });
+        return { identityServiceUrl, tokenEndpoint: discovery.data.token_endpoint };
+    },
+
+    /**
+     * Request a token from an endpoint with a provider's grant.
+     *
+     * @returns {Promise<Object>} Token response (access_token, refresh_token?, expires_in).
+     */
+    requestToken: async (name, connection, tokenEndpoint) => {
+        const params = new URLSearchParams(PROVIDERS[name].getParams(connection));
+        const response = await axios.post(tokenEndpoint, params, {
+            headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
+        });
+        return response.data;
+    }
+};
@@ -0,0 +1,271 @@
+/**
+ * @file cronSchedule.js
+ * @description Timezone-aware evaluation of schedule cron expressions.
+ * Works out next and missed run times and drives the schedule timers, so the times shown
+ * to users (nextRunAt) are exactly the times the scheduler fires.
+ *
+ * Same syntax as node-cron: 5 fields (or 6 with leading seconds), lists, ranges, steps and
+ * month/weekday names. As in node-cron, day-of-month and day-of-week must both match.
+ * Occurrences are computed per minute, at each matching second of it.
+ *
+ * Expressions are wall-clock times in the schedule's IANA timezone (the server's own zone
+ * when none is given). Daylight saving transitions:
+ * - times skipped when clocks go forward run once, right after the jump;
+ * - times repeated when clocks go back run once, on their first occurrence, when the hour is
+ *   fixed (e.g. "30 1 * * *"). Intervals (wildcard or stepped hour, e.g. "*\/30 * * * *") keep
+ *   firing on real time through the repeated hour instead of pausing for it.
+ */
+
+const FIELDS = [
+    { name: 'second', min: 0, max: 59 },
+    { name: 'minute', min: 0, max: 59 },
+    { name: 'hour', min: 0, max: 23 },
+    { name: 'day', min: 1, max: 31 },
+    { name: 'month', min: 1, max: 12, names: ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'], offset: 1 },
+    { name: 'weekday', min: 0, max: 7, names: ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'], offset: 0 }
+];
+
+// Give up looking for a match this far ahead (e.g. "0 0 31 2 *" never matches)
+const MAX_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000;
+const HALF_DAY_MS = 12 * 60 * 60 * 1000;
+const MAX_TIMEOUT_MS = 2 ** 31 - 1; // setTimeout limit (~24.8 days); longer waits are chained
+
+const formatters = new Map();
+
+function getFormatter(timezone) {
+    const key = timezone || '';
+    if (!formatters.has(key)) {
+        formatters.set(key, new Intl.DateTimeFormat('en-US', {
+            timeZone: timezone || undefined,
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: 'numeric',
+            day: 'numeric',
+            hour: 'numeric',
+            minute: 'numeric',
+            second: 'numeric'
+        }));
+    }
+    return formatters.get(key);
+}
+
+/**
+ * Wall-clock time of an instant in a timezone, as milliseconds of the same fields in UTC
+ * (so it can be walked with the getUTC and setUTC methods).
+ */
+function toWallTime(instantMs, timezone) {
+    const parts = {};
+    getFormatter(timezone).formatToParts(new Date(instantMs)).forEach(p => {
+        parts[p.type] = Number(p.value);
+    });
+    return Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute, parts.second);
+}
+
+const getOffset = (instantMs, timezone) => toWallTime(instantMs, timezone) - instantMs;
+
+/**
+ * Instant of a wall-clock time in a timezone: the earliest one when the time occurs twice,
+ * the end of the gap when it does not occur at all.
+ */
+function toInstant(wallMs, timezone) {
+    const offsetBefore = getOffset(wallMs - HALF_DAY_MS, timezone);
+    const offsetAfter = getOffset(wallMs + HALF_DAY_MS, timezone);
+    const valid = [...new Set([offsetBefore, offsetAfter])]
+        .map(offset => wallMs - offset)
+        .filter(instant => toWallTime(instant, timezone) === wallMs);
+    if (valid.length > 0) return Math.min(...valid);
+
+    // Skipped by a forward transition: find the moment the clocks jumped
+    let low = wallMs - offsetAfter;
+    let high = wallMs - offsetBefore;
+    while (high - low > 1000) {
+        const mid = low + Math.floor((high - low) / 2000) * 1000;
+        if (getOffset(mid, timezone) === offsetBefore) low = mid;
+        else high = mid;
+    }
+    return high;
+}
+
+function parseField(text, { min, max, names, offset }) {
+    let expr = text.toLowerCase();
+    if (names) names.forEach((name, i) => {
+        expr = expr.replace(new RegExp(`${name}[a-z]*`, 'g'), String(i + offset));
+    });
+
+    const values = new Set();
+    for (const part of expr.split(',')) {
+        const [range, stepText] = part.split('/');
+        const step = stepText === undefined ? 1 : Number(stepText);
+        let [from, to] = range === '*' ? [min, max] : range.split('-').map(Number);
+        if (to === undefined) to = stepText === undefined ? from : max;
+        if (![from, to, step].every(Number.isInteger) || step < 1 || from < min || to > max || from > to) {
+            throw new Error(`Invalid cron field: ${text}`);
+        }
+        for (let v = from; v <= to; v += step) values.add(v);
+    }
+    return values;
+}
+
+function parse(expression) {
+    const parts = String(expression || '').trim().split(/\s+/);
+    if (parts.length === 5) parts.unshift('0');
+    if (parts.length !== 6) throw new Error(`Invalid cron expression: ${expression}`);
+
+    const spec = Object.fromEntries(FIELDS.map((field, i) => [field.name, parseField(parts[i], field)]));
+    if (spec.weekday.has(7)) spec.weekday.add(0); // 7 is Sunday too
+    spec.second = [...spec.second].sort((a, b) => a - b);
+    spec.interval = /[*/]/.test(parts[2]); // Wildcard or stepped hour: runs every N real minutes/hours
+    return spec;
+}
+
+const matchesWallTime = (spec, wall) => spec.month.has(wall.getUTCMonth() + 1)
+    && spec.day.has(wall.getUTCDate()) && spec.weekday.has(wall.getUTCDay())
+    && spec.hour.has(wall.getUTCHours()) && spec.minute.has(wall.getUTCMinutes());
+
+/**
+ * First occurrence strictly after `after`, or null if there is none within MAX_SEARCH_MS.
+ */
+function nextMatch(spec, after, timezone) {
+    const next = nextWallMatch(spec, after, timezone);
+    if (!next || !spec.interval) return next;
+
+    // The wall-clock walk runs a repeated hour once. Intervals run it twice: within half a day
+    // of clocks going back, look for real minutes before `next` whose wall time matches.
+    const afterMs = after.getTime();
+    if (getOffset(afterMs - HALF_DAY_MS, timezone) <= getOffset(next.getTime(), timezone)) return next;
+    for (let minute = Math.floor(afterMs / 60000) * 60000; minute < next.getTime(); minute += 60000) {
+        if (!matchesWallTime(spec, new Date(toWallTime(minute, timezone)))) continue;
+        const second = spec.second.find(s => minute + s * 1000 > afterMs);
+        if (second !== undefined && minute + second * 1000 < next.getTime()) return new Date(minute + second * 1000);
+    }
+    return next;
+}
+
+/**
+ * First occurrence after `after` walking wall-clock times, each run at its first instant.
+ */
+function nextWallMatch(spec, after, timezone) {
+    const afterMs = after.getTime();
+    const wall = new Date(toWallTime(afterMs, timezone));
+    wall.setUTCSeconds(0, 0);
+
+    const limit = wall.getTime() + MAX_SEARCH_MS;
+    while (wall.getTime() <= limit) {
+        if (!spec.month.has(wall.getUTCMonth() + 1)) {
+            wall.setUTCMonth(wall.getUTCMonth() + 1, 1);
+            wall.setUTCHours(0, 0, 0, 0);
+        } else if (!spec.day.has(wall.getUTCDate()) || !spec.weekday.has(wall.getUTCDay())) {
+            wall.setUTCDate(wall.getUTCDate() + 1);
+            wall.setUTCHours(0, 0, 0, 0);
+        } else if (!spec.hour.has(wall.getUTCHours())) {
+            wall.setUTCHours(wall.getUTCHours() + 1, 0, 0, 0);
+        } else if (!spec.minute.has(wall.getUTCMinutes())) {
+            wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+        } else {
+            // Repeated wall times already fired on their first pass; skipped ones collapse onto
+            // the jump, so anything not after `after` has been run
+            for (const second of spec.second) {
+                const instant = toInstant(wall.getTime() + second * 1000, timezone);
+                if (instant > afterMs) return new Date(instant);
+            }
+            wall.setUTCMinutes(wall.getUTCMinutes() + 1, 0, 0);
+        }
+    }
+    return null;
+}
+
+export const cronSchedule = {
+    /**
+     * @param {string} timezone - IANA name, e.g. 'Africa/Luanda'.
+     * @returns {boolean}
+     */
+    isValidTimezone: (timezone) => {
+        try {
+            new Intl.DateTimeFormat('en-US', { timeZone: timezone });
+            return true;
+        } catch {
+            return false;
+        }
+    },
+
+    /**
+     * IANA timezone of the server process.
+     */
+    getServerTimezone: () => Intl.DateTimeFormat().resolvedOptions().timeZone,
+
+    /**
+     * Next time the expression fires after a given date.
+     *
+     * @param {string} expression
+     * @param {Date} [after]
+     * @param {string} [timezone] - IANA timezone; the server's zone by default.
+     * @returns {Date|null}
+     */
+    getNextRun: (expression, after = new Date(), timezone) => nextMatch(parse(expression), after, timezone),
+
+    /**
+     * Occurrences in (from, to], oldest first.
+     *
+     * @param {string} expression
+     * @param {Date} from - Exclusive.
+     * @param {Date} to - Inclusive.
+     * @param {Object} [options]
+     * @param {string} [options.timezone]
+     * @param {number} [options.limit] - Stop after this many occurrences.
+     * @returns {Array<Date>}
+     */
+    getRunsBetween: (expression, from, to, { timezone, limit = Infinity } = {}) => {
+        const spec = parse(expression);
+        const runs = [];
+        let next = nextMatch(spec, from, timezone);
+        while (next && next <= to && runs.length < limit) {
+            runs.push(next);
+            next = nextMatch(spec, next, timezone);
+        }
+        return runs;
+    },
+
+    /**
+     * Call `fn(date)` at every occurrence of the expression, like node-cron's schedule.
+     *
+     * @param {string} expression
+     * @param {function(Date): void} fn - Receives the occurrence being fired.
+     * @param {Object} [options]
+     * @param {string} [options.timezone]
+     * @returns {{ stop: function(): void, getNextRun: function(): (Date|null) }}
+     */
+    schedule: (expression, fn, { timezone } = {}) => {
+        const spec = parse(expression);
+        let timer = null;
+        let next = null;
+        let stopped = false;
+
+        const arm = (after) => {
+            next = nextMatch(spec, after, timezone);
+            if (!next || stopped) return;
+            const wait = () => {
+                const delay = next.getTime() - Date.now();
+                timer = setTimeout(() => {
+                    if (stopped) return;
+                    if (Date.now() < next.getTime()) return wait(); // Long waits are chained
+                    const fired = next;
+                    try {
+                        fn(fired);
+                    } finally {
+                        arm(fired);
+                    }
+                }, Math.min(Math.max(delay, 0), MAX_TIMEOUT_MS));
+            };
+            wait();
+        };
+        arm(new Date());
+
+        return {
+            stop: () => {
+                stopped = true;
+                clearTimeout(timer);
+            },
+            getNextRun: () => (stopped ? null : next)
+        };
+    }
+};
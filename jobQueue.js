@@ -0,0 +1,156 @@
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { fileURLToPath } from 'url';
+
+/**
+ * @file jobQueue.js
+ * @description Persistent FIFO queue for scheduled export jobs.
+ * Cron triggers, manual runs and failed-document retries are enqueued here instead of
+ * running straight away. The queue enforces a global concurrency cap (MAX_CONCURRENT_EXPORTS,
+ * default 2) and never runs two jobs of the same schedule at once. Jobs are persisted to
+ * queue.json so queued work survives a proxy-server restart.
+ *
+ * Job lifecycle: queued -> running -> finished.
+ */
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+const DATA_DIR = process.env.DATA_DIR || __dirname;
+const QUEUE_FILE = path.join(DATA_DIR, 'queue.json');
+const MAX_FINISHED_JOBS = 50;
+
+let jobs = []; // Queued and running jobs, in FIFO order
+let finished = []; // Most recent first
+let handler = null;
+let writeChain = Promise.resolve();
+
+// Read on every scheduling pass so it can be tuned through the environment
+const getMaxConcurrent = () => {
+    const value = parseInt(process.env.MAX_CONCURRENT_EXPORTS, 10);
+    return Number.isFinite(value) && value > 0 ? value : 2;
+};
+
+/**
+ * Write queue.json through a temp file. Writes are chained so concurrent updates
+ * never interleave and the file is never left half-written.
+ */
+const persist = () => {
+    writeChain = writeChain.then(async () => {
+        const tmpPath = `${QUEUE_FILE}.tmp`;
+        await fs.writeFile(tmpPath, JSON.stringify({ jobs, finished }, null, 2));
+        await fs.rename(tmpPath, QUEUE_FILE);
+    }).catch(err => console.error('[JobQueue] Failed to persist queue:', err));
+    return writeChain;
+};
+
+const finish = (job, status, message) => {
+    jobs = jobs.filter(j => j.id !== job.id);
+    Object.assign(job, { state: 'finished', status, message, finishedAt: new Date().toISOString() });
+    finished.unshift(job);
+    finished = finished.slice(0, MAX_FINISHED_JOBS);
+};
+
+/**
+ * Start queued jobs while there is capacity, skipping jobs whose schedule already has one running.
+ */
+const pump = () => {
+    if (!handler) return;
+    const runningSchedules = new Set(jobs.filter(j => j.state === 'running').map(j => j.scheduleId));
+
+    for (const job of jobs) {
+        if (runningSchedules.size >= getMaxConcurrent()) break;
+        if (job.state !== 'queued' || runningSchedules.has(job.scheduleId)) continue;
+
+        runningSchedules.add(job.scheduleId);
+        job.state = 'running';
+        job.startedAt = new Date().toISOString();
+        console.log(`[JobQueue] ▶️ Starting ${job.type} job for ${job.scheduleName} (${runningSchedules.size}/${getMaxConcurrent()} slots)`);
+
+        (async () => {
+            try {
+                const result = await handler(job);
+                finish(job, result?.status || 'SUCCESS', result?.message);
+            } catch (error) {
+                console.error(`[JobQueue] Job ${job.id} failed:`, error.message);
+                finish(job, 'ERROR', error.message);
+            }
+            await persist();
+            pump();
+        })();
+    }
+    return persist();
+};
+
+export const jobQueue = {
+    /**
+     * Register the function that executes a job. It resolves with { status, message }.
+     */
+    setHandler: (fn) => {
+        handler = fn;
+    },
+
+    /**
+     * Reload queue.json after a restart. Queued jobs are kept; jobs that were running
+     * when the process stopped are recorded as INTERRUPTED.
+     */
+    restore: async () => {
+        try {
+            const data = JSON.parse(await fs.readFile(QUEUE_FILE, 'utf-8'));
+            const restored = [];
+            (data.jobs || []).forEach(job => {
+                if (job.state === 'running') {
+                    console.warn(`[JobQueue] Job ${job.id} (${job.scheduleName}) was interrupted by a restart.`);
+                    finished.unshift({ ...job, state: 'finished', status: 'INTERRUPTED', finishedAt: new Date().toISOString() });
+                } else if (job.state === 'queued' && !jobs.some(j => j.id === job.id)) {
+                    restored.push(job);
+                }
+            });
+            jobs = [...restored, ...jobs];
+            finished = [...finished, ...(data.finished || [])].slice(0, MAX_FINISHED_JOBS);
+            if (restored.length > 0) console.log(`[JobQueue] Restored ${restored.length} queued jobs.`);
+        } catch (error) {
+            if (error.code !== 'ENOENT') console.error('[JobQueue] Error loading queue:', error);
+        }
+        await pump();
+    },
+
+    /**
+     * Add a job at the end of the queue and start it when a slot is free.
+     *
+     * @param {Object} job - { scheduleId, scheduleName, type: 'export'|'retry'|'resume', trigger, runId, ...payload }
+     * @returns {Object} The queued job.
+     */
+    enqueue: (job) => {
+        const queued = {
+            id: crypto.randomUUID(),
+            ...job,
+            state: 'queued',
+            enqueuedAt: new Date().toISOString()
+        };
+        jobs.push(queued);
+        pump();
+        return queued;
+    },
+
+    /**
+     * Remove the queued (not yet running) jobs of a schedule.
+     * @returns {Array<Object>} The cancelled jobs.
+     */
+    cancelQueued: (scheduleId) => {
+        const cancelled = jobs.filter(j => j.scheduleId === scheduleId && j.state === 'queued');
+        cancelled.forEach(job => finish(job, 'CANCELLED'));
+        if (cancelled.length > 0) persist();
+        return cancelled;
+    },
+
+    /**
+     * Queued or running jobs of a schedule, in queue order.
+     */
+    getActive: (scheduleId) => jobs.filter(j => j.scheduleId === scheduleId),
+
+    list: () => ({
+        queued: jobs.filter(j => j.state === 'queued'),
+        running: jobs.filter(j => j.state === 'running'),
+        finished
+    })
+};
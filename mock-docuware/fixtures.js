@@ -0,0 +1,183 @@
+/**
+ * @file fixtures.js
+ * @description Seeded fixture data for the local DocuWare mock server.
+ * The same seed always produces the same organization, cabinets, documents and
+ * workflow histories, so exports generated against the mock are reproducible.
+ *
+ * @module mock-docuware/fixtures
+ */
+
+export const MOCK_ORG_ID = '00000000-0000-4000-8000-0000000000a1';
+export const MOCK_CABINET_ID = '00000000-0000-4000-8000-0000000000c1';
+export const MOCK_SMALL_CABINET_ID = '00000000-0000-4000-8000-0000000000c2';
+
+const SUPPLIERS = ['Sonangol', 'Unitel', 'Angola Telecom', 'Endiama', 'BFA', 'ENDE'];
+const DOCUMENT_TYPES = ['Fatura', 'Nota de Crédito', 'Recibo'];
+const USERS = ['ana.silva', 'joao.costa', 'maria.santos', 'pedro.almeida'];
+const DECISIONS = ['Aprovar', 'Rejeitar', 'Encaminhar'];
+
+// Deterministic PRNG (mulberry32) so fixtures are identical across runs.
+const createRandom = (seed) => {
+    let a = seed >>> 0;
+    return () => {
+        a = (a + 0x6D2B79F5) >>> 0;
+        let t = a;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+};
+
+const pick = (random, list) => list[Math.floor(random() * list.length)];
+
+const toDocuWareDate = (ms) => `/Date(${ms})/`;
+
+const guid = (random) => 'xxxxxxxx-xxxx-4xxx-8xxx-xxxxxxxxxxxx'
+    .replace(/x/g, () => Math.floor(random() * 16).toString(16));
+
+const CABINET_FIELDS = [
+    { DBFieldName: 'DOCUMENT_TYPE', DisplayName: 'Tipo de Documento', DWFieldType: 'Text' },
+    { DBFieldName: 'FORNECEDOR', DisplayName: 'Fornecedor', DWFieldType: 'Text' },
+    { DBFieldName: 'NUMERO', DisplayName: 'Número', DWFieldType: 'Int' },
+    { DBFieldName: 'VALOR', DisplayName: 'Valor', DWFieldType: 'Decimal' },
+    { DBFieldName: 'DATA_FATURA', DisplayName: 'Data da Fatura', DWFieldType: 'Date' },
+    { DBFieldName: 'DWDOCID', DisplayName: 'DOCID', DWFieldType: 'Int', SystemField: true },
+    { DBFieldName: 'DWSTOREDATETIME', DisplayName: 'Armazenado em', DWFieldType: 'DateTime', SystemField: true },
+    { DBFieldName: 'DWMODDATETIME', DisplayName: 'Modificado em', DWFieldType: 'DateTime', SystemField: true }
+];
+
+// DWFieldType -> ItemElementName used in document field values
+const ITEM_ELEMENT = { Text: 'String', Int: 'Int', Decimal: 'Decimal', Date: 'Date', DateTime: 'DateTime' };
+
+const buildField = (definition, value) => ({
+    FieldName: definition.DBFieldName,
+    FieldLabel: definition.DisplayName,
+    ItemElementName: ITEM_ELEMENT[definition.DWFieldType],
+    Item: value,
+    IsNull: value === null || value === undefined,
+    SystemField: !!definition.SystemField
+});
+
+const buildSteps = (random, startMs, finished) => {
+    const steps = [{
+        ActivityName: 'Início',
+        ActivityType: 'Start',
+        StepDate: toDocuWareDate(startMs),
+        Info: { Item: {} }
+    }];
+
+    const taskCount = 1 + Math.floor(random() * 3);
+    let stepMs = startMs;
+    for (let i = 0; i < taskCount; i++) {
+        stepMs += Math.floor(random() * 72) * 3600000 + 600000;
+        steps.push({
+            ActivityName: `Aprovação Nível ${i + 1}`,
+            ActivityType: 'General Task',
+            StepDate: toDocuWareDate(stepMs),
+            Info: {
+                Item: {
+                    UserName: pick(random, USERS),
+                    DecisionName: pick(random, DECISIONS),
+                    DecisionDate: toDocuWareDate(stepMs)
+                }
+            }
+        });
+    }
+
+    if (finished) {
+        steps.push({
+            ActivityName: 'Fim',
+            ActivityType: 'End',
+            StepDate: toDocuWareDate(stepMs + 60000),
+            Info: { Item: {} }
+        });
+    } else {
+        // Open task waiting for a decision
+        steps.push({
+            ActivityName: 'Validação Final',
+            ActivityType: 'General Task',
+            StepDate: toDocuWareDate(stepMs + 60000),
+            Info: { Item: { AssignedUsers: [pick(random, USERS), pick(random, USERS)] } }
+        });
+    }
+    return steps;
+};
+
+/**
+ * Build the in-memory dataset served by the mock server.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.seed=42]
+ * @param {number} [options.documentCount=25] - Documents in the main cabinet.
+ * @param {number} [options.baseTime] - Epoch ms of the first document (defaults to 2024-01-01).
+ * @returns {{ organization: Object, cabinets: Array<Object> }}
+ */
+export const createFixtures = ({ seed = 42, documentCount = 25, baseTime = Date.UTC(2024, 0, 1) } = {}) => {
+    const random = createRandom(seed);
+
+    const buildCabinet = (id, name, count, firstDocId) => {
+        const documents = [];
+        for (let i = 0; i < count; i++) {
+            const docId = firstDocId + i;
+            const storedMs = baseTime + i * 86400000 + Math.floor(random() * 3600000);
+            const values = {
+                DOCUMENT_TYPE: pick(random, DOCUMENT_TYPES),
+                FORNECEDOR: pick(random, SUPPLIERS),
+                NUMERO: 1000 + docId,
+                VALOR: Math.round(random() * 1000000) / 100,
+                DATA_FATURA: toDocuWareDate(storedMs - 5 * 86400000),
+                DWDOCID: docId,
+                DWSTOREDATETIME: toDocuWareDate(storedMs),
+                DWMODDATETIME: toDocuWareDate(storedMs + 3600000)
+            };
+
+            // ~20% without workflow, the rest with 1-2 instances (latest one may still be open)
+            const instances = [];
+            const instanceCount = random() < 0.2 ? 0 : 1 + Math.floor(random() * 2);
+            const workflowId = guid(random);
+            for (let v = 1; v <= instanceCount; v++) {
+                const startMs = storedMs + v * 7200000;
+                const finished = v < instanceCount || random() < 0.6;
+                instances.push({
+                    Id: guid(random),
+                    WorkflowId: workflowId,
+                    Name: 'Aprovação de Faturas',
+                    Version: v,
+                    StartDate: toDocuWareDate(startMs),
+                    HistorySteps: buildSteps(random, startMs, finished)
+                });
+            }
+
+            documents.push({
+                Id: docId,
+                Title: `${values.DOCUMENT_TYPE} ${values.NUMERO}`,
+                ContentType: 'application/pdf',
+                FileSize: 1024 + Math.floor(random() * 100000),
+                Fields: CABINET_FIELDS.map(def => buildField(def, values[def.DBFieldName])),
+                Sections: [{ Id: `${docId}-1`, ContentType: 'application/pdf' }],
+                Instances: instances
+            });
+        }
+
+        return {
+            Id: id,
+            Name: name,
+            Color: 'Blue',
+            IsBasket: false,
+            Fields: CABINET_FIELDS.map(f => ({ ...f })),
+            Dialogs: [
+                { Id: `${id}-search`, DisplayName: 'Pesquisa', Type: 'Search', FileCabinetId: id },
+                { Id: `${id}-store`, DisplayName: 'Armazenar', Type: 'Store', FileCabinetId: id }
+            ],
+            Documents: documents
+        };
+    };
+
+    return {
+        organization: { Id: MOCK_ORG_ID, Name: 'Mock Organization' },
+        cabinets: [
+            buildCabinet(MOCK_CABINET_ID, 'Faturas', documentCount, 1),
+            buildCabinet(MOCK_SMALL_CABINET_ID, 'Contratos', 3, 100001)
+        ]
+    };
+};
@@ -0,0 +1,447 @@
+import express from 'express';
+import { fileURLToPath } from 'url';
+import { createFixtures } from './fixtures.js';
+
+/**
+ * @file server.js
+ * @description Local mock of the DocuWare Platform REST API and Identity Service.
+ * Serves seeded fixture data (see fixtures.js) for the endpoints used by docuwareService,
+ * workflowAnalyticsService, tokenManager and the scheduler, so the app can be developed
+ * and tested without a live *.docuware.cloud tenant.
+ *
+ * Fault injection: rules registered through `addFault()` or `POST /__mock/faults`
+ * (or the MOCK_DOCUWARE_FAULTS env var) make matching requests fail with a given
+ * status (401, 404, 429, 500, ...), drop the connection and/or respond slowly.
+ *
+ * Run standalone: `npm run mock:docuware` (port 3002, MOCK_DOCUWARE_PORT to change).
+ *
+ * @module mock-docuware/server
+ */
+
+const DEFAULT_PORT = 3002;
+const PLATFORM = '/DocuWare/Platform';
+const IDENTITY = '/DocuWare/Identity';
+
+const sleep = (ms) => new Promise(resolve => setTimeout(resolve, ms));
+
+const parseDocuWareDate = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    if (typeof value === 'string' && value.startsWith('/Date(')) return parseInt(value.match(/-?\d+/)[0], 10);
+    const ms = new Date(value).getTime();
+    return isNaN(ms) ? null : ms;
+};
+
+// DocuWare search semantics: '*' wildcard, case-insensitive; two values = range (null = open end).
+const matchesCondition = (doc, condition) => {
+    const field = doc.Fields.find(f => f.FieldName === condition.DBName);
+    if (!field) return false;
+    const values = condition.Value || [];
+    const type = field.ItemElementName;
+
+    if (values.length === 2 && ['Date', 'DateTime', 'Int', 'Decimal'].includes(type)) {
+        const toComparable = (v) => (type === 'Int' || type === 'Decimal') ? Number(v) : parseDocuWareDate(v);
+        const actual = toComparable(field.Item);
+        const [from, to] = values.map(v => (v === null || v === '' ? null : toComparable(v)));
+        if (actual === null || actual === undefined) return false;
+        return (from === null || actual >= from) && (to === null || actual <= to);
+    }
+
+    const actual = String(field.Item ?? '').toLowerCase();
+    return values.some(v => {
+        const pattern = String(v ?? '').toLowerCase()
+            .replace(/[.+?^${}()|[\]\\]/g, '\\$&')
+            .replace(/\*/g, '.*');
+        return new RegExp(`^${pattern}$`).test(actual);
+    });
+};
+
+const withoutInternals = (doc) => {
+    const { Instances: _instances, ...publicDoc } = doc;
+    return publicDoc;
+};
+
+/**
+ * Create a mock DocuWare server.
+ *
+ * @param {Object} [options]
+ * @param {Object} [options.fixtures] - Fixture options passed to createFixtures ({ seed, documentCount }).
+ * @param {number} [options.tokenLifetime=3600] - Access token lifetime in seconds.
+ * @param {boolean} [options.rotateRefreshTokens=true] - Issue a new refresh token on every refresh.
+ * @param {Array<Object>} [options.faults] - Initial fault rules (see addFault).
+ * @returns {{ app: express.Express, state: Object, addFault: Function, clearFaults: Function, reset: Function, listen: Function }}
+ */
+export const createMockDocuWareServer = (options = {}) => {
+    const { tokenLifetime = 3600, rotateRefreshTokens = true } = options;
+
+    const state = {
+        data: createFixtures(options.fixtures),
+        faults: [],
+        requests: [],
+        accessTokens: new Map(), // token -> expiresAt (ms)
+        refreshTokens: new Set(['mock-refresh-token']),
+        authCodes: new Set(['mock-code']),
+        counter: 0
+    };
+
+    /**
+     * Register a fault rule. The first matching rule wins.
+     * @param {Object} rule
+     * @param {string} [rule.path] - Substring of the request path.
+     * @param {string} [rule.pattern] - Regular expression tested against the request path.
+     * @param {string} [rule.method] - HTTP method (any when omitted).
+     * @param {number} [rule.status] - Status to respond with (401, 404, 500, ...).
+     * @param {number} [rule.delayMs] - Delay before handling (or before the fault status).
+     * @param {number} [rule.retryAfter] - Retry-After header (seconds) sent with the fault status.
+     * @param {boolean} [rule.reset] - Drop the connection instead of responding (client sees ECONNRESET).
+     * @param {number} [rule.times] - How many requests it applies to (unlimited when omitted).
+     */
+    const addFault = (rule) => {
+        if (!rule || (!rule.path && !rule.pattern)) throw new Error('Fault rule needs a path or pattern');
+        state.faults.push({ ...rule, hits: 0 });
+    };
+
+    const clearFaults = () => {
+        state.faults = [];
+    };
+
+    const reset = () => {
+        state.data = createFixtures(options.fixtures);
+        state.requests = [];
+        clearFaults();
+    };
+
+    (options.faults || []).forEach(addFault);
+
+    const issueTokens = () => {
+        state.counter++;
+        const accessToken = `mock-access-${state.counter}`;
+        state.accessTokens.set(accessToken, Date.now() + tokenLifetime * 1000);
+        const refreshToken = `mock-refresh-${state.counter}`;
+        state.refreshTokens.add(refreshToken);
+        return {
+            access_token: accessToken,
+            refresh_token: refreshToken,
+            token_type: 'Bearer',
+            expires_in: tokenLifetime,
+            scope: 'docuware.platform offline_access'
+        };
+    };
+
+    const findCabinet = (id) => state.data.cabinets.find(c => c.Id === id);
+
+    const findDocument = (cabinet, docId) => cabinet.Documents.find(d => String(d.Id) === String(docId));
+
+    const notFound = (res, message) => res.status(404).json({ Message: message, Status: 404 });
+
+    const pageOf = (req, documents) => {
+        const start = parseInt(req.query.start, 10) || 0;
+        const count = req.query.count !== undefined ? parseInt(req.query.count, 10) : 100;
+        const items = documents.slice(start, start + count).map(withoutInternals);
+        const links = [];
+        if (start + items.length < documents.length) {
+            const next = new URLSearchParams({ ...req.query, start: String(start + items.length), count: String(count) });
+            links.push({ rel: 'next', href: `${req.baseUrl}${req.path}?${next}` });
+        }
+        return {
+            Items: items,
+            Count: { Value: documents.length },
+            Links: links
+        };
+    };
+
+    const app = express();
+
+    // --- Request log + fault injection -----------------------------------
+
+    app.use((req, res, next) => {
+        if (req.path.startsWith('/__mock')) return next();
+        state.requests.push({ method: req.method, path: req.path, query: req.query, at: new Date().toISOString() });
+
+        const rule = state.faults.find(f => {
+            if (f.times !== undefined && f.hits >= f.times) return false;
+            if (f.method && f.method.toUpperCase() !== req.method) return false;
+            if (f.pattern) return new RegExp(f.pattern).test(req.path);
+            return req.path.includes(f.path);
+        });
+        if (!rule) return next();
+
+        rule.hits++;
+        const apply = () => {
+            if (rule.reset) return req.socket.destroy();
+            if (!rule.status) return next();
+            if (rule.retryAfter !== undefined) res.set('Retry-After', String(rule.retryAfter));
+            res.status(rule.status).json({ Message: `Injected fault (${rule.status})`, Status: rule.status });
+        };
+        if (rule.delayMs) {
+            sleep(rule.delayMs).then(apply);
+        } else {
+            apply();
+        }
+    });
+
+    // --- Control API ------------------------------------------------------
+
+    app.get('/__mock/faults', (req, res) => res.json(state.faults));
+    app.post('/__mock/faults', express.json(), (req, res) => {
+        const rules = Array.isArray(req.body) ? req.body : [req.body];
+        if (rules.some(r => !r || (!r.path && !r.pattern))) return res.status(400).json({ error: 'Each fault needs a path or pattern' });
+        rules.forEach(addFault);
+        res.json(state.faults);
+    });
+    app.delete('/__mock/faults', (req, res) => {
+        clearFaults();
+        res.sendStatus(204);
+    });
+    app.get('/__mock/requests', (req, res) => res.json(state.requests));
+    app.delete('/__mock/requests', (req, res) => {
+        state.requests = [];
+        res.sendStatus(204);
+    });
+    app.post('/__mock/tokens/expire', (req, res) => {
+        // Simulates every issued access token expiring at once
+        state.accessTokens.clear();
+        res.sendStatus(204);
+    });
+    app.post('/__mock/reset', (req, res) => {
+        reset();
+        res.sendStatus(204);
+    });
+
+    // --- Identity Service -------------------------------------------------
+
+    app.get(`${PLATFORM}/Home/IdentityServiceInfo`, (req, res) => {
+        res.json({ IdentityServiceUrl: `${req.protocol}://${req.get('host')}${IDENTITY}`, RefreshTokenSupported: true });
+    });
+
+    app.get(`${IDENTITY}/.well-known/openid-configuration`, (req, res) => {
+        const issuer = `${req.protocol}://${req.get('host')}${IDENTITY}`;
+        res.json({
+            issuer,
+            authorization_endpoint: `${issuer}/connect/authorize`,
+            token_endpoint: `${issuer}/connect/token`,
+            grant_types_supported: ['authorization_code', 'refresh_token', 'password', 'client_credentials'],
+            scopes_supported: ['docuware.platform', 'offline_access']
+        });
+    });
+
+    // Auto-approves the login and redirects straight back with a code
+    app.get(`${IDENTITY}/connect/authorize`, (req, res) => {
+        const { redirect_uri: redirectUri, state: oauthState } = req.query;
+        if (!redirectUri) return res.status(400).json({ error: 'invalid_request' });
+        const code = `mock-code-${++state.counter}`;
+        state.authCodes.add(code);
+        const target = new URL(redirectUri);
+        target.searchParams.set('code', code);
+        if (oauthState) target.searchParams.set('state', oauthState);
+        res.redirect(target.toString());
+    });
+
+    app.post(`${IDENTITY}/connect/token`, express.urlencoded({ extended: false }), (req, res) => {
+        const { grant_type: grantType } = req.body || {};
+        switch (grantType) {
+            case 'authorization_code':
+                if (!state.authCodes.delete(req.body.code)) return res.status(400).json({ error: 'invalid_grant' });
+                break;
+            case 'refresh_token':
+                if (!state.refreshTokens.has(req.body.refresh_token)) return res.status(400).json({ error: 'invalid_grant' });
+                if (rotateRefreshTokens) state.refreshTokens.delete(req.body.refresh_token);
+                break;
+            case 'password':
+                if (!req.body.username || !req.body.password) return res.status(400).json({ error: 'invalid_grant' });
+                break;
+            case 'client_credentials':
+                break;
+            default:
+                return res.status(400).json({ error: 'unsupported_grant_type' });
+        }
+
+        const tokens = issueTokens();
+        if (!rotateRefreshTokens && grantType === 'refresh_token') tokens.refresh_token = req.body.refresh_token;
+        res.json(tokens);
+    });
+
+    // --- Platform API (Bearer token required) -----------------------------
+
+    const platform = express.Router();
+
+    platform.use((req, res, next) => {
+        const token = (req.get('authorization') || '').replace(/^Bearer\s+/i, '');
+        const expiresAt = state.accessTokens.get(token);
+        if (!expiresAt || expiresAt < Date.now()) {
+            return res.status(401).json({ Message: 'Unauthorized', Status: 401 });
+        }
+        next();
+    });
+
+    platform.get('/Organizations', (req, res) => {
+        res.json({ Organization: [state.data.organization] });
+    });
+
+    platform.get('/FileCabinets', (req, res) => {
+        res.json({
+            FileCabinet: state.data.cabinets.map(({ Id, Name, Color, IsBasket }) => ({ Id, Name, Color, IsBasket }))
+        });
+    });
+
+    platform.get('/FileCabinets/:cabinetId', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        if (!cabinet) return notFound(res, 'File cabinet not found');
+        const { Documents: _documents, Dialogs: _dialogs, ...info } = cabinet;
+        res.json(info);
+    });
+
+    platform.get('/FileCabinets/:cabinetId/Fields', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        if (!cabinet) return notFound(res, 'File cabinet not found');
+        res.json({ Fields: cabinet.Fields });
+    });
+
+    platform.get('/FileCabinets/:cabinetId/Dialogs', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        if (!cabinet) return notFound(res, 'File cabinet not found');
+        res.json({ Dialog: cabinet.Dialogs });
+    });
+
+    platform.get('/FileCabinets/:cabinetId/Documents', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        if (!cabinet) return notFound(res, 'File cabinet not found');
+        res.json(pageOf(req, cabinet.Documents));
+    });
+
+    platform.post('/FileCabinets/:cabinetId/Query/DialogExpression', express.json(), (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        if (!cabinet) return notFound(res, 'File cabinet not found');
+        if (!cabinet.Dialogs.some(d => d.Id === req.query.dialogId)) return notFound(res, 'Dialog not found');
+
+        const conditions = req.body?.Condition || [];
+        const matches = (req.body?.Operation || 'And').toLowerCase() === 'or'
+            ? (doc) => conditions.length === 0 || conditions.some(c => matchesCondition(doc, c))
+            : (doc) => conditions.every(c => matchesCondition(doc, c));
+        res.json(pageOf(req, cabinet.Documents.filter(matches)));
+    });
+
+    platform.post('/FileCabinets/:cabinetId/Query/SelectListExpression', express.json(), (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        if (!cabinet) return notFound(res, 'File cabinet not found');
+        const fieldName = req.body?.FieldName;
+        const values = new Set();
+        cabinet.Documents.forEach(doc => {
+            const field = doc.Fields.find(f => f.FieldName === fieldName);
+            if (field && field.Item !== null && field.Item !== undefined) values.add(field.Item);
+        });
+        res.json({ Value: Array.from(values).sort() });
+    });
+
+    platform.get('/FileCabinets/:cabinetId/Documents/:docId', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        const doc = cabinet && findDocument(cabinet, req.params.docId);
+        if (!doc) return notFound(res, 'Document not found');
+        res.json(withoutInternals(doc));
+    });
+
+    platform.put('/FileCabinets/:cabinetId/Documents/:docId/Fields', express.json(), (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        const doc = cabinet && findDocument(cabinet, req.params.docId);
+        if (!doc) return notFound(res, 'Document not found');
+        (req.body?.Field || []).forEach(update => {
+            const field = doc.Fields.find(f => f.FieldName === update.FieldName);
+            if (field) {
+                field.Item = update.Item;
+                field.IsNull = update.Item === null || update.Item === undefined;
+            }
+        });
+        const modified = doc.Fields.find(f => f.FieldName === 'DWMODDATETIME');
+        if (modified) modified.Item = `/Date(${Date.now()})/`;
+        res.json({ Field: doc.Fields });
+    });
+
+    platform.get('/FileCabinets/:cabinetId/Documents/:docId/FileDownload', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        const doc = cabinet && findDocument(cabinet, req.params.docId);
+        if (!doc) return notFound(res, 'Document not found');
+        res.type('application/pdf').send(Buffer.from(`%PDF-1.4\n% Mock document ${doc.Id}\n%%EOF\n`));
+    });
+
+    platform.post('/FileCabinets/:cabinetId/Sections', express.raw({ type: () => true, limit: '50mb' }), (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        const doc = cabinet && findDocument(cabinet, req.query.docId);
+        if (!doc) return notFound(res, 'Document not found');
+        const section = { Id: `${doc.Id}-${doc.Sections.length + 1}-${++state.counter}`, ContentType: req.get('content-type') || 'application/octet-stream' };
+        doc.Sections.push(section);
+        doc.FileSize = req.body?.length || 0;
+        res.json(section);
+    });
+
+    platform.delete('/FileCabinets/:cabinetId/Sections/:sectionId', (req, res) => {
+        const cabinet = findCabinet(req.params.cabinetId);
+        const doc = cabinet && cabinet.Documents.find(d => d.Sections.some(s => s.Id === req.params.sectionId));
+        if (!doc) return notFound(res, 'Section not found');
+        doc.Sections = doc.Sections.filter(s => s.Id !== req.params.sectionId);
+        res.sendStatus(200);
+    });
+
+    platform.get('/Workflow/Instances/DocumentHistory', (req, res) => {
+        const cabinet = findCabinet(req.query.fileCabinetId);
+        const doc = cabinet && findDocument(cabinet, req.query.documentId);
+        if (!doc) return notFound(res, 'Document not found');
+        res.json({
+            InstanceHistory: doc.Instances.map(instance => {
+                const { HistorySteps: _steps, ...inst } = instance;
+                return {
+                    ...inst,
+                    Links: [{ rel: 'self', href: `${PLATFORM}/Workflow/Workflows/${inst.WorkflowId}/Instances/${inst.Id}/History` }]
+                };
+            })
+        });
+    });
+
+    platform.get('/Workflow/Workflows/:workflowId/Instances/:instanceId/History', (req, res) => {
+        for (const cabinet of state.data.cabinets) {
+            for (const doc of cabinet.Documents) {
+                const inst = doc.Instances.find(i => i.Id === req.params.instanceId && i.WorkflowId === req.params.workflowId);
+                if (inst) return res.json({ HistorySteps: inst.HistorySteps });
+            }
+        }
+        notFound(res, 'Workflow instance not found');
+    });
+
+    app.use(PLATFORM, platform);
+
+    /**
+     * Start listening.
+     * @param {number} [port=0] - 0 picks a free port.
+     * @returns {Promise<{ url: string, port: number, close: function(): Promise<void> }>}
+     */
+    const listen = (port = 0) => new Promise((resolve, reject) => {
+        const server = app.listen(port, '127.0.0.1', () => {
+            const actualPort = server.address().port;
+            resolve({
+                url: `http://127.0.0.1:${actualPort}`,
+                port: actualPort,
+                close: () => new Promise(done => {
+                    server.closeAllConnections?.();
+                    server.close(() => done());
+                })
+            });
+        });
+        server.on('error', reject);
+    });
+
+    return { app, state, addFault, clearFaults, reset, listen };
+};
+
+// Standalone mode: node mock-docuware/server.js
+if (process.argv[1] === fileURLToPath(import.meta.url)) {
+    const port = parseInt(process.env.MOCK_DOCUWARE_PORT, 10) || DEFAULT_PORT;
+    const mock = createMockDocuWareServer({
+        fixtures: { documentCount: parseInt(process.env.MOCK_DOCUWARE_DOCUMENTS, 10) || undefined },
+        faults: process.env.MOCK_DOCUWARE_FAULTS ? JSON.parse(process.env.MOCK_DOCUWARE_FAULTS) : []
+    });
+    mock.listen(port).then(({ url }) => {
+        console.log(`===============================================`);
+        console.log(`   Mock DocuWare Server Running`);
+        console.log(`   URL: ${url}`);
+        console.log(`   Refresh token: mock-refresh-token`);
+        console.log(`===============================================`);
+    });
+}
@@ -0,0 +1,169 @@
+import axios from 'axios';
+import nodemailer from 'nodemailer';
+
+/**
+ * @file notifier.js
+ * @description Notifications sent when a scheduled export finishes.
+ * Each schedule lists its targets in `notifications`:
+ *
+ *   { type: 'webhook', url, headers?, onSuccess, onPartial, onFailure }
+ *   { type: 'email', to, onSuccess, onPartial, onFailure }
+ *
+ * Webhooks receive a JSON summary of the run (see buildPayload). E-mails go through the SMTP
+ * server configured in the environment (SMTP_HOST, SMTP_PORT, SMTP_SECURE, SMTP_USER, SMTP_PASS,
+ * SMTP_FROM). A failing target never fails the run; results are returned to be kept in the run report.
+ */
+
+const WEBHOOK_TIMEOUT_MS = 10000;
+
+// Run status -> target toggle
+const STATUS_TOGGLES = {
+    SUCCESS: 'onSuccess',
+    PARTIAL: 'onPartial',
+    ERROR: 'onFailure',
+    ABORTED: 'onFailure'
+};
+
+const EVENTS = {
+    SUCCESS: 'export.succeeded',
+    PARTIAL: 'export.partial',
+    ERROR: 'export.failed',
+    ABORTED: 'export.failed'
+};
+
+const SUBJECT_LABELS = {
+    SUCCESS: 'Sucesso',
+    PARTIAL: 'Parcial',
+    ERROR: 'Falha',
+    ABORTED: 'Interrompida'
+};
+
+/**
+ * JSON body posted to webhooks.
+ *
+ * @param {Object} schedule
+ * @param {Object} report - Run report (see runSchedule in scheduler.js).
+ */
+const buildPayload = (schedule, report) => ({
+    event: EVENTS[report.status],
+    schedule: { id: schedule.id, name: schedule.name, cabinetName: schedule.cabinetName },
+    run: {
+        runId: report.runId,
+        trigger: report.trigger,
+        status: report.status,
+        message: report.message,
+        startedAt: report.startedAt,
+        finishedAt: report.finishedAt,
+        durationMs: report.durationMs,
+        totalCount: report.totalCount,
+        docCount: report.docCount,
+        lineCount: report.lineCount,
+        failedCount: report.failedCount,
+        retries: report.retries
+    },
+    output: report.output,
+    reportPath: `/api/schedules/${schedule.id}/runs/${report.runId}`
+});
+
+const buildEmail = (schedule, report) => {
+    const lines = [
+        `Agendamento: ${schedule.name}`,
+        `Status: ${report.status}`,
+        report.message,
+        '',
+        `Início: ${report.startedAt}`,
+        `Fim: ${report.finishedAt}`,
+        `Documentos: ${report.docCount} de ${report.totalCount ?? '-'} (${report.failedCount} com falha)`,
+        `Linhas: ${report.lineCount}`
+    ];
+    if (report.output) lines.push(`Saída: ${report.output.file || report.output.table}`);
+    lines.push(`Relatório: /api/schedules/${schedule.id}/runs/${report.runId}`);
+    return {
+        subject: `[PBI Export] ${SUBJECT_LABELS[report.status] || report.status}: ${schedule.name}`,
+        text: lines.join('\n')
+    };
+};
+
+const getSmtpTransport = () => {
+    if (!process.env.SMTP_HOST) throw new Error('SMTP not configured (SMTP_HOST)');
+    return nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT, 10) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS } : undefined
+    });
+};
+
+const describeTarget = (target) => (target.type === 'email' ? `email ${target.to}` : `webhook ${target.url}`);
+
+async function send(target, schedule, report) {
+    if (target.type === 'webhook') {
+        if (!target.url) throw new Error('Webhook URL missing');
+        await axios.post(target.url, buildPayload(schedule, report), {
+            headers: target.headers || {},
+            timeout: WEBHOOK_TIMEOUT_MS
+        });
+    } else if (target.type === 'email') {
+        if (!target.to) throw new Error('E-mail recipient missing');
+        const { subject, text } = buildEmail(schedule, report);
+        await getSmtpTransport().sendMail({
+            from: process.env.SMTP_FROM || process.env.SMTP_USER || 'pbi-export@localhost',
+            to: target.to,
+            subject,
+            text
+        });
+    } else {
+        throw new Error(`Unknown notification type: ${target.type}`);
+    }
+}
+
+export const notifier = {
+    buildPayload,
+
+    /**
+     * Notify the schedule's targets whose toggle matches the run status.
+     *
+     * @param {Object} schedule
+     * @param {Object} report - Run report.
+     * @returns {Promise<Array<{ type: string, target: string, ok: boolean, error?: string }>>}
+     */
+    notify: async (schedule, report) => {
+        const toggle = STATUS_TOGGLES[report.status];
+        const targets = (schedule.notifications || []).filter(t => toggle && t[toggle]);
+
+        return Promise.all(targets.map(async (target) => {
+            try {
+                await send(target, schedule, report);
+                console.log(`[Notifier] 📣 ${report.status} of ${schedule.name} sent to ${describeTarget(target)}`);
+                return { type: target.type, target: describeTarget(target), ok: true };
+            } catch (err) {
+                console.error(`[Notifier] Failed to notify ${describeTarget(target)}:`, err.message);
+                return { type: target.type, target: describeTarget(target), ok: false, error: err.message };
+            }
+        }));
+    },
+
+    /**
+     * Send a sample notification to a single target (form "Test" button), ignoring its toggles.
+     * Throws if delivery fails.
+     */
+    sendTest: async (target, schedule = {}) => {
+        const now = new Date().toISOString();
+        const sample = {
+            runId: 'test',
+            trigger: 'manual',
+            status: 'SUCCESS',
+            message: 'Notificação de teste.',
+            startedAt: now,
+            finishedAt: now,
+            durationMs: 0,
+            totalCount: 0,
+            docCount: 0,
+            lineCount: 0,
+            failedCount: 0,
+            retries: 0,
+            output: null
+        };
+        await send(target, { id: schedule.id || 'test', name: schedule.name || 'Teste', cabinetName: schedule.cabinetName }, sample);
+    }
+};
@@ -0,0 +1,387 @@
+import crypto from 'crypto';
+
+/**
+ * @file odataFeed.js
+ * @description OData v4 feed of a schedule's latest dataset (the rows of its latest.{format}), so
+ * Power BI's OData connector can refresh from the scheduler's results instead of a file share.
+ *
+ * One service per schedule (/odata/{scheduleId}) with a single entity set, Export. Columns become
+ * properties named after the export headers without accents and spaces ('Data Decisão' ->
+ * 'Data_Decisao'); a RowId key numbers the rows in file order. Supported query options: $select,
+ * $filter (eq, ne, gt, ge, lt, le, and, or, not, parentheses, contains, startswith, endswith,
+ * tolower, toupper), $top, $skip and $count. Pages hold at most ODATA_PAGE_SIZE rows and link to
+ * the next one (@odata.nextLink).
+ *
+ * Requests need one of the tokens in ODATA_TOKENS (comma-separated), sent as
+ * `Authorization: Bearer <token>` or as the password of Basic authentication.
+ */
+
+const NAMESPACE = 'PbiExport';
+const ENTITY_SET = 'Export';
+const ENTITY_TYPE = 'ExportRow';
+const KEY = 'RowId';
+const DEFAULT_PAGE_SIZE = 5000;
+
+// DocuWare field type (see exportPipeline.columns) -> EDM type
+const EDM_TYPES = {
+    int: 'Edm.Int64',
+    numeric: 'Edm.Int64',
+    decimal: 'Edm.Double',
+    date: 'Edm.Date',
+    datetime: 'Edm.DateTimeOffset'
+};
+
+const COMPARISONS = ['eq', 'ne', 'gt', 'ge', 'lt', 'le'];
+const FUNCTIONS = {
+    contains: (a, b) => typeof a === 'string' && typeof b === 'string' && a.includes(b),
+    startswith: (a, b) => typeof a === 'string' && typeof b === 'string' && a.startsWith(b),
+    endswith: (a, b) => typeof a === 'string' && typeof b === 'string' && a.endsWith(b),
+    tolower: (a) => (typeof a === 'string' ? a.toLowerCase() : a),
+    toupper: (a) => (typeof a === 'string' ? a.toUpperCase() : a)
+};
+
+const badRequest = (message) => {
+    const error = new Error(message);
+    error.status = 400;
+    return error;
+};
+
+const escapeXml = (value) => String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+function getPageSize() {
+    const size = parseInt(process.env.ODATA_PAGE_SIZE, 10);
+    return Number.isFinite(size) && size > 0 ? size : DEFAULT_PAGE_SIZE;
+}
+
+const getTokens = () => (process.env.ODATA_TOKENS || '').split(',').map(t => t.trim()).filter(Boolean);
+
+// Constant-time comparison so the token cannot be guessed from response times
+const tokenMatches = (candidate, token) => {
+    const a = crypto.createHash('sha256').update(candidate).digest();
+    const b = crypto.createHash('sha256').update(token).digest();
+    return crypto.timingSafeEqual(a, b);
+};
+
+/**
+ * OData properties of a dataset: the RowId key followed by one property per column.
+ *
+ * @param {Array<{ name: string, type: string }>} columns - Export columns with DocuWare types.
+ * @returns {Array<{ name: string, column: string|null, type: string }>}
+ */
+function buildProperties(columns) {
+    const used = new Set([KEY]);
+    const properties = [{ name: KEY, column: null, type: 'Edm.Int64' }];
+    columns.forEach(({ name, type }) => {
+        let identifier = String(name)
+            .normalize('NFD')
+            .replace(/[\u0300-\u036f]/g, '')
+            .replace(/[^A-Za-z0-9_]+/g, '_')
+            .replace(/^_+|_+$/g, '');
+        if (!/^[A-Za-z_]/.test(identifier)) identifier = `_${identifier}`;
+        let unique = identifier;
+        for (let i = 2; used.has(unique); i++) unique = `${identifier}_${i}`;
+        used.add(unique);
+        properties.push({ name: unique, column: name, type: EDM_TYPES[String(type || '').toLowerCase()] || 'Edm.String' });
+    });
+    return properties;
+}
+
+/**
+ * JSON representation of a value for its EDM type (dates as ISO strings, empty values as null).
+ */
+function toJsonValue(value, type) {
+    if (value === null || value === undefined || value === '') return null;
+    switch (type) {
+        case 'Edm.Int64':
+        case 'Edm.Double': {
+            const num = Number(value);
+            return Number.isFinite(num) ? num : null;
+        }
+        case 'Edm.Date':
+        case 'Edm.DateTimeOffset': {
+            const date = value instanceof Date ? value : new Date(value);
+            if (isNaN(date.getTime())) return null;
+            return type === 'Edm.Date' ? date.toISOString().slice(0, 10) : date.toISOString();
+        }
+        default:
+            return value instanceof Date ? value.toISOString() : String(value);
+    }
+}
+
+// --- $filter ---
+
+const TOKEN_PATTERN = /\s*(?:(\()|(\))|(,)|('(?:[^']|'')*')|(\d{4}-\d{2}-\d{2}T[\d:.]+(?:Z|[+-]\d{2}:\d{2}))|(\d{4}-\d{2}-\d{2})|(-?\d+(?:\.\d+)?(?:[eE][+-]?\d+)?)|([A-Za-z_][A-Za-z0-9_]*))/y;
+
+function tokenize(text) {
+    const tokens = [];
+    TOKEN_PATTERN.lastIndex = 0;
+    while (TOKEN_PATTERN.lastIndex < text.length) {
+        const start = TOKEN_PATTERN.lastIndex;
+        if (/^\s*$/.test(text.slice(start))) break;
+        const match = TOKEN_PATTERN.exec(text);
+        if (!match) throw badRequest(`Invalid $filter near: ${text.slice(start).trim()}`);
+        const [, open, close, comma, string, dateTime, date, number, word] = match;
+        if (open) tokens.push({ kind: '(' });
+        else if (close) tokens.push({ kind: ')' });
+        else if (comma) tokens.push({ kind: ',' });
+        else if (string) tokens.push({ kind: 'literal', value: string.slice(1, -1).replace(/''/g, "'") });
+        else if (dateTime) tokens.push({ kind: 'literal', value: new Date(dateTime) });
+        else if (date) tokens.push({ kind: 'literal', value: new Date(`${date}T00:00:00Z`) });
+        else if (number) tokens.push({ kind: 'literal', value: Number(number) });
+        else tokens.push({ kind: 'word', value: word });
+    }
+    return tokens;
+}
+
+const comparable = (value) => (value instanceof Date ? value.getTime() : value);
+
+function compare(op, left, right) {
+    const a = comparable(left);
+    const b = comparable(right);
+    if (op === 'eq') return a === b;
+    if (op === 'ne') return a !== b;
+    if (a === null || b === null) return false;
+    if (op === 'gt') return a > b;
+    if (op === 'ge') return a >= b;
+    if (op === 'lt') return a < b;
+    return a <= b;
+}
+
+/**
+ * Compile a $filter expression into a predicate over JSON entities (see toJsonValue).
+ *
+ * @param {string} text
+ * @param {Array<Object>} properties - From buildProperties.
+ * @returns {function(Object): boolean}
+ */
+function parseFilter(text, properties) {
+    const types = new Map(properties.map(p => [p.name, p.type]));
+    const tokens = tokenize(text);
+    let pos = 0;
+
+    const peekWord = (value) => tokens[pos]?.kind === 'word' && tokens[pos].value.toLowerCase() === value;
+    const expect = (kind) => {
+        if (tokens[pos]?.kind !== kind) throw badRequest(`Invalid $filter: expected '${kind}'`);
+        pos++;
+    };
+
+    // Operands evaluate to values comparable with toJsonValue output (dates as Date)
+    const operand = () => {
+        const token = tokens[pos];
+        if (!token) throw badRequest('Invalid $filter: unexpected end');
+        if (token.kind === '(') {
+            pos++;
+            const inner = or();
+            expect(')');
+            return inner;
+        }
+        if (token.kind === 'literal') {
+            pos++;
+            return () => token.value;
+        }
+        if (token.kind !== 'word') throw badRequest(`Invalid $filter near '${token.kind}'`);
+        pos++;
+        const word = token.value;
+        if (['true', 'false', 'null'].includes(word)) return () => JSON.parse(word);
+        const fn = FUNCTIONS[word.toLowerCase()];
+        if (fn && tokens[pos]?.kind === '(') {
+            pos++;
+            const args = [operand()];
+            while (tokens[pos]?.kind === ',') {
+                pos++;
+                args.push(operand());
+            }
+            expect(')');
+            if (args.length !== fn.length) throw badRequest(`${word} takes ${fn.length} argument(s)`);
+            return (entity) => fn(...args.map(arg => arg(entity)));
+        }
+        if (!types.has(word)) throw badRequest(`Unknown property in $filter: ${word}`);
+        const isDate = ['Edm.Date', 'Edm.DateTimeOffset'].includes(types.get(word));
+        return (entity) => {
+            const value = entity[word];
+            return isDate && value !== null ? new Date(value) : value;
+        };
+    };
+
+    const comparison = () => {
+        const left = operand();
+        const op = tokens[pos]?.kind === 'word' && tokens[pos].value.toLowerCase();
+        if (!COMPARISONS.includes(op)) return left;
+        pos++;
+        const right = operand();
+        return (entity) => compare(op, left(entity), right(entity));
+    };
+
+    const not = () => {
+        if (peekWord('not')) {
+            pos++;
+            const inner = not();
+            return (entity) => !inner(entity);
+        }
+        return comparison();
+    };
+
+    const and = () => {
+        let left = not();
+        while (peekWord('and')) {
+            pos++;
+            const l = left;
+            const r = not();
+            left = (entity) => !!l(entity) && !!r(entity);
+        }
+        return left;
+    };
+
+    const or = () => {
+        let left = and();
+        while (peekWord('or')) {
+            pos++;
+            const l = left;
+            const r = and();
+            left = (entity) => !!l(entity) || !!r(entity);
+        }
+        return left;
+    };
+
+    const predicate = or();
+    if (pos < tokens.length) throw badRequest('Invalid $filter: unexpected trailing input');
+    return (entity) => predicate(entity) === true;
+}
+
+function parseCount(value, name) {
+    if (value === undefined) return undefined;
+    const num = Number(value);
+    if (!Number.isInteger(num) || num < 0) throw badRequest(`${name} must be a non-negative integer`);
+    return num;
+}
+
+export const odataFeed = {
+    ENTITY_SET,
+    buildProperties,
+    parseFilter,
+
+    /**
+     * Whether the feed has tokens configured (without them every request is refused).
+     */
+    isEnabled: () => getTokens().length > 0,
+
+    /**
+     * Check the Authorization header of a request against ODATA_TOKENS.
+     *
+     * @param {string} [authorization]
+     * @returns {boolean}
+     */
+    authenticate: (authorization = '') => {
+        const [scheme, credentials = ''] = authorization.split(' ');
+        let candidate = null;
+        if (/^bearer$/i.test(scheme)) {
+            candidate = credentials.trim();
+        } else if (/^basic$/i.test(scheme)) {
+            const decoded = Buffer.from(credentials, 'base64').toString('utf-8');
+            candidate = decoded.slice(decoded.indexOf(':') + 1);
+        }
+        if (!candidate) return false;
+        return getTokens().some(token => tokenMatches(candidate, token));
+    },
+
+    /**
+     * Service document of a schedule's feed.
+     * @param {string} serviceUrl - Absolute URL of the service root (/odata/{scheduleId}).
+     */
+    getServiceDocument: (serviceUrl) => ({
+        '@odata.context': `${serviceUrl}/$metadata`,
+        value: [{ name: ENTITY_SET, kind: 'EntitySet', url: ENTITY_SET }]
+    }),
+
+    /**
+     * CSDL ($metadata) of a dataset.
+     *
+     * @param {Array<{ name: string, type: string }>} columns
+     * @returns {string} XML
+     */
+    getMetadata: (columns) => {
+        const properties = buildProperties(columns).map(p =>
+            `        <Property Name="${p.name}" Type="${p.type}"${p.name === KEY ? ' Nullable="false"' : ''}>` +
+            (p.column ? `<Annotation Term="Core.Description" String="${escapeXml(p.column)}"/>` : '') +
+            '</Property>');
+        return [
+            '<?xml version="1.0" encoding="utf-8"?>',
+            '<edmx:Edmx Version="4.0" xmlns:edmx="http://docs.oasis-open.org/odata/ns/edmx">',
+            '  <edmx:Reference Uri="https://oasis-tcs.github.io/odata-vocabularies/vocabularies/Org.OData.Core.V1.xml">',
+            '    <edmx:Include Namespace="Org.OData.Core.V1" Alias="Core"/>',
+            '  </edmx:Reference>',
+            '  <edmx:DataServices>',
+            `    <Schema Namespace="${NAMESPACE}" xmlns="http://docs.oasis-open.org/odata/ns/edm">`,
+            `      <EntityType Name="${ENTITY_TYPE}">`,
+            `        <Key><PropertyRef Name="${KEY}"/></Key>`,
+            ...properties,
+            '      </EntityType>',
+            '      <EntityContainer Name="Container">',
+            `        <EntitySet Name="${ENTITY_SET}" EntityType="${NAMESPACE}.${ENTITY_TYPE}"/>`,
+            '      </EntityContainer>',
+            '    </Schema>',
+            '  </edmx:DataServices>',
+            '</edmx:Edmx>'
+        ].join('\n');
+    },
+
+    /**
+     * Apply the query options of a request to a dataset. Throws errors with `status = 400`
+     * for invalid options.
+     *
+     * @param {{ columns: Array<Object>, rows: Array<Object> }} dataset - See scheduler.getLatestDataset.
+     * @param {Object} query - Request query string ($select, $filter, $top, $skip, $count).
+     * @param {string} serviceUrl - Absolute URL of the service root, for context and next links.
+     * @returns {{ body: Object, count: number }} OData JSON response and the number of matching rows.
+     */
+    query: (dataset, query, serviceUrl) => {
+        const properties = buildProperties(dataset.columns);
+        const names = new Set(properties.map(p => p.name));
+
+        let selected = properties;
+        if (query.$select && query.$select.trim() !== '*') {
+            const requested = query.$select.split(',').map(s => s.trim()).filter(Boolean);
+            const unknown = requested.find(name => !names.has(name));
+            if (unknown) throw badRequest(`Unknown property in $select: ${unknown}`);
+            selected = properties.filter(p => requested.includes(p.name));
+        }
+        const filter = query.$filter ? parseFilter(query.$filter, properties) : null;
+        const top = parseCount(query.$top, '$top');
+        const skip = parseCount(query.$skip, '$skip') || 0;
+        if (query.$count !== undefined && !['true', 'false'].includes(query.$count)) throw badRequest('$count must be true or false');
+
+        const entities = [];
+        dataset.rows.forEach((row, index) => {
+            const entity = {};
+            properties.forEach(p => {
+                entity[p.name] = p.column === null ? index + 1 : toJsonValue(row[p.column], p.type);
+            });
+            if (!filter || filter(entity)) entities.push(entity);
+        });
+
+        const pageSize = getPageSize();
+        const end = top === undefined ? entities.length : Math.min(entities.length, skip + top);
+        const pageEnd = Math.min(end, skip + pageSize);
+        const value = entities.slice(skip, pageEnd).map(entity =>
+            Object.fromEntries(selected.map(p => [p.name, entity[p.name]])));
+
+        const selectSuffix = selected === properties ? '' : `(${selected.map(p => p.name).join(',')})`;
+        const body = { '@odata.context': `${serviceUrl}/$metadata#${ENTITY_SET}${selectSuffix}` };
+        if (query.$count === 'true') body['@odata.count'] = entities.length;
+        body.value = value;
+        if (pageEnd < end) {
+            const next = new URLSearchParams();
+            ['$select', '$filter', '$count'].forEach(option => {
+                if (query[option] !== undefined) next.set(option, query[option]);
+            });
+            if (top !== undefined) next.set('$top', String(end - pageEnd));
+            next.set('$skip', String(pageEnd));
+            body['@odata.nextLink'] = `${serviceUrl}/${ENTITY_SET}?${next.toString()}`;
+        }
+        return { body, count: entities.length };
+    }
+};
@@ -0,0 +1,152 @@
+import parquet from '@dsnp/parquetjs';
+import { exportPipeline } from './src/services/exportPipeline.js';
+
+/**
+ * @file parquetWriter.js
+ * @description Parquet output for scheduled exports.
+ * The schema is derived from the fixed export columns plus the cabinet field definitions
+ * (not from the documents of a given run), so every file of a schedule has the same columns
+ * and Power BI can append runs without schema drift.
+ */
+
+// DocuWare field type -> Parquet primitive type
+const PARQUET_TYPES = {
+    Int: 'INT64',
+    Decimal: 'DOUBLE',
+    Date: 'DATE',
+    DateTime: 'TIMESTAMP_MILLIS',
+    String: 'UTF8'
+};
+
+// Parquet original/primitive type -> DocuWare type, for files read back by readFile
+const PARQUET_SOURCE_TYPES = Object.fromEntries(Object.entries(PARQUET_TYPES).map(([type, pq]) => [pq, type]));
+
+/**
+ * Normalize the different ways DocuWare describes a field type
+ * (cabinet definition DWFieldType or search result ItemElementName).
+ */
+const normalizeType = (type) => {
+    switch ((type || '').toLowerCase()) {
+        case 'int':
+        case 'numeric':
+            return 'Int';
+        case 'decimal':
+            return 'Decimal';
+        case 'date':
+            return 'Date';
+        case 'datetime':
+            return 'DateTime';
+        default:
+            return 'String';
+    }
+};
+
+const toParquetValue = (value, type) => {
+    if (value === null || value === undefined || value === '') return undefined;
+    switch (type) {
+        case 'Int': {
+            const num = Number(value);
+            return Number.isFinite(num) ? Math.trunc(num) : undefined;
+        }
+        case 'Decimal': {
+            const num = Number(value);
+            return Number.isFinite(num) ? num : undefined;
+        }
+        case 'Date':
+        case 'DateTime':
+            return exportPipeline.parseDate(value) || undefined;
+        default:
+            return value instanceof Date ? value.toISOString() : String(value);
+    }
+};
+
+export const parquetWriter = {
+    /**
+     * Build the column list (name + DocuWare type) for a schedule.
+     *
+     * @param {Array<Object>} cabinetFields - Cabinet field definitions (getCabinetFields).
+     * @param {Object<string, string>} [observedTypes] - FieldName -> ItemElementName seen in the results,
+     *   used only when the cabinet definition could not be loaded.
+     * @returns {Array<{ name: string, type: string }>}
+     */
+    buildColumns: (cabinetFields, observedTypes = {}) => {
+        const fixedNames = new Set(exportPipeline.fixedHeaders);
+        const dynamic = new Map();
+
+        if (cabinetFields && cabinetFields.length > 0) {
+            cabinetFields.forEach(f => {
+                const name = f.DBFieldName || f.FieldName;
+                if (name && !fixedNames.has(name)) dynamic.set(name, normalizeType(f.DWFieldType || f.ItemElementName));
+            });
+        } else {
+            Object.entries(observedTypes).forEach(([name, type]) => {
+                if (!fixedNames.has(name)) dynamic.set(name, normalizeType(type));
+            });
+        }
+
+        const sortedDynamic = Array.from(dynamic.keys()).sort().map(name => ({ name, type: dynamic.get(name) }));
+        return [...exportPipeline.columns.map(({ name, type }) => ({ name, type })), ...sortedDynamic];
+    },
+
+    /**
+     * Write rows to a new Parquet file.
+     *
+     * @param {string} filePath
+     * @param {Array<{ name: string, type: string }>} columns - From buildColumns.
+     * @param {Array<Object>} rows - Row objects keyed by column name.
+     * @returns {Promise<number>} Number of rows written.
+     */
+    writeFile: async (filePath, columns, rows) => {
+        const schemaDef = {};
+        columns.forEach(col => {
+            schemaDef[col.name] = { type: PARQUET_TYPES[col.type], optional: true };
+        });
+
+        const writer = await parquet.ParquetWriter.openFile(new parquet.ParquetSchema(schemaDef), filePath);
+        try {
+            for (const row of rows) {
+                const record = {};
+                columns.forEach(col => {
+                    const val = toParquetValue(row[col.name], col.type);
+                    if (val !== undefined) record[col.name] = val;
+                });
+                await writer.appendRow(record);
+            }
+        } finally {
+            await writer.close();
+        }
+        return rows.length;
+    },
+
+    /**
+     * Read a file written by writeFile back into columns and rows, so an existing
+     * output can be patched and rewritten with the same schema.
+     *
+     * @param {string} filePath
+     * @returns {Promise<{ columns: Array<{ name: string, type: string }>, rows: Array<Object> }>}
+     */
+    readFile: async (filePath) => {
+        const reader = await parquet.ParquetReader.openFile(filePath);
+        try {
+            const columns = Object.entries(reader.schema.fields).map(([name, field]) => ({
+                name,
+                type: PARQUET_SOURCE_TYPES[field.originalType || field.primitiveType] || 'String'
+            }));
+
+            const rows = [];
+            const cursor = reader.getCursor();
+            let record;
+            while ((record = await cursor.next())) {
+                const row = {};
+                columns.forEach(col => {
+                    const val = record[col.name];
+                    row[col.name] = typeof val === 'bigint' ? Number(val) : val;
+                });
+                rows.push(row);
+            }
+            return { columns, rows };
+        } finally {
+            await reader.close();
+        }
+    }
+};
@@ -30,9 +30,18 @@ dotenv.config();
 
 import { scheduler } from './scheduler.js';
 import { tokenManager } from './tokenManager.js';
+import { cronSchedule } from './cronSchedule.js';
+import { notifier } from './notifier.js';
+import { odataFeed } from './odataFeed.js';
 
 // Initialize Services
-tokenManager.init();
+try {
+    tokenManager.checkConfiguration();
+} catch (error) {
+    console.error(`❌ ${error.message}`);
+    process.exit(1);
+}
+tokenManager.init().then(() => tokenManager.startRenewal());
 scheduler.init();
 
 
@@ -77,7 +86,7 @@ app.use((req, res, next) => {
  * Makes a direct request to DocuWare without browser headers.
  */
 app.get('/discovery', async (req, res) => {
-    const targetUrl = req.query.target;
+    const targetUrl = process.env.DOCUWARE_PLATFORM_URL || req.query.target;
     if (!targetUrl) {
         return res.status(400).json({ error: 'Missing target query parameter' });
     }
@@ -126,8 +135,9 @@ const proxyOptions = {
      * @throws {Error} If x-target-url is missing
      */
     router: (req) => {
-        // Extract target from custom header
-        const targetUrl = req.headers['x-target-url'];
+        // Extract target from custom header (DOCUWARE_PLATFORM_URL pins every request to one
+        // server, e.g. the local mock in mock-docuware/)
+        const targetUrl = process.env.DOCUWARE_PLATFORM_URL || req.headers['x-target-url'];
         const timestamp = new Date().toISOString();
 
         // Logging for audit and debugging
@@ -154,7 +164,7 @@ const proxyOptions = {
      * Cleans up the request before sending it to the final destination.
      */
     onProxyReq: (proxyReq, req, res) => {
-        const target = req.headers['x-target-url'];
+        const target = process.env.DOCUWARE_PLATFORM_URL || req.headers['x-target-url'];
         const timestamp = new Date().toISOString();
         console.log(`[${timestamp}] [Proxy] 📤 Forwarding ${req.method} ${req.originalUrl} -> ${target}`);
 
@@ -226,16 +236,18 @@ app.use('/docuware-proxy', createProxyMiddleware(proxyOptions));
 // ----------------------------------------------------------------------------
 
 /**
- * Save valid session from Frontend Login
+ * Save valid session from Frontend Login.
+ * Registers or updates the connection of the session's DocuWare URL; sessions of other
+ * organizations are kept. Responds with the connection (id, name, url), without tokens.
  */
 app.post('/api/auth/session', async (req, res) => {
     try {
         const tokens = req.body;
-        if (!tokens || !tokens.refreshToken) {
+        if (!tokens || !tokens.refreshToken || !tokenManager.getConnectionId(tokens.url)) {
             return res.status(400).json({ error: 'Invalid token data' });
         }
-        await tokenManager.setTokens(tokens);
-        res.json({ status: 'ok' });
+        const connection = await tokenManager.registerConnection(tokens);
+        res.json({ status: 'ok', connection });
     } catch (error) {
         console.error('Auth Session Error:', error);
         res.status(500).json({ error: 'Failed' });
@@ -243,19 +255,35 @@ app.post('/api/auth/session', async (req, res) => {
 });
 
 /**
- * Get valid Access Token (Refresh if needed)
+ * Health of the backend sessions: per connection, token expiry, last refresh (and its error)
+ * and whether the service account fallback is in use. Polled by the header.
+ */
+app.get('/api/auth/status', (req, res) => {
+    res.json(tokenManager.getStatus());
+});
+
+/**
+ * Known DocuWare connections (one per organization/base URL), without tokens
+ */
+app.get('/api/auth/connections', (req, res) => {
+    res.json(tokenManager.getConnections());
+});
+
+/**
+ * Get valid Access Token (Refresh if needed) of ?connectionId= (default: the only connection)
  */
 app.get('/api/auth/token', async (req, res) => {
     try {
+        const { connectionId } = req.query;
         // Try getting current, if 401/error, try refresh
         try {
-            const token = await tokenManager.getAccessToken();
+            const token = await tokenManager.getAccessToken(connectionId);
             // Verify if it's likely expired? 
             // For now, just return it. The frontend interceptor will handle 401 by calling /refresh if we had a separate endpoint.
             // But here "getAccessToken" just returns what we have.
             // Let's add a `?refresh=true` flag to force refresh
             if (req.query.refresh === 'true') {
-                const newToken = await tokenManager.refreshAccessToken();
+                const newToken = await tokenManager.refreshAccessToken(connectionId);
                 return res.json({ token: newToken });
             }
             res.json({ token });
@@ -280,16 +308,24 @@ app.get('/api/schedules/logs', async (req, res) => {
 });
 
 app.get('/api/schedules', async (req, res) => {
-    const schedules = await scheduler.getAll();
+    const schedules = await scheduler.getAllWithStatus();
     res.json(schedules);
 });
 
+// Zone used for schedules without a timezone of their own
+app.get('/api/schedules/timezone', (req, res) => {
+    res.json({ timezone: scheduler.getServerTimezone() });
+});
+
 app.post('/api/schedules', async (req, res) => {
     try {
         const schedule = req.body;
         if (!schedule.id || !schedule.cronExpression) {
             return res.status(400).json({ error: 'Invalid schedule data' });
         }
+        if (schedule.timezone && !cronSchedule.isValidTimezone(schedule.timezone)) {
+            return res.status(400).json({ error: `Invalid timezone: ${schedule.timezone}` });
+        }
         const saved = await scheduler.save(schedule);
         res.json(saved);
         console.log(`[API] Saved schedule: ${saved.name}`);
@@ -321,9 +357,80 @@ app.post('/api/schedules/:id/run', async (req, res) => {
     }
 });
 
+app.get('/api/schedules/:id/runs/:runId', async (req, res) => {
+    const report = await scheduler.getRunReport(req.params.id, req.params.runId);
+    if (!report) return res.status(404).json({ error: 'Run not found' });
+    res.json(report);
+});
+
+app.post('/api/schedules/:id/runs/:runId/retry', async (req, res) => {
+    try {
+        const result = await scheduler.retryFailed(req.params.id, req.params.runId);
+        res.json(result);
+    } catch (error) {
+        console.error('Error retrying failed documents:', error);
+        res.status(500).json({ error: error.message });
+    }
+});
+
+// Send a sample notification to one target of the schedule form
+app.post('/api/notifications/test', async (req, res) => {
+    const { target, schedule } = req.body || {};
+    if (!target || !target.type) return res.status(400).json({ error: 'Invalid notification target' });
+    try {
+        await notifier.sendTest(target, schedule);
+        res.json({ status: 'sent' });
+    } catch (error) {
+        console.error('Error sending test notification:', error.message);
+        res.status(502).json({ error: error.message });
+    }
+});
+
+// --- Export files (scheduled run outputs) ---
+
+app.get('/api/exports', async (req, res) => {
+    res.json(await scheduler.getExportsSummary());
+});
+
+app.get('/api/exports/:scheduleId', async (req, res) => {
+    res.json(await scheduler.getExports(req.params.scheduleId));
+});
+
+// Applies the retention rules now (they also run periodically and after each run); body: { scheduleId? }
+app.post('/api/exports/cleanup', async (req, res) => {
+    try {
+        res.json(await scheduler.cleanup(req.body?.scheduleId));
+    } catch (error) {
+        console.error('Error cleaning up exports:', error);
+        res.status(500).json({ error: 'Failed to clean up exports' });
+    }
+});
+
+// Stable URL for Power BI data sources: the newest successful export (latest.{format})
+app.get('/api/exports/:scheduleId/latest', async (req, res) => {
+    const latest = await scheduler.getLatestExport(req.params.scheduleId);
+    if (!latest) return res.status(404).json({ error: 'No successful export yet' });
+    const onError = (err) => {
+        if (err && !res.headersSent) res.status(500).json({ error: 'Failed to send file' });
+    };
+    if (req.query.inline === 'true') res.sendFile(latest.path, onError);
+    else res.download(latest.path, onError);
+});
+
+// Streams the file; ?inline=true serves it without the attachment header (e.g. for Power BI Web connectors)
+app.get('/api/exports/:scheduleId/:runId/file', async (req, res) => {
+    const file = await scheduler.getExportFile(req.params.scheduleId, req.params.runId);
+    if (!file) return res.status(404).json({ error: 'Export file not found' });
+    const onError = (err) => {
+        if (err && !res.headersSent) res.status(500).json({ error: 'Failed to send file' });
+    };
+    if (req.query.inline === 'true') res.sendFile(file, onError);
+    else res.download(file, onError);
+});
+
+// Export jobs: { queued, running, finished } (see jobQueue.js)
 app.get('/api/schedules/running', (req, res) => {
-    const running = scheduler.getRunningFiles();
-    res.json(running);
+    res.json(scheduler.getJobs());
 });
 
 app.post('/api/schedules/:id/stop', async (req, res) => {
@@ -337,6 +444,74 @@ app.post('/api/schedules/:id/stop', async (req, res) => {
     }
 });
 
+// ----------------------------------------------------------------------------
+// 3.3 OData Feed (Power BI)
+// ----------------------------------------------------------------------------
+
+/**
+ * OData v4 service per schedule over its latest successful export (see odataFeed.js):
+ * /odata/:scheduleId (service document), /$metadata, /Export and /Export/$count.
+ * Every request needs a token from ODATA_TOKENS (Bearer, or Basic with the token as password).
+ */
+const sendODataError = (res, status, message) => {
+    res.status(status).set('OData-Version', '4.0').json({ error: { code: String(status), message } });
+};
+
+const getODataServiceUrl = (req) => `${req.protocol}://${req.get('host')}/odata/${encodeURIComponent(req.params.scheduleId)}`;
+
+/**
+ * Latest dataset of the requested schedule, or null after answering 404.
+ */
+const loadODataDataset = async (req, res) => {
+    const dataset = await scheduler.getLatestDataset(req.params.scheduleId);
+    if (!dataset) sendODataError(res, 404, 'No successful export of this schedule yet');
+    return dataset;
+};
+
+app.use('/odata', (req, res, next) => {
+    if (!odataFeed.isEnabled()) return sendODataError(res, 403, 'OData feed disabled: set ODATA_TOKENS');
+    if (!odataFeed.authenticate(req.get('Authorization'))) {
+        res.set('WWW-Authenticate', 'Basic realm="PBI Export OData"');
+        return sendODataError(res, 401, 'Invalid or missing token');
+    }
+    res.set('OData-Version', '4.0');
+    next();
+});
+
+app.get('/odata/:scheduleId', async (req, res) => {
+    const schedules = await scheduler.getAll();
+    if (!schedules.some(s => s.id === req.params.scheduleId)) return sendODataError(res, 404, 'Schedule not found');
+    res.json(odataFeed.getServiceDocument(getODataServiceUrl(req)));
+});
+
+app.get('/odata/:scheduleId/Export/$count', async (req, res) => {
+    try {
+        const dataset = await loadODataDataset(req, res);
+        if (!dataset) return;
+        const { count } = odataFeed.query(dataset, { $filter: req.query.$filter }, getODataServiceUrl(req));
+        res.type('text/plain').send(String(count));
+    } catch (error) {
+        sendODataError(res, error.status || 500, error.message);
+    }
+});
+
+app.get('/odata/:scheduleId/:resource', async (req, res) => {
+    const { resource } = req.params;
+    if (resource !== '$metadata' && resource !== odataFeed.ENTITY_SET) return sendODataError(res, 404, `Resource not found: ${resource}`);
+    try {
+        const dataset = await loadODataDataset(req, res);
+        if (!dataset) return;
+        if (resource === '$metadata') {
+            return res.type('application/xml').send(odataFeed.getMetadata(dataset.columns));
+        }
+        const { body } = odataFeed.query(dataset, req.query, getODataServiceUrl(req));
+        res.set('Content-Type', 'application/json;odata.metadata=minimal').send(JSON.stringify(body));
+    } catch (error) {
+        if (!error.status) console.error('[OData] Error serving feed:', error);
+        sendODataError(res, error.status || 500, error.message);
+    }
+});
+
 // ----------------------------------------------------------------------------
 // 4. Server Start (Conditional)
 // ----------------------------------------------------------------------------
@@ -0,0 +1,100 @@
+/**
+ * @file retention.js
+ * @description Retention rules of scheduled exports: which past runs (output file, run report
+ * and history entries) a cleanup may delete. Each schedule can set `retention`:
+ *
+ *   { mode: 'count', value: N }    keep the last N runs with an output file
+ *   { mode: 'days', value: N }     keep the runs of the last N days
+ *   { mode: 'weekly', value: X }   after X days, keep one run per week
+ *   { mode: 'monthly', value: X }  after X days, keep one run per month
+ *
+ * Without a rule ('all') nothing is deleted. Whatever the rule, the most recent run with an
+ * output file is always kept.
+ */
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MODES = ['all', 'count', 'days', 'weekly', 'monthly'];
+
+/**
+ * Normalize a schedule's retention setting; invalid values fall back to keeping everything.
+ *
+ * @param {Object} [retention]
+ * @returns {{ mode: string, value: number }}
+ */
+function normalize(retention = {}) {
+    const mode = MODES.includes(retention?.mode) ? retention.mode : 'all';
+    const value = Math.floor(Number(retention?.value));
+    if (mode === 'all' || !Number.isFinite(value) || value < (mode === 'count' ? 1 : 0)) return { mode: 'all', value: 0 };
+    return { mode, value };
+}
+
+/**
+ * Calendar period of a date in a timezone: 'YYYY-MM' for months, the date of the
+ * week's Monday for weeks.
+ */
+function getPeriodKey(date, period, timezone) {
+    const [year, month, day] = new Intl.DateTimeFormat('en-CA', { timeZone: timezone || undefined, year: 'numeric', month: '2-digit', day: '2-digit' })
+        .format(date)
+        .split('-')
+        .map(Number);
+    if (period === 'monthly') return `${year}-${String(month).padStart(2, '0')}`;
+    const local = new Date(Date.UTC(year, month - 1, day));
+    local.setUTCDate(local.getUTCDate() - ((local.getUTCDay() + 6) % 7));
+    return local.toISOString().slice(0, 10);
+}
+
+// Run kept for a period: newest successful one with a file, else newest with a file, else newest
+function pickPeriodRun(runs) {
+    return runs.find(r => r.hasFile && r.status === 'SUCCESS') || runs.find(r => r.hasFile) || runs[0];
+}
+
+export const retention = {
+    normalize,
+
+    /**
+     * Apply a retention rule to a schedule's finished runs.
+     *
+     * @param {Array<{ runId: string, finishedAt: string, status: string, hasFile: boolean }>} runs
+     * @param {Object} rule - Schedule `retention` setting.
+     * @param {Object} [options]
+     * @param {Date} [options.now]
+     * @param {string} [options.timezone] - Schedule timezone, for week and month boundaries.
+     * @param {Set<string>} [options.keep] - Run IDs that must not be deleted (active jobs, incremental base file).
+     * @returns {{ expired: Array<Object>, cutoff: Date|null }} Runs to delete, and the date before which
+     * history entries not tied to a run (e.g. SKIPPED) can be deleted too (null: keep them all).
+     */
+    getExpiredRuns: (runs, rule, { now = new Date(), timezone, keep = new Set() } = {}) => {
+        const { mode, value } = normalize(rule);
+        if (mode === 'all') return { expired: [], cutoff: null };
+
+        const sorted = [...runs].sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+        const latestFile = sorted.find(r => r.hasFile);
+        const protectedIds = new Set([...keep, latestFile?.runId]);
+
+        let cutoff;
+        let expired;
+        if (mode === 'count') {
+            // Runs without a file (errors, SQL Server) between kept files stay with them
+            const fileRuns = sorted.filter(r => r.hasFile);
+            if (fileRuns.length <= value) return { expired: [], cutoff: null };
+            cutoff = new Date(fileRuns[value - 1].finishedAt);
+            expired = sorted.filter(r => new Date(r.finishedAt) < cutoff);
+        } else {
+            cutoff = new Date(now.getTime() - value * DAY_MS);
+            const old = sorted.filter(r => new Date(r.finishedAt) < cutoff);
+            if (mode === 'days') {
+                expired = old;
+            } else {
+                const periods = new Map();
+                old.forEach(run => {
+                    const key = getPeriodKey(new Date(run.finishedAt), mode, timezone);
+                    if (!periods.has(key)) periods.set(key, []);
+                    periods.get(key).push(run);
+                });
+                const kept = new Set([...periods.values()].map(pickPeriodRun));
+                expired = old.filter(r => !kept.has(r));
+            }
+        }
+        return { expired: expired.filter(r => !protectedIds.has(r.runId)), cutoff };
+    }
+};
@@ -5,11 +5,25 @@ import axios from 'axios';
 import { fileURLToPath } from 'url';
 import crypto from 'crypto';
 import { tokenManager } from './tokenManager.js';
+import { sqlServerStorage } from './sqlServerStorage.js';
+import { xlsxWriter } from './src/services/xlsxWriter.js';
+import { exportPipeline } from './src/services/exportPipeline.js';
+import { parquetWriter } from './parquetWriter.js';
+import { jobQueue } from './jobQueue.js';
+import { cronSchedule } from './cronSchedule.js';
+import { notifier } from './notifier.js';
+import { retention } from './retention.js';
+import { secretStore } from './secretStore.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const SCHEDULES_FILE = path.join(__dirname, 'schedules.json');
-const HISTORY_FILE = path.join(__dirname, 'history.json');
-const EXPORTS_DIR = path.join(__dirname, 'exports');
+const DATA_DIR = process.env.DATA_DIR || __dirname; // Overridable so tests run against a scratch directory
+const SCHEDULES_FILE = path.join(DATA_DIR, 'schedules.json');
+const HISTORY_FILE = path.join(DATA_DIR, 'history.json');
+const STATE_FILE = path.join(DATA_DIR, 'schedule-state.json'); // Per-schedule runtime state (watermarks, last output)
+const EXPORTS_DIR = path.join(DATA_DIR, 'exports');
+const RUNS_DIR = path.join(DATA_DIR, 'runs'); // Per-run reports: runs/{scheduleId}/{runId}.json
+// Encrypted in schedules.json when SECRETS_MASTER_KEY is set (see secretStore.js)
+const SCHEDULE_SECRET_FIELDS = ['auth.refreshToken', 'storageConfig.sql.password'];
 
 // Ensure exports directory exists
 try {
@@ -28,17 +42,26 @@ const initHistory = async () => {
 initHistory();
 
 const tasks = new Map();
+let historyWrites = Promise.resolve(); // Serializes history.json updates (several jobs may log at once)
+let cleanupTimer = null;
+const datasetCache = new Map(); // scheduleId -> { version, dataset } of the latest.{format} last read
+let stateWrites = Promise.resolve(); // Same for schedule-state.json
 const runningTasks = new Map(); // Tracks active executions: scheduleId -> { abort: boolean }
 
+// Every run (cron, manual, retry) goes through the job queue; see runJob below.
+jobQueue.setHandler((job) => runJob(job));
+
 export const scheduler = {
     init: async () => {
+        let schedules = [];
         try {
-            const data = await fs.readFile(SCHEDULES_FILE, 'utf-8');
-            const schedules = JSON.parse(data);
+            const stored = JSON.parse(await fs.readFile(SCHEDULES_FILE, 'utf-8'));
+            schedules = stored.map(openScheduleSecrets);
             console.log(`[Scheduler] Loaded ${schedules.length} schedules.`);
-            schedules.forEach(schedule => {
-                if (schedule.enabled) scheduler.startTask(schedule);
-            });
+            if (stored.some(s => secretStore.needsSealing(s, SCHEDULE_SECRET_FIELDS))) {
+                await writeSchedules(schedules); // Credentials saved before encryption was configured
+                console.log('[Scheduler] Encrypted credentials in schedules.json.');
+            }
         } catch (error) {
             if (error.code === 'ENOENT') {
                 await fs.writeFile(SCHEDULES_FILE, '[]');
@@ -46,15 +69,50 @@ export const scheduler = {
                 console.error('[Scheduler] Error loading schedules:', error);
             }
         }
+        await migrateLegacyExportFolders(schedules);
+        // Read before startTask moves nextRunAt forward
+        const missedRuns = await findMissedRuns(schedules);
+        schedules.forEach(schedule => {
+            if (schedule.enabled) scheduler.startTask(schedule);
+        });
+        await jobQueue.restore(); // Jobs queued before a restart
+        await recoverInterruptedRuns(schedules);
+        await catchUpMissedRuns(missedRuns);
+
+        await scheduler.cleanup();
+        if (!cleanupTimer) {
+            cleanupTimer = setInterval(() => scheduler.cleanup(), getCleanupIntervalMs());
+            cleanupTimer.unref(); // Does not keep the process (or a test run) alive
+        }
     },
 
     getAll: async () => {
+        let stored;
         try {
-            const data = await fs.readFile(SCHEDULES_FILE, 'utf-8');
-            return JSON.parse(data);
+            stored = JSON.parse(await fs.readFile(SCHEDULES_FILE, 'utf-8'));
         } catch {
             return [];
         }
+        // Outside the catch: with a wrong master key, save() must fail rather than overwrite every schedule
+        return stored.map(openScheduleSecrets);
+    },
+
+    /**
+     * IANA timezone the server runs in; schedules without a timezone use it.
+     */
+    getServerTimezone: () => cronSchedule.getServerTimezone(),
+
+    /**
+     * Schedules with their runtime timing from schedule-state.json: lastRunAt (last cron
+     * occurrence triggered) and nextRunAt (next one expected while the task is enabled).
+     */
+    getAllWithStatus: async () => {
+        const [schedules, states] = await Promise.all([scheduler.getAll(), readStateFile()]);
+        return schedules.map(schedule => ({
+            ...schedule,
+            lastRunAt: states[schedule.id]?.lastRunAt ?? null,
+            nextRunAt: schedule.enabled ? states[schedule.id]?.nextRunAt ?? null : null
+        }));
     },
 
     getHistory: async () => {
@@ -66,27 +124,229 @@ export const scheduler = {
         }
     },
 
-    log: async (scheduleId, scheduleName, status, message) => {
+    log: async (scheduleId, scheduleName, status, message, details = {}) => {
         const entry = {
             id: crypto.randomUUID(),
             scheduleId,
             scheduleName,
+            ...details, // runId, failedCount (startEntryId: RUNNING entry closed after a restart)
             status,
             message,
             timestamp: new Date().toISOString()
         };
+        // Size is bounded by the cleanup job (retention rules and MAX_HISTORY_ENTRIES), not here
+        await updateHistory(history => [...history, entry]).catch(err => {
+            console.error('[Scheduler] Failed to write log:', err);
+        });
+    },
+
+    /**
+     * Detailed report of a single run (see runSchedule), or null if it does not exist.
+     */
+    getRunReport: async (scheduleId, runId) => {
+        if (!isSafeId(scheduleId) || !isSafeId(runId)) return null;
         try {
-            const data = await fs.readFile(HISTORY_FILE, 'utf-8');
-            const history = JSON.parse(data);
-            history.push(entry);
-            if (history.length > 500) history.shift();
-            await fs.writeFile(HISTORY_FILE, JSON.stringify(history, null, 2));
+            const data = await fs.readFile(path.join(RUNS_DIR, scheduleId, `${runId}.json`), 'utf-8');
+            return JSON.parse(data);
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Files written by a schedule's runs, newest first. Built from the run reports, so each
+     * file comes with its row count and status; retries patch their original run's file and
+     * are not listed separately. Files removed from disk are skipped.
+     *
+     * @returns {Promise<Array<{ runId, fileName, format, size, rowCount, docCount, status, finishedAt }>>}
+     */
+    getExports: async (scheduleId) => {
+        const exports = [];
+        for (const report of await readRunReports(scheduleId)) {
+            const filePath = !report.retryOf && resolveExportFile(report.output?.file);
+            if (!filePath) continue;
+            try {
+                const stat = await fs.stat(filePath);
+                exports.push({
+                    runId: report.runId,
+                    fileName: path.basename(filePath),
+                    format: report.output.type,
+                    size: stat.size,
+                    rowCount: report.lineCount,
+                    docCount: report.docCount,
+                    status: report.status,
+                    finishedAt: report.finishedAt,
+                    modifiedAt: stat.mtime.toISOString()
+                });
+            } catch {
+                // File deleted or moved: nothing to download
+            }
+        }
+        return exports.sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+    },
+
+    /**
+     * Per-schedule totals for the file browser, with the stable latest.{format} alias.
+     * @returns {Promise<Array<{ scheduleId, scheduleName, fileCount, totalSize, latestAt, latest }>>}
+     */
+    getExportsSummary: async () => {
+        const schedules = await scheduler.getAll();
+        return Promise.all(schedules.map(async (schedule) => {
+            const exports = await scheduler.getExports(schedule.id);
+            const latest = await scheduler.getLatestExport(schedule.id);
+            return {
+                scheduleId: schedule.id,
+                scheduleName: schedule.name,
+                fileCount: exports.length,
+                totalSize: exports.reduce((sum, e) => sum + e.size, 0),
+                latestAt: exports[0]?.finishedAt ?? null,
+                latest: latest && { fileName: latest.fileName, path: latest.path, size: latest.size, modifiedAt: latest.modifiedAt }
+            };
+        }));
+    },
+
+    /**
+     * Absolute path of a run's output file, or null if the run has none or it
+     * is not inside the exports directory.
+     */
+    getExportFile: async (scheduleId, runId) => {
+        const report = await scheduler.getRunReport(scheduleId, runId);
+        const resolved = resolveExportFile(report?.output?.file);
+        if (!resolved) return null;
+        try {
+            await fs.access(resolved);
+            return resolved;
+        } catch {
+            return null;
+        }
+    },
+
+    /**
+     * Enforce the retention rules (see retention.js): delete expired runs of each schedule, i.e.
+     * their output file, run report and history entries, and cap history.json at
+     * MAX_HISTORY_ENTRIES per schedule. Runs periodically, after each run and on demand.
+     *
+     * @param {string} [scheduleId] - Only this schedule (the history cap then only applies to it).
+     * @returns {Promise<Array<{ scheduleId, scheduleName, deletedRuns, deletedFiles, deletedEntries }>>} What was deleted.
+     */
+    cleanup: async (scheduleId) => {
+        const schedules = (await scheduler.getAll()).filter(s => !scheduleId || s.id === scheduleId);
+        const results = [];
+        for (const schedule of schedules) {
+            try {
+                results.push(await applyRetention(schedule));
+            } catch (err) {
+                console.error(`[Scheduler] Cleanup failed for ${schedule.name}:`, err.message);
+            }
+        }
+
+        // Single pass over history.json for every schedule cleaned up
+        const expiredRunIds = new Set(results.flatMap(r => r.expiredRunIds));
+        const cutoffs = new Map(results.filter(r => r.cutoff).map(r => [r.scheduleId, r.cutoff]));
+        const removed = new Map(); // scheduleId -> entries deleted
+        try {
+            await updateHistory(history => {
+                const kept = history.filter(entry => {
+                    const cutoff = cutoffs.get(entry.scheduleId);
+                    const expired = entry.runId
+                        ? expiredRunIds.has(entry.runId)
+                        : !!cutoff && new Date(entry.timestamp) < cutoff && entry.status !== 'RUNNING';
+                    if (expired) removed.set(entry.scheduleId, (removed.get(entry.scheduleId) || 0) + 1);
+                    return !expired;
+                });
+                const capped = capHistory(kept, scheduleId, removed);
+                return removed.size > 0 ? capped : history;
+            });
         } catch (err) {
-            console.error('[Scheduler] Failed to write log:', err);
+            console.error('[Scheduler] Failed to clean up history:', err);
+        }
+
+        const schedulesById = new Map(schedules.map(s => [s.id, s]));
+        const summary = [...new Set([...results.map(r => r.scheduleId), ...removed.keys()])].map(id => {
+            const result = results.find(r => r.scheduleId === id);
+            return {
+                scheduleId: id,
+                scheduleName: schedulesById.get(id)?.name ?? null,
+                deletedRuns: result?.expiredRunIds.length ?? 0,
+                deletedFiles: result?.deletedFiles ?? [],
+                deletedEntries: removed.get(id) || 0
+            };
+        }).filter(r => r.deletedRuns || r.deletedEntries);
+
+        summary.forEach(r => {
+            console.log(`[Scheduler] 🗑️ Retention cleanup of ${r.scheduleName || r.scheduleId}: ${r.deletedRuns} runs, ${r.deletedFiles.length} files, ${r.deletedEntries} history entries deleted.`);
+            r.deletedFiles.forEach(file => console.log(`[Scheduler]    - ${file}`));
+        });
+        return summary;
+    },
+
+    /**
+     * The schedule's latest.{format} alias (copy of its newest successful export), or null.
+     * @returns {Promise<{ path: string, fileName: string, size: number, modifiedAt: string }|null>}
+     */
+    getLatestExport: async (scheduleId) => {
+        const dir = getScheduleExportDir(scheduleId);
+        try {
+            const fileName = (await fs.readdir(dir)).find(f => f.startsWith(`${LATEST_NAME}.`) && !f.endsWith('.tmp'));
+            if (!fileName) return null;
+            const stat = await fs.stat(path.join(dir, fileName));
+            return { path: path.join(dir, fileName), fileName, size: stat.size, modifiedAt: stat.mtime.toISOString() };
+        } catch {
+            return null;
         }
     },
 
-    save: async (schedule) => {
+    /**
+     * Rows of the schedule's latest.{format} with their column types, for the OData feed. Types
+     * come from the report of the published run; for files published before reports kept them,
+     * from the file itself (Parquet, XLSX dates) and the fixed export columns.
+     * CSV text is parsed back into numbers and dates.
+     *
+     * @returns {Promise<{ columns: Array<{ name, type }>, rows: Array<Object>, runId: string|null, modifiedAt: string }|null>}
+     */
+    getLatestDataset: async (scheduleId) => {
+        const latest = await scheduler.getLatestExport(scheduleId);
+        if (!latest) return null;
+        const { latestRunId = null } = await getScheduleState(scheduleId);
+        const version = `${latest.path}|${latest.modifiedAt}|${latest.size}|${latestRunId}`;
+        const cached = datasetCache.get(scheduleId);
+        if (cached?.version === version) return cached.dataset; // Paged feed requests read the file once
+        const report = latestRunId && await scheduler.getRunReport(scheduleId, latestRunId);
+        const fixedTypes = Object.fromEntries(exportPipeline.columns.map(c => [c.name, c.type]));
+        const knownTypes = Object.fromEntries((report?.output?.columns || []).map(c => [c.name, c.type]));
+        const format = path.extname(latest.fileName).slice(1);
+
+        let columns;
+        let rows;
+        if (format === 'parquet') {
+            ({ columns, rows } = await parquetWriter.readFile(latest.path));
+        } else if (format === 'xlsx') {
+            const workbook = await xlsxWriter.read(await fs.readFile(latest.path));
+            columns = workbook.headers.map(name => ({ name, type: knownTypes[name] || fixedTypes[name] || workbook.columnTypes[name] || 'String' }));
+            const dateColumns = columns.filter(c => c.type === 'Date').map(c => c.name);
+            // Date cells come back as local midnight; keep the day, as for CSV
+            rows = workbook.rows.map(row => {
+                dateColumns.forEach(name => {
+                    const value = row[name];
+                    if (value instanceof Date) row[name] = new Date(Date.UTC(value.getFullYear(), value.getMonth(), value.getDate()));
+                });
+                return row;
+            });
+        } else {
+            const csv = await readCsvFile(latest.path);
+            columns = csv.headers.map(name => ({ name, type: knownTypes[name] || fixedTypes[name] || 'String' }));
+            rows = csv.rows.map(row => Object.fromEntries(columns.map(({ name, type }) => [name, parseCsvValue(row[name], type)])));
+        }
+        const dataset = { columns, rows, runId: latestRunId, modifiedAt: latest.modifiedAt };
+        datasetCache.set(scheduleId, { version, dataset });
+        return dataset;
+    },
+
+    save: async (scheduleData) => {
+        // Timing fields come from getAllWithStatus and are runtime state, not configuration
+        const { lastRunAt: _lastRunAt, nextRunAt: _nextRunAt, ...schedule } = scheduleData;
+        // Bound to the DocuWare connection (tokenManager session) of the organization it exports from
+        if (!schedule.connectionId) schedule.connectionId = tokenManager.getConnectionId(schedule.auth?.url) || undefined;
         const schedules = await scheduler.getAll();
         const index = schedules.findIndex(s => s.id === schedule.id);
         if (index >= 0) {
@@ -95,7 +355,7 @@ export const scheduler = {
         } else {
             schedules.push(schedule);
         }
-        await fs.writeFile(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
+        await writeSchedules(schedules);
         if (schedule.enabled) scheduler.startTask(schedule);
         return schedule;
     },
@@ -105,7 +365,7 @@ export const scheduler = {
     delete: async (id) => {
         let schedules = await scheduler.getAll();
         schedules = schedules.filter(s => s.id !== id);
-        await fs.writeFile(SCHEDULES_FILE, JSON.stringify(schedules, null, 2));
+        await writeSchedules(schedules);
         scheduler.stopTask(id);
     },
 
@@ -114,21 +374,23 @@ export const scheduler = {
             console.error(`[Scheduler] Invalid cron expression for ${schedule.name}`);
             return;
         }
-        console.log(`[Scheduler] Starting task: ${schedule.name} (${schedule.cronExpression})`);
+        if (schedule.timezone && !cronSchedule.isValidTimezone(schedule.timezone)) {
+            console.error(`[Scheduler] Invalid timezone for ${schedule.name}: ${schedule.timezone}`);
+            return;
+        }
+        console.log(`[Scheduler] Starting task: ${schedule.name} (${schedule.cronExpression}, ${schedule.timezone || `server time ${cronSchedule.getServerTimezone()}`})`);
 
-        const task = cron.schedule(schedule.cronExpression, async () => {
+        // Timed by cronSchedule rather than node-cron so the schedule's timezone and DST
+        // transitions are handled the same way as the nextRunAt shown to users
+        const task = cronSchedule.schedule(schedule.cronExpression, (firedAt) => {
             console.log(`[Scheduler] ⏰ Triggering export for: ${schedule.name}`);
-            await scheduler.log(schedule.id, schedule.name, 'RUNNING', 'Iniciando exportação...');
-            try {
-                const result = await executeExport(schedule);
-                await scheduler.log(schedule.id, schedule.name, 'SUCCESS', `Sucesso. ${result.docCount} docs com ${result.lineCount} linhas.`);
-                console.log(`[Scheduler] ✅ Export completed: ${schedule.name}`);
-            } catch (error) {
-                await scheduler.log(schedule.id, schedule.name, 'ERROR', `Falha: ${error.message}`);
-                console.error(`[Scheduler] ❌ Export failed for ${schedule.name}:`, error.message);
-            }
-        });
+            enqueueJob(schedule, { type: 'export', trigger: 'cron' });
+            saveScheduleState(schedule.id, { lastRunAt: firedAt.toISOString(), nextRunAt: getNextRunAt(schedule, firedAt) })
+                .catch(err => console.error('[Scheduler] Failed to save run times:', err));
+        }, { timezone: schedule.timezone });
         tasks.set(schedule.id, task);
+        saveScheduleState(schedule.id, { nextRunAt: getNextRunAt(schedule) })
+            .catch(err => console.error('[Scheduler] Failed to save run times:', err));
     },
 
     stopTask: (id) => {
@@ -147,53 +409,261 @@ export const scheduler = {
         if (!schedule) throw new Error('Schedule not found');
 
         console.log(`[Scheduler] Force running: ${schedule.name}`);
-        // Run async without awaiting to not block response
-        (async () => {
-            console.log(`[Scheduler] ⏰ Manual trigger for: ${schedule.name}`);
-            await scheduler.log(schedule.id, schedule.name, 'RUNNING', 'Iniciando exportação manual...');
-            try {
-                const result = await executeExport(schedule);
-                await scheduler.log(schedule.id, schedule.name, 'SUCCESS', `Sucesso. ${result.docCount} docs com ${result.lineCount} linhas.`);
-                console.log(`[Scheduler] ✅ Manual Export completed: ${schedule.name}`);
-            } catch (error) {
-                if (error.message === 'ABORTED') {
-                    await scheduler.log(schedule.id, schedule.name, 'ERROR', `Cancelado pelo usuário.`);
-                    console.log(`[Scheduler] 🛑 Export aborted: ${schedule.name}`);
-                } else {
-                    await scheduler.log(schedule.id, schedule.name, 'ERROR', `Falha: ${error.message}`);
-                    console.error(`[Scheduler] ❌ Export failed for ${schedule.name}:`, error.message);
-                }
-            }
-        })();
-        return { status: 'started' };
+        // Queued, not awaited, so the response is not blocked by the export
+        return toJobResponse(enqueueJob(schedule, { type: 'export', trigger: 'manual' }));
+    },
+
+    /**
+     * Re-fetch only the documents that failed in a previous run and patch their rows
+     * into that run's output (file or SQL table). Queued like forceRun.
+     */
+    retryFailed: async (scheduleId, runId) => {
+        const schedules = await scheduler.getAll();
+        const schedule = schedules.find(s => s.id === scheduleId);
+        if (!schedule) throw new Error('Schedule not found');
+
+        const report = await scheduler.getRunReport(scheduleId, runId);
+        if (!report) throw new Error('Run not found');
+        if (!report.failedDocuments || report.failedDocuments.length === 0) throw new Error('Run has no failed documents');
+        if (!report.output) throw new Error('Run has no output to patch');
+
+        console.log(`[Scheduler] Retrying ${report.failedDocuments.length} failed docs of run ${runId} (${schedule.name})`);
+        return toJobResponse(enqueueJob(schedule, { type: 'retry', trigger: 'retry', retryOf: runId }));
     },
 
+    /**
+     * Abort the running export of a schedule and drop its queued jobs.
+     * @returns {boolean} Whether anything was aborted or cancelled.
+     */
     abortExport: (scheduleId) => {
+        const cancelled = jobQueue.cancelQueued(scheduleId);
+        if (cancelled.length > 0) console.log(`[Scheduler] Cancelled ${cancelled.length} queued jobs for ${scheduleId}`);
+        // An interrupted run waiting to resume already has a RUNNING entry: close it
+        cancelled.filter(job => job.type === 'resume').forEach(job => {
+            deleteCheckpoint(job.scheduleId, job.runId)
+                .then(() => scheduler.log(job.scheduleId, job.scheduleName, 'ERROR', 'Cancelado pelo usuário.', { runId: job.runId }));
+        });
         if (runningTasks.has(scheduleId)) {
             console.log(`[Scheduler] Aborting export for ${scheduleId}`);
             const state = runningTasks.get(scheduleId);
             state.abort = true;
             return true;
         }
-        return false;
+        return cancelled.length > 0;
     },
 
     getRunningFiles: () => {
         return Array.from(runningTasks.keys());
-    }
+    },
+
+    /**
+     * Queued, running and recently finished jobs (see jobQueue).
+     */
+    getJobs: () => jobQueue.list()
 };
 
+/**
+ * Queue a job for a schedule, applying its overlapPolicy when it already has a job
+ * queued or running: 'skip' drops the new trigger (logged as SKIPPED), 'queue' (default)
+ * runs it afterwards. An identical job that is still waiting is reused instead of queued twice.
+ *
+ * @returns {Object|null} The queued job, or null when skipped.
+ */
+function enqueueJob(schedule, job) {
+    const active = jobQueue.getActive(schedule.id);
+    if (active.length > 0) {
+        if (schedule.overlapPolicy === 'skip') {
+            console.log(`[Scheduler] ⏭️ ${schedule.name} is already running or queued. Skipping ${job.trigger} trigger.`);
+            scheduler.log(schedule.id, schedule.name, 'SKIPPED', 'Execução ignorada: já existe uma exportação em andamento.');
+            return null;
+        }
+        const waiting = active.find(j => j.state === 'queued' && j.type === job.type && j.retryOf === job.retryOf && j.scheduledFor === job.scheduledFor);
+        if (waiting) return waiting;
+    }
+    return jobQueue.enqueue({ scheduleId: schedule.id, scheduleName: schedule.name, runId: crypto.randomUUID(), ...job });
+}
+
+function toJobResponse(job) {
+    if (!job) return { status: 'skipped' };
+    return { status: job.state === 'running' ? 'started' : 'queued', runId: job.runId, jobId: job.id };
+}
+
+/**
+ * Queue handler: reload the schedule (it may have changed since the job was queued)
+ * and run it.
+ */
+async function runJob(job) {
+    const schedules = await scheduler.getAll();
+    const schedule = schedules.find(s => s.id === job.scheduleId);
+    if (!schedule) throw new Error('Schedule not found');
+
+    let retryOf = null;
+    let checkpoint = null;
+    if (job.type === 'retry') {
+        retryOf = await scheduler.getRunReport(job.scheduleId, job.retryOf);
+        if (!retryOf || !retryOf.failedDocuments || retryOf.failedDocuments.length === 0) {
+            throw new Error('Run has no failed documents');
+        }
+    } else if (job.type === 'resume') {
+        checkpoint = await readCheckpoint(job.scheduleId, job.runId);
+        if (!checkpoint) throw new Error('Checkpoint not found');
+    }
+    if (job.type === 'export' && job.trigger === 'manual') console.log(`[Scheduler] ⏰ Manual trigger for: ${schedule.name}`);
+
+    const report = await runSchedule(schedule, job.trigger, job.runId, { retryOf, checkpoint, scheduledFor: job.scheduledFor });
+    return { status: report.status, message: report.message };
+}
+
 // --- CORE EXPORT LOGIC ---
 
-async function executeExport(schedule) {
+const START_MESSAGES = {
+    cron: 'Iniciando exportação...',
+    manual: 'Iniciando exportação manual...',
+    retry: 'Reprocessando documentos com falha...'
+};
+
+/**
+ * Run an export and record its outcome: RUNNING/final entries in history.json and a
+ * detailed report in runs/ (documents processed, failed DocIDs with HTTP status, retries, duration).
+ *
+ * The final status follows the schedule's errorPolicy: documents whose history could not be
+ * fetched are tolerated up to `threshold` percent; above it the run is marked PARTIAL or ERROR
+ * (`action: 'partial' | 'failed'`). Without a policy any failed document makes the run PARTIAL.
+ *
+ * With `retryOf` (a previous run report) only that run's failed documents are fetched again and
+ * patched into its output; the status then reflects the failures left in that output.
+ *
+ * Exports write a checkpoint as they go (see appendCheckpoint). It is removed once the run ends,
+ * so a checkpoint left on disk means the process stopped mid-run; with `checkpoint` the run
+ * continues from it under the same runId instead of starting over.
+ *
+ * @param {Object} schedule
+ * @param {'cron'|'manual'|'retry'|'catchup'} trigger
+ * @param {string} [runId]
+ * @param {Object} [options]
+ * @param {Object} [options.retryOf] - Report of the run being retried.
+ * @param {Object} [options.checkpoint] - Checkpoint of an interrupted run (readCheckpoint).
+ * @param {string} [options.scheduledFor] - Cron occurrence a catch-up run replaces.
+ * @returns {Promise<Object>} The run report.
+ */
+async function runSchedule(schedule, trigger, runId = crypto.randomUUID(), { retryOf = null, checkpoint = null, scheduledFor } = {}) {
+    // A resumed run keeps its original start time; resumedAt records when it picked up again
+    const startedAt = checkpoint?.start.startedAt ? new Date(checkpoint.start.startedAt) : new Date();
+    const resumedAt = checkpoint ? new Date().toISOString() : undefined;
+    const runState = { runId, trigger, startedAt: startedAt.toISOString(), checkpoint, abort: false, retries: 0, failedDocuments: [] };
+    let startMessage = START_MESSAGES[trigger];
+    if (checkpoint) {
+        startMessage = `Retomando exportação interrompida (${checkpoint.processedDocIds.size} de ${checkpoint.start.documents.length} docs já processados)...`;
+    } else if (trigger === 'catchup') {
+        startMessage = `Recuperando execução agendada perdida (${formatDateTime(scheduledFor, schedule.timezone)})...`;
+    }
+    await scheduler.log(schedule.id, schedule.name, 'RUNNING', startMessage, { runId });
+
+    let result = null;
+    let status;
+    let message;
+    let error = null;
+    let aborted = false;
+    try {
+        result = retryOf
+            ? await retryFailedDocuments(schedule, retryOf, runState)
+            : await executeExport(schedule, runState);
+        const summary = { ...result, failedCount: runState.failedDocuments.length, retries: runState.retries, retry: !!retryOf };
+        // A retry is judged by the failures left in the patched output, not by the retried subset
+        status = getRunStatus(retryOf ? { docCount: retryOf.docCount, failedCount: summary.failedCount } : summary, schedule.errorPolicy);
+        message = formatResultMessage(summary, status, schedule.errorPolicy);
+    } catch (err) {
+        status = 'ERROR';
+        if (err.message === 'ABORTED') {
+            aborted = true;
+            message = 'Cancelado pelo usuário.';
+        } else {
+            message = `Falha: ${err.message}`;
+            error = { httpStatus: err.response?.status ?? null, message: err.message };
+        }
+    }
+    if (!retryOf) await deleteCheckpoint(schedule.id, runId);
+
+    const finishedAt = new Date();
+    const report = {
+        runId,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        trigger,
+        retryOf: retryOf ? retryOf.runId : undefined,
+        resumedAt,
+        scheduledFor,
+        status,
+        message,
+        startedAt: startedAt.toISOString(),
+        finishedAt: finishedAt.toISOString(),
+        durationMs: finishedAt - startedAt,
+        totalCount: result?.totalCount ?? null,
+        docCount: result?.docCount ?? 0,
+        lineCount: result?.lineCount ?? 0,
+        failedCount: runState.failedDocuments.length,
+        retries: runState.retries,
+        errorPolicy: getErrorPolicy(schedule.errorPolicy),
+        output: result?.output ?? null,
+        error,
+        failedDocuments: runState.failedDocuments
+    };
+
+    try {
+        await saveRunReport(report);
+    } catch (err) {
+        console.error('[Scheduler] Failed to write run report:', err);
+    }
+    if (retryOf && result) {
+        // The retried run's output no longer contains the recovered documents as errors
+        try {
+            await saveRunReport({
+                ...retryOf,
+                failedDocuments: runState.failedDocuments,
+                failedCount: runState.failedDocuments.length,
+                retriedBy: [...(retryOf.retriedBy || []), runId]
+            });
+        } catch (err) {
+            console.error('[Scheduler] Failed to update retried run report:', err);
+        }
+    }
+    // failedCount only when an output exists, i.e. when its failed documents can be retried
+    await scheduler.log(schedule.id, schedule.name, status, message, { runId, failedCount: result?.output ? report.failedCount : 0 });
+
+    if (status === 'SUCCESS') console.log(`[Scheduler] ✅ Export completed: ${schedule.name}`);
+    else if (status === 'PARTIAL') console.warn(`[Scheduler] ⚠️ Export completed with ${report.failedCount} failed docs: ${schedule.name}`);
+    else if (aborted) console.log(`[Scheduler] 🛑 Export aborted: ${schedule.name}`);
+    else console.error(`[Scheduler] ❌ Export failed for ${schedule.name}:`, message);
+
+    await notifyRun(schedule, report);
+    await publishLatest(schedule, report);
+    if (!retryOf) await scheduler.cleanup(schedule.id);
+    return report;
+}
+
+/**
+ * Send the schedule's notifications for a finished run and keep the delivery results in its report.
+ */
+async function notifyRun(schedule, report) {
+    const notifications = await notifier.notify(schedule, report);
+    if (notifications.length === 0) return;
+    try {
+        await saveRunReport({ ...report, notifications });
+    } catch (err) {
+        console.error('[Scheduler] Failed to write run report:', err);
+    }
+}
+
+async function executeExport(schedule, runState) {
     // Register execution start
-    const runState = { abort: false };
     runningTasks.set(schedule.id, runState);
 
     try {
         const { auth, cabinetId, filters, name } = schedule;
 
-        if (!auth || !auth.refreshToken) throw new Error("Missing auth credentials (refresh token)");
+        if (!auth) throw new Error("Missing DocuWare connection settings (auth)");
+        const baseUrl = getPlatformUrl(auth);
+        runState.connectionId = await tokenManager.ensureConnection(schedule); // Session used for every DocuWare call of the run
 
 
         // 1. Get Access Token from Central Manager
@@ -201,208 +671,237 @@ async function executeExport(schedule) {
         // actually we can just pass null, as searchDocuWare fetches fresh token now.
         const token = null; // await tokenManager.getAccessToken();
 
-        // 2. Search Documents
-        const documents = await searchDocuWare(token, auth.url, cabinetId, filters);
+        // Incremental mode: only documents modified since the last successful run (watermark)
+        // plus documents whose workflow was still open at that time.
+        // A resumed run keeps the watermark window and document list of the interrupted one.
+        const checkpoint = runState.checkpoint;
+        const runStartedAt = checkpoint ? checkpoint.start.runStartedAt : new Date().toISOString();
+        const incremental = schedule.exportMode === 'incremental';
+        const state = incremental ? await getScheduleState(schedule.id) : {};
+        const outputFormat = ['xlsx', 'parquet', 'sqlserver'].includes(schedule.storageConfig?.type) ? schedule.storageConfig.type : 'csv';
+        // File outputs are rebuilt from the previous one: without it (or in another format) run in full
+        const hasMergeBase = outputFormat === 'sqlserver' || await isMergeBase(state.lastOutputFile, outputFormat);
+        if (!checkpoint && incremental && state.watermark && !hasMergeBase) {
+            console.log(`[Scheduler] Incremental: no previous ${outputFormat} output to merge into. Running a full export.`);
+        }
+        const since = checkpoint ? checkpoint.start.since : (incremental && hasMergeBase ? state.watermark : null);
+
+        let documents;
+        let totalCount;
+        let pendingOpenDocIds;
+        if (checkpoint) {
+            ({ documents, totalCount, pendingOpenDocIds } = checkpoint.start);
+            console.log(`[Scheduler] Resuming ${name}: ${checkpoint.processedDocIds.size}/${documents.length} docs already processed.`);
+        } else {
+            // 2. Search Documents
+            const searchFilters = since
+                ? [...filters, { fieldName: 'DWMODDATETIME', value: [since, runStartedAt] }]
+                : filters;
+            const { items, total: searchTotal } = await searchDocuWare(token, baseUrl, cabinetId, searchFilters, runState);
+            documents = items;
+            if (searchTotal > documents.length) {
+                console.warn(`[Scheduler] DocuWare reported ${searchTotal} hits but only ${documents.length} were returned.`);
+            }
 
-        if (!documents || documents.length === 0) {
-            console.log(`[Scheduler] No documents found for ${name}.`);
-            return 0;
+            const searchedCount = documents.length;
+            pendingOpenDocIds = [];
+            if (since && state.openDocIds && state.openDocIds.length > 0) {
+                const found = new Set(documents.map(d => String(d.Id)));
+                const toFetch = state.openDocIds.filter(id => !found.has(String(id)));
+                console.log(`[Scheduler] Incremental: ${documents.length} modified since ${since}, re-checking ${toFetch.length} open workflows.`);
+                for (const docId of toFetch) {
+                    if (runState.abort) throw new Error('ABORTED');
+                    try {
+                        documents.push(await getDocument(baseUrl, cabinetId, docId, runState));
+                    } catch (err) {
+                        console.warn(`[Scheduler] Could not reload open document ${docId}: ${err.message}`);
+                        pendingOpenDocIds.push(docId); // Try again next run
+                    }
+                }
+            }
+
+            // Total = search hits + open workflow documents re-checked in incremental mode
+            totalCount = searchTotal + (documents.length - searchedCount);
+
+            if (!documents || documents.length === 0) {
+                console.log(`[Scheduler] No documents found for ${name}.`);
+                if (incremental) {
+                    await saveScheduleState(schedule.id, { watermark: runStartedAt, openDocIds: pendingOpenDocIds });
+                }
+                return { lineCount: 0, docCount: 0, totalCount: searchTotal, output: null };
+            }
+
+            await appendCheckpoint(schedule.id, runState.runId, {
+                type: 'start',
+                trigger: runState.trigger,
+                startedAt: runState.startedAt,
+                runStartedAt,
+                since,
+                totalCount,
+                pendingOpenDocIds,
+                retries: runState.retries,
+                documents
+            });
         }
 
         console.log(`[Scheduler] Found ${documents.length} docs. Fetching history for each...`);
 
-        // 3. Fetch History for EACH document and Flatten
-        // Replicating logic from ExportDataPage.jsx and workflowAnalyticsService.js
-        const allRows = [];
-        const dynamicFields = new Set();
+        // 3. Fetch History for EACH document and Flatten (shared export pipeline)
+        const allRows = checkpoint ? [...checkpoint.rows] : [];
+        const columnTypes = exportPipeline.getColumnTypes(documents);
+        const openDocIds = new Set(pendingOpenDocIds); // Docs whose workflow has not reached an end step yet
+        let pendingDocuments = documents;
+        if (checkpoint) {
+            checkpoint.openDocIds.forEach(id => openDocIds.add(id));
+            runState.failedDocuments.push(...checkpoint.failedDocuments);
+            runState.retries += checkpoint.retries;
+            pendingDocuments = documents.filter(d => !checkpoint.processedDocIds.has(String(d.Id)));
+        }
 
         // Process in batches to avoid overwhelming the server
-        const BATCH_SIZE = 5;
-
-        for (let i = 0; i < documents.length; i += BATCH_SIZE) {
+        for (let i = 0; i < pendingDocuments.length; i += BATCH_SIZE) {
             if (runState.abort) throw new Error('ABORTED');
-            const batch = documents.slice(i, i + BATCH_SIZE);
+            const batch = pendingDocuments.slice(i, i + BATCH_SIZE);
+            const failedBefore = runState.failedDocuments.length;
+            const retriesBefore = runState.retries;
             const batchPromises = batch.map(async (doc) => {
                 const docId = doc.Id;
-                // Capture Doc Fields
-                const docFields = {};
-                if (doc.Fields) {
-                    doc.Fields.forEach(f => {
-                        const val = f.Item || f.Int || f.Decimal || f.Date || f.DateTime || '';
-                        docFields[f.FieldName] = val;
-                        dynamicFields.add(f.FieldName);
-                    });
-                }
+                const fields = exportPipeline.getFieldValues(doc);
+                const link = getDocumentViewUrl(baseUrl, auth.organizationId, cabinetId, docId);
 
                 try {
                     // Fetch History
-                    const history = await getDocumentHistory(token, auth.url, cabinetId, docId);
-                    const instances = processHistoryIntoInstances(history);
-
-                    if (instances.length === 0) {
-                        return [{
-                            'Instance GUID': '',
-                            'DOCID': docId,
-                            'Instância': 'Sem Histórico',
-                            'Versão': '',
-                            'Iniciado Em': '',
-                            'Atividade': '',
-                            'Tipo Atividade': '',
-                            'Decisão': '',
-                            'Usuário': '',
-                            'Data Decisão': '',
-                            'Link Documento': getDocumentViewUrl(auth.url, auth.organizationId, cabinetId, docId),
-                            ...docFields
-                        }];
-                    }
-
-                    const docRows = [];
-                    instances.sort((a, b) => (b.Version || 0) - (a.Version || 0));
-
-                    instances.forEach(instance => {
-                        const steps = instance.HistorySteps || [];
-                        if (steps.length === 0) {
-                            docRows.push({
-                                'Instance GUID': instance.Id,
-                                'DOCID': docId,
-                                'Instância': instance.Name,
-                                'Versão': instance.Version,
-                                'Iniciado Em': formatDate(instance.StartDate),
-                                'Atividade': '(Sem passos)',
-                                'Link Documento': getDocumentViewUrl(auth.url, auth.organizationId, cabinetId, docId),
-                                ...docFields
-                            });
-                        } else {
-                            steps.forEach(step => {
-                                // Extract User
-                                const infoItem = step.Info?.Item || {};
-                                let validUser = infoItem.UserName || step.User || step.UserName || '';
-                                if (!validUser && infoItem.AssignedUsers && Array.isArray(infoItem.AssignedUsers)) {
-                                    validUser = infoItem.AssignedUsers.join(', ');
-                                }
-
-                                const validDate = infoItem.DecisionDate || step.StepDate || step.TimeStamp || '';
-                                const validDecision = infoItem.DecisionName || step.DecisionLabel || '';
-
-                                docRows.push({
-                                    'Instance GUID': instance.Id,
-                                    'DOCID': docId,
-                                    'Instância': instance.Name,
-                                    'Versão': instance.Version,
-                                    'Iniciado Em': formatDate(instance.StartDate),
-                                    'Atividade': step.ActivityName || step.Name,
-                                    'Tipo Atividade': step.ActivityType,
-                                    'Decisão': validDecision,
-                                    'Usuário': validUser,
-                                    'Data Decisão': formatDate(validDate),
-                                    'Link Documento': getDocumentViewUrl(auth.url, auth.organizationId, cabinetId, docId),
-                                    ...docFields
-                                });
-                            });
-                        }
-                    });
-                    return docRows;
-
+                    const instances = await getDocumentHistory(token, baseUrl, cabinetId, docId, runState);
+                    if (instances.some(inst => !isInstanceFinished(inst))) openDocIds.add(docId);
+                    return exportPipeline.buildDocumentRows({ docId, instances, fields, link });
                 } catch (err) {
+                    if (err.message === 'ABORTED') throw err;
+                    // Give up on this document only; the run continues with the others
                     console.error(`[Scheduler] Error fetching history for ${docId}:`, err.message);
-                    return [{
-                        'DOCID': docId,
-                        'Instância': 'ERRO AO BUSCAR HISTÓRICO',
-                        ...docFields
-                    }];
+                    runState.failedDocuments.push(toFailedDocument(docId, err));
+                    openDocIds.add(docId); // Retry on the next incremental run
+                    return [exportPipeline.buildErrorRow({ docId, fields, link })];
                 }
             });
 
             const batchResults = await Promise.all(batchPromises);
-            batchResults.forEach(res => {
-                if (res) allRows.push(...res);
+            const batchRows = batchResults.flat();
+            allRows.push(...batchRows);
+
+            // Everything needed to rebuild this batch without fetching it again after a restart
+            await appendCheckpoint(schedule.id, runState.runId, {
+                type: 'batch',
+                docIds: batch.map(d => String(d.Id)),
+                rows: batchRows,
+                failedDocuments: runState.failedDocuments.slice(failedBefore),
+                openDocIds: batch.map(d => d.Id).filter(id => openDocIds.has(id)),
+                retries: runState.retries - retriesBefore
             });
         }
+        if (runState.abort) throw new Error('ABORTED'); // Aborted during the last batch: don't write a partial output
 
-        // 4. Generate CSV
-        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-
-        // --- Naming Logic ---
-        // 1. Index
-        const schedules = await scheduler.getAll(); // Reload to get fresh list
-        const scheduleIndex = schedules.findIndex(s => s.id === schedule.id) + 1; // 1-based index
-
-        // Helper to sanitize strings (handle accents)
-        const sanitize = (str) => {
-            return str
-                .normalize('NFD')
-                .replace(/[\u0300-\u036f]/g, '')
-                .replace(/[^a-zA-Z0-9]/g, '_')
-                .replace(/_+/g, '_') // collapse multiple underscores
-                .toLowerCase();
-        };
-
-        // 2. Schedule Name
-        const safeScheduleName = sanitize(name);
+        let allHeaders = exportPipeline.getHeaders(allRows);
 
-        // 3. Cabinet Name (Saved in schedule by frontend, or fallback to ID)
-        const cabinetName = schedule.cabinetName || schedule.cabinetId || 'unknown_cabinet';
-        const safeCabinetName = sanitize(cabinetName);
-
-        // 4. Document Type
-        let docType = 'all_docs';
-        if (filters && filters.length > 0) {
-            // Try to find a type-like filter
-            const typeFilter = filters.find(f =>
-                f.fieldName && (f.fieldName.toLowerCase().includes('type') ||
-                    f.fieldName.toLowerCase().includes('tipo') ||
-                    f.fieldName.toLowerCase().includes('cat'))
-            );
-            if (typeFilter) docType = typeFilter.value;
-            else docType = filters[0].value; // Fallback to first filter value
+        // 4a. SQL Server target: upsert into the configured table instead of writing a CSV
+        if (schedule.storageConfig?.type === 'sqlserver') {
+            const sqlRows = allRows.map(row => exportPipeline.formatRow(row, allHeaders, columnTypes));
+            // Rows left from a previous export of these documents (error rows, "Sem Histórico"
+            // placeholders, steps that no longer exist) are deleted in the same transaction
+            const result = await sqlServerStorage.writeRows(schedule.storageConfig.sql, allHeaders, sqlRows, {
+                replaceDocIds: documents.map(d => String(d.Id))
+            });
+            console.log(`[Scheduler] SQL Server table ${result.table} updated (${result.rowCount} rows)`);
+            if (incremental) {
+                await saveScheduleState(schedule.id, { watermark: runStartedAt, openDocIds: Array.from(openDocIds) });
+            }
+            return { lineCount: result.rowCount, docCount: documents.length, totalCount, output: { type: 'sqlserver', table: result.table } };
         }
-        const safeDocType = sanitize(docType);
 
-        // Construct Folder Name: {Index}_{ScheduleName}_{CabinetName}_{DocumentType}
-        const folderName = `${scheduleIndex}_${safeScheduleName}_${safeCabinetName}_${safeDocType}`;
-        const scheduleDir = path.join(EXPORTS_DIR, folderName);
+        // 4b. Generate file (CSV or XLSX)
+        const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
 
+        // Folder keyed by schedule id so it survives other schedules being deleted or this one renamed:
+        // exports/{scheduleId}/{ScheduleName}_{CabinetName}_{DocumentType}_{timestamp}.{csv|xlsx|parquet}
+        const scheduleDir = getScheduleExportDir(schedule.id);
         try {
             await fs.mkdir(scheduleDir, { recursive: true });
         } catch (e) {
             console.error('Failed to create schedule dir:', e);
         }
-
-        // Construct Filename: {folderName}_{timestamp}.csv
-        const filename = `${folderName}_${timestamp}.csv`;
+        const filename = `${getExportBaseName(schedule)}_${timestamp}.${outputFormat}`;
         const filePath = path.join(scheduleDir, filename);
 
-        // Sort Dynamic Headers
-        const sortedDynamic = Array.from(dynamicFields).sort();
-        const fixedHeaders = [
-            'Instance GUID', 'DOCID', 'Instância', 'Versão', 'Iniciado Em',
-            'Atividade', 'Tipo Atividade', 'Decisão', 'Usuário', 'Data Decisão', 'Link Documento'
-        ];
-        const allHeaders = [...fixedHeaders, ...sortedDynamic];
-
-        const escapeCsv = (val) => {
-            if (val === null || val === undefined) return '';
-            const str = String(val);
-            if (str.includes(';') || str.includes('"') || str.includes('\n')) {
-                return `"${str.replace(/"/g, '""')}"`;
+        // Incremental merge: previous output minus the re-processed documents, plus the fresh rows.
+        // Never written as a delta only: the output is published as latest.* and served as the full dataset.
+        let previousColumnTypes = {};
+        if (since) {
+            let previous;
+            try {
+                previous = await readOutputFile(state.lastOutputFile);
+            } catch (err) {
+                throw new Error(`Previous output ${path.basename(state.lastOutputFile)} not readable for the incremental merge: ${err.message}`);
+            }
+            const processedIds = new Set(documents.map(d => String(d.Id)));
+            const keptRows = previous.rows.filter(row => !processedIds.has(String(row['DOCID'])));
+            allRows.unshift(...keptRows);
+            allHeaders = exportPipeline.getHeaders(allRows, previous.headers);
+            previousColumnTypes = previous.columnTypes;
+            console.log(`[Scheduler] Incremental merge: kept ${keptRows.length} rows from ${path.basename(state.lastOutputFile)}`);
+        }
+
+        if (outputFormat === 'parquet') {
+            // Schema comes from the cabinet definition so it is identical across runs
+            let cabinetFields = [];
+            try {
+                cabinetFields = await getCabinetFields(baseUrl, cabinetId, runState);
+            } catch (err) {
+                console.warn(`[Scheduler] Could not load cabinet fields (${err.message}). Using fields found in results.`);
             }
-            return str;
-        };
+            const columns = parquetWriter.buildColumns(cabinetFields, columnTypes);
+            await parquetWriter.writeFile(filePath, columns, allRows);
+            console.log(`[Scheduler] Parquet saved: ${filePath} (${allRows.length} rows, ${columns.length} columns)`);
+            if (incremental) {
+                await saveScheduleState(schedule.id, {
+                    watermark: runStartedAt,
+                    openDocIds: Array.from(openDocIds),
+                    lastOutputFile: filePath
+                });
+            }
+            return { lineCount: allRows.length, docCount: documents.length, totalCount, output: { type: outputFormat, file: filePath, columns } };
+        }
 
-        const headerRow = allHeaders.map(escapeCsv).join(';');
-        const csvRows = allRows.map(row => {
-            return allHeaders.map(header => {
-                let val = row[header];
-                if (val && typeof val === 'string' && val.includes('/Date(')) val = formatDate(val);
-                return escapeCsv(val);
-            }).join(';');
-        });
+        if (outputFormat === 'xlsx') {
+            const buffer = await xlsxWriter.build({
+                headers: allHeaders,
+                rows: allRows,
+                columnTypes: { ...previousColumnTypes, ...columnTypes },
+                hyperlinkColumns: ['Link Documento'],
+                sheetName: name,
+                type: 'nodebuffer'
+            });
+            await fs.writeFile(filePath, buffer);
+            console.log(`[Scheduler] XLSX saved: ${filePath} (${allRows.length} rows)`);
+            if (incremental) {
+                await saveScheduleState(schedule.id, {
+                    watermark: runStartedAt,
+                    openDocIds: Array.from(openDocIds),
+                    lastOutputFile: filePath
+                });
+            }
+            return { lineCount: allRows.length, docCount: documents.length, totalCount, output: { type: outputFormat, file: filePath, columns: toColumns(allHeaders, columnTypes) } };
+        }
 
-        const csvContent = '\ufeff' + [headerRow, ...csvRows].join('\n'); // Add BOM
-        await fs.writeFile(filePath, csvContent, 'utf-8');
+        await fs.writeFile(filePath, exportPipeline.toCsv(allHeaders, allRows, columnTypes), 'utf-8');
 
-        console.log(`[Scheduler] CSV saved: ${filePath} (${csvRows.length} rows)`);
-        return { lineCount: csvRows.length, docCount: documents.length };
+        console.log(`[Scheduler] CSV saved: ${filePath} (${allRows.length} rows)`);
+        if (incremental) {
+            await saveScheduleState(schedule.id, {
+                watermark: runStartedAt,
+                openDocIds: Array.from(openDocIds),
+                lastOutputFile: filePath
+            });
+        }
+        return { lineCount: allRows.length, docCount: documents.length, totalCount, output: { type: 'csv', file: filePath, columns: toColumns(allHeaders, columnTypes) } };
     } finally {
         console.log(`[Scheduler] 🧹 Cleanup: Removing task ${schedule.id} from running state.`);
         runningTasks.delete(schedule.id); // Cleanup
@@ -410,48 +909,958 @@ async function executeExport(schedule) {
     }
 }
 
+/**
+ * Fetch the failed documents of a previous run again and patch the recovered ones into
+ * that run's output. Documents that fail again keep their error row.
+ */
+async function retryFailedDocuments(schedule, report, runState) {
+    runningTasks.set(schedule.id, runState);
+
+    try {
+        const { auth, cabinetId } = schedule;
+        if (!auth) throw new Error("Missing DocuWare connection settings (auth)");
+        const baseUrl = getPlatformUrl(auth);
+        runState.connectionId = await tokenManager.ensureConnection(schedule);
+        const docIds = report.failedDocuments.map(f => f.docId);
+
+        const documents = [];
+        const docRows = new Map(); // DOCID (string) -> fresh rows
+        for (let i = 0; i < docIds.length; i += BATCH_SIZE) {
+            if (runState.abort) throw new Error('ABORTED');
+            await Promise.all(docIds.slice(i, i + BATCH_SIZE).map(async (docId) => {
+                try {
+                    const doc = await getDocument(baseUrl, cabinetId, docId, runState);
+                    const instances = await getDocumentHistory(null, baseUrl, cabinetId, docId, runState);
+                    const fields = exportPipeline.getFieldValues(doc);
+                    const link = getDocumentViewUrl(baseUrl, auth.organizationId, cabinetId, docId);
+                    documents.push(doc);
+                    docRows.set(String(docId), exportPipeline.buildDocumentRows({ docId, instances, fields, link }));
+                } catch (err) {
+                    if (err.message === 'ABORTED') throw err;
+                    console.error(`[Scheduler] Retry failed again for ${docId}:`, err.message);
+                    runState.failedDocuments.push(toFailedDocument(docId, err));
+                }
+            }));
+        }
+        if (runState.abort) throw new Error('ABORTED');
+
+        let lineCount = 0;
+        docRows.forEach(rows => { lineCount += rows.length; });
+        if (docRows.size > 0) {
+            await patchOutput(schedule, report.output, docRows, exportPipeline.getColumnTypes(documents));
+            console.log(`[Scheduler] Patched ${docRows.size} docs (${lineCount} rows) into ${report.output.file || report.output.table}`);
+        }
+        return { lineCount, docCount: docIds.length, totalCount: docIds.length, output: report.output };
+    } finally {
+        runningTasks.delete(schedule.id);
+    }
+}
+
+/**
+ * Replace the rows of the given documents in an existing output (CSV, XLSX, Parquet or
+ * SQL Server table). Files are rewritten through a temp file so a failed patch leaves the
+ * original output intact.
+ */
+async function patchOutput(schedule, output, docRows, columnTypes) {
+    if (output.type === 'sqlserver') {
+        const rows = Array.from(docRows.values()).flat();
+        const headers = exportPipeline.getHeaders(rows);
+        const sqlRows = rows.map(row => exportPipeline.formatRow(row, headers, columnTypes));
+        await sqlServerStorage.writeRows(schedule.storageConfig?.sql, headers, sqlRows, { replaceDocIds: Array.from(docRows.keys()) });
+        return;
+    }
+
+    const filePath = output.file;
+    try {
+        await fs.access(filePath);
+    } catch {
+        throw new Error(`Output file not found: ${path.basename(filePath)}`);
+    }
+
+    if (output.type === 'parquet') {
+        // Keep the file's own schema (fields the cabinet gained since are not added)
+        const previous = await parquetWriter.readFile(filePath);
+        const rows = replaceDocumentRows(previous.rows, docRows);
+        await writeFileAtomic(filePath, (tmpPath) => parquetWriter.writeFile(tmpPath, previous.columns, rows));
+    } else if (output.type === 'xlsx') {
+        const previous = await xlsxWriter.read(await fs.readFile(filePath));
+        const rows = replaceDocumentRows(previous.rows, docRows);
+        const buffer = await xlsxWriter.build({
+            headers: exportPipeline.getHeaders(rows, previous.headers),
+            rows,
+            columnTypes: { ...previous.columnTypes, ...columnTypes },
+            hyperlinkColumns: ['Link Documento'],
+            sheetName: schedule.name,
+            type: 'nodebuffer'
+        });
+        await writeFileAtomic(filePath, (tmpPath) => fs.writeFile(tmpPath, buffer));
+    } else {
+        const previous = await readCsvFile(filePath);
+        const rows = replaceDocumentRows(previous.rows, docRows);
+        const csv = exportPipeline.toCsv(exportPipeline.getHeaders(rows, previous.headers), rows, columnTypes);
+        await writeFileAtomic(filePath, (tmpPath) => fs.writeFile(tmpPath, csv, 'utf-8'));
+    }
+}
+
+/**
+ * Whether an incremental run can merge into the previous output: it still exists and has
+ * the format the schedule writes now.
+ */
+async function isMergeBase(filePath, format) {
+    if (!filePath || path.extname(filePath).slice(1) !== format) return false;
+    try {
+        await fs.access(filePath);
+        return true;
+    } catch {
+        return false;
+    }
+}
+
+/**
+ * Read an output written by executeExport back into headers, rows and the column types
+ * the file records, in the format of its extension (CSV, XLSX or Parquet).
+ */
+async function readOutputFile(filePath) {
+    const format = path.extname(filePath).slice(1);
+    if (format === 'parquet') {
+        const { columns, rows } = await parquetWriter.readFile(filePath);
+        return { headers: columns.map(c => c.name), rows, columnTypes: Object.fromEntries(columns.map(c => [c.name, c.type])) };
+    }
+    if (format === 'xlsx') return xlsxWriter.read(await fs.readFile(filePath));
+    return { ...(await readCsvFile(filePath)), columnTypes: {} };
+}
+
+/**
+ * Swap the rows of each document in docRows (keyed by DOCID) in place of its previous rows,
+ * keeping the file order. Documents not found in the file are appended.
+ */
+function replaceDocumentRows(previousRows, docRows) {
+    const result = [];
+    const placed = new Set();
+    previousRows.forEach(row => {
+        const docId = String(row['DOCID']);
+        if (!docRows.has(docId)) {
+            result.push(row);
+        } else if (!placed.has(docId)) {
+            result.push(...docRows.get(docId));
+            placed.add(docId);
+        }
+    });
+    docRows.forEach((rows, docId) => {
+        if (!placed.has(docId)) result.push(...rows);
+    });
+    return result;
+}
+
+async function writeFileAtomic(filePath, writeFn) {
+    const tmpPath = `${filePath}.tmp`;
+    try {
+        await writeFn(tmpPath);
+        await fs.rename(tmpPath, filePath);
+    } catch (err) {
+        await fs.rm(tmpPath, { force: true });
+        throw err;
+    }
+}
+
 // --- HELPER FUNCTIONS ---
 
+const BATCH_SIZE = 5; // Documents whose history is fetched in parallel
+
+function toFailedDocument(docId, err) {
+    return {
+        docId,
+        httpStatus: err.response?.status ?? null,
+        code: err.response ? null : (err.code || null),
+        message: err.response?.data?.Message || err.message
+    };
+}
+
+
+// Output columns with their DocuWare types, kept in the run report for readers of the file (OData feed)
+const toColumns = (headers, columnTypes) => headers.map(name => ({ name, type: columnTypes[name] || 'String' }));
+
+// Absolute path of an output file, or null when it is not inside EXPORTS_DIR
+function resolveExportFile(file) {
+    if (!file) return null;
+    const resolved = path.resolve(file);
+    return resolved.startsWith(path.resolve(EXPORTS_DIR) + path.sep) ? resolved : null;
+}
+
+const isSafeId = (id) => typeof id === 'string' && /^[\w-]+$/.test(id);
+
 /**
- * Execute an async operation with smart retry logic for 401 errors.
- * If a 401 occurs, it attempts to refresh the token and retry the operation.
+ * Normalize a schedule's errorPolicy: tolerated percentage of failed documents and
+ * what to do above it ('partial' keeps the output and marks the run PARTIAL, 'failed' marks it ERROR).
  */
-async function executeWithRetry(operationName, operationFn) {
-    const MAX_RETRIES = 3;
+function getErrorPolicy(errorPolicy = {}) {
+    const threshold = Number(errorPolicy?.threshold);
+    return {
+        threshold: Number.isFinite(threshold) && threshold >= 0 ? Math.min(threshold, 100) : 0,
+        action: errorPolicy?.action === 'failed' ? 'failed' : 'partial'
+    };
+}
+
+function getFailedPercent(summary) {
+    return summary.docCount ? (summary.failedCount / summary.docCount) * 100 : 0;
+}
+
+function getRunStatus(summary, errorPolicy) {
+    if (!summary.failedCount) return 'SUCCESS';
+    const policy = getErrorPolicy(errorPolicy);
+    if (getFailedPercent(summary) <= policy.threshold) return 'SUCCESS';
+    return policy.action === 'failed' ? 'ERROR' : 'PARTIAL';
+}
+
+function formatResultMessage(summary, status = 'SUCCESS', errorPolicy) {
+    const prefix = { SUCCESS: 'Sucesso.', PARTIAL: 'Parcial.', ERROR: 'Falha: limite de erros excedido.' }[status];
+    const { threshold } = getErrorPolicy(errorPolicy);
+    let message = summary.retry
+        ? `${prefix} ${summary.docCount - summary.failedCount} de ${summary.totalCount} docs com falha reprocessados (${summary.lineCount} linhas).`
+        : `${prefix} ${summary.docCount} de ${summary.totalCount} docs exportados com ${summary.lineCount} linhas.`;
+    if (summary.failedCount) {
+        const limit = status !== 'SUCCESS' && threshold > 0
+            ? ` (${Math.round(getFailedPercent(summary) * 10) / 10}%, limite ${threshold}%)`
+            : '';
+        message += ` ${summary.failedCount} docs com erro no histórico${limit}.`;
+    }
+    if (summary.retries) message += ` ${summary.retries} ${summary.retries === 1 ? 'nova tentativa' : 'novas tentativas'}.`;
+    return message;
+}
+
+async function saveRunReport(report) {
+    const dir = path.join(RUNS_DIR, report.scheduleId);
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, `${report.runId}.json`), JSON.stringify(report, null, 2));
+}
+
+// --- CHECKPOINTS ---
+// runs/{scheduleId}/{runId}.checkpoint.jsonl: a 'start' record (search result) followed by one
+// 'batch' record per processed batch. Append-only, so a crash loses at most the batch in flight.
+
+const getCheckpointPath = (scheduleId, runId) => path.join(RUNS_DIR, scheduleId, `${runId}.checkpoint.jsonl`);
+
+// Fixed columns holding Date objects; JSON turns them into ISO strings
+const CHECKPOINT_DATE_COLUMNS = exportPipeline.columns.filter(c => c.type === 'DateTime' || c.type === 'Date').map(c => c.name);
+
+async function appendCheckpoint(scheduleId, runId, record) {
+    const filePath = getCheckpointPath(scheduleId, runId);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.appendFile(filePath, JSON.stringify(record) + '\n');
+}
+
+/**
+ * Load a run checkpoint. A truncated last line (crash mid-write) is ignored.
+ *
+ * @returns {Promise<Object|null>} { start, processedDocIds: Set, rows, failedDocuments, openDocIds, retries },
+ *   or null if there is no usable checkpoint.
+ */
+async function readCheckpoint(scheduleId, runId) {
+    if (!isSafeId(scheduleId) || !isSafeId(runId)) return null;
+    let data;
+    try {
+        data = await fs.readFile(getCheckpointPath(scheduleId, runId), 'utf-8');
+    } catch {
+        return null;
+    }
+
+    const records = [];
+    for (const line of data.split('\n')) {
+        if (!line.trim()) continue;
+        try {
+            records.push(JSON.parse(line));
+        } catch {
+            break;
+        }
+    }
+    const [start, ...batches] = records;
+    if (!start || start.type !== 'start') return null;
+
+    const checkpoint = {
+        start,
+        processedDocIds: new Set(),
+        rows: [],
+        failedDocuments: [],
+        openDocIds: [],
+        retries: start.retries || 0
+    };
+    batches.forEach(batch => {
+        batch.docIds.forEach(id => checkpoint.processedDocIds.add(id));
+        batch.rows.forEach(row => {
+            CHECKPOINT_DATE_COLUMNS.forEach(col => {
+                if (row[col]) row[col] = exportPipeline.parseDate(row[col]);
+            });
+            checkpoint.rows.push(row);
+        });
+        checkpoint.failedDocuments.push(...batch.failedDocuments);
+        checkpoint.openDocIds.push(...batch.openDocIds);
+        checkpoint.retries += batch.retries || 0;
+    });
+    return checkpoint;
+}
+
+async function deleteCheckpoint(scheduleId, runId) {
+    try {
+        await fs.rm(getCheckpointPath(scheduleId, runId), { force: true });
+    } catch (err) {
+        console.error('[Scheduler] Failed to delete checkpoint:', err);
+    }
+}
+
+/**
+ * Checkpoints left on disk, i.e. runs the process stopped in the middle of.
+ * @returns {Promise<Array<{ scheduleId: string, runId: string }>>}
+ */
+async function findCheckpoints() {
+    const found = [];
+    let scheduleDirs = [];
+    try {
+        scheduleDirs = await fs.readdir(RUNS_DIR);
+    } catch {
+        return found;
+    }
+    for (const scheduleId of scheduleDirs) {
+        let files = [];
+        try {
+            files = await fs.readdir(path.join(RUNS_DIR, scheduleId));
+        } catch {
+            continue;
+        }
+        files.filter(f => f.endsWith('.checkpoint.jsonl'))
+            .forEach(f => found.push({ scheduleId, runId: f.slice(0, -'.checkpoint.jsonl'.length) }));
+    }
+    return found;
+}
+
+/**
+ * Deal with runs cut short by a restart: runs with a checkpoint are queued to resume
+ * (unless the schedule's interruptPolicy is 'abort'); every other run left RUNNING in
+ * history.json is closed with an ABORTED entry.
+ *
+ * @param {Array<Object>} schedules
+ */
+async function recoverInterruptedRuns(schedules) {
+    const message = 'Interrompida: o servidor foi reiniciado durante a exportação.';
+    const { queued, running } = jobQueue.list();
+    const activeRunIds = new Set([...queued, ...running].map(j => j.runId));
+
+    for (const { scheduleId, runId } of await findCheckpoints()) {
+        if (activeRunIds.has(runId)) continue;
+        const schedule = schedules.find(s => s.id === scheduleId);
+        const checkpoint = await readCheckpoint(scheduleId, runId);
+
+        if (schedule && checkpoint && schedule.interruptPolicy !== 'abort') {
+            console.log(`[Scheduler] 🔁 Resuming interrupted run ${runId} of ${schedule.name}`);
+            jobQueue.enqueue({ scheduleId, scheduleName: schedule.name, type: 'resume', trigger: checkpoint.start.trigger || 'cron', runId });
+            activeRunIds.add(runId);
+            continue;
+        }
+
+        if (schedule && checkpoint) {
+            const finishedAt = new Date();
+            const report = {
+                runId,
+                scheduleId,
+                scheduleName: schedule.name,
+                trigger: checkpoint.start.trigger,
+                status: 'ABORTED',
+                message,
+                startedAt: checkpoint.start.startedAt,
+                finishedAt: finishedAt.toISOString(),
+                durationMs: checkpoint.start.startedAt ? finishedAt - new Date(checkpoint.start.startedAt) : null,
+                totalCount: checkpoint.start.totalCount,
+                docCount: checkpoint.processedDocIds.size,
+                lineCount: 0,
+                failedCount: checkpoint.failedDocuments.length,
+                retries: checkpoint.retries,
+                errorPolicy: getErrorPolicy(schedule.errorPolicy),
+                output: null,
+                error: null,
+                failedDocuments: checkpoint.failedDocuments
+            };
+            try {
+                await saveRunReport(report);
+            } catch (err) {
+                console.error('[Scheduler] Failed to write run report:', err);
+            }
+            await notifyRun(schedule, report);
+        }
+        await deleteCheckpoint(scheduleId, runId);
+    }
+
+    // RUNNING entries nothing will finish. Entries without a runId predate run ids: they ended
+    // if a final entry of the same schedule follows before its next RUNNING entry.
+    let history = [];
+    try {
+        history = JSON.parse(await fs.readFile(HISTORY_FILE, 'utf-8'));
+    } catch {
+        return;
+    }
+    const finishedRunIds = new Set(history.filter(e => e.runId && e.status !== 'RUNNING').map(e => e.runId));
+    const dangling = history.filter(e => e.runId && e.status === 'RUNNING' && !finishedRunIds.has(e.runId) && !activeRunIds.has(e.runId));
+
+    const closedEntryIds = new Set(history.map(e => e.startEntryId).filter(Boolean));
+    const openLegacy = new Map(); // scheduleId -> RUNNING entry without a final entry yet
+    history
+        .filter(e => !e.runId && !e.startEntryId && !closedEntryIds.has(e.id) && e.status !== 'SKIPPED')
+        .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp))
+        .forEach(entry => {
+            if (entry.status === 'RUNNING' && openLegacy.has(entry.scheduleId)) dangling.push(openLegacy.get(entry.scheduleId));
+            if (entry.status === 'RUNNING') openLegacy.set(entry.scheduleId, entry);
+            else openLegacy.delete(entry.scheduleId);
+        });
+    dangling.push(...openLegacy.values());
+
+    for (const entry of dangling) {
+        console.warn(`[Scheduler] Run started at ${entry.timestamp} for ${entry.scheduleName} never finished; marking it ABORTED.`);
+        await scheduler.log(entry.scheduleId, entry.scheduleName, 'ABORTED', message, entry.runId ? { runId: entry.runId } : { startEntryId: entry.id });
+    }
+}
+
+// --- OUTPUT LOCATION ---
+
+const LATEST_NAME = 'latest'; // exports/{scheduleId}/latest.{csv|xlsx|parquet}
+
+// Accents removed, anything else than letters and digits collapsed to '_'
+const sanitize = (str) => String(str)
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/[^a-zA-Z0-9]/g, '_')
+    .replace(/_+/g, '_')
+    .toLowerCase();
+
+const getScheduleExportDir = (scheduleId) => path.join(EXPORTS_DIR, isSafeId(scheduleId) ? scheduleId : sanitize(scheduleId));
+
+/**
+ * Readable part of output file names: {ScheduleName}_{CabinetName}_{DocumentType}. The document
+ * type is the value of a type-like filter (type/tipo/cat), else of the first filter, else 'all_docs'.
+ */
+function getExportBaseName(schedule) {
+    const cabinetName = schedule.cabinetName || schedule.cabinetId || 'unknown_cabinet';
+    let docType = 'all_docs';
+    const filters = schedule.filters || [];
+    if (filters.length > 0) {
+        const typeFilter = filters.find(f =>
+            f.fieldName && (f.fieldName.toLowerCase().includes('type') ||
+                f.fieldName.toLowerCase().includes('tipo') ||
+                f.fieldName.toLowerCase().includes('cat'))
+        );
+        docType = typeFilter ? typeFilter.value : filters[0].value;
+    }
+    return `${sanitize(schedule.name)}_${sanitize(cabinetName)}_${sanitize(docType)}`;
+}
+
+/**
+ * Copy a successful run's output over the schedule's latest.{format}, atomically (readers see the
+ * old or the new file, never a partial one). A run older than the last successful one is not
+ * published, so retrying an old run does not roll the alias back. Aliases of other formats are removed so a stale file is
+ * not mistaken for current data.
+ */
+async function publishLatest(schedule, report) {
+    if (report.status !== 'SUCCESS' || !resolveExportFile(report.output?.file)) return;
+    const exports = await scheduler.getExports(schedule.id);
+    const published = exports.find(e => e.runId === (report.retryOf || report.runId));
+    if (!published || exports.some(e => e.status === 'SUCCESS' && new Date(e.finishedAt) > new Date(published.finishedAt))) return;
+
+    const source = resolveExportFile(report.output.file);
+    const dir = getScheduleExportDir(schedule.id);
+    const latest = path.join(dir, `${LATEST_NAME}.${report.output.type}`);
+    try {
+        await fs.mkdir(dir, { recursive: true });
+        await writeFileAtomic(latest, (tmpPath) => fs.copyFile(source, tmpPath));
+        await saveScheduleState(schedule.id, { latestRunId: report.retryOf || report.runId });
+        for (const file of await fs.readdir(dir)) {
+            if (file.startsWith(`${LATEST_NAME}.`) && path.join(dir, file) !== latest && !file.endsWith('.tmp')) {
+                await fs.rm(path.join(dir, file), { force: true });
+            }
+        }
+        console.log(`[Scheduler] 📌 ${schedule.name}: ${path.relative(EXPORTS_DIR, latest)} updated`);
+    } catch (err) {
+        console.error(`[Scheduler] Failed to update ${latest}:`, err.message);
+    }
+}
+
+/**
+ * Move export folders named after the schedule's position ({index}_{name}_{cabinet}_{doctype}, used
+ * before folders were keyed by schedule id) into exports/{scheduleId}/, updating run reports and
+ * the incremental base file, and publish latest.{format} from the newest successful run.
+ * A folder is matched through the run reports pointing into it, else through its name and the
+ * schedule's current position; folders that match no schedule are left alone.
+ */
+async function migrateLegacyExportFolders(schedules) {
+    let folders = [];
+    try {
+        folders = (await fs.readdir(EXPORTS_DIR, { withFileTypes: true })).filter(d => d.isDirectory()).map(d => d.name);
+    } catch {
+        return;
+    }
+    const scheduleIds = new Set(schedules.map(s => getScheduleExportDir(s.id)).map(dir => path.basename(dir)));
+    const legacy = folders.filter(f => !scheduleIds.has(f) && /^\d+_/.test(f));
+    if (legacy.length === 0) return;
+
+    const reportsBySchedule = new Map();
+    for (const schedule of schedules) reportsBySchedule.set(schedule.id, await readRunReports(schedule.id));
+
+    const owners = new Map(); // legacy folder -> schedule
+    for (const folder of legacy) {
+        const dir = path.join(EXPORTS_DIR, folder);
+        const byReport = schedules.find(s => reportsBySchedule.get(s.id).some(r => r.output?.file && path.dirname(path.resolve(r.output.file)) === dir));
+        const byName = schedules.find((s, i) => folder === `${i + 1}_${getExportBaseName(s)}`);
+        const owner = byReport || byName;
+        if (owner) owners.set(folder, owner);
+        else console.warn(`[Scheduler] Export folder ${folder} matches no schedule; left in place.`);
+    }
+
+    const states = await readStateFile();
+    const migrated = new Set();
+    for (const [folder, schedule] of owners) {
+        const from = path.join(EXPORTS_DIR, folder);
+        const to = getScheduleExportDir(schedule.id);
+        await fs.mkdir(to, { recursive: true });
+        const moved = new Map(); // old path -> new path
+        for (const file of await fs.readdir(from)) {
+            const target = path.join(to, file);
+            try {
+                await fs.access(target);
+                console.warn(`[Scheduler] ${path.relative(EXPORTS_DIR, target)} already exists; ${folder}/${file} left in place.`);
+                continue;
+            } catch {
+                // Free
+            }
+            await fs.rename(path.join(from, file), target);
+            moved.set(path.join(from, file), target);
+        }
+
+        for (const report of reportsBySchedule.get(schedule.id)) {
+            const newPath = report.output?.file && moved.get(path.resolve(report.output.file));
+            if (newPath) await saveRunReport({ ...report, output: { ...report.output, file: newPath } });
+        }
+        const lastOutputFile = states[schedule.id]?.lastOutputFile;
+        if (lastOutputFile && moved.has(path.resolve(lastOutputFile))) {
+            await saveScheduleState(schedule.id, { lastOutputFile: moved.get(path.resolve(lastOutputFile)) });
+        }
+        try {
+            await fs.rmdir(from);
+        } catch {
+            // Not empty: something was left in place
+        }
+        migrated.add(schedule);
+        console.log(`[Scheduler] Moved ${moved.size} files of ${schedule.name} from exports/${folder} to ${path.relative(DATA_DIR, to)}`);
+    }
+
+    for (const schedule of migrated) {
+        const reports = (await readRunReports(schedule.id))
+            .filter(r => !r.retryOf && r.status === 'SUCCESS')
+            .sort((a, b) => new Date(b.finishedAt) - new Date(a.finishedAt));
+        if (reports.length > 0) await publishLatest(schedule, reports[0]);
+    }
+}
+
+// --- RETENTION ---
+
+const MAX_HISTORY_ENTRIES = 500; // Per schedule, whatever its retention rule
+
+function getCleanupIntervalMs() {
+    const minutes = parseInt(process.env.CLEANUP_INTERVAL_MINUTES, 10);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 60) * 60 * 1000;
+}
+
+/**
+ * Apply and persist a change to history.json, serialized with the other writers.
+ * @param {function(Array<Object>): Array<Object>} update - Receives the entries, returns the new ones.
+ */
+async function updateHistory(update) {
+    const write = historyWrites.then(async () => {
+        let history = [];
+        try {
+            history = JSON.parse(await fs.readFile(HISTORY_FILE, 'utf-8'));
+        } catch (err) {
+            if (err.code !== 'ENOENT') throw err;
+        }
+        const updated = update(history);
+        if (updated === history) return; // Nothing changed
+        await writeFileAtomic(HISTORY_FILE, (tmpPath) => fs.writeFile(tmpPath, JSON.stringify(updated, null, 2)));
+    });
+    historyWrites = write.catch(() => { }); // Keep the chain alive; the caller sees the error
+    return write;
+}
+
+/**
+ * Keep the last MAX_HISTORY_ENTRIES entries of each schedule (of `scheduleId` only when given),
+ * counting dropped entries into `removed`.
+ */
+function capHistory(history, scheduleId, removed) {
+    const counts = new Map();
+    const kept = [];
+    for (let i = history.length - 1; i >= 0; i--) {
+        const entry = history[i];
+        const count = (counts.get(entry.scheduleId) || 0) + 1;
+        counts.set(entry.scheduleId, count);
+        if (count > MAX_HISTORY_ENTRIES && (!scheduleId || entry.scheduleId === scheduleId)) {
+            removed.set(entry.scheduleId, (removed.get(entry.scheduleId) || 0) + 1);
+        } else {
+            kept.push(entry);
+        }
+    }
+    return kept.reverse();
+}
+
+/**
+ * Finished run reports of a schedule (runs/{scheduleId}/*.json), retries included.
+ */
+async function readRunReports(scheduleId) {
+    if (!isSafeId(scheduleId)) return [];
+    let files = [];
+    try {
+        files = await fs.readdir(path.join(RUNS_DIR, scheduleId));
+    } catch {
+        return [];
+    }
+    const reports = [];
+    for (const file of files.filter(f => f.endsWith('.json'))) {
+        const report = await scheduler.getRunReport(scheduleId, file.slice(0, -'.json'.length));
+        if (report) reports.push(report);
+    }
+    return reports;
+}
+
+/**
+ * Delete the runs of a schedule that its retention rule expires: output file, run report and
+ * the reports of retries that patched it. Runs with an active job and the file the next
+ * incremental run merges into are kept. History entries are left to the caller.
+ *
+ * @returns {Promise<{ scheduleId, expiredRunIds: Array<string>, deletedFiles: Array<string>, cutoff: Date|null }>}
+ */
+async function applyRetention(schedule) {
+    const result = { scheduleId: schedule.id, expiredRunIds: [], deletedFiles: [], cutoff: null };
+    if (retention.normalize(schedule.retention).mode === 'all') return result;
+
+    const reports = await readRunReports(schedule.id);
+    const runs = [];
+    for (const report of reports.filter(r => !r.retryOf)) {
+        const file = resolveExportFile(report.output?.file);
+        let hasFile = false;
+        if (file) {
+            try {
+                await fs.access(file);
+                hasFile = true;
+            } catch {
+                // Already gone
+            }
+        }
+        runs.push({ runId: report.runId, finishedAt: report.finishedAt, status: report.status, hasFile, file, report });
+    }
+
+    const state = await getScheduleState(schedule.id);
+    const keep = new Set(jobQueue.getActive(schedule.id).flatMap(job => [job.runId, job.retryOf]).filter(Boolean));
+    runs.filter(r => r.file && state.lastOutputFile && r.file === path.resolve(state.lastOutputFile)).forEach(r => keep.add(r.runId));
+
+    const { expired, cutoff } = retention.getExpiredRuns(runs, schedule.retention, { timezone: schedule.timezone, keep });
+    result.cutoff = cutoff;
+    for (const run of expired) {
+        if (run.hasFile) {
+            await fs.rm(run.file, { force: true });
+            result.deletedFiles.push(path.relative(EXPORTS_DIR, run.file));
+        }
+        const retryIds = reports.filter(r => r.retryOf === run.runId).map(r => r.runId);
+        for (const id of [run.runId, ...retryIds]) {
+            await fs.rm(path.join(RUNS_DIR, schedule.id, `${id}.json`), { force: true });
+            result.expiredRunIds.push(id);
+        }
+    }
+    return result;
+}
+
+// --- MISSED RUNS ---
+
+const MAX_CATCH_UP_RUNS = 24; // 'all' policy: most missed occurrences run after a long outage
+
+function getNextRunAt(schedule, after = new Date()) {
+    try {
+        return cronSchedule.getNextRun(schedule.cronExpression, after, schedule.timezone)?.toISOString() ?? null;
+    } catch {
+        return null;
+    }
+}
+
+/**
+ * Cron occurrences of the enabled schedules that passed while the server was down,
+ * i.e. from the stored nextRunAt up to now.
+ *
+ * @param {Array<Object>} schedules
+ * @returns {Promise<Array<{ schedule: Object, runs: Array<Date> }>>}
+ */
+async function findMissedRuns(schedules) {
+    const states = await readStateFile();
+    const now = new Date();
+    const missed = [];
+    for (const schedule of schedules) {
+        const nextRunAt = states[schedule.id]?.nextRunAt;
+        if (!schedule.enabled || !nextRunAt || new Date(nextRunAt) > now) continue;
+        try {
+            const from = new Date(new Date(nextRunAt).getTime() - 1);
+            const runs = cronSchedule.getRunsBetween(schedule.cronExpression, from, now, { timezone: schedule.timezone, limit: MAX_CATCH_UP_RUNS + 1 });
+            if (runs.length > 0) missed.push({ schedule, runs });
+        } catch (err) {
+            console.error(`[Scheduler] Cannot compute missed runs for ${schedule.name}:`, err.message);
+        }
+    }
+    return missed;
+}
+
+/**
+ * Apply each schedule's catchUpPolicy to its missed runs: 'once' (default) runs the latest
+ * missed occurrence, 'all' runs every one of them (up to MAX_CATCH_UP_RUNS), 'skip' only
+ * records them in history.json.
+ */
+async function catchUpMissedRuns(missedRuns) {
+    for (const { schedule, runs } of missedRuns) {
+        const policy = schedule.catchUpPolicy || 'once';
+        console.log(`[Scheduler] ${schedule.name} missed ${runs.length} scheduled runs while the server was down (policy: ${policy}).`);
+
+        if (policy === 'skip') {
+            await scheduler.log(schedule.id, schedule.name, 'SKIPPED',
+                `${runs.length} execução(ões) agendada(s) perdida(s) com o servidor parado; ignoradas (última: ${formatDateTime(runs[runs.length - 1], schedule.timezone)}).`);
+            continue;
+        }
+        if (policy === 'all' && runs.length > MAX_CATCH_UP_RUNS) {
+            console.warn(`[Scheduler] Catching up only the last ${MAX_CATCH_UP_RUNS} missed runs of ${schedule.name}.`);
+        }
+        const toRun = policy === 'all' ? runs.slice(-MAX_CATCH_UP_RUNS) : runs.slice(-1);
+        toRun.forEach(run => enqueueJob(schedule, { type: 'export', trigger: 'catchup', scheduledFor: run.toISOString() }));
+        await saveScheduleState(schedule.id, { lastRunAt: toRun[toRun.length - 1].toISOString() });
+    }
+}
+
+const formatDateTime = (date, timezone) => new Date(date).toLocaleString('pt-BR', { timeZone: timezone || undefined });
+
+async function readStateFile() {
+    try {
+        return JSON.parse(await fs.readFile(STATE_FILE, 'utf-8'));
+    } catch {
+        return {};
+    }
+}
+
+async function getScheduleState(scheduleId) {
+    const all = await readStateFile();
+    return all[scheduleId] || {};
+}
+
+/**
+ * Write schedules.json with each schedule's credentials encrypted.
+ */
+async function writeSchedules(schedules) {
+    const sealed = schedules.map(schedule => secretStore.sealFields(schedule, SCHEDULE_SECRET_FIELDS));
+    await writeFileAtomic(SCHEDULES_FILE, (tmpPath) => fs.writeFile(tmpPath, JSON.stringify(sealed, null, 2)));
+}
+
+function openScheduleSecrets(schedule) {
+    return secretStore.openFields(schedule, SCHEDULE_SECRET_FIELDS);
+}
+
+/**
+ * Merge and persist runtime state for a schedule (kept out of schedules.json so
+ * saving a schedule from the UI does not reset it).
+ */
+async function saveScheduleState(scheduleId, patch) {
+    const write = stateWrites.then(async () => {
+        const all = await readStateFile();
+        all[scheduleId] = { ...(all[scheduleId] || {}), ...patch, updatedAt: new Date().toISOString() };
+        await writeFileAtomic(STATE_FILE, (tmpPath) => fs.writeFile(tmpPath, JSON.stringify(all, null, 2)));
+    });
+    stateWrites = write.catch(() => { }); // Keep the chain alive; the caller sees the error
+    return write;
+}
+
+const WORKFLOW_END_TYPES = ['EndEvent', 'End'];
+
+function isInstanceFinished(instance) {
+    return (instance.HistorySteps || []).some(step => WORKFLOW_END_TYPES.includes(step.ActivityType));
+}
+
+/**
+ * Parse a CSV previously written by executeExport (';' delimited, BOM, quoted values).
+ */
+async function readCsvFile(filePath) {
+    const content = (await fs.readFile(filePath, 'utf-8')).replace(/^\ufeff/, '');
+    const records = [];
+    let record = [];
+    let field = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < content.length; i++) {
+        const ch = content[i];
+        if (inQuotes) {
+            if (ch === '"' && content[i + 1] === '"') { field += '"'; i++; }
+            else if (ch === '"') inQuotes = false;
+            else field += ch;
+        } else if (ch === '"') {
+            inQuotes = true;
+        } else if (ch === ';') {
+            record.push(field); field = '';
+        } else if (ch === '\n') {
+            record.push(field); records.push(record);
+            record = []; field = '';
+        } else {
+            field += ch;
+        }
+    }
+    if (field !== '' || record.length > 0) { record.push(field); records.push(record); }
+
+    const [headers = [], ...dataRows] = records;
+    const rows = dataRows.map(values => Object.fromEntries(headers.map((h, idx) => [h, values[idx] ?? ''])));
+    return { headers, rows };
+}
+
+/**
+ * Typed value of a CSV cell written by exportPipeline.toCsv: numbers, and dates rendered in
+ * pt-BR server local time ('Date' columns as UTC midnight of that day). Empty cells become null.
+ */
+function parseCsvValue(text, type) {
+    if (text === undefined || text === '') return null;
+    switch (String(type).toLowerCase()) {
+        case 'int':
+        case 'numeric':
+        case 'decimal': {
+            const num = Number(text);
+            return Number.isFinite(num) ? num : text;
+        }
+        case 'date':
+        case 'datetime': {
+            const match = text.match(/^(\d{2})\/(\d{2})\/(\d{4})(?:,? (\d{2}):(\d{2})(?::(\d{2}))?)?$/);
+            if (!match) return text;
+            const [, day, month, year, hours = 0, minutes = 0, seconds = 0] = match.map((v, i) => (i > 0 && v !== undefined ? Number(v) : v));
+            return String(type).toLowerCase() === 'date'
+                ? new Date(Date.UTC(year, month - 1, day))
+                : new Date(year, month - 1, day, hours, minutes, seconds);
+        }
+        default:
+            return text;
+    }
+}
+
+/**
+ * Mimic docuwareService.getCabinetFields: fields embedded in the cabinet resource,
+ * falling back to the dedicated /Fields endpoint.
+ */
+async function getCabinetFields(baseUrl, cabinetId, runState = {}) {
+    return executeWithRetry(`Get Cabinet Fields ${cabinetId}`, async () => {
+        const currentToken = await tokenManager.getAccessToken(runState.connectionId);
+        const headers = { Authorization: `Bearer ${currentToken}`, 'Accept': 'application/json' };
+        const response = await axios.get(`${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}`, { headers });
+        if (response.data && response.data.Fields) return response.data.Fields;
+
+        const fieldRes = await axios.get(`${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}/Fields`, { headers });
+        return (fieldRes.data && fieldRes.data.Fields) || [];
+    }, runState);
+}
+
+async function getDocument(baseUrl, cabinetId, docId, runState = {}) {
+    return executeWithRetry(`Get Document ${docId}`, async () => {
+        const currentToken = await tokenManager.getAccessToken(runState.connectionId);
+        const response = await axios.get(`${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}/Documents/${docId}`, {
+            headers: { Authorization: `Bearer ${currentToken}`, 'Accept': 'application/json' }
+        });
+        return response.data;
+    }, runState);
+}
+
+// Transient failures worth retrying with backoff (DocuWare Cloud throttling, gateway hiccups, dropped sockets)
+const RETRYABLE_STATUS = new Set([408, 429, 500, 502, 503, 504]);
+const RETRYABLE_NETWORK_CODES = new Set(['ECONNRESET', 'ECONNREFUSED', 'ECONNABORTED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'ENETUNREACH', 'ERR_SOCKET_CONNECTION_TIMEOUT']);
+
+/**
+ * Backoff settings, read on every call so they can be tuned through the environment:
+ * RETRY_MAX_ATTEMPTS (default 5), RETRY_BASE_DELAY_MS (default 1000), RETRY_MAX_DELAY_MS (default 30000).
+ */
+function getRetryPolicy() {
+    const read = (name, fallback) => {
+        const value = parseInt(process.env[name], 10);
+        return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+    return {
+        maxAttempts: Math.max(1, read('RETRY_MAX_ATTEMPTS', 5)),
+        baseDelayMs: read('RETRY_BASE_DELAY_MS', 1000),
+        maxDelayMs: read('RETRY_MAX_DELAY_MS', 30000)
+    };
+}
+
+function isTransientError(error) {
+    if (error.response) return RETRYABLE_STATUS.has(error.response.status);
+    return RETRYABLE_NETWORK_CODES.has(error.code);
+}
+
+/**
+ * Retry-After header in milliseconds (delta-seconds or HTTP date), or null.
+ */
+function getRetryAfterMs(error) {
+    const header = error.response?.headers?.['retry-after'];
+    if (!header) return null;
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Exponential backoff with "equal jitter": half the exponential delay plus a random half,
+ * so parallel document fetches don't hammer DocuWare again in lockstep.
+ */
+function getBackoffDelay(attempt, policy) {
+    const exponential = Math.min(policy.maxDelayMs, policy.baseDelayMs * 2 ** (attempt - 1));
+    return exponential / 2 + Math.random() * (exponential / 2);
+}
+
+/**
+ * Execute an async operation with retries:
+ * - 401: refresh the token and retry immediately.
+ * - 408/429/5xx and network errors: wait (Retry-After when sent, otherwise exponential backoff
+ *   with jitter) and retry.
+ * Anything else fails right away. Retries are counted in runState.retries for the run summary.
+ */
+async function executeWithRetry(operationName, operationFn, runState = {}) {
+    const policy = getRetryPolicy();
     let attempt = 0;
 
-    while (attempt < MAX_RETRIES) {
+    while (true) {
         try {
             return await operationFn();
         } catch (error) {
             attempt++;
+            if (error.message === 'ABORTED' || attempt >= policy.maxAttempts) {
+                if (attempt >= policy.maxAttempts) {
+                    console.error(`[Scheduler] ❌ '${operationName}' failed after ${attempt} attempts: ${error.message}`);
+                }
+                throw error;
+            }
 
             // Check for 401 Unauthorized
             const isAuthError = error.response && error.response.status === 401;
 
             if (isAuthError) {
-                console.warn(`[Scheduler] ⚠️ 401 Unauthorized during '${operationName}'. Refreshing token (Attempt ${attempt}/${MAX_RETRIES})...`);
+                console.warn(`[Scheduler] ⚠️ 401 Unauthorized during '${operationName}'. Refreshing token (Attempt ${attempt}/${policy.maxAttempts})...`);
                 try {
                     // Force a token refresh
-                    await tokenManager.refreshAccessToken();
+                    await tokenManager.refreshAccessToken(runState.connectionId);
                     console.log(`[Scheduler] 🔄 Token refreshed. Retrying '${operationName}'...`);
-                    continue; // Retry loop immediately
                 } catch (refreshError) {
                     console.error(`[Scheduler] ❌ Failed to refresh token during retry: ${refreshError.message}`);
                     throw refreshError; // If refresh fails, we can't continue
                 }
+                runState.retries = (runState.retries || 0) + 1;
+                continue; // Retry loop immediately
             }
 
-            // If it's not a 401, or if we ran out of retries
-            if (attempt >= MAX_RETRIES) {
-                console.error(`[Scheduler] ❌ '${operationName}' failed after ${MAX_RETRIES} attempts.`);
-                throw error;
-            }
+            if (!isTransientError(error)) throw error;
 
-            // Optional: wait a bit before retrying non-auth errors?
-            // For now, only retrying auth errors immediately. 
-            // If we want to retry 500s, we could add logic here.
-            throw error;
+            const retryAfterMs = getRetryAfterMs(error);
+            const delay = retryAfterMs !== null ? retryAfterMs : getBackoffDelay(attempt, policy);
+            const reason = error.response ? `HTTP ${error.response.status}` : error.code;
+            console.warn(`[Scheduler] ⏳ ${reason} during '${operationName}'. Retrying in ${Math.round(delay)}ms (Attempt ${attempt}/${policy.maxAttempts})...`);
+            runState.retries = (runState.retries || 0) + 1;
+            await new Promise(resolve => setTimeout(resolve, delay));
+            if (runState.abort) throw new Error('ABORTED');
         }
     }
 }
@@ -459,153 +1868,167 @@ async function executeWithRetry(operationName, operationFn) {
 // Token refresh is now handled by tokenManager
 // async function refreshAccessToken(auth) { ... }
 
-async function searchDocuWare(token, baseUrl, cabinetId, filters) {
-    return executeWithRetry('Search DocuWare', async () => {
-        // We ALWAYS get the latest token from manager before making the call, 
+const SEARCH_PAGE_SIZE = 1000;
+
+/**
+ * Search the cabinet with the schedule's filters, paging through the complete result set
+ * (start/count, continuing while DocuWare returns a full page or a "next" link).
+ * Each page is retried independently so a 401 mid-way does not restart the whole search.
+ *
+ * @returns {Promise<{ items: Array, total: number }>}
+ */
+async function searchDocuWare(token, baseUrl, cabinetId, filters, runState = {}) {
+    const searchDialog = await executeWithRetry('Search DocuWare (Dialogs)', async () => {
+        // We ALWAYS get the latest token from manager before making the call,
         // ensuring retries use the new token.
-        const currentToken = await tokenManager.getAccessToken();
+        const currentToken = await tokenManager.getAccessToken(runState.connectionId);
+        const dialogsRes = await axios.get(`${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}/Dialogs`, {
+            headers: { Authorization: `Bearer ${currentToken}` }
+        });
+        return dialogsRes.data.Dialog.find(d => d.Type === 'Search') || dialogsRes.data.Dialog[0];
+    }, runState);
+    if (!searchDialog) throw new Error("No search dialog found");
 
-        try {
-            const dialogsRes = await axios.get(`${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}/Dialogs`, {
-                headers: { Authorization: `Bearer ${currentToken}` }
-            });
-            const searchDialog = dialogsRes.data.Dialog.find(d => d.Type === 'Search') || dialogsRes.data.Dialog[0];
-            if (!searchDialog) throw new Error("No search dialog found");
+    const conditions = filters.map(filter => ({
+        DBName: filter.fieldName,
+        Value: Array.isArray(filter.value) ? filter.value : [filter.value]
+    }));
 
-            const conditions = filters.map(filter => ({
-                DBName: filter.fieldName,
-                Value: Array.isArray(filter.value) ? filter.value : [filter.value]
-            }));
+    const query = {
+        Condition: conditions,
+        Operation: 'And'
+    };
 
-            const query = {
-                Condition: conditions,
-                Operation: 'And'
-            };
+    const items = [];
+    let total = null;
+    let start = 0;
 
-            const searchRes = await axios.post(
-                `${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}/Query/DialogExpression?dialogId=${searchDialog.Id}&count=1000`,
-                query,
-                { headers: { Authorization: `Bearer ${currentToken}`, 'Content-Type': 'application/json', 'Accept': 'application/json' } }
-            );
-            return searchRes.data.Items || [];
-        } catch (err) {
-            if (err.response) {
+    while (true) {
+        if (runState.abort) throw new Error('ABORTED');
+
+        const page = await executeWithRetry(`Search DocuWare (start=${start})`, async () => {
+            const currentToken = await tokenManager.getAccessToken(runState.connectionId);
+            try {
+                const searchRes = await axios.post(
+                    `${baseUrl}/DocuWare/Platform/FileCabinets/${cabinetId}/Query/DialogExpression`,
+                    query,
+                    {
+                        params: { dialogId: searchDialog.Id, start, count: SEARCH_PAGE_SIZE, calculateTotalCount: true },
+                        headers: { Authorization: `Bearer ${currentToken}`, 'Content-Type': 'application/json', 'Accept': 'application/json' }
+                    }
+                );
+                return searchRes.data;
+            } catch (err) {
                 // If it's NOT a 401, we log here. 401s are handled by retry wrapper.
-                if (err.response.status !== 401) {
+                if (err.response && err.response.status !== 401) {
                     console.error('[Scheduler] Search Failed:', JSON.stringify(err.response.data));
                 }
                 throw err; // Propagate to retry wrapper
             }
-            throw err;
-        }
-    });
+        }, runState);
+
+        const pageItems = page.Items || [];
+        items.push(...pageItems);
+        if (total === null) total = getResultCount(page);
+
+        const hasNext = (page.Links || []).some(l => (l.rel || l.Rel || '').toLowerCase() === 'next');
+        console.log(`[Scheduler] Search progress: ${items.length}/${total || '?'} documents`);
+
+        if (pageItems.length === 0) break;
+        if (!hasNext && pageItems.length < SEARCH_PAGE_SIZE) break;
+        if (total && items.length >= total) break;
+        start += pageItems.length;
+    }
+
+    return { items, total: Math.max(total || 0, items.length) };
+}
+
+// DocuWare returns Count either as a number or as { Value }.
+function getResultCount(data) {
+    if (typeof data.Count === 'object' && data.Count !== null) {
+        return data.Count.Value || 0;
+    }
+    return data.Count || 0;
 }
 
 /**
  * REPLACEMENT: Mimic workflowAnalyticsService.getHistoryByDocId
  * Fetches Workflow Instances explicitly, then their steps.
  */
-async function getDocumentHistory(token, baseUrl, cabinetId, docId) {
-    return executeWithRetry(`Get History ${docId}`, async () => {
-        const currentToken = await tokenManager.getAccessToken(); // Retry safe
-
-        try {
-            // 1. Fetch Workflow Instances for this Document
-            // Endpoint: /DocuWare/Platform/Workflow/Instances/DocumentHistory?fileCabinetId=...&documentId=...
-            const historyUrl = `${baseUrl}/DocuWare/Platform/Workflow/Instances/DocumentHistory`;
-
-            const response = await axios.get(historyUrl, {
+async function getDocumentHistory(token, baseUrl, cabinetId, docId, runState = {}) {
+    // 1. Fetch Workflow Instances for this Document
+    // Endpoint: /DocuWare/Platform/Workflow/Instances/DocumentHistory?fileCabinetId=...&documentId=...
+    let instances;
+    try {
+        instances = await executeWithRetry(`Get History ${docId}`, async () => {
+            const currentToken = await tokenManager.getAccessToken(runState.connectionId); // Retry safe
+            const response = await axios.get(`${baseUrl}/DocuWare/Platform/Workflow/Instances/DocumentHistory`, {
                 headers: { Authorization: `Bearer ${currentToken}` },
                 params: {
                     fileCabinetId: cabinetId,
                     documentId: docId
                 }
             });
-
             // The response contains "InstanceHistory" (Array)
-            const instances = response.data.InstanceHistory || response.data || [];
-
-            if (!Array.isArray(instances) || instances.length === 0) {
-                return [];
-            }
-
-            // 2. For each instance, fetch the Detailed History (Steps)
-            const instancesWithSteps = await Promise.all(instances.map(async (inst) => {
-                try {
-                    // Construct Steps URL
-                    // If 'Links' has 'self', use it. Otherwise construct.
-                    // Usually: .../Workflows/{wid}/Instances/{id}/History
-
-                    let stepsUrl = null;
-                    const selfLink = (inst.Links || []).find(l => l.Rel === 'self' || l.rel === 'self');
-
-                    if (selfLink && selfLink.Href) {
-                        // Check if full URL or relative
-                        if (selfLink.Href.startsWith('http')) {
-                            stepsUrl = selfLink.Href;
-                        } else {
-                            // Careful with double slash or missing base
-                            stepsUrl = `${baseUrl}${selfLink.Href.startsWith('/') ? '' : '/'}${selfLink.Href}`;
-                        }
-                    } else {
-                        // Fallback construction
-                        stepsUrl = `${baseUrl}/DocuWare/Platform/Workflow/Workflows/${inst.WorkflowId}/Instances/${inst.Id}/History`;
-                    }
-
-                    const stepsRes = await axios.get(stepsUrl, {
-                        headers: { Authorization: `Bearer ${currentToken}` }
-                    });
-
-                    return {
-                        ...inst,
-                        HistorySteps: stepsRes.data.HistorySteps || stepsRes.data || []
-                    };
-
-                } catch (stepErr) {
-                    console.warn(`[Scheduler] Failed steps fetch for inst ${inst.Id}: ${stepErr.message}`);
-                    return { ...inst, HistorySteps: [] };
-                }
-            }));
-
-            return instancesWithSteps;
+            return response.data.InstanceHistory || response.data || [];
+        }, runState);
+    } catch (err) {
+        // If 404, just means no workflow history usually
+        if (err.response && err.response.status === 404) return [];
+        console.error(`[Scheduler] Workflow History Error for ${docId}:`, err.message);
+        throw err;
+    }
 
-        } catch (err) {
-            // If 404, just means no workflow history usually
-            if (err.response && err.response.status === 404) return [];
-            // If 401, rethrow to trigger retry
-            if (err.response && err.response.status === 401) throw err;
+    if (!Array.isArray(instances) || instances.length === 0) {
+        return [];
+    }
 
-            console.error(`[Scheduler] Workflow History Error for ${docId}:`, err.message);
-            throw err;
+    // 2. For each instance, fetch the Detailed History (Steps).
+    // Each call is retried on its own; if one still fails the whole document fails
+    // (exported as an error row) instead of silently losing its steps.
+    return Promise.all(instances.map(async (inst) => {
+        // Construct Steps URL
+        // If 'Links' has 'self', use it. Otherwise construct.
+        // Usually: .../Workflows/{wid}/Instances/{id}/History
+        let stepsUrl = null;
+        const selfLink = (inst.Links || []).find(l => l.Rel === 'self' || l.rel === 'self');
+
+        if (selfLink && selfLink.Href) {
+            // Check if full URL or relative
+            if (selfLink.Href.startsWith('http')) {
+                stepsUrl = selfLink.Href;
+            } else {
+                // Careful with double slash or missing base
+                stepsUrl = `${baseUrl}${selfLink.Href.startsWith('/') ? '' : '/'}${selfLink.Href}`;
+            }
+        } else {
+            // Fallback construction
+            stepsUrl = `${baseUrl}/DocuWare/Platform/Workflow/Workflows/${inst.WorkflowId}/Instances/${inst.Id}/History`;
         }
-    });
-}
-
-// Helper to structure request history (Pass-through since we now return structure from getDocumentHistory)
-function processHistoryIntoInstances(historyList) {
-    // The previous version tried to group a flat list.
-    // The NEW getDocumentHistory returns exactly the structure we want:
-    // [ { ...Instance, HistorySteps: [...] }, ... ]
 
-    // So we just mapping fields to ensure capitalization matches what the main loop expects
-    return historyList.map(inst => ({
-        Id: inst.Id,
-        Name: inst.WorkflowName || inst.Name || 'Workflow',
-        Version: inst.WorkflowVersion || inst.Version || 1,
-        StartDate: inst.StartedAt || inst.TimeStamp,
-        HistorySteps: inst.HistorySteps || []
+        try {
+            const steps = await executeWithRetry(`Get Steps ${inst.Id}`, async () => {
+                const currentToken = await tokenManager.getAccessToken(runState.connectionId);
+                const stepsRes = await axios.get(stepsUrl, {
+                    headers: { Authorization: `Bearer ${currentToken}` }
+                });
+                return stepsRes.data.HistorySteps || stepsRes.data || [];
+            }, runState);
+            return { ...inst, HistorySteps: steps };
+        } catch (stepErr) {
+            if (stepErr.response && stepErr.response.status === 404) return { ...inst, HistorySteps: [] };
+            console.warn(`[Scheduler] Failed steps fetch for inst ${inst.Id}: ${stepErr.message}`);
+            throw stepErr;
+        }
     }));
 }
 
-function formatDate(dateString) {
-    if (!dateString) return '';
-    if (typeof dateString === 'string' && dateString.startsWith('/Date(')) {
-        const timestamp = parseInt(dateString.match(/\d+/)[0]);
-        return new Date(timestamp).toLocaleString('pt-BR');
-    }
-    const d = new Date(dateString);
-    if (!isNaN(d.getTime())) return d.toLocaleString('pt-BR');
-    return '';
+/**
+ * DocuWare Platform URL for a schedule. DOCUWARE_PLATFORM_URL overrides the URL saved
+ * with the schedule (e.g. to run against the local mock server in mock-docuware/).
+ */
+function getPlatformUrl(auth) {
+    return (process.env.DOCUWARE_PLATFORM_URL || auth.url || '').replace(/\/$/, '');
 }
 
 function getDocumentViewUrl(baseUrl, orgId, cabinetId, docId) {
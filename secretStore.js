@@ -0,0 +1,126 @@
+/**
+ * @file secretStore.js
+ * @description Encryption at rest of the credentials kept in the data directory: DocuWare tokens
+ * (tokens.json), schedule refresh tokens and SQL Server passwords (schedules.json).
+ *
+ * Secrets are sealed with AES-256-GCM under a key derived from SECRETS_MASTER_KEY and stored as
+ * strings of the form `enc:v1:{iv}:{tag}:{ciphertext}` (base64). Without SECRETS_MASTER_KEY values
+ * are written as plain text, as before, and a warning is logged; reading an encrypted value then
+ * fails instead of silently using a wrong secret.
+ */
+import crypto from 'crypto';
+
+const PREFIX = 'enc:v1:';
+const KEY_SALT = 'pbi-export-secret-store'; // Fixed: the key must be derivable again on every start
+
+let derivedKey = null; // { masterKey, key } - scrypt is slow, derive once per master key
+let warnedPlaintext = false;
+
+function getKey() {
+    const masterKey = process.env.SECRETS_MASTER_KEY;
+    if (!masterKey) return null;
+    if (derivedKey?.masterKey !== masterKey) {
+        derivedKey = { masterKey, key: crypto.scryptSync(masterKey, KEY_SALT, 32) };
+    }
+    return derivedKey.key;
+}
+
+function getPath(object, fieldPath) {
+    return fieldPath.split('.').reduce((value, key) => (value == null ? undefined : value[key]), object);
+}
+
+// Copy of `object` with the value at `fieldPath` transformed (objects along the path are copied, not mutated)
+function mapPath(object, [key, ...rest], fn) {
+    if (object == null || typeof object !== 'object' || object[key] == null) return object;
+    return { ...object, [key]: rest.length ? mapPath(object[key], rest, fn) : fn(object[key]) };
+}
+
+export const secretStore = {
+    /**
+     * Whether SECRETS_MASTER_KEY is set, i.e. secrets are encrypted when written.
+     */
+    isEnabled: () => Boolean(process.env.SECRETS_MASTER_KEY),
+
+    isEncrypted: (value) => typeof value === 'string' && value.startsWith(PREFIX),
+
+    /**
+     * Encrypt a string. Returns it unchanged when already encrypted, or when no master key is set.
+     *
+     * @param {string} value
+     * @returns {string}
+     */
+    encrypt: (value) => {
+        if (typeof value !== 'string' || secretStore.isEncrypted(value)) return value;
+        const key = getKey();
+        if (!key) {
+            if (!warnedPlaintext) {
+                console.warn('[SecretStore] SECRETS_MASTER_KEY not set: credentials are stored in plain text.');
+                warnedPlaintext = true;
+            }
+            return value;
+        }
+        const iv = crypto.randomBytes(12);
+        const cipher = crypto.createCipheriv('aes-256-gcm', key, iv);
+        const ciphertext = Buffer.concat([cipher.update(value, 'utf-8'), cipher.final()]);
+        return `${PREFIX}${iv.toString('base64')}:${cipher.getAuthTag().toString('base64')}:${ciphertext.toString('base64')}`;
+    },
+
+    /**
+     * Decrypt a value written by encrypt. Plain text values are returned unchanged.
+     *
+     * @param {string} value
+     * @returns {string}
+     * @throws {Error} When the value is encrypted and the master key is missing or wrong.
+     */
+    decrypt: (value) => {
+        if (!secretStore.isEncrypted(value)) return value;
+        const key = getKey();
+        if (!key) throw new Error('Encrypted credentials found but SECRETS_MASTER_KEY is not set');
+        const [iv, tag, ciphertext] = value.slice(PREFIX.length).split(':').map(part => Buffer.from(part, 'base64'));
+        try {
+            const decipher = crypto.createDecipheriv('aes-256-gcm', key, iv);
+            decipher.setAuthTag(tag);
+            return Buffer.concat([decipher.update(ciphertext), decipher.final()]).toString('utf-8');
+        } catch {
+            throw new Error('Could not decrypt credentials: SECRETS_MASTER_KEY does not match the one they were encrypted with');
+        }
+    },
+
+    /**
+     * Copy of an object with the given fields encrypted (dotted paths, e.g. 'auth.refreshToken').
+     */
+    sealFields: (object, fieldPaths) =>
+        fieldPaths.reduce((result, fieldPath) => mapPath(result, fieldPath.split('.'), secretStore.encrypt), object),
+
+    /**
+     * Copy of an object with the given fields decrypted.
+     */
+    openFields: (object, fieldPaths) =>
+        fieldPaths.reduce((result, fieldPath) => mapPath(result, fieldPath.split('.'), secretStore.decrypt), object),
+
+    /**
+     * Whether any of the given fields is still stored in plain text while a master key is set,
+     * i.e. the object should be written again to encrypt it.
+     */
+    needsSealing: (object, fieldPaths) => secretStore.isEnabled() && fieldPaths.some(fieldPath => {
+        const value = getPath(object, fieldPath);
+        return typeof value === 'string' && value !== '' && !secretStore.isEncrypted(value);
+    }),
+
+    /**
+     * Serialize a whole JSON document as `{ "encrypted": "enc:v1:..." }` (plain JSON without a master key).
+     */
+    sealDocument: (data) => {
+        const json = JSON.stringify(data, null, 2);
+        const sealed = secretStore.encrypt(json);
+        return sealed === json ? json : JSON.stringify({ encrypted: sealed }, null, 2);
+    },
+
+    /**
+     * Parse a document written by sealDocument (or a plain JSON file written before encryption).
+     */
+    openDocument: (text) => {
+        const data = JSON.parse(text);
+        return secretStore.isEncrypted(data?.encrypted) ? JSON.parse(secretStore.decrypt(data.encrypted)) : data;
+    }
+};
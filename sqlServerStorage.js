@@ -0,0 +1,187 @@
+import sql from 'mssql';
+
+/**
+ * @file sqlServerStorage.js
+ * @description SQL Server storage target for scheduled exports.
+ * Pushes the flattened workflow-history rows produced by the scheduler into a
+ * warehouse table, creating the table (and any new cabinet field columns) on demand.
+ *
+ * Rows are upserted on (DOCID, Instance GUID, Passo), where "Passo" is the ordinal
+ * of the row inside its workflow instance. DOCID is part of the key because
+ * documents without workflow history carry an empty Instance GUID.
+ */
+
+// Columns we control the type of. Everything else (cabinet fields) is NVARCHAR(MAX).
+const FIXED_COLUMNS = {
+    'Instance GUID': 'NVARCHAR(64) NOT NULL',
+    'DOCID': 'NVARCHAR(64) NOT NULL',
+    'Passo': 'INT NOT NULL',
+    'Instância': 'NVARCHAR(400)',
+    'Versão': 'NVARCHAR(20)',
+    'Iniciado Em': 'NVARCHAR(50)',
+    'Atividade': 'NVARCHAR(400)',
+    'Tipo Atividade': 'NVARCHAR(100)',
+    'Decisão': 'NVARCHAR(400)',
+    'Usuário': 'NVARCHAR(400)',
+    'Data Decisão': 'NVARCHAR(50)',
+    'Link Documento': 'NVARCHAR(1000)'
+};
+
+const KEY_COLUMNS = ['DOCID', 'Instance GUID', 'Passo'];
+const DELETE_BATCH_SIZE = 1000; // DOCIDs per DELETE statement: full runs replace every document
+const UPDATED_AT_COLUMN = 'Atualizado Em';
+
+/**
+ * Quote a SQL Server identifier ([name]), escaping closing brackets.
+ * Accepts "schema.table" and quotes each part.
+ */
+const quoteIdent = (name) => String(name)
+    .split('.')
+    .map(part => `[${part.replace(/]/g, ']]')}]`)
+    .join('.');
+
+const quoteLiteral = (value) => `N'${String(value).replace(/'/g, "''")}'`;
+
+/**
+ * Build the mssql connection config from the schedule's storageConfig.sql block
+ * (as saved by ScheduledExportsPage).
+ */
+const buildConnectionConfig = (config) => ({
+    server: config.server,
+    port: parseInt(config.port, 10) || 1433,
+    database: config.database,
+    user: config.user,
+    password: config.password,
+    options: {
+        encrypt: config.encrypt !== undefined ? config.encrypt : true,
+        trustServerCertificate: config.trustServerCertificate !== undefined ? config.trustServerCertificate : true
+    },
+    requestTimeout: 300000
+});
+
+/**
+ * Assign the per-instance step ordinal used as part of the upsert key.
+ * Rows arrive in step order for each instance, so the ordinal is stable across runs.
+ */
+const withStepOrdinals = (rows) => {
+    const counters = new Map();
+    return rows.map(row => {
+        const key = `${row['DOCID']}|${row['Instance GUID'] || ''}`;
+        const step = (counters.get(key) || 0) + 1;
+        counters.set(key, step);
+        return { ...row, 'Instance GUID': row['Instance GUID'] || '', 'Passo': step };
+    });
+};
+
+const columnType = (column) => FIXED_COLUMNS[column] || 'NVARCHAR(MAX)';
+
+async function ensureTable(transaction, table, columns) {
+    const tableLiteral = quoteLiteral(table);
+    const columnDefs = columns.map(c => `${quoteIdent(c)} ${columnType(c)}`);
+    columnDefs.push(`${quoteIdent(UPDATED_AT_COLUMN)} DATETIME2 NOT NULL DEFAULT SYSUTCDATETIME()`);
+    columnDefs.push(`PRIMARY KEY (${KEY_COLUMNS.map(quoteIdent).join(', ')})`);
+
+    await new sql.Request(transaction).query(`
+        IF OBJECT_ID(${tableLiteral}, 'U') IS NULL
+            CREATE TABLE ${quoteIdent(table)} (${columnDefs.join(', ')});
+    `);
+
+    // Cabinet fields can be added after the table was first created.
+    const existing = await new sql.Request(transaction).query(`
+        SELECT name FROM sys.columns WHERE object_id = OBJECT_ID(${tableLiteral});
+    `);
+    const existingNames = new Set(existing.recordset.map(r => r.name.toLowerCase()));
+    const missing = columns.filter(c => !existingNames.has(c.toLowerCase()));
+
+    for (const column of missing) {
+        console.log(`[SqlServer] Adding column ${column} to ${table}`);
+        await new sql.Request(transaction).query(
+            `ALTER TABLE ${quoteIdent(table)} ADD ${quoteIdent(column)} ${columnType(column).replace(' NOT NULL', '')};`
+        );
+    }
+}
+
+export const sqlServerStorage = {
+    /**
+     * Upsert export rows into the configured SQL Server table.
+     *
+     * @param {Object} config - storageConfig.sql ({ server, port, database, table, user, password }).
+     * @param {Array<string>} headers - Ordered column list (fixed headers + dynamic cabinet fields).
+     * @param {Array<Object>} rows - Flattened export rows keyed by header.
+     * @param {Object} [options]
+     * @param {Array<string|number>} [options.replaceDocIds] - Delete every existing row of these documents
+     *   first (error rows, placeholders and removed steps of documents exported again).
+     * @returns {Promise<{ table: string, rowCount: number }>}
+     */
+    writeRows: async (config, headers, rows, { replaceDocIds = [] } = {}) => {
+        if (!config || !config.server || !config.database) {
+            throw new Error('SQL Server storage is missing server/database configuration');
+        }
+        const table = config.table || 'DocuWareExports';
+        const columns = [...new Set([...KEY_COLUMNS, ...headers])];
+        const keyedRows = withStepOrdinals(rows);
+
+        console.log(`[SqlServer] Connecting to ${config.server}:${config.port || 1433}/${config.database}...`);
+        const pool = await new sql.ConnectionPool(buildConnectionConfig(config)).connect();
+
+        try {
+            const transaction = new sql.Transaction(pool);
+            await transaction.begin();
+
+            try {
+                await ensureTable(transaction, table, columns);
+
+                for (let i = 0; i < replaceDocIds.length; i += DELETE_BATCH_SIZE) {
+                    const ids = replaceDocIds.slice(i, i + DELETE_BATCH_SIZE).map(id => quoteLiteral(id)).join(', ');
+                    await new sql.Request(transaction).query(
+                        `DELETE FROM ${quoteIdent(table)} WHERE ${quoteIdent('DOCID')} IN (${ids})`
+                    );
+                }
+
+                // Stage rows in a temp table, then MERGE into the target in one statement.
+                const staging = new sql.Table('#DocuWareStaging');
+                staging.create = true;
+                columns.forEach(c => {
+                    if (c === 'Passo') staging.columns.add(c, sql.Int, { nullable: false });
+                    else staging.columns.add(c, sql.NVarChar(sql.MAX), { nullable: true });
+                });
+                keyedRows.forEach(row => {
+                    staging.rows.add(...columns.map(c => {
+                        const val = row[c];
+                        if (c === 'Passo') return val;
+                        return val === null || val === undefined ? null : String(val);
+                    }));
+                });
+
+                await new sql.Request(transaction).bulk(staging);
+
+                const target = quoteIdent(table);
+                const on = KEY_COLUMNS.map(c => `T.${quoteIdent(c)} = S.${quoteIdent(c)}`).join(' AND ');
+                const updatable = columns.filter(c => !KEY_COLUMNS.includes(c));
+                const setClause = [
+                    ...updatable.map(c => `T.${quoteIdent(c)} = S.${quoteIdent(c)}`),
+                    `T.${quoteIdent(UPDATED_AT_COLUMN)} = SYSUTCDATETIME()`
+                ].join(', ');
+                const insertCols = columns.map(quoteIdent).join(', ');
+                const insertVals = columns.map(c => `S.${quoteIdent(c)}`).join(', ');
+
+                await new sql.Request(transaction).query(`
+                    MERGE ${target} AS T
+                    USING #DocuWareStaging AS S ON ${on}
+                    WHEN MATCHED THEN UPDATE SET ${setClause}
+                    WHEN NOT MATCHED BY TARGET THEN INSERT (${insertCols}) VALUES (${insertVals});
+                `);
+
+                await transaction.commit();
+            } catch (err) {
+                await transaction.rollback().catch(() => { });
+                throw err;
+            }
+
+            console.log(`[SqlServer] Upserted ${keyedRows.length} rows into ${table}`);
+            return { table, rowCount: keyedRows.length };
+        } finally {
+            await pool.close();
+        }
+    }
+};
@@ -11,7 +11,7 @@ const SearchForm = ({ onSearch, onLog, totalCount = 0, onCabinetChange, onFilter
     const [allFields, setAllFields] = useState([]); // Store all raw fields
     const [suggestions, setSuggestions] = useState({}); // { [index]: [values] }
     const [filters, setFilters] = useState([{ fieldName: '', value: '' }]);
-    const [resultLimit, setResultLimit] = useState(1000); // Default to 1000
+    const [resultLimit, setResultLimit] = useState(0); // 0 = All (paginated)
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
 
@@ -395,7 +395,7 @@ const SearchForm = ({ onSearch, onLog, totalCount = 0, onCabinetChange, onFilter
                                     <option value="500">500</option>
                                     <option value="1000">1000</option>
                                     <option value="2000">2000</option>
-                                    <option value="999999">All</option>
+                                    <option value="0">All</option>
                                 </select>
                             </div>
 
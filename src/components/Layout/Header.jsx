@@ -1,6 +1,9 @@
-import { FaBars, FaSignOutAlt, FaUserCircle } from 'react-icons/fa';
+import { FaBars, FaSignOutAlt, FaUserCircle, FaExclamationTriangle } from 'react-icons/fa';
 import { useAuth } from '../../context/AuthContext';
 import { useState, useEffect } from 'react';
+import { authService } from '../../services/authService';
+
+const BACKEND_STATUS_POLL_MS = 60000;
 
 const SessionTimer = () => {
     const [timeLeft, setTimeLeft] = useState(3600); // 1 hour in seconds
@@ -45,6 +48,44 @@ const SessionTimer = () => {
     );
 };
 
+/**
+ * Warning shown while the backend session used by scheduled exports is unhealthy
+ * (failed token refresh, no refresh token, proxy unreachable). Hidden when all is well.
+ */
+const BackendSessionWarning = () => {
+    const [problems, setProblems] = useState([]);
+
+    useEffect(() => {
+        const check = async () => {
+            try {
+                const status = await authService.getBackendStatus();
+                if (status.healthy) return setProblems([]);
+                setProblems(status.connections.length === 0
+                    ? ['Nenhuma sessão no servidor: faça login novamente']
+                    : status.connections.filter(c => !c.healthy).map(c => `${c.name}: ${c.problem}`));
+            } catch {
+                setProblems(['Servidor (proxy) indisponível']);
+            }
+        };
+
+        check();
+        const interval = setInterval(check, BACKEND_STATUS_POLL_MS);
+        return () => clearInterval(interval);
+    }, []);
+
+    if (problems.length === 0) return null;
+
+    return (
+        <div
+            className="flex items-center gap-2 px-3 py-1.5 rounded-full border text-sm font-medium bg-red-100 text-red-800 border-red-200"
+            title={`Exportações agendadas podem falhar:\n${problems.join('\n')}`}
+        >
+            <FaExclamationTriangle />
+            <span className="hidden md:inline">Sessão do servidor</span>
+        </div>
+    );
+};
+
 const Header = ({ isSidebarCollapsed, toggleSidebar }) => {
     const { user, logout } = useAuth();
 
@@ -68,6 +109,9 @@ const Header = ({ isSidebarCollapsed, toggleSidebar }) => {
 
             {/* Right: User User & Actions */}
             <div className="flex items-center gap-4">
+                {/* Backend session health (scheduled exports) */}
+                <BackendSessionWarning />
+
                 {/* Session Timer */}
                 <SessionTimer />
 
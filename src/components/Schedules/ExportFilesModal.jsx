@@ -0,0 +1,89 @@
+import { FaDownload } from 'react-icons/fa';
+
+const STATUS_BADGE = {
+    SUCCESS: 'badge-success',
+    PARTIAL: 'badge-warning',
+    ERROR: 'badge-error'
+};
+
+const formatSize = (bytes) => {
+    if (bytes < 1024) return `${bytes} B`;
+    if (bytes < 1024 * 1024) return `${(bytes / 1024).toFixed(1)} KB`;
+    return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+};
+
+/**
+ * Files written by a schedule's runs (GET /api/exports/:scheduleId), with download links, and
+ * the stable latest.{format} alias to point Power BI at.
+ * Rendered open while `schedule` is set; `onClose` clears it.
+ */
+const ExportFilesModal = ({ schedule, files, loading, error, baseUrl, onClose }) => {
+    if (!schedule) return null;
+    const latest = files.find(file => file.status === 'SUCCESS'); // Copied to latest.{format} by the scheduler
+
+    return (
+        <dialog className="modal modal-open">
+            <div className="modal-box w-11/12 max-w-3xl">
+                <h3 className="font-bold text-lg mb-4">Export Files · {schedule.name}</h3>
+
+                {loading && <div className="text-center py-6"><span className="loading loading-spinner loading-md text-primary"></span></div>}
+                {error && <div className="alert alert-error text-xs py-2">{error}</div>}
+
+                {!loading && !error && files.length === 0 && (
+                    <div className="text-sm opacity-60">No files yet. SQL Server destinations do not produce files.</div>
+                )}
+
+                {!loading && latest && (
+                    <div className="mb-4 p-3 bg-base-200 rounded-lg text-xs space-y-1">
+                        <div className="font-bold">Stable location for Power BI (newest successful export)</div>
+                        <div className="font-mono break-all">exports/{schedule.id}/latest.{latest.format}</div>
+                        <a className="link link-primary font-mono break-all" href={`${baseUrl}/api/exports/${schedule.id}/latest?inline=true`}>
+                            {`${baseUrl}/api/exports/${schedule.id}/latest?inline=true`}
+                        </a>
+                        <div>OData feed (token in ODATA_TOKENS): <span className="font-mono break-all">{`${baseUrl}/odata/${schedule.id}`}</span></div>
+                    </div>
+                )}
+
+                {!loading && files.length > 0 && (
+                    <div className="overflow-x-auto max-h-96">
+                        <table className="table table-xs table-zebra">
+                            <thead>
+                                <tr><th>Finished</th><th>File</th><th>Rows</th><th>Size</th><th>Status</th><th></th></tr>
+                            </thead>
+                            <tbody>
+                                {files.map(file => (
+                                    <tr key={file.runId}>
+                                        <td className="whitespace-nowrap">{new Date(file.finishedAt).toLocaleString()}</td>
+                                        <td className="font-mono break-all">{file.fileName}</td>
+                                        <td>{file.rowCount}</td>
+                                        <td className="whitespace-nowrap">{formatSize(file.size)}</td>
+                                        <td><span className={`badge badge-xs ${STATUS_BADGE[file.status] || 'badge-ghost'}`}>{file.status}</span></td>
+                                        <td>
+                                            <a
+                                                className="btn btn-xs btn-ghost text-primary"
+                                                href={`${baseUrl}/api/exports/${schedule.id}/${file.runId}/file`}
+                                                download={file.fileName}
+                                                title="Download"
+                                            >
+                                                <FaDownload />
+                                            </a>
+                                        </td>
+                                    </tr>
+                                ))}
+                            </tbody>
+                        </table>
+                    </div>
+                )}
+
+                <div className="modal-action">
+                    <button className="btn btn-sm" onClick={onClose}>Close</button>
+                </div>
+            </div>
+            <form method="dialog" className="modal-backdrop">
+                <button onClick={onClose}>close</button>
+            </form>
+        </dialog>
+    );
+};
+
+export default ExportFilesModal;
@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { FaTrash, FaPlus, FaPaperPlane } from 'react-icons/fa';
+
+const TOGGLES = [
+    { key: 'onSuccess', label: 'Success' },
+    { key: 'onPartial', label: 'Partial' },
+    { key: 'onFailure', label: 'Failure' }
+];
+
+const NEW_TARGETS = {
+    webhook: { type: 'webhook', url: '', onSuccess: false, onPartial: true, onFailure: true },
+    email: { type: 'email', to: '', onSuccess: false, onPartial: true, onFailure: true }
+};
+
+/**
+ * Notification targets of a schedule (webhooks and e-mail recipients), each with
+ * success/partial/failure toggles. `onTest(target)` sends a sample notification and
+ * resolves with an error message, or null when it was delivered.
+ */
+const NotificationTargets = ({ targets, onChange, onTest }) => {
+    const [testResults, setTestResults] = useState({}); // index -> { ok, message }
+
+    const update = (index, patch) => onChange(targets.map((t, i) => (i === index ? { ...t, ...patch } : t)));
+    const remove = (index) => {
+        onChange(targets.filter((_, i) => i !== index));
+        setTestResults({});
+    };
+
+    const handleTest = async (index) => {
+        setTestResults(prev => ({ ...prev, [index]: { ok: null, message: 'Sending...' } }));
+        const error = await onTest(targets[index]);
+        setTestResults(prev => ({ ...prev, [index]: error ? { ok: false, message: error } : { ok: true, message: 'Sent' } }));
+    };
+
+    return (
+        <div className="space-y-3">
+            {targets.length === 0 && <div className="text-xs opacity-60">No notifications. Failures are only visible in the Execution Log.</div>}
+
+            {targets.map((target, index) => (
+                <div key={index} className="p-3 bg-gray-50 rounded-lg border border-gray-200 space-y-2">
+                    <div className="flex gap-2 items-center">
+                        <span className="badge badge-sm badge-outline">{target.type === 'email' ? 'E-mail' : 'Webhook'}</span>
+                        {target.type === 'email' ? (
+                            <input
+                                type="text"
+                                className="input input-bordered input-sm flex-1"
+                                placeholder="ops@example.com, bi@example.com"
+                                value={target.to}
+                                onChange={e => update(index, { to: e.target.value })}
+                            />
+                        ) : (
+                            <input
+                                type="url"
+                                className="input input-bordered input-sm flex-1"
+                                placeholder="https://hooks.example.com/pbi-export"
+                                value={target.url}
+                                onChange={e => update(index, { url: e.target.value })}
+                            />
+                        )}
+                        <button className="btn btn-xs btn-ghost" onClick={() => handleTest(index)} title="Send test notification"><FaPaperPlane /></button>
+                        <button className="btn btn-xs btn-error btn-outline" onClick={() => remove(index)} title="Remove"><FaTrash /></button>
+                    </div>
+                    <div className="flex gap-4 items-center text-xs">
+                        <span className="opacity-70">Notify on:</span>
+                        {TOGGLES.map(({ key, label }) => (
+                            <label key={key} className="label cursor-pointer gap-1 p-0">
+                                <input
+                                    type="checkbox"
+                                    className="checkbox checkbox-xs"
+                                    checked={!!target[key]}
+                                    onChange={e => update(index, { [key]: e.target.checked })}
+                                />
+                                <span className="label-text text-xs">{label}</span>
+                            </label>
+                        ))}
+                        {testResults[index] && (
+                            <span className={testResults[index].ok === false ? 'text-error' : testResults[index].ok ? 'text-success' : 'opacity-60'}>
+                                {testResults[index].message}
+                            </span>
+                        )}
+                    </div>
+                </div>
+            ))}
+
+            <div className="flex gap-2">
+                <button className="btn btn-xs btn-outline gap-1" onClick={() => onChange([...targets, { ...NEW_TARGETS.webhook }])}><FaPlus /> Webhook</button>
+                <button className="btn btn-xs btn-outline gap-1" onClick={() => onChange([...targets, { ...NEW_TARGETS.email }])}><FaPlus /> E-mail</button>
+            </div>
+        </div>
+    );
+};
+
+export default NotificationTargets;
@@ -0,0 +1,107 @@
+const STATUS_BADGE = {
+    SUCCESS: 'badge-success',
+    PARTIAL: 'badge-warning',
+    ERROR: 'badge-error',
+    ABORTED: 'badge-error'
+};
+
+const TRIGGER_LABELS = {
+    manual: 'Manual run',
+    retry: 'Retry of failed documents',
+    catchup: 'Missed run (caught up)'
+};
+
+const formatDuration = (ms) => {
+    if (ms === null || ms === undefined) return '-';
+    const seconds = Math.round(ms / 1000);
+    if (seconds < 60) return `${seconds}s`;
+    return `${Math.floor(seconds / 60)}m ${seconds % 60}s`;
+};
+
+/**
+ * Detailed report of a scheduled export run (GET /api/schedules/:id/runs/:runId).
+ * Rendered open while `report` (or `loading`) is set; `onClose` clears it.
+ */
+const RunReportModal = ({ report, loading, error, onClose }) => {
+    if (!report && !loading && !error) return null;
+
+    return (
+        <dialog className="modal modal-open">
+            <div className="modal-box w-11/12 max-w-2xl">
+                <h3 className="font-bold text-lg mb-4 flex items-center gap-2">
+                    Run Report
+                    {report && <span className={`badge ${STATUS_BADGE[report.status] || 'badge-ghost'}`}>{report.status}</span>}
+                </h3>
+
+                {loading && <div className="text-center py-6"><span className="loading loading-spinner loading-md text-primary"></span></div>}
+                {error && <div className="alert alert-error text-xs py-2">{error}</div>}
+
+                {report && (
+                    <div className="space-y-4 text-sm">
+                        <div className="opacity-80">{report.scheduleName} · {TRIGGER_LABELS[report.trigger] || 'Scheduled run'}</div>
+
+                        <div className="grid grid-cols-2 md:grid-cols-3 gap-2 text-xs">
+                            <div><span className="font-semibold">Started:</span> {new Date(report.startedAt).toLocaleString()}</div>
+                            <div><span className="font-semibold">Duration:</span> {formatDuration(report.durationMs)}</div>
+                            {report.resumedAt && <div><span className="font-semibold">Resumed:</span> {new Date(report.resumedAt).toLocaleString()}</div>}
+                            <div><span className="font-semibold">Documents:</span> {report.docCount} / {report.totalCount ?? '-'}</div>
+                            <div><span className="font-semibold">Rows:</span> {report.lineCount}</div>
+                            <div><span className="font-semibold">Failed:</span> {report.failedCount}</div>
+                            <div><span className="font-semibold">Retries:</span> {report.retries}</div>
+                        </div>
+
+                        <div className="p-2 bg-base-200 rounded text-xs break-words">{report.message}</div>
+
+                        {report.output && (
+                            <div className="text-xs break-all">
+                                <span className="font-semibold">Output:</span> {report.output.file || report.output.table}
+                            </div>
+                        )}
+
+                        {report.notifications && report.notifications.length > 0 && (
+                            <div className="text-xs space-y-1">
+                                <div className="font-semibold">Notifications</div>
+                                {report.notifications.map((n, i) => (
+                                    <div key={i} className={n.ok ? 'text-success' : 'text-error'}>
+                                        {n.ok ? '✓' : '✗'} {n.target}{n.error ? `: ${n.error}` : ''}
+                                    </div>
+                                ))}
+                            </div>
+                        )}
+
+                        {report.failedDocuments && report.failedDocuments.length > 0 && (
+                            <div>
+                                <div className="font-semibold text-xs mb-1">Failed Documents</div>
+                                <div className="overflow-x-auto max-h-64">
+                                    <table className="table table-xs table-zebra">
+                                        <thead>
+                                            <tr><th>DocID</th><th>HTTP</th><th>Message</th></tr>
+                                        </thead>
+                                        <tbody>
+                                            {report.failedDocuments.map(doc => (
+                                                <tr key={doc.docId}>
+                                                    <td className="font-mono">{doc.docId}</td>
+                                                    <td>{doc.httpStatus || doc.code || '-'}</td>
+                                                    <td className="break-words">{doc.message}</td>
+                                                </tr>
+                                            ))}
+                                        </tbody>
+                                    </table>
+                                </div>
+                            </div>
+                        )}
+                    </div>
+                )}
+
+                <div className="modal-action">
+                    <button className="btn btn-sm" onClick={onClose}>Close</button>
+                </div>
+            </div>
+            <form method="dialog" className="modal-backdrop">
+                <button onClick={onClose}>close</button>
+            </form>
+        </dialog>
+    );
+};
+
+export default RunReportModal;
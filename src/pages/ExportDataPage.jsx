@@ -1,7 +1,9 @@
 import React, { useState, useEffect, useRef } from 'react';
-import { FaFileCsv, FaSearch, FaHistory, FaCheckCircle, FaTimesCircle, FaClock, FaUser, FaBan, FaList, FaDownload, FaStop } from 'react-icons/fa';
+import { FaFileCsv, FaFileExcel, FaSearch, FaHistory, FaCheckCircle, FaTimesCircle, FaClock, FaUser, FaBan, FaList, FaDownload, FaStop } from 'react-icons/fa';
 import { workflowAnalyticsService } from '../services/workflowAnalyticsService';
 import { docuwareService } from '../services/docuwareService';
+import { xlsxWriter } from '../services/xlsxWriter';
+import { exportPipeline } from '../services/exportPipeline';
 import SearchForm from '../components/Documents/SearchForm';
 import ResultsTable from '../components/Documents/ResultsTable';
 
@@ -44,11 +46,12 @@ const ExportDataPage = () => {
         setLogs([]); // Clear logs on new search
         setSearchResults([]);
         try {
-            addLog(`Searching in cabinet ${selectedCabinetId} (Limit: ${resultLimit})...`);
-            const response = await docuwareService.searchDocuments(selectedCabinetId, filters, resultLimit);
+            addLog(`Searching in cabinet ${selectedCabinetId} (Limit: ${resultLimit || 'All'})...`);
+            const response = await docuwareService.searchDocuments(selectedCabinetId, filters, resultLimit,
+                (loaded, total) => addLog(`📄 Loaded ${loaded} / ${total} documents...`));
             setSearchResults(response.items || []);
             setStats(prev => ({ ...prev, foundDocs: response.items.length }));
-            addLog(`✅ Search Complete. Found ${response.items.length} documents.`);
+            addLog(`✅ Search Complete. Loaded ${response.items.length} of ${response.total} matching documents.`);
         } catch (err) {
             addLog(`❌ Search Failed: ${err.message}`);
         } finally {
@@ -56,27 +59,19 @@ const ExportDataPage = () => {
         }
     };
 
-    const formatDate = (dateString, simple = false) => {
-        if (!dateString) return '';
-        let dateObj;
-        if (typeof dateString === 'string' && dateString.startsWith('/Date(')) {
-            const timestamp = parseInt(dateString.match(/\d+/)[0]);
-            dateObj = new Date(timestamp);
-        } else {
-            dateObj = new Date(dateString);
-        }
-        if (isNaN(dateObj.getTime())) return '';
-
-        // Validate year - DocuWare returns placeholder dates like year 3938, 9999
-        const year = dateObj.getFullYear();
-        if (year > 2100 || year < 1900) return '';
-
-        return simple ? dateObj.toLocaleDateString('pt-BR') : dateObj.toLocaleString('pt-BR');
+    const downloadBlob = (blob, filename) => {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.setAttribute('download', filename);
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
     };
 
     // --- Bulk Export Logic ---
 
-    const handleBulkExport = async () => {
+    const handleBulkExport = async (format = 'csv') => {
         if (!searchResults.length) return;
 
         setIsExporting(true);
@@ -85,24 +80,8 @@ const ExportDataPage = () => {
         addLog(`🚀 Starting Bulk History Export for ${searchResults.length} documents...`);
 
         const allRows = [];
-        // Define CSV Headers
-        // We will collect specific field names dynamically from the first document if possible, 
-        // OR we just use standard ones + whatever fields are in result.
-        // Getting fields for *every* doc might be heavy if we want ALL fields. 
-        // The search result usually contains basic index fields. 
-
-        // Let's assume we want: Standard Columns + All Index Fields available in search result.
-        let dynamicFields = [];
-
-        // Helper to format CSV Value
-        const escapeCsv = (val) => {
-            if (val === null || val === undefined) return '';
-            const str = String(val);
-            if (str.includes(';') || str.includes('"') || str.includes('\n')) {
-                return `"${str.replace(/"/g, '""')}"`;
-            }
-            return str;
-        };
+        const failedDocs = []; // { docId, httpStatus, message } - reported at the end instead of hidden in error rows
+        const columnTypes = exportPipeline.getColumnTypes(searchResults);
 
         const BATCH_SIZE = 10; // Process 10 docs in parallel for better speed 
 
@@ -113,111 +92,33 @@ const ExportDataPage = () => {
                 const batch = searchResults.slice(i, i + BATCH_SIZE);
                 const batchPromises = batch.map(async (doc) => {
                     const docId = doc.Id;
+                    // Search result 'Fields' is array: [{FieldName, Item, ...}]
+                    const fields = exportPipeline.getFieldValues(doc);
+                    const link = docuwareService.getDocumentViewUrl(cabinetId, docId);
                     try {
                         // Fetch History
                         const instances = await workflowAnalyticsService.getHistoryByDocId(docId, cabinetId);
-
-                        // Extract fields for CSV (just once to build header list?) 
-                        // Actually, we can just grab them from the 'doc' object which has 'Fields' usually from search
-                        // Search result 'Fields' is array: [{FieldName, Item, ...}]
-                        const docFields = {};
-                        if (doc.Fields) {
-                            doc.Fields.forEach(f => {
-                                const val = f.Item || f.Int || f.Decimal || f.Date || f.DateTime || '';
-                                docFields[f.FieldName] = val;
-                                if (!dynamicFields.includes(f.FieldName)) dynamicFields.push(f.FieldName);
-                            });
-                        }
-
-                        // Process Instances
-                        if (!instances || instances.length === 0) {
-                            // Row for Doc with No History
-                            return [{
-                                'Instance GUID': '',
-                                'DOCID': docId,
-                                'Instância': 'Sem Histórico',
-                                'Versão': '',
-                                'Iniciado Em': '',
-                                'Atividade': '',
-                                'Tipo Atividade': '',
-                                'Decisão': '',
-                                'Usuário': '',
-                                'Data Decisão': '',
-                                'Link Documento': docuwareService.getDocumentViewUrl(cabinetId, docId),
-                                ...docFields
-                            }];
-                        }
-
-                        const docRows = [];
-                        instances.sort((a, b) => (b.Version || 0) - (a.Version || 0)); // Sort versions
-
-                        instances.forEach(instance => {
-                            const steps = instance.HistorySteps || [];
-                            // Filter logic (optional, keep 'show all' for export usually?)
-                            // Let's keep the filter for "User facing" to avoid noise, unless user wants ALL.
-                            // User request: "todo o histórico". So let's include relevant ones, standardizing on important steps.
-
-                            if (steps.length === 0) {
-                                docRows.push({
-                                    'Instance GUID': instance.Id,
-                                    'DOCID': docId,
-                                    'Instância': instance.Name,
-                                    'Versão': instance.Version,
-                                    'Iniciado Em': formatDate(instance.StartDate || instance.StartedAt, true),
-                                    'Atividade': '(Sem passos)',
-                                    'Link Documento': docuwareService.getDocumentViewUrl(cabinetId, docId),
-                                    ...docFields
-                                });
-                            } else {
-                                steps.forEach(step => {
-                                    // Extract User
-                                    const infoItem = step.Info?.Item || {};
-                                    let validUser = infoItem.UserName || step.User || step.UserName || '';
-                                    if (!validUser && infoItem.AssignedUsers && Array.isArray(infoItem.AssignedUsers)) {
-                                        validUser = infoItem.AssignedUsers.join(', ');
-                                    }
-
-                                    const validDate = infoItem.DecisionDate || step.StepDate || step.TimeStamp || '';
-                                    const validDecision = infoItem.DecisionName || step.DecisionLabel || '';
-
-                                    docRows.push({
-                                        'Instance GUID': instance.Id,
-                                        'DOCID': docId,
-                                        'Instância': instance.Name,
-                                        'Versão': instance.Version,
-                                        'Iniciado Em': formatDate(instance.StartDate || instance.StartedAt, true),
-                                        'Atividade': step.ActivityName || step.Name,
-                                        'Tipo Atividade': step.ActivityType,
-                                        'Decisão': validDecision,
-                                        'Usuário': validUser,
-                                        'Data Decisão': formatDate(validDate),
-                                        'Link Documento': docuwareService.getDocumentViewUrl(cabinetId, docId),
-                                        ...docFields
-                                    });
-                                });
-                            }
-                        });
-                        return docRows;
-
+                        return { rows: exportPipeline.buildDocumentRows({ docId, instances, fields, link }) };
                     } catch (err) {
                         console.error(`Error processing doc ${docId}`, err);
-                        // Return error row
-                        return [{
-                            'DOCID': docId,
-                            'Instância': 'ERRO AO BUSCAR HISTÓRICO',
-                            'Link Documento': docuwareService.getDocumentViewUrl(cabinetId, docId)
-                        }];
+                        // Keep the document in the file as an error row, but report it as failed
+                        return {
+                            rows: [exportPipeline.buildErrorRow({ docId, fields, link })],
+                            failure: { docId, httpStatus: err.response?.status ?? null, message: err.response?.data?.Message || err.message }
+                        };
                     }
                 });
 
                 const batchResults = await Promise.all(batchPromises);
 
-                batchResults.forEach(res => {
-                    if (res && res.length > 0) {
-                        allRows.push(...res);
-                        setExportProgress(prev => ({ ...prev, success: prev.success + 1 }));
-                    } else {
+                batchResults.forEach(({ rows, failure }) => {
+                    allRows.push(...rows);
+                    if (failure) {
+                        failedDocs.push(failure);
+                        addLog(`⚠️ DocID ${failure.docId}: ${failure.httpStatus ? `HTTP ${failure.httpStatus} - ` : ''}${failure.message}`);
                         setExportProgress(prev => ({ ...prev, fail: prev.fail + 1 }));
+                    } else {
+                        setExportProgress(prev => ({ ...prev, success: prev.success + 1 }));
                     }
                 });
 
@@ -227,37 +128,30 @@ const ExportDataPage = () => {
             if (cancelExportRef.current) {
                 addLog('🛑 Export cancelled by user.');
             } else {
-                addLog(`✅ Processing complete. Generating CSV with ${allRows.length} rows...`);
-
-                // 3. Generate CSV
-                dynamicFields.sort();
-                const fixedHeaders = [
-                    'Instance GUID', 'DOCID', 'Instância', 'Versão', 'Iniciado Em',
-                    'Atividade', 'Tipo Atividade', 'Decisão', 'Usuário', 'Data Decisão', 'Link Documento'
-                ];
-
-                const finalHeaders = [...fixedHeaders, ...dynamicFields];
-
-                const headerRow = finalHeaders.map(escapeCsv).join(';');
-                const csvRows = allRows.map(row => {
-                    return finalHeaders.map(header => {
-                        let val = row[header];
-                        // Handle date objects in dynamic fields if any
-                        if (val && typeof val === 'string' && val.includes('/Date(')) val = formatDate(val);
-                        return escapeCsv(val);
-                    }).join(';');
-                });
-
-                const csvContent = [headerRow, ...csvRows].join('\n');
-
-                const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
-                const url = URL.createObjectURL(blob);
-                const link = document.createElement('a');
-                link.href = url;
-                link.setAttribute('download', `Bulk_Export_Workflow_${new Date().getTime()}.csv`);
-                document.body.appendChild(link);
-                link.click();
-                document.body.removeChild(link);
+                if (failedDocs.length > 0) {
+                    addLog(`⚠️ ${failedDocs.length} of ${searchResults.length} documents failed to load workflow history (exported as error rows): ${failedDocs.map(f => f.docId).join(', ')}`);
+                }
+                addLog(`✅ Processing complete. Generating ${format.toUpperCase()} with ${allRows.length} rows...`);
+
+                // 3. Generate File
+                const finalHeaders = exportPipeline.getHeaders(allRows);
+
+                if (format === 'xlsx') {
+                    const blob = await xlsxWriter.build({
+                        headers: finalHeaders,
+                        rows: allRows,
+                        columnTypes,
+                        hyperlinkColumns: ['Link Documento'],
+                        type: 'blob'
+                    });
+                    downloadBlob(blob, `Bulk_Export_Workflow_${new Date().getTime()}.xlsx`);
+                    addLog('💾 XLSX Download started.');
+                    return;
+                }
+
+                const csvContent = exportPipeline.toCsv(finalHeaders, allRows, columnTypes);
+                const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
+                downloadBlob(blob, `Bulk_Export_Workflow_${new Date().getTime()}.csv`);
 
                 addLog('💾 CSV Download started.');
             }
@@ -312,12 +206,20 @@ const ExportDataPage = () => {
                                 </div>
                                 <div className="flex gap-3">
                                     {!isExporting ? (
-                                        <button
-                                            className="btn btn-primary gap-2"
-                                            onClick={handleBulkExport}
-                                        >
-                                            <FaDownload /> Exportar Histórico Completo (.CSV)
-                                        </button>
+                                        <>
+                                            <button
+                                                className="btn btn-primary gap-2"
+                                                onClick={() => handleBulkExport('csv')}
+                                            >
+                                                <FaDownload /> Exportar Histórico Completo (.CSV)
+                                            </button>
+                                            <button
+                                                className="btn btn-success gap-2"
+                                                onClick={() => handleBulkExport('xlsx')}
+                                            >
+                                                <FaFileExcel /> Excel (.XLSX)
+                                            </button>
+                                        </>
                                     ) : (
                                         <button
                                             className="btn btn-error gap-2"
@@ -332,7 +234,7 @@ const ExportDataPage = () => {
                                 <div className="px-6 pb-6">
                                     <div className="flex justify-between text-xs font-semibold mb-1">
                                         <span>Progresso: {exportProgress.current} / {exportProgress.total}</span>
-                                        <span>Sucesso: {exportProgress.success}</span>
+                                        <span>Sucesso: {exportProgress.success}{exportProgress.fail > 0 && <span className="text-error ml-2">Falhas: {exportProgress.fail}</span>}</span>
                                     </div>
                                     <progress
                                         className="progress progress-primary w-full h-3"
@@ -4,8 +4,18 @@ import { authService } from '../services/authService';
 import LoadingSpinner from '../components/Common/LoadingSpinner';
 import ErrorMessage from '../components/Common/ErrorMessage';
 import SearchForm from '../components/Documents/SearchForm';
+import RunReportModal from '../components/Schedules/RunReportModal';
+import NotificationTargets from '../components/Schedules/NotificationTargets';
+import ExportFilesModal from '../components/Schedules/ExportFilesModal';
 import axios from 'axios';
-import { FaClock, FaList, FaHistory, FaTrash, FaPlay, FaPause, FaPen, FaStop, FaCheckCircle, FaPlus } from 'react-icons/fa';
+import { FaClock, FaList, FaHistory, FaTrash, FaPlay, FaPause, FaPen, FaStop, FaCheckCircle, FaPlus, FaRedo, FaFolderOpen } from 'react-icons/fa';
+
+// Zone of this browser; new schedules run in it by default
+const USER_TIMEZONE = Intl.DateTimeFormat().resolvedOptions().timeZone;
+const TIMEZONE_OPTIONS = ['Africa/Luanda', 'Europe/Lisbon', 'UTC'];
+const PREVIEW_RESULT_LIMIT = 100; // The filter preview shows the hit count (search total), not the documents
+
+const formatInZone = (date, timeZone) => new Date(date).toLocaleString(undefined, { timeZone: timeZone || undefined, dateStyle: 'short', timeStyle: 'short' });
 
 const ScheduledExportsPage = () => {
     // Schedule Config State
@@ -18,9 +28,20 @@ const ScheduledExportsPage = () => {
     const [monthDay, setMonthDay] = useState(1);
     const [intervalValue, setIntervalValue] = useState(15);
     const [intervalUnit, setIntervalUnit] = useState('minutes'); // minutes, hours
+    const [exportMode, setExportMode] = useState('full'); // full, incremental
+    const [errorThreshold, setErrorThreshold] = useState(0); // % of failed documents tolerated per run
+    const [errorAction, setErrorAction] = useState('partial'); // partial, failed (above the threshold)
+    const [overlapPolicy, setOverlapPolicy] = useState('queue'); // queue, skip (when a run is already active)
+    const [interruptPolicy, setInterruptPolicy] = useState('resume'); // resume, abort (runs cut short by a server restart)
+    const [catchUpPolicy, setCatchUpPolicy] = useState('once'); // once, all, skip (runs missed while the server was down)
+    const [timezone, setTimezone] = useState(USER_TIMEZONE); // IANA zone the cron times are in ('' = server time)
+    const [serverTimezone, setServerTimezone] = useState('');
+    const [notifications, setNotifications] = useState([]); // Webhook / e-mail targets (see notifier.js)
+    const [retentionMode, setRetentionMode] = useState('all'); // all, count, days, weekly, monthly (see retention.js)
+    const [retentionValue, setRetentionValue] = useState(30); // files (count) or days
 
     // Storage Config State
-    const [storageType, setStorageType] = useState('csv'); // csv, sqlserver
+    const [storageType, setStorageType] = useState('csv'); // csv, xlsx, parquet, sqlserver
     const [sqlConfig, setSqlConfig] = useState({
         server: '',
         database: '',
@@ -39,10 +60,13 @@ const ScheduledExportsPage = () => {
     const [schedules, setSchedules] = useState([]);
     const [logs, setLogs] = useState([]);
     const [runningExports, setRunningExports] = useState(new Set()); // Track running IDs
+    const [queuedExports, setQueuedExports] = useState(new Set()); // Schedule IDs waiting in the job queue
     const [editingId, setEditingId] = useState(null); // Track if editing
     const [loading, setLoading] = useState(false);
     const [error, setError] = useState('');
     const [success, setSuccess] = useState('');
+    const [runReport, setRunReport] = useState({ report: null, loading: false, error: '' });
+    const [exportFiles, setExportFiles] = useState({ schedule: null, files: [], loading: false, error: '' });
 
     // Search Preview State
     const [previewStats, setPreviewStats] = useState({ totalCabinetDocs: 0, foundDocs: null });
@@ -57,6 +81,7 @@ const ScheduledExportsPage = () => {
         fetchCabinets();
         fetchSchedules();
         fetchLogs();
+        fetchServerTimezone();
 
         // Refresh logs every 3 seconds for better responsiveness
         const interval = setInterval(() => {
@@ -71,7 +96,9 @@ const ScheduledExportsPage = () => {
         try {
             const baseUrl = getProxyBaseUrl();
             const res = await axios.get(`${baseUrl}/api/schedules/running`);
-            setRunningExports(new Set(res.data || []));
+            const { running = [], queued = [] } = res.data || {};
+            setRunningExports(new Set(running.map(job => job.scheduleId)));
+            setQueuedExports(new Set(queued.map(job => job.scheduleId)));
         } catch (err) {
             console.error(err);
         }
@@ -96,6 +123,16 @@ const ScheduledExportsPage = () => {
         }
     };
 
+    const fetchServerTimezone = async () => {
+        try {
+            const baseUrl = getProxyBaseUrl();
+            const res = await axios.get(`${baseUrl}/api/schedules/timezone`);
+            setServerTimezone(res.data?.timezone || '');
+        } catch (err) {
+            console.error(err);
+        }
+    };
+
     const fetchLogs = async () => {
         try {
             const baseUrl = getProxyBaseUrl();
@@ -106,6 +143,42 @@ const ScheduledExportsPage = () => {
         }
     };
 
+    const handleViewReport = async (log) => {
+        setRunReport({ report: null, loading: true, error: '' });
+        try {
+            const baseUrl = getProxyBaseUrl();
+            const res = await axios.get(`${baseUrl}/api/schedules/${log.scheduleId}/runs/${log.runId}`);
+            setRunReport({ report: res.data, loading: false, error: '' });
+        } catch (err) {
+            const message = err.response?.status === 404 ? 'Report not found for this run.' : `Failed to load report: ${err.message}`;
+            setRunReport({ report: null, loading: false, error: message });
+        }
+    };
+
+    const handleViewFiles = async (schedule) => {
+        setExportFiles({ schedule, files: [], loading: true, error: '' });
+        try {
+            const baseUrl = getProxyBaseUrl();
+            const res = await axios.get(`${baseUrl}/api/exports/${schedule.id}`);
+            setExportFiles({ schedule, files: res.data || [], loading: false, error: '' });
+        } catch (err) {
+            setExportFiles({ schedule, files: [], loading: false, error: `Failed to load files: ${err.message}` });
+        }
+    };
+
+    const handleRetryFailed = async (log) => {
+        try {
+            setRunningExports(prev => new Set(prev).add(log.scheduleId)); // Optimistic
+            const baseUrl = getProxyBaseUrl();
+            await axios.post(`${baseUrl}/api/schedules/${log.scheduleId}/runs/${log.runId}/retry`);
+            fetchRunningExports();
+            fetchLogs();
+        } catch (err) {
+            alert('Failed to retry: ' + (err.response?.data?.error || err.message));
+            fetchRunningExports();
+        }
+    };
+
     const handleToggleEnable = async (schedule, e) => {
         e.stopPropagation();
         try {
@@ -122,7 +195,8 @@ const ScheduledExportsPage = () => {
         try {
             setRunningExports(prev => new Set(prev).add(id)); // Optimistic
             const baseUrl = getProxyBaseUrl();
-            await axios.post(`${baseUrl}/api/schedules/${id}/run`);
+            const res = await axios.post(`${baseUrl}/api/schedules/${id}/run`);
+            if (res.data?.status === 'skipped') setSuccess('Export already running or queued; this run was skipped.');
             fetchRunningExports(); // Sync immediately
         } catch (err) {
             alert('Failed to start export');
@@ -162,6 +236,16 @@ const ScheduledExportsPage = () => {
             // Legacy Fallback: default to daily
             setFrequency('daily');
         }
+        setExportMode(schedule.exportMode || 'full');
+        setErrorThreshold(schedule.errorPolicy?.threshold ?? 0);
+        setErrorAction(schedule.errorPolicy?.action || 'partial');
+        setOverlapPolicy(schedule.overlapPolicy || 'queue');
+        setInterruptPolicy(schedule.interruptPolicy || 'resume');
+        setCatchUpPolicy(schedule.catchUpPolicy || 'once');
+        setTimezone(schedule.timezone || ''); // Older schedules run in server time
+        setNotifications(schedule.notifications || []);
+        setRetentionMode(schedule.retention?.mode || 'all');
+        setRetentionValue(schedule.retention?.value ?? 30);
 
         // Restore Storage Config
         if (schedule.storageConfig) {
@@ -189,8 +273,6 @@ const ScheduledExportsPage = () => {
         setMonthDay(1);
         setIntervalValue(15);
         setIntervalUnit('minutes');
-        setStorageType('csv');
-        setSqlConfig({ server: '', database: '', user: '', password: '', table: 'DocuWareExports', port: '1433' });
     };
 
     const handleCancelEdit = () => {
@@ -199,6 +281,16 @@ const ScheduledExportsPage = () => {
         setSelectedCabinet('');
         setTime('10:00');
         setFilters([]);
+        setExportMode('full');
+        setErrorThreshold(0);
+        setErrorAction('partial');
+        setOverlapPolicy('queue');
+        setInterruptPolicy('resume');
+        setCatchUpPolicy('once');
+        setTimezone(USER_TIMEZONE);
+        setNotifications([]);
+        setRetentionMode('all');
+        setRetentionValue(30);
     };
 
     const handleSaveSchedule = async () => {
@@ -259,6 +351,17 @@ const ScheduledExportsPage = () => {
                 cabinetName: cabinetName, // Save for folder naming
                 filters: validFilters,
                 cronExpression: cronExpression,
+                exportMode,
+                errorPolicy: {
+                    threshold: errorThreshold,
+                    action: errorAction
+                },
+                overlapPolicy,
+                interruptPolicy,
+                catchUpPolicy,
+                timezone: timezone || undefined,
+                notifications,
+                retention: retentionMode === 'all' ? undefined : { mode: retentionMode, value: retentionValue },
                 scheduleConfig: {
                     frequency,
                     weekDays,
@@ -270,10 +373,10 @@ const ScheduledExportsPage = () => {
                     type: storageType,
                     sql: storageType === 'sqlserver' ? sqlConfig : null
                 },
+                connectionId: authData.connectionId, // Server session (tokenManager) of the logged-in DocuWare organization
                 auth: {
                     refreshToken: authData.refreshToken,
-                    url: authData.url,
-                    tokenEndpoint: authData.tokenEndpoint
+                    url: authData.url
                 },
                 enabled: true,
                 createdAt: new Date().toISOString()
@@ -292,6 +395,16 @@ const ScheduledExportsPage = () => {
         }
     };
 
+    const handleTestNotification = async (target) => {
+        try {
+            const baseUrl = getProxyBaseUrl();
+            await axios.post(`${baseUrl}/api/notifications/test`, { target, schedule: { id: editingId, name: scheduleName } });
+            return null;
+        } catch (err) {
+            return err.response?.data?.error || err.message;
+        }
+    };
+
     const handleDeleteSchedule = async (id) => {
         if (!window.confirm('Are you sure you want to delete this schedule?')) return;
         try {
@@ -321,6 +434,11 @@ const ScheduledExportsPage = () => {
         return typeFilter ? typeFilter.value : scheduleFilters[0].value;
     };
 
+    const getStorageLabel = (storageConfig) => {
+        const labels = { sqlserver: 'SQL Server', xlsx: 'Local Excel (.xlsx)', parquet: 'Local Parquet', csv: 'Local CSV' };
+        return labels[storageConfig?.type] || labels.csv;
+    };
+
     const getFrequencyLabel = (sch) => {
         if (sch.scheduleConfig) {
             const { frequency, weekDays, monthDay, intervalValue, intervalUnit } = sch.scheduleConfig;
@@ -417,13 +535,13 @@ const ScheduledExportsPage = () => {
                                 onFilterChange={(newFilters) => setFilters(newFilters)}
                                 onLog={(msg) => console.log(msg)}
                                 totalCount={previewStats.totalCabinetDocs}
-                                onSearch={async (cabId, filters, _, limit) => {
+                                onSearch={async (cabId, filters) => {
                                     try {
                                         setIsSearching(true);
                                         // console.log('Preview Search:', cabId, filters);
-                                        const res = await docuwareService.searchDocuments(cabId, filters, limit);
-                                        setPreviewStats(prev => ({ ...prev, foundDocs: res.items.length }));
-                                        setSuccess(`Search Preview: Found ${res.items.length} documents.`);
+                                        const res = await docuwareService.searchDocuments(cabId, filters, PREVIEW_RESULT_LIMIT);
+                                        setPreviewStats(prev => ({ ...prev, foundDocs: res.total }));
+                                        setSuccess(`Search Preview: Found ${res.total} documents.`);
                                         setTimeout(() => setSuccess(''), 5000);
                                     } catch (err) {
                                         setError('Search Preview Failed: ' + err.message);
@@ -472,6 +590,79 @@ const ScheduledExportsPage = () => {
                                         </select>
                                     </div>
 
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">Export Mode</span></label>
+                                        <select className="select select-bordered w-full" value={exportMode} onChange={e => setExportMode(e.target.value)}>
+                                            <option value="full">Full (all matching documents)</option>
+                                            <option value="incremental">Incremental (changed since last run)</option>
+                                        </select>
+                                    </div>
+
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">Error Threshold (% failed docs)</span></label>
+                                        <div className="flex gap-2">
+                                            <input
+                                                type="number"
+                                                min="0"
+                                                max="100"
+                                                className="input input-bordered w-24"
+                                                value={errorThreshold}
+                                                onChange={e => setErrorThreshold(Math.min(100, Math.max(0, parseFloat(e.target.value) || 0)))}
+                                            />
+                                            <select className="select select-bordered flex-1" value={errorAction} onChange={e => setErrorAction(e.target.value)}>
+                                                <option value="partial">Above it: mark run as Partial</option>
+                                                <option value="failed">Above it: mark run as Failed</option>
+                                            </select>
+                                        </div>
+                                    </div>
+
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">If Already Running</span></label>
+                                        <select className="select select-bordered w-full" value={overlapPolicy} onChange={e => setOverlapPolicy(e.target.value)}>
+                                            <option value="queue">Queue the new run</option>
+                                            <option value="skip">Skip the new run</option>
+                                        </select>
+                                    </div>
+
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">After Server Restart</span></label>
+                                        <select className="select select-bordered w-full" value={interruptPolicy} onChange={e => setInterruptPolicy(e.target.value)}>
+                                            <option value="resume">Resume interrupted run from checkpoint</option>
+                                            <option value="abort">Mark interrupted run as aborted</option>
+                                        </select>
+                                    </div>
+
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">Missed Runs (Server Down)</span></label>
+                                        <select className="select select-bordered w-full" value={catchUpPolicy} onChange={e => setCatchUpPolicy(e.target.value)}>
+                                            <option value="once">Run once at startup</option>
+                                            <option value="all">Run every missed run</option>
+                                            <option value="skip">Skip missed runs</option>
+                                        </select>
+                                    </div>
+
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">Keep Exported Files</span></label>
+                                        <div className="flex gap-2">
+                                            <select className="select select-bordered flex-1" value={retentionMode} onChange={e => setRetentionMode(e.target.value)}>
+                                                <option value="all">Keep all</option>
+                                                <option value="count">Keep the last N files</option>
+                                                <option value="days">Keep the last N days</option>
+                                                <option value="weekly">One per week after N days</option>
+                                                <option value="monthly">One per month after N days</option>
+                                            </select>
+                                            {retentionMode !== 'all' && (
+                                                <input
+                                                    type="number"
+                                                    min={retentionMode === 'count' ? 1 : 0}
+                                                    className="input input-bordered w-24"
+                                                    value={retentionValue}
+                                                    onChange={e => setRetentionValue(Math.max(retentionMode === 'count' ? 1 : 0, parseInt(e.target.value) || 0))}
+                                                />
+                                            )}
+                                        </div>
+                                    </div>
+
                                     {/* Time Picker (Hidden for Intervals) */}
                                     {frequency !== 'interval' && (
                                         <div className="form-control">
@@ -484,6 +675,16 @@ const ScheduledExportsPage = () => {
                                             />
                                         </div>
                                     )}
+
+                                    <div className="form-control">
+                                        <label className="label"><span className="label-text font-bold">Timezone</span></label>
+                                        <select className="select select-bordered w-full" value={timezone} onChange={e => setTimezone(e.target.value)}>
+                                            <option value="">Server time{serverTimezone ? ` (${serverTimezone})` : ''}</option>
+                                            {[...new Set([USER_TIMEZONE, ...TIMEZONE_OPTIONS, timezone].filter(Boolean))].map(zone => (
+                                                <option key={zone} value={zone}>{zone}{zone === USER_TIMEZONE ? ' (your timezone)' : ''}</option>
+                                            ))}
+                                        </select>
+                                    </div>
                                 </div>
 
                                 {/* Dynamic Controls based on Frequency */}
@@ -575,6 +776,8 @@ const ScheduledExportsPage = () => {
                                     onChange={e => setStorageType(e.target.value)}
                                 >
                                     <option value="csv">Local CSV (Folder)</option>
+                                    <option value="xlsx">Local Excel .xlsx (Folder)</option>
+                                    <option value="parquet">Local Parquet (Folder, typed for Power BI)</option>
                                     <option value="sqlserver">SQL Server (Data Warehouse)</option>
                                 </select>
                             </div>
@@ -646,11 +849,25 @@ const ScheduledExportsPage = () => {
                                     <div className="mt-2 text-xs text-orange-600">
                                         * Ensure the backend server has network access to this SQL instance.
                                     </div>
+                                    <div className="mt-1 text-xs opacity-60">
+                                        The table is created automatically if missing. Rows are upserted by DOCID + Instance GUID + step.
+                                    </div>
                                 </div>
                             )}
                         </div>
                     </div>
 
+                    {/* 4. Notifications */}
+                    <div className="card bg-base-100 shadow-xl hover:shadow-2xl transition-shadow duration-300 border-l-4 border-info">
+                        <div className="card-body p-6">
+                            <h2 className="card-title text-xl flex items-center gap-3 mb-6 border-b border-base-200 pb-2">
+                                <span className="flex items-center justify-center w-8 h-8 rounded-full bg-info text-info-content text-sm font-bold">4</span>
+                                Notifications
+                            </h2>
+                            <NotificationTargets targets={notifications} onChange={setNotifications} onTest={handleTestNotification} />
+                        </div>
+                    </div>
+
                     <div className="mt-6 flex gap-2">
                         {/* Save Button */}
                         <div className="sticky bottom-6 z-20 flex justify-end">
@@ -699,22 +916,32 @@ const ScheduledExportsPage = () => {
                                                         />
                                                         <h3 className={`font-bold text-sm ${!sch.enabled && 'opacity-50'}`}>{sch.name}</h3>
                                                         {runningExports.has(sch.id) && <span className="loading loading-spinner loading-xs text-primary"></span>}
+                                                        {queuedExports.has(sch.id) && <span className="badge badge-xs badge-info">Queued</span>}
                                                     </div>
                                                     <div className="flex gap-1">
-                                                        {runningExports.has(sch.id) ? (
+                                                        {runningExports.has(sch.id) || queuedExports.has(sch.id) ? (
                                                             <button className="btn btn-xs btn-error btn-outline" onClick={() => handleStopExport(sch.id)} title="Stop Export"><FaStop /></button>
                                                         ) : (
                                                             <button className="btn btn-xs btn-success btn-outline" onClick={() => handleForceRun(sch.id)} title="Run Now"><FaPlay /></button>
                                                         )}
+                                                        <button className="btn btn-xs btn-ghost" onClick={() => handleViewFiles(sch)} title="Export Files"><FaFolderOpen /></button>
                                                         <button className="btn btn-xs btn-ghost text-primary" onClick={() => handleEdit(sch)} title="Edit"><FaPen /></button>
                                                         <button className="btn btn-xs btn-error btn-outline" onClick={() => handleDeleteSchedule(sch.id)} title="Delete"><FaTrash /></button>
                                                     </div>
                                                 </div>
                                                 <div className="text-xs text-gray-500 space-y-1">
-                                                    <div className="flex items-center gap-1"><span className="font-semibold">Schedule:</span> {getFrequencyLabel(sch)}</div>
+                                                    <div className="flex items-center gap-1"><span className="font-semibold">Schedule:</span> {getFrequencyLabel(sch)} ({sch.timezone || 'server time'})</div>
                                                     <div><span className="font-semibold">Cabinet:</span> {getCabinetName(sch.cabinetId)}</div>
                                                     <div><span className="font-semibold">Tipo Documento:</span> {getDocumentTypeDisplay(sch.filters)}</div>
-                                                    <div><span className="font-semibold">Storage:</span> {sch.storageConfig?.type === 'sqlserver' ? 'SQL Server' : 'Local CSV'}</div>
+                                                    <div><span className="font-semibold">Mode:</span> {sch.exportMode === 'incremental' ? 'Incremental' : 'Full'}</div>
+                                                    <div><span className="font-semibold">Storage:</span> {getStorageLabel(sch.storageConfig)}</div>
+                                                    {sch.lastRunAt && <div><span className="font-semibold">Last Run:</span> {new Date(sch.lastRunAt).toLocaleString()}</div>}
+                                                    {sch.nextRunAt && (
+                                                        <div>
+                                                            <span className="font-semibold">Next Run:</span> {formatInZone(sch.nextRunAt, USER_TIMEZONE)} (your time)
+                                                            {serverTimezone && serverTimezone !== USER_TIMEZONE && <> · {formatInZone(sch.nextRunAt, serverTimezone)} (server, {serverTimezone})</>}
+                                                        </div>
+                                                    )}
                                                 </div>
                                             </div>
                                         ))}
@@ -739,14 +966,29 @@ const ScheduledExportsPage = () => {
                                     <div className="text-center py-10 text-gray-400 text-sm">No valid logs found</div>
                                 ) : (
                                     logs.map(log => (
-                                        <div key={log.id} className={`p-2 rounded border-l-4 text-xs ${log.status === 'SUCCESS' ? 'border-success bg-green-50' : log.status === 'ERROR' ? 'border-error bg-red-50' : 'border-warning bg-yellow-50'}`}>
+                                        <div key={log.id} className={`p-2 rounded border-l-4 text-xs ${log.status === 'SUCCESS' ? 'border-success bg-green-50' : ['ERROR', 'ABORTED'].includes(log.status) ? 'border-error bg-red-50' : log.status === 'PARTIAL' ? 'border-warning bg-orange-50' : 'border-warning bg-yellow-50'}`}>
                                             <div className="flex justify-between font-bold mb-1">
                                                 <span>{log.scheduleName}</span>
                                                 <span className="opacity-70">{new Date(log.timestamp).toLocaleTimeString()}</span>
                                             </div>
                                             <div className="opacity-90 break-words">{log.message}</div>
-                                            <div className="text-[10px] opacity-50 text-right mt-1">
-                                                {new Date(log.timestamp).toLocaleDateString()}
+                                            <div className="flex justify-between items-center mt-1">
+                                                {log.runId && log.status !== 'RUNNING' ? (
+                                                    <div className="flex gap-2 items-center">
+                                                        <button className="link link-primary text-[10px]" onClick={() => handleViewReport(log)}>Report</button>
+                                                        {log.failedCount > 0 && (
+                                                            <button
+                                                                className="btn btn-xs btn-warning btn-outline gap-1"
+                                                                onClick={() => handleRetryFailed(log)}
+                                                                disabled={runningExports.has(log.scheduleId)}
+                                                                title="Fetch the failed documents again and patch them into this run's output"
+                                                            >
+                                                                <FaRedo /> Retry {log.failedCount} failed
+                                                            </button>
+                                                        )}
+                                                    </div>
+                                                ) : <span />}
+                                                <span className="text-[10px] opacity-50">{new Date(log.timestamp).toLocaleDateString()}</span>
                                             </div>
                                         </div>
                                     ))
@@ -761,6 +1003,21 @@ const ScheduledExportsPage = () => {
                     </div>
                 </div>
             </div>
+
+            <RunReportModal
+                report={runReport.report}
+                loading={runReport.loading}
+                error={runReport.error}
+                onClose={() => setRunReport({ report: null, loading: false, error: '' })}
+            />
+            <ExportFilesModal
+                schedule={exportFiles.schedule}
+                files={exportFiles.files}
+                loading={exportFiles.loading}
+                error={exportFiles.error}
+                baseUrl={getProxyBaseUrl()}
+                onClose={() => setExportFiles({ schedule: null, files: [], loading: false, error: '' })}
+            />
         </div>
     );
 };
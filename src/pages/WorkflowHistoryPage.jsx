@@ -2,6 +2,7 @@ import React, { useState, useEffect } from 'react';
 import { FaSearch, FaHistory, FaCheckCircle, FaTimesCircle, FaClock, FaUser, FaFilter, FaBan, FaExternalLinkAlt, FaRegCopy, FaList, FaFileCsv } from 'react-icons/fa';
 import { workflowAnalyticsService } from '../services/workflowAnalyticsService';
 import { docuwareService } from '../services/docuwareService';
+import { exportPipeline } from '../services/exportPipeline';
 
 const WorkflowHistoryPage = () => {
     const [docId, setDocId] = useState('');
@@ -182,122 +183,23 @@ const WorkflowHistoryPage = () => {
                 setDocumentFields(fieldsToExport);
             }
 
-            // 1. Prepare Headers
-            // Standard columns
-            const fixedHeaders = [
-                'Instance GUID',
-                'DOCID',
-                'Instância',
-                'Versão (Instância)',
-                'Iniciado Em',
-                'Atividade',
-                'Tipo Atividade',
-                'Decisão/Operação',
-                'Usuário',
-                'Data Decisão'
-            ];
-
-            // Dynamic field headers (INCLUDE system fields and sort)
-            const dynamicFieldNames = fieldsToExport
-                .map(f => f.FieldName)
-                .sort();
-
-            // Add 'Link Documento' as the last header
-            const csvHeaders = [...fixedHeaders, ...dynamicFieldNames, 'Link Documento'];
-
-            // 2. Flatten Data
-            const rows = [];
-
-            historyInstances.forEach(instance => {
-                const steps = filteredSteps(instance.HistorySteps);
-
-                if (steps.length === 0) {
-                    // create a dummy step row just to show the instance existed
-                    const rowData = {
-                        'Instance GUID': instance.Id,
-                        DOCID: docId,
-                        'Instância': instance.Name,
-                        'Versão (Instância)': instance.Version,
-                        'Iniciado Em': formatDate(instance.StartDate || instance.StartedAt, true),
-                        'Atividade': '(Sem atividades)',
-                        'Tipo Atividade': '',
-                        'Decisão/Operação': '',
-                        'Usuário': '',
-                        'Data Decisão': '',
-                        'Link Documento': docLink
-                    };
-
-                    // Add dynamic fields
-                    dynamicFieldNames.forEach(fieldName => {
-                        const field = fieldsToExport.find(f => f.FieldName === fieldName);
-                        rowData[fieldName] = field ? (field.Item || field.Value || '') : '';
-                    });
-                    rows.push(rowData);
-                } else {
-                    steps.forEach(step => {
-                        const infoItem = step.Info?.Item || {};
-                        let validUser = infoItem.UserName || step.User || step.UserName || '';
-                        if (!validUser && infoItem.AssignedUsers && Array.isArray(infoItem.AssignedUsers)) {
-                            validUser = infoItem.AssignedUsers.join(', ');
-                        }
-                        const validDate = infoItem.DecisionDate || step.StepDate || step.TimeStamp || '';
-                        const validDecision = infoItem.DecisionName || step.DecisionLabel || '';
-
-                        const rowData = {
-                            'Instance GUID': instance.Id,
-                            DOCID: docId,
-                            'Instância': instance.Name,
-                            'Versão (Instância)': instance.Version,
-                            'Iniciado Em': formatDate(instance.StartDate || instance.StartedAt, true),
-                            'Atividade': step.ActivityName || step.Name,
-                            'Tipo Atividade': step.ActivityType,
-                            'Decisão/Operação': validDecision,
-                            'Usuário': validUser,
-                            'Data Decisão': formatDate(validDate),
-                            'Link Documento': docLink
-                        };
-
-                        // Add dynamic fields
-                        dynamicFieldNames.forEach(fieldName => {
-                            const field = fieldsToExport.find(f => f.FieldName === fieldName);
-                            // Handle Dates specifically if needed
-                            let val = field ? (field.Item || field.Value || '') : '';
-
-                            // Check for DocuWare Date format or explicit Date field
-                            if (typeof val === 'string' && val.includes('/Date(')) {
-                                val = formatDate(val, true);
-                            } else if (field && field.ItemElementName === 'Date' && field.Item) {
-                                val = formatDate(field.Item, true);
-                            }
-
-                            rowData[fieldName] = val;
-                        });
-
-                        rows.push(rowData);
-                    });
-                }
-            });
-
-            // 3. Generate CSV String
-            const escapeCsv = (val) => {
-                if (val === null || val === undefined) return '';
-                const str = String(val);
-                if (str.includes(';') || str.includes('"') || str.includes('\n')) {
-                    return `"${str.replace(/"/g, '""')}"`;
-                }
-                return str;
-            };
-
-            const headerRow = csvHeaders.map(escapeCsv).join(';');
-            const dataRows = rows.map(row => {
-                return csvHeaders.map(header => escapeCsv(row[header])).join(';');
+            // 1. Flatten Data (same rows/columns as the bulk and scheduled exports)
+            const fields = exportPipeline.getFieldValues({ Fields: fieldsToExport });
+            const rows = exportPipeline.buildDocumentRows({
+                docId,
+                instances: historyInstances,
+                fields,
+                link: docLink,
+                stepFilter: (step) => filteredSteps([step]).length > 0
             });
 
-            const csvContent = [headerRow, ...dataRows].join('\n');
+            // 2. Generate CSV String
+            const csvHeaders = exportPipeline.getHeaders(rows);
+            const columnTypes = exportPipeline.getColumnTypes([{ Fields: fieldsToExport }]);
+            const csvContent = exportPipeline.toCsv(csvHeaders, rows, columnTypes);
 
-            // 4. Download
-            // Add BOM for Excel compatibility
-            const blob = new Blob(['\uFEFF' + csvContent], { type: 'text/csv;charset=utf-8;' });
+            // 3. Download
+            const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
             const url = URL.createObjectURL(blob);
             const link = document.createElement('a');
             link.href = url;
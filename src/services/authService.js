@@ -140,7 +140,10 @@ export const authService = {
             // Push valid session to Backend so Scheduler can use it
             try {
                 const proxyBase = getProxyBaseUrl();
-                await axios.post(`${proxyBase}/api/auth/session`, authData);
+                const sessionResp = await axios.post(`${proxyBase}/api/auth/session`, authData);
+                // Connection of this organization on the backend; schedules are bound to it
+                authData.connectionId = sessionResp.data.connection?.id;
+                sessionStorage.setItem(AUTH_KEY, JSON.stringify(authData));
                 console.log('✅ Session synced with Backend!');
             } catch (err) {
                 console.error('⚠️ Failed to sync session with Backend:', err);
@@ -164,8 +167,9 @@ export const authService = {
             console.log('🔄 Requesting token refresh from Backend...');
             const proxyBase = getProxyBaseUrl();
 
-            // Ask backend to refresh (force)
-            const response = await axios.get(`${proxyBase}/api/auth/token?refresh=true`);
+            // Ask backend to refresh (force) the connection of the logged-in organization
+            const connectionId = JSON.parse(sessionStorage.getItem(AUTH_KEY) || '{}').connectionId;
+            const response = await axios.get(`${proxyBase}/api/auth/token`, { params: { refresh: true, connectionId } });
             const newToken = response.data.token;
 
             // Update local storage with new token (partial update)
@@ -201,6 +205,14 @@ export const authService = {
         delete api.defaults.headers.common['Authorization'];
     },
 
+    /**
+     * Health of the backend sessions used by the scheduler (GET /api/auth/status)
+     */
+    getBackendStatus: async () => {
+        const response = await axios.get(`${getProxyBaseUrl()}/api/auth/status`);
+        return response.data;
+    },
+
     /**
      * Gets current user auth data from storage
      */
@@ -8,6 +8,51 @@ import api from './api';
  * @module services/docuwareService
  */
 
+const SEARCH_PAGE_SIZE = 1000;
+
+// DocuWare returns Count either as a number or as { Value }.
+const getResultCount = (data) => {
+    if (typeof data.Count === 'object' && data.Count !== null) {
+        return data.Count.Value || 0;
+    }
+    return data.Count || 0;
+};
+
+/**
+ * Page through a DocuWare result list until the limit, the reported total, or the last page.
+ * A page is considered the last one when it is short and carries no "next" link.
+ *
+ * @param {function(number, number): Promise} fetchPage - (start, count) => axios response.
+ * @param {number} resultLimit - Max items (0 = all).
+ * @param {function} [onProgress] - Callback(loaded, total).
+ * @returns {Promise<{items: Array, total: number}>}
+ */
+const fetchAllPages = async (fetchPage, resultLimit, onProgress) => {
+    const limit = resultLimit > 0 ? resultLimit : Infinity;
+    const items = [];
+    let total = null;
+
+    while (items.length < limit) {
+        const count = Math.min(SEARCH_PAGE_SIZE, limit - items.length);
+        const response = await fetchPage(items.length, count);
+        const pageItems = response.data.Items || [];
+        items.push(...pageItems);
+        if (total === null) total = getResultCount(response.data);
+
+        if (onProgress) onProgress(items.length, total);
+
+        const hasNext = (response.data.Links || []).some(l => (l.rel || l.Rel || '').toLowerCase() === 'next');
+        if (pageItems.length === 0) break;
+        if (!hasNext && pageItems.length < count) break;
+        if (total && items.length >= total) break;
+    }
+
+    return {
+        items: items.slice(0, limit),
+        total: Math.max(total || 0, items.length)
+    };
+};
+
 export const docuwareService = {
     /**
      * @function getCabinets
@@ -135,30 +180,26 @@ export const docuwareService = {
     /**
      * @function searchDocuments
      * @description Executes a specific query against the File Cabinet.
+     * Pages through the complete result set (start/count + "next" link) so large cabinets
+     * are not silently truncated.
      * 
      * @param {string} cabinetId - Target Cabinet.
      * @param {Array<{fieldName: string, value: string}>} filters - Array of filter objects.
-     * @param {number} [resultLimit=1000] - Max items to return.
+     * @param {number} [resultLimit=0] - Max items to return (0 = all results).
+     * @param {function} [onProgress] - Callback(loaded, total) after each page.
      * @returns {Promise<{items: Array, total: number}>} Search results and total hits.
      */
-    searchDocuments: async (cabinetId, filters = [], resultLimit = 1000) => {
-        // Case 1: No filters - List all documents (limited by resultLimit)
+    searchDocuments: async (cabinetId, filters = [], resultLimit = 0, onProgress) => {
+        // Case 1: No filters - List all documents
         if (filters.length === 0) {
-            const response = await api.get(`/FileCabinets/${cabinetId}/Documents`, {
+            return fetchAllPages((start, count) => api.get(`/FileCabinets/${cabinetId}/Documents`, {
                 params: {
-                    count: resultLimit,
+                    start,
+                    count,
                     calculateTotalCount: true
-                }
-            });
-
-            const total = (typeof response.data.Count === 'object' && response.data.Count !== null)
-                ? (response.data.Count.Value || 0)
-                : (response.data.Count || 0);
-
-            return {
-                items: response.data.Items || [],
-                total: total
-            };
+                },
+                timeout: 300000
+            }), resultLimit, onProgress);
         }
 
         // Case 2: With Filters - Requires Search Dialog ID
@@ -181,29 +222,19 @@ export const docuwareService = {
         };
 
         // POST to /Query/DialogExpression is the standard way to search
-        const response = await api.post(
+        return fetchAllPages((start, count) => api.post(
             `/FileCabinets/${cabinetId}/Query/DialogExpression`,
             queryBody,
             {
                 params: {
                     dialogId: searchDialog.Id,
-                    count: resultLimit
+                    start,
+                    count,
+                    calculateTotalCount: true
                 },
                 timeout: 300000 // Increase timeout to 5 minutes for very slow queries
             }
-        );
-
-        const getCount = (data) => {
-            if (typeof data.Count === 'object' && data.Count !== null) {
-                return data.Count.Value || 0;
-            }
-            return data.Count || 0;
-        };
-
-        return {
-            items: response.data.Items || [],
-            total: getCount(response.data)
-        };
+        ), resultLimit, onProgress);
     },
 
     /**
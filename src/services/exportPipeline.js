@@ -0,0 +1,266 @@
+/**
+ * @file exportPipeline.js
+ * @description Shared (browser + Node) workflow-history export pipeline.
+ * Flattens DocuWare documents and their workflow instances into export rows with a fixed
+ * schema, and serializes them to CSV. Used by ExportDataPage, WorkflowHistoryPage and the
+ * scheduler so interactive and scheduled exports produce identical files.
+ *
+ * Rows are typed: date columns hold Date objects (or null), numeric fields keep numbers.
+ * Serializers (CSV, XLSX, Parquet) decide how to render them.
+ *
+ * @module services/exportPipeline
+ */
+
+/**
+ * Fixed export columns, in file order. Types use DocuWare field type names
+ * ('String', 'Int', 'Decimal', 'Date', 'DateTime').
+ */
+const EXPORT_COLUMNS = [
+    { name: 'Instance GUID', type: 'String' },
+    { name: 'DOCID', type: 'Int' },
+    { name: 'Instância', type: 'String' },
+    { name: 'Versão', type: 'Int' },
+    { name: 'Iniciado Em', type: 'DateTime' },
+    { name: 'Atividade', type: 'String' },
+    { name: 'Tipo Atividade', type: 'String' },
+    { name: 'Decisão', type: 'String' },
+    { name: 'Usuário', type: 'String' },
+    { name: 'Data Decisão', type: 'DateTime' },
+    { name: 'Link Documento', type: 'String' }
+];
+
+const FIXED_HEADERS = EXPORT_COLUMNS.map(c => c.name);
+
+const FIXED_TYPES = Object.fromEntries(
+    EXPORT_COLUMNS.filter(c => c.type !== 'String').map(c => [c.name, c.type])
+);
+
+/**
+ * Convert a DocuWare date value ("/Date(ms)/", ISO string or Date) to a Date.
+ * Returns null for empty/invalid values and DocuWare placeholder years (e.g. 3938, 9999).
+ *
+ * @param {string|Date} value
+ * @returns {Date|null}
+ */
+const parseDate = (value) => {
+    if (!value) return null;
+    let dateObj;
+    if (value instanceof Date) {
+        dateObj = value;
+    } else if (typeof value === 'string' && value.startsWith('/Date(')) {
+        dateObj = new Date(parseInt(value.match(/-?\d+/)[0], 10));
+    } else {
+        dateObj = new Date(value);
+    }
+    if (isNaN(dateObj.getTime())) return null;
+    const year = dateObj.getFullYear();
+    if (year > 2100 || year < 1900) return null;
+    return dateObj;
+};
+
+/**
+ * Format a DocuWare date value as pt-BR text ('' when invalid).
+ *
+ * @param {string|Date} value
+ * @param {boolean} [simple=false] - Date only, without time.
+ * @returns {string}
+ */
+const formatDate = (value, simple = false) => {
+    const dateObj = parseDate(value);
+    if (!dateObj) return '';
+    return simple ? dateObj.toLocaleDateString('pt-BR') : dateObj.toLocaleString('pt-BR');
+};
+
+// First non-empty value of a DocuWare field (search results and document resources differ).
+const getFieldValue = (field) => {
+    const candidates = [field.Item, field.Value, field.Int, field.Decimal, field.Date, field.DateTime];
+    const found = candidates.find(v => v !== null && v !== undefined && v !== '');
+    return found !== undefined ? found : '';
+};
+
+/**
+ * Normalize an instance from either workflowAnalyticsService or the scheduler's
+ * DocumentHistory fetch into { Id, Name, Version, StartDate, HistorySteps }.
+ */
+const normalizeInstance = (inst) => ({
+    Id: inst.Id,
+    Name: inst.WorkflowName || inst.Name || 'Workflow',
+    Version: inst.WorkflowVersion || inst.Version || 1,
+    StartDate: inst.StartDate || inst.StartedAt || inst.TimeStamp,
+    HistorySteps: inst.HistorySteps || []
+});
+
+const emptyRow = (docId, link, fields) => ({
+    'Instance GUID': '',
+    'DOCID': docId,
+    'Instância': '',
+    'Versão': '',
+    'Iniciado Em': null,
+    'Atividade': '',
+    'Tipo Atividade': '',
+    'Decisão': '',
+    'Usuário': '',
+    'Data Decisão': null,
+    'Link Documento': link,
+    ...fields
+});
+
+const escapeCsv = (val) => {
+    if (val === null || val === undefined) return '';
+    const str = String(val);
+    if (str.includes(';') || str.includes('"') || str.includes('\n')) {
+        return `"${str.replace(/"/g, '""')}"`;
+    }
+    return str;
+};
+
+export const exportPipeline = {
+    columns: EXPORT_COLUMNS,
+    fixedHeaders: FIXED_HEADERS,
+    parseDate,
+    formatDate,
+
+    /**
+     * @function getFieldValues
+     * @description Map a document's index fields to { FieldName: value }.
+     * @param {Object} doc - Search result item or document resource (with Fields).
+     * @returns {Object}
+     */
+    getFieldValues: (doc) => {
+        const values = {};
+        (doc?.Fields || []).forEach(f => {
+            values[f.FieldName] = getFieldValue(f);
+        });
+        return values;
+    },
+
+    /**
+     * @function getColumnTypes
+     * @description Column types for serializers: fixed column types plus the
+     * ItemElementName of every index field seen in the given documents.
+     * @param {Array<Object>} documents
+     * @returns {Object<string, string>}
+     */
+    getColumnTypes: (documents = []) => {
+        const types = {};
+        documents.forEach(doc => {
+            (doc?.Fields || []).forEach(f => {
+                if (f.ItemElementName) types[f.FieldName] = f.ItemElementName;
+            });
+        });
+        return { ...types, ...FIXED_TYPES };
+    },
+
+    /**
+     * @function buildDocumentRows
+     * @description Flatten one document's workflow history into export rows
+     * (one row per step; placeholder rows for documents or instances without steps).
+     *
+     * @param {Object} params
+     * @param {string|number} params.docId
+     * @param {Array<Object>} params.instances - Instances with HistorySteps.
+     * @param {Object} [params.fields] - Index field values (getFieldValues).
+     * @param {string} [params.link] - Document viewer URL.
+     * @param {function} [params.stepFilter] - Optional predicate to drop steps.
+     * @returns {Array<Object>}
+     */
+    buildDocumentRows: ({ docId, instances, fields = {}, link = '', stepFilter }) => {
+        if (!instances || instances.length === 0) {
+            return [{ ...emptyRow(docId, link, fields), 'Instância': 'Sem Histórico' }];
+        }
+
+        const normalized = instances.map(normalizeInstance)
+            .sort((a, b) => (b.Version || 0) - (a.Version || 0));
+
+        const rows = [];
+        normalized.forEach(instance => {
+            const steps = stepFilter ? instance.HistorySteps.filter(stepFilter) : instance.HistorySteps;
+            const base = {
+                ...emptyRow(docId, link, fields),
+                'Instance GUID': instance.Id,
+                'Instância': instance.Name,
+                'Versão': instance.Version,
+                'Iniciado Em': parseDate(instance.StartDate)
+            };
+
+            if (steps.length === 0) {
+                rows.push({ ...base, 'Atividade': '(Sem passos)' });
+                return;
+            }
+
+            steps.forEach(step => {
+                const infoItem = step.Info?.Item || {};
+                let validUser = infoItem.UserName || step.User || step.UserName || '';
+                if (!validUser && infoItem.AssignedUsers && Array.isArray(infoItem.AssignedUsers)) {
+                    validUser = infoItem.AssignedUsers.join(', ');
+                }
+
+                rows.push({
+                    ...base,
+                    'Atividade': step.ActivityName || step.Name || '',
+                    'Tipo Atividade': step.ActivityType || '',
+                    'Decisão': infoItem.DecisionName || step.DecisionLabel || '',
+                    'Usuário': validUser,
+                    'Data Decisão': parseDate(infoItem.DecisionDate || step.StepDate || step.TimeStamp)
+                });
+            });
+        });
+        return rows;
+    },
+
+    /**
+     * @function buildErrorRow
+     * @description Placeholder row for a document whose history could not be fetched.
+     */
+    buildErrorRow: ({ docId, fields = {}, link = '' }) => ({
+        ...emptyRow(docId, link, fields),
+        'Instância': 'ERRO AO BUSCAR HISTÓRICO'
+    }),
+
+    /**
+     * @function getHeaders
+     * @description Fixed headers followed by every other key found in rows, sorted.
+     * @param {Array<Object>} rows
+     * @param {Array<string>} [extraFields] - Additional dynamic columns to include.
+     * @returns {Array<string>}
+     */
+    getHeaders: (rows, extraFields = []) => {
+        const dynamic = new Set(extraFields);
+        rows.forEach(row => Object.keys(row).forEach(key => dynamic.add(key)));
+        FIXED_HEADERS.forEach(h => dynamic.delete(h));
+        return [...FIXED_HEADERS, ...Array.from(dynamic).sort()];
+    },
+
+    /**
+     * @function formatRow
+     * @description Render a typed row as text values (pt-BR dates; 'Date' columns without time).
+     * Values that are already strings (e.g. rows read back from a previous CSV) pass through.
+     */
+    formatRow: (row, headers, columnTypes = {}) => {
+        const formatted = {};
+        headers.forEach(header => {
+            const val = row[header];
+            const dateOnly = columnTypes[header] === 'Date';
+            if (val instanceof Date || (typeof val === 'string' && val.startsWith('/Date('))) {
+                formatted[header] = formatDate(val, dateOnly);
+            } else {
+                formatted[header] = val === null || val === undefined ? '' : val;
+            }
+        });
+        return formatted;
+    },
+
+    /**
+     * @function toCsv
+     * @description Serialize rows as ';' delimited CSV with a UTF-8 BOM (Excel friendly).
+     * @returns {string}
+     */
+    toCsv: (headers, rows, columnTypes = {}) => {
+        const headerRow = headers.map(escapeCsv).join(';');
+        const csvRows = rows.map(row => {
+            const formatted = exportPipeline.formatRow(row, headers, columnTypes);
+            return headers.map(header => escapeCsv(formatted[header])).join(';');
+        });
+        return '\ufeff' + [headerRow, ...csvRows].join('\n');
+    }
+};
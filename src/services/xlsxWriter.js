@@ -0,0 +1,254 @@
+import JSZip from 'jszip';
+import { exportPipeline } from './exportPipeline.js';
+
+/**
+ * @file xlsxWriter.js
+ * @description Minimal native XLSX (Office Open XML) writer built on JSZip.
+ * Runs both in the browser (ExportDataPage) and in Node (scheduler.js).
+ *
+ * Produces a single worksheet with typed cells (numbers, real Excel dates),
+ * a bold frozen header row, and clickable hyperlinks for URL columns.
+ *
+ * @module services/xlsxWriter
+ */
+
+// Style indexes (see buildStyles): 0 default, 1 header, 2 date, 3 date-time, 4 hyperlink
+const STYLE = { DEFAULT: 0, HEADER: 1, DATE: 2, DATETIME: 3, LINK: 4 };
+
+const EXCEL_EPOCH_OFFSET_DAYS = 25569; // Days between 1899-12-30 and 1970-01-01
+const MS_PER_DAY = 86400000;
+
+const escapeXml = (str) => String(str)
+    // Strip characters that are not allowed in XML 1.0
+    // eslint-disable-next-line no-control-regex
+    .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+
+const columnLetter = (index) => {
+    let letters = '';
+    let n = index + 1;
+    while (n > 0) {
+        const rem = (n - 1) % 26;
+        letters = String.fromCharCode(65 + rem) + letters;
+        n = Math.floor((n - 1) / 26);
+    }
+    return letters;
+};
+
+// Excel serial date in local time, so the sheet shows the same wall-clock time as the CSV did.
+const toExcelSerial = (date) =>
+    (date.getTime() - date.getTimezoneOffset() * 60000) / MS_PER_DAY + EXCEL_EPOCH_OFFSET_DAYS;
+
+/**
+ * Resolve a raw row value into a typed cell description.
+ * @returns {{ kind: 'empty'|'number'|'date'|'string', value?: any }}
+ */
+const toCell = (raw, type) => {
+    if (raw === null || raw === undefined || raw === '') return { kind: 'empty' };
+
+    if (type === 'Date' || type === 'DateTime' || raw instanceof Date ||
+        (typeof raw === 'string' && raw.startsWith('/Date('))) {
+        const date = exportPipeline.parseDate(raw);
+        if (date) return { kind: 'date', value: date, dateOnly: type === 'Date' };
+        if (type === 'Date' || type === 'DateTime') return { kind: 'empty' };
+    }
+
+    if (typeof raw === 'number' && isFinite(raw)) return { kind: 'number', value: raw };
+    if ((type === 'Int' || type === 'Decimal') && raw !== '' && !isNaN(Number(raw))) {
+        return { kind: 'number', value: Number(raw) };
+    }
+
+    return { kind: 'string', value: String(raw) };
+};
+
+const buildStyles = () => `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">
+<numFmts count="2"><numFmt numFmtId="164" formatCode="dd/mm/yyyy"/><numFmt numFmtId="165" formatCode="dd/mm/yyyy hh:mm:ss"/></numFmts>
+<fonts count="3"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font><font><u/><sz val="11"/><color rgb="FF0563C1"/><name val="Calibri"/></font></fonts>
+<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>
+<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>
+<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>
+<cellXfs count="5">
+<xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/>
+<xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+<xf numFmtId="164" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="165" fontId="0" fillId="0" borderId="0" xfId="0" applyNumberFormat="1"/>
+<xf numFmtId="0" fontId="2" fillId="0" borderId="0" xfId="0" applyFont="1"/>
+</cellXfs>
+<cellStyles count="1"><cellStyle name="Normal" xfId="0" builtinId="0"/></cellStyles>
+</styleSheet>`;
+
+const buildWorksheet = (headers, rows, columnTypes, hyperlinkColumns) => {
+    const links = [];
+    const sheetRows = [];
+
+    const headerCells = headers.map((h, c) =>
+        `<c r="${columnLetter(c)}1" t="inlineStr" s="${STYLE.HEADER}"><is><t xml:space="preserve">${escapeXml(h)}</t></is></c>`
+    );
+    sheetRows.push(`<row r="1">${headerCells.join('')}</row>`);
+
+    rows.forEach((row, r) => {
+        const rowNum = r + 2;
+        const cells = [];
+        headers.forEach((header, c) => {
+            const ref = `${columnLetter(c)}${rowNum}`;
+            const cell = toCell(row[header], columnTypes[header]);
+            if (cell.kind === 'empty') return;
+
+            if (cell.kind === 'number') {
+                cells.push(`<c r="${ref}"><v>${cell.value}</v></c>`);
+            } else if (cell.kind === 'date') {
+                const style = cell.dateOnly ? STYLE.DATE : STYLE.DATETIME;
+                cells.push(`<c r="${ref}" s="${style}"><v>${toExcelSerial(cell.value)}</v></c>`);
+            } else if (hyperlinkColumns.includes(header) && /^https?:\/\//i.test(cell.value)) {
+                links.push({ ref, target: cell.value });
+                cells.push(`<c r="${ref}" t="inlineStr" s="${STYLE.LINK}"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`);
+            } else {
+                cells.push(`<c r="${ref}" t="inlineStr"><is><t xml:space="preserve">${escapeXml(cell.value)}</t></is></c>`);
+            }
+        });
+        sheetRows.push(`<row r="${rowNum}">${cells.join('')}</row>`);
+    });
+
+    const lastRef = `${columnLetter(Math.max(headers.length - 1, 0))}${rows.length + 1}`;
+    const hyperlinksXml = links.length > 0
+        ? `<hyperlinks>${links.map((l, i) => `<hyperlink ref="${l.ref}" r:id="rIdLink${i + 1}"/>`).join('')}</hyperlinks>`
+        : '';
+
+    const sheet = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<dimension ref="A1:${lastRef}"/>
+<sheetViews><sheetView workbookViewId="0"><pane ySplit="1" topLeftCell="A2" activePane="bottomLeft" state="frozen"/></sheetView></sheetViews>
+<sheetFormatPr defaultRowHeight="15"/>
+<sheetData>${sheetRows.join('')}</sheetData>
+<autoFilter ref="A1:${lastRef}"/>
+${hyperlinksXml}
+</worksheet>`;
+
+    const rels = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">${links.map((l, i) =>
+        `<Relationship Id="rIdLink${i + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/hyperlink" Target="${escapeXml(l.target)}" TargetMode="External"/>`
+    ).join('')}</Relationships>`;
+
+    return { sheet, rels, hasLinks: links.length > 0 };
+};
+
+const unescapeXml = (str) => str
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&amp;/g, '&');
+
+const columnIndex = (letters) =>
+    letters.split('').reduce((n, ch) => n * 26 + (ch.charCodeAt(0) - 64), 0) - 1;
+
+// Inverse of toExcelSerial
+const fromExcelSerial = (serial) => {
+    const wallClock = new Date(Math.round((serial - EXCEL_EPOCH_OFFSET_DAYS) * MS_PER_DAY));
+    return new Date(wallClock.getTime() + wallClock.getTimezoneOffset() * 60000);
+};
+
+export const xlsxWriter = {
+    /**
+     * @function build
+     * @description Generates an .xlsx workbook with a single sheet.
+     *
+     * @param {Object} options
+     * @param {Array<string>} options.headers - Ordered column names (first row).
+     * @param {Array<Object>} options.rows - Row objects keyed by header.
+     * @param {Object<string, string>} [options.columnTypes] - Header -> DocuWare type ('Date', 'DateTime', 'Int', 'Decimal', 'String').
+     * @param {Array<string>} [options.hyperlinkColumns] - Headers whose URL values become clickable links.
+     * @param {string} [options.sheetName='Export']
+     * @param {string} [options.type='uint8array'] - JSZip output type ('uint8array', 'nodebuffer', 'blob').
+     * @returns {Promise<Uint8Array|Buffer|Blob>}
+     */
+    build: async ({ headers, rows, columnTypes = {}, hyperlinkColumns = [], sheetName = 'Export', type = 'uint8array' }) => {
+        const { sheet, rels, hasLinks } = buildWorksheet(headers, rows, columnTypes, hyperlinkColumns);
+        const safeSheetName = escapeXml(String(sheetName).replace(/[\\/?*[\]:]/g, '_').slice(0, 31));
+
+        const zip = new JSZip();
+        zip.file('[Content_Types].xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">
+<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>
+<Default Extension="xml" ContentType="application/xml"/>
+<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>
+<Override PartName="/xl/worksheets/sheet1.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>
+<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>
+</Types>`);
+        zip.file('_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>
+</Relationships>`);
+        zip.file('xl/workbook.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships">
+<sheets><sheet name="${safeSheetName}" sheetId="1" r:id="rId1"/></sheets>
+<definedNames><definedName name="_xlnm._FilterDatabase" localSheetId="0" hidden="1">'${safeSheetName}'!$A$1:$${columnLetter(Math.max(headers.length - 1, 0))}$${rows.length + 1}</definedName></definedNames>
+</workbook>`);
+        zip.file('xl/_rels/workbook.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">
+<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet1.xml"/>
+<Relationship Id="rId2" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>
+</Relationships>`);
+        zip.file('xl/styles.xml', buildStyles());
+        zip.file('xl/worksheets/sheet1.xml', sheet);
+        if (hasLinks) zip.file('xl/worksheets/_rels/sheet1.xml.rels', rels);
+
+        return zip.generateAsync({
+            type,
+            compression: 'DEFLATE',
+            mimeType: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet'
+        });
+    },
+
+    /**
+     * @function read
+     * @description Reads back a workbook produced by build (first sheet, inline strings,
+     * numbers and date styles). Not a general-purpose XLSX parser.
+     *
+     * @param {Uint8Array|Buffer|Blob} data
+     * @returns {Promise<{ headers: Array<string>, rows: Array<Object>, columnTypes: Object<string, string> }>}
+     */
+    read: async (data) => {
+        const zip = await JSZip.loadAsync(data);
+        const sheetFile = zip.file('xl/worksheets/sheet1.xml');
+        if (!sheetFile) throw new Error('Worksheet not found in workbook');
+        const sheet = await sheetFile.async('string');
+
+        const records = [];
+        const columnTypes = {};
+        for (const [, rowXml] of sheet.matchAll(/<row r="\d+"[^>]*>(.*?)<\/row>/gs)) {
+            const cells = [];
+            for (const [, letters, attrs, body] of rowXml.matchAll(/<c r="([A-Z]+)\d+"([^>]*)>(.*?)<\/c>/gs)) {
+                const style = Number((attrs.match(/s="(\d+)"/) || [])[1] || STYLE.DEFAULT);
+                const inline = body.match(/<t[^>]*>(.*?)<\/t>/s);
+                const raw = (body.match(/<v>(.*?)<\/v>/s) || [])[1];
+                let value;
+                if (inline) value = unescapeXml(inline[1]);
+                else if (style === STYLE.DATE || style === STYLE.DATETIME) value = fromExcelSerial(Number(raw));
+                else value = Number(raw);
+                cells.push({ index: columnIndex(letters), style, value });
+            }
+            records.push(cells);
+        }
+
+        const [headerCells = [], ...dataRows] = records;
+        const headers = [];
+        headerCells.forEach(c => { headers[c.index] = String(c.value); });
+
+        const rows = dataRows.map(cells => {
+            const row = {};
+            cells.forEach(c => {
+                const header = headers[c.index];
+                if (header === undefined) return;
+                row[header] = c.value;
+                if (c.style === STYLE.DATE) columnTypes[header] = 'Date';
+                else if (c.style === STYLE.DATETIME) columnTypes[header] = 'DateTime';
+            });
+            return row;
+        });
+        return { headers: headers.filter(h => h !== undefined), rows, columnTypes };
+    }
+};
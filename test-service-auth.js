@@ -21,16 +21,15 @@ const run = async () => {
         await tokenManager.init();
 
         console.log('Checking current env vars...');
+        tokenManager.checkConfiguration(); // DOCUWARE_SERVICE_CONNECTION or DOCUWARE_PLATFORM_URL
         if (!process.env.DOCUWARE_USERNAME) {
             console.warn('⚠️ DOCUWARE_USERNAME not set in .env');
         } else {
             console.log('✅ DOCUWARE_USERNAME found');
         }
 
-        console.log(`[Test] DOCUWARE_ORG_ID: ${process.env.DOCUWARE_ORG_ID}`);
-
         console.log('Attempting login...');
-        const token = await tokenManager.loginWithServiceAccount();
+        const token = await tokenManager.loginWithServiceAccount(process.argv[2]); // Connection id (default: the only one)
         console.log('✅ Success! Token obtained:', token.substring(0, 10) + '...');
 
     } catch (error) {
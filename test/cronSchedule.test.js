@@ -0,0 +1,67 @@
+/**
+ * @file cronSchedule.test.js
+ * @description Occurrence calculation of schedule cron expressions across timezones and
+ * daylight saving transitions (Europe/Lisbon: 29 Mar 2026 01:00 -> 02:00, 25 Oct 2026 02:00 -> 01:00).
+ *
+ * Run: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { cronSchedule } from '../cronSchedule.js';
+
+const iso = (dates) => dates.map(d => d.toISOString());
+
+test('evaluates expressions in the schedule timezone', () => {
+    const after = new Date('2026-10-19T08:00:00Z');
+    assert.equal(cronSchedule.getNextRun('0 10 * * *', after, 'Africa/Luanda').toISOString(), '2026-10-19T09:00:00.000Z');
+    assert.equal(cronSchedule.getNextRun('0 10 * * *', after, 'UTC').toISOString(), '2026-10-19T10:00:00.000Z');
+    assert.equal(cronSchedule.getNextRun('0 9 * * mon,fri', new Date('2026-10-19T10:00:00Z'), 'UTC').toISOString(), '2026-10-23T09:00:00.000Z');
+    assert.equal(cronSchedule.getNextRun('0 0 31 2 *', after, 'UTC'), null);
+    assert.equal(cronSchedule.isValidTimezone('Europe/Lisbon'), true);
+    assert.equal(cronSchedule.isValidTimezone('Europe/Nowhere'), false);
+});
+
+test('runs times skipped by a forward DST transition once, right after the jump', () => {
+    const daily = cronSchedule.getRunsBetween('30 1 * * *', new Date('2026-03-28T00:00:00Z'), new Date('2026-03-31T00:00:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(daily), ['2026-03-28T01:30:00.000Z', '2026-03-29T01:00:00.000Z', '2026-03-30T00:30:00.000Z']);
+
+    const quarterly = cronSchedule.getRunsBetween('*/15 * * * *', new Date('2026-03-29T00:40:00Z'), new Date('2026-03-29T01:20:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(quarterly), ['2026-03-29T00:45:00.000Z', '2026-03-29T01:00:00.000Z', '2026-03-29T01:15:00.000Z']);
+});
+
+test('runs fixed times repeated by a backward DST transition only once', () => {
+    const daily = cronSchedule.getRunsBetween('30 1 * * *', new Date('2026-10-24T00:00:00Z'), new Date('2026-10-27T00:00:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(daily), ['2026-10-24T00:30:00.000Z', '2026-10-25T00:30:00.000Z', '2026-10-26T01:30:00.000Z']);
+
+    const fixedHour = cronSchedule.getRunsBetween('*/30 1 * * *', new Date('2026-10-24T23:50:00Z'), new Date('2026-10-25T02:10:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(fixedHour), ['2026-10-25T00:00:00.000Z', '2026-10-25T00:30:00.000Z']);
+});
+
+test('keeps intervals running on real time through the hour repeated by a backward DST transition', () => {
+    const halfHourly = cronSchedule.getRunsBetween('*/30 * * * *', new Date('2026-10-24T23:50:00Z'), new Date('2026-10-25T02:10:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(halfHourly), [
+        '2026-10-25T00:00:00.000Z', '2026-10-25T00:30:00.000Z', '2026-10-25T01:00:00.000Z',
+        '2026-10-25T01:30:00.000Z', '2026-10-25T02:00:00.000Z'
+    ]);
+
+    const quarterly = cronSchedule.getRunsBetween('*/15 * * * *', new Date('2026-10-25T00:30:00Z'), new Date('2026-10-25T01:20:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(quarterly), ['2026-10-25T00:45:00.000Z', '2026-10-25T01:00:00.000Z', '2026-10-25T01:15:00.000Z']);
+
+    // Steps stay on their wall-clock hours: the repeated 01:00 is not one of them
+    const everyTwoHours = cronSchedule.getRunsBetween('0 */2 * * *', new Date('2026-10-24T21:00:00Z'), new Date('2026-10-25T05:00:00Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(everyTwoHours), ['2026-10-24T23:00:00.000Z', '2026-10-25T02:00:00.000Z', '2026-10-25T04:00:00.000Z']);
+    assert.equal(cronSchedule.getNextRun('*/30 * * * *', new Date('2026-10-25T00:30:00Z'), 'Europe/Lisbon').toISOString(), '2026-10-25T01:00:00.000Z');
+});
+
+test('fires at every second of a 6-field expression, not only the first', () => {
+    const after = new Date('2026-10-19T10:00:00Z');
+    assert.equal(cronSchedule.getNextRun('*/10 * * * * *', after, 'UTC').toISOString(), '2026-10-19T10:00:10.000Z');
+    assert.equal(cronSchedule.getNextRun('5,45 0 10 * * *', new Date('2026-10-19T10:00:05Z'), 'UTC').toISOString(), '2026-10-19T10:00:45.000Z');
+
+    const runs = cronSchedule.getRunsBetween('*/10 * * * * *', after, new Date('2026-10-19T10:01:00Z'), { timezone: 'UTC' });
+    assert.deepEqual(iso(runs), ['10', '20', '30', '40', '50'].map(s => `2026-10-19T10:00:${s}.000Z`).concat('2026-10-19T10:01:00.000Z'));
+
+    // Through the repeated hour, on real time
+    const dst = cronSchedule.getRunsBetween('*/20 * * * * *', new Date('2026-10-25T00:59:30Z'), new Date('2026-10-25T01:00:30Z'), { timezone: 'Europe/Lisbon' });
+    assert.deepEqual(iso(dst), ['2026-10-25T00:59:40.000Z', '2026-10-25T01:00:00.000Z', '2026-10-25T01:00:20.000Z']);
+});
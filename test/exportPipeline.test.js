@@ -0,0 +1,119 @@
+/**
+ * @file exportPipeline.test.js
+ * @description Unit tests for the shared export pipeline: typed rows, headers and CSV serialization.
+ *
+ * Run: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { exportPipeline } from '../src/services/exportPipeline.js';
+
+// Dates are rendered in local time; pin it so expectations are stable.
+process.env.TZ = 'UTC';
+
+const START = Date.UTC(2024, 2, 5, 8, 30, 0);
+const DECISION = Date.UTC(2024, 2, 6, 14, 15, 9);
+
+const instance = {
+    Id: 'inst-1',
+    Name: 'Aprovação de Faturas',
+    Version: 2,
+    StartDate: `/Date(${START})/`,
+    HistorySteps: [
+        { ActivityName: 'Início', ActivityType: 'Start', StepDate: `/Date(${START})/`, Info: { Item: {} } },
+        {
+            ActivityName: 'Aprovação Nível 1',
+            ActivityType: 'General Task',
+            Info: { Item: { UserName: 'ana.silva', DecisionName: 'Aprovar', DecisionDate: `/Date(${DECISION})/` } }
+        },
+        { ActivityName: 'Validação Final', ActivityType: 'General Task', Info: { Item: { AssignedUsers: ['joao.costa', 'maria.santos'] } } }
+    ]
+};
+
+const documentFields = [
+    { FieldName: 'FORNECEDOR', Item: 'Unitel', ItemElementName: 'String' },
+    { FieldName: 'VALOR', Item: 1234.5, ItemElementName: 'Decimal' },
+    { FieldName: 'DATA_FATURA', Item: `/Date(${Date.UTC(2024, 1, 29)})/`, ItemElementName: 'Date' }
+];
+
+test('builds typed rows: dates as Date objects, numbers kept as numbers', () => {
+    const fields = exportPipeline.getFieldValues({ Fields: documentFields });
+    const rows = exportPipeline.buildDocumentRows({ docId: 7, instances: [instance], fields, link: 'https://dw/7' });
+
+    assert.equal(rows.length, 3, 'one row per step');
+    const decision = rows[1];
+    assert.equal(decision['DOCID'], 7);
+    assert.equal(decision['Versão'], 2);
+    assert.equal(decision['VALOR'], 1234.5);
+    assert.ok(decision['Iniciado Em'] instanceof Date);
+    assert.equal(decision['Iniciado Em'].getTime(), START);
+    assert.equal(decision['Data Decisão'].getTime(), DECISION);
+    assert.equal(decision['Usuário'], 'ana.silva');
+    assert.equal(decision['Decisão'], 'Aprovar');
+    assert.equal(rows[2]['Usuário'], 'joao.costa, maria.santos', 'open task: assigned users');
+    assert.equal(rows[2]['Data Decisão'], null);
+
+    const [withoutWorkflow] = exportPipeline.buildDocumentRows({ docId: 8, instances: [], fields });
+    assert.equal(withoutWorkflow['Instância'], 'Sem Histórico');
+    assert.equal(withoutWorkflow['Iniciado Em'], null);
+
+    assert.deepEqual(exportPipeline.getColumnTypes([{ Fields: documentFields }]), {
+        FORNECEDOR: 'String', VALOR: 'Decimal', DATA_FATURA: 'Date',
+        'DOCID': 'Int', 'Versão': 'Int', 'Iniciado Em': 'DateTime', 'Data Decisão': 'DateTime'
+    });
+    assert.equal(exportPipeline.parseDate('/Date(64060588800000)/'), null, 'DocuWare placeholder year');
+    assert.equal(exportPipeline.parseDate('not a date'), null);
+});
+
+test('drops steps rejected by the step filter', () => {
+    const rows = exportPipeline.buildDocumentRows({
+        docId: 7,
+        instances: [instance],
+        stepFilter: (step) => step.ActivityType !== 'Start'
+    });
+    assert.deepEqual(rows.map(r => r['Atividade']), ['Aprovação Nível 1', 'Validação Final']);
+
+    const [placeholder] = exportPipeline.buildDocumentRows({ docId: 7, instances: [instance], stepFilter: () => false });
+    assert.equal(placeholder['Atividade'], '(Sem passos)', 'instance kept with a placeholder row');
+    assert.equal(placeholder['Instance GUID'], 'inst-1');
+});
+
+test('puts the fixed headers first, then the union of all other columns sorted', () => {
+    const rows = [
+        { 'DOCID': 1, VALOR: 1, FORNECEDOR: 'a' },
+        { 'DOCID': 2, NUMERO: 10, 'Instance GUID': 'x' }
+    ];
+    const headers = exportPipeline.getHeaders(rows, ['DATA_FATURA', 'VALOR']);
+    assert.deepEqual(headers, [...exportPipeline.fixedHeaders, 'DATA_FATURA', 'FORNECEDOR', 'NUMERO', 'VALOR']);
+    assert.deepEqual(exportPipeline.getHeaders([]), exportPipeline.fixedHeaders);
+});
+
+test('renders pt-BR dates, date-only columns and text read back from a previous CSV', () => {
+    const row = { 'Data Decisão': new Date(DECISION), DATA_FATURA: `/Date(${Date.UTC(2024, 1, 29)})/`, VALOR: 0, NUMERO: null, FORNECEDOR: '05/03/2024, 08:30:00' };
+    const formatted = exportPipeline.formatRow(row, ['Data Decisão', 'DATA_FATURA', 'VALOR', 'NUMERO', 'FORNECEDOR'], { DATA_FATURA: 'Date', 'Data Decisão': 'DateTime' });
+    assert.deepEqual(formatted, {
+        'Data Decisão': '06/03/2024, 14:15:09',
+        DATA_FATURA: '29/02/2024',
+        VALOR: 0,
+        NUMERO: '',
+        FORNECEDOR: '05/03/2024, 08:30:00'
+    });
+});
+
+test('serializes ";" delimited CSV with a BOM, quoting only values that need it', () => {
+    const headers = ['DOCID', 'Decisão', 'Usuário'];
+    const rows = [
+        { 'DOCID': 1, 'Decisão': 'Aprovar; com ressalvas', 'Usuário': 'Silva, Ana' },
+        { 'DOCID': 2, 'Decisão': 'Diz "não"', 'Usuário': 'linha 1\nlinha 2' },
+        { 'DOCID': 3, 'Decisão': null }
+    ];
+    const csv = exportPipeline.toCsv(headers, rows);
+
+    assert.equal(csv.charCodeAt(0), 0xFEFF);
+    assert.equal(csv.slice(1), [
+        'DOCID;Decisão;Usuário',
+        '1;"Aprovar; com ressalvas";Silva, Ana',
+        '2;"Diz ""não""";"linha 1\nlinha 2"',
+        '3;;'
+    ].join('\n'));
+});
@@ -0,0 +1,117 @@
+/**
+ * @file odataFeed.test.js
+ * @description OData feed of a dataset: property names, $metadata, query options, paging and
+ * token checks.
+ *
+ * Run: npm test
+ */
+import { test, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { odataFeed } from '../odataFeed.js';
+
+const SERVICE_URL = 'http://localhost:3001/odata/sched-1';
+
+const dataset = {
+    columns: [
+        { name: 'DOCID', type: 'Int' },
+        { name: 'Instância', type: 'String' },
+        { name: 'Data Decisão', type: 'DateTime' },
+        { name: 'DATA_FATURA', type: 'Date' },
+        { name: 'VALOR', type: 'Decimal' }
+    ],
+    rows: [
+        { 'DOCID': 1, 'Instância': 'Aprovação', 'Data Decisão': new Date('2026-10-01T09:30:00Z'), 'DATA_FATURA': new Date('2026-09-30T00:00:00Z'), 'VALOR': 100.5 },
+        { 'DOCID': 2, 'Instância': "Fornecedor D'Ouro", 'Data Decisão': null, 'DATA_FATURA': new Date('2026-10-02T00:00:00Z'), 'VALOR': 20 },
+        { 'DOCID': 3, 'Instância': 'Sem Histórico', 'Data Decisão': new Date('2026-10-15T18:00:00Z'), 'DATA_FATURA': null, 'VALOR': null }
+    ]
+};
+
+const query = (options) => odataFeed.query(dataset, options, SERVICE_URL).body;
+const ids = (options) => query(options).value.map(e => e.RowId);
+
+beforeEach(() => {
+    delete process.env.ODATA_PAGE_SIZE;
+    process.env.ODATA_TOKENS = 'token-a, token-b';
+});
+
+test('describes the dataset in $metadata with OData-safe property names', () => {
+    assert.deepEqual(odataFeed.buildProperties(dataset.columns).map(p => [p.name, p.type]), [
+        ['RowId', 'Edm.Int64'],
+        ['DOCID', 'Edm.Int64'],
+        ['Instancia', 'Edm.String'],
+        ['Data_Decisao', 'Edm.DateTimeOffset'],
+        ['DATA_FATURA', 'Edm.Date'],
+        ['VALOR', 'Edm.Double']
+    ]);
+    const metadata = odataFeed.getMetadata(dataset.columns);
+    assert.match(metadata, /<Key><PropertyRef Name="RowId"\/><\/Key>/);
+    assert.match(metadata, /<Property Name="Data_Decisao" Type="Edm.DateTimeOffset"><Annotation Term="Core.Description" String="Data Decisão"\/><\/Property>/);
+    assert.match(metadata, /<EntitySet Name="Export" EntityType="PbiExport.ExportRow"\/>/);
+    assert.deepEqual(odataFeed.getServiceDocument(SERVICE_URL).value, [{ name: 'Export', kind: 'EntitySet', url: 'Export' }]);
+});
+
+test('returns typed entities and applies $select, $top, $skip and $count', () => {
+    const all = query({});
+    assert.equal(all['@odata.context'], `${SERVICE_URL}/$metadata#Export`);
+    assert.deepEqual(all.value[0], {
+        RowId: 1, DOCID: 1, Instancia: 'Aprovação', Data_Decisao: '2026-10-01T09:30:00.000Z', DATA_FATURA: '2026-09-30', VALOR: 100.5
+    });
+    assert.equal(all.value[2].VALOR, null);
+
+    const page = query({ $select: 'DOCID,VALOR', $skip: '1', $top: '1', $count: 'true' });
+    assert.equal(page['@odata.context'], `${SERVICE_URL}/$metadata#Export(DOCID,VALOR)`);
+    assert.equal(page['@odata.count'], 3);
+    assert.deepEqual(page.value, [{ DOCID: 2, VALOR: 20 }]);
+
+    assert.throws(() => query({ $select: 'Nope' }), { status: 400, message: /Unknown property in \$select: Nope/ });
+    assert.throws(() => query({ $top: '-1' }), { status: 400 });
+});
+
+test('filters with comparisons, logical operators and string functions', () => {
+    assert.deepEqual(ids({ $filter: 'DOCID eq 2' }), [2]);
+    assert.deepEqual(ids({ $filter: 'VALOR gt 10 and not (DOCID eq 1)' }), [2]);
+    assert.deepEqual(ids({ $filter: 'VALOR ge 100 or VALOR eq null' }), [1, 3]);
+    assert.deepEqual(ids({ $filter: "Instancia eq 'Fornecedor D''Ouro'" }), [2]);
+    assert.deepEqual(ids({ $filter: "contains(tolower(Instancia), 'hist')" }), [3]);
+    assert.deepEqual(ids({ $filter: "startswith(Instancia,'Apro') or endswith(Instancia, 'Ouro')" }), [1, 2]);
+    assert.deepEqual(ids({ $filter: 'Data_Decisao ge 2026-10-01T10:00:00Z' }), [3]);
+    assert.deepEqual(ids({ $filter: 'Data_Decisao lt 2026-10-01T11:00:00+01:00' }), [1], 'offsets are honored');
+    assert.deepEqual(ids({ $filter: 'DATA_FATURA ge 2026-10-01' }), [2]);
+    assert.deepEqual(ids({ $filter: 'Data_Decisao ne null' }), [1, 3]);
+
+    assert.throws(() => query({ $filter: 'Missing eq 1' }), { status: 400, message: /Unknown property in \$filter: Missing/ });
+    assert.throws(() => query({ $filter: 'DOCID eq' }), { status: 400 });
+    assert.throws(() => query({ $filter: 'DOCID eq 1)' }), { status: 400 });
+    assert.throws(() => query({ $filter: 'DOCID # 1' }), { status: 400 });
+});
+
+test('pages large results with a next link that keeps the query', () => {
+    process.env.ODATA_PAGE_SIZE = '2';
+    const first = query({ $filter: 'DOCID gt 0', $select: 'DOCID' });
+    assert.deepEqual(first.value, [{ DOCID: 1 }, { DOCID: 2 }]);
+    const next = new URL(first['@odata.nextLink']);
+    assert.equal(`${next.origin}${next.pathname}`, `${SERVICE_URL}/Export`);
+    assert.equal(next.searchParams.get('$skip'), '2');
+    assert.equal(next.searchParams.get('$filter'), 'DOCID gt 0');
+
+    const second = query(Object.fromEntries(next.searchParams));
+    assert.deepEqual(second.value, [{ DOCID: 3 }]);
+    assert.equal(second['@odata.nextLink'], undefined);
+
+    const limited = query({ $top: '3' });
+    assert.equal(new URL(limited['@odata.nextLink']).searchParams.get('$top'), '1', '$top counts across pages');
+});
+
+test('accepts the configured tokens as Bearer or Basic password', () => {
+    const basic = (user, password) => `Basic ${Buffer.from(`${user}:${password}`).toString('base64')}`;
+    assert.equal(odataFeed.isEnabled(), true);
+    assert.equal(odataFeed.authenticate('Bearer token-a'), true);
+    assert.equal(odataFeed.authenticate(basic('powerbi', 'token-b')), true);
+    assert.equal(odataFeed.authenticate('Bearer token-c'), false);
+    assert.equal(odataFeed.authenticate(basic('token-a', '')), false);
+    assert.equal(odataFeed.authenticate(undefined), false);
+
+    process.env.ODATA_TOKENS = '';
+    assert.equal(odataFeed.isEnabled(), false);
+    assert.equal(odataFeed.authenticate('Bearer '), false);
+});
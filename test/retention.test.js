@@ -0,0 +1,60 @@
+/**
+ * @file retention.test.js
+ * @description Which runs each retention rule expires.
+ *
+ * Run: npm test
+ */
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { retention } from '../retention.js';
+
+const NOW = new Date('2026-10-19T12:00:00Z');
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// One run per day, newest first: run-0 finished today, run-1 yesterday, ...
+const dailyRuns = (count, overrides = {}) => Array.from({ length: count }, (_, i) => ({
+    runId: `run-${i}`,
+    finishedAt: new Date(NOW.getTime() - i * DAY_MS).toISOString(),
+    status: 'SUCCESS',
+    hasFile: true,
+    ...overrides[i]
+}));
+
+const expiredIds = (runs, rule, options = {}) => retention.getExpiredRuns(runs, rule, { now: NOW, ...options }).expired.map(r => r.runId);
+
+test('keeps everything without a valid rule', () => {
+    const runs = dailyRuns(5);
+    assert.deepEqual(expiredIds(runs, undefined), []);
+    assert.deepEqual(expiredIds(runs, { mode: 'count', value: 0 }), []);
+    assert.deepEqual(expiredIds(runs, { mode: 'forever', value: 3 }), []);
+    assert.equal(retention.getExpiredRuns(runs, { mode: 'all' }).cutoff, null);
+});
+
+test('keeps the last N files, with the runs without a file between them', () => {
+    const runs = dailyRuns(6, { 1: { hasFile: false, status: 'ERROR' }, 4: { hasFile: false, status: 'ERROR' } });
+    const { expired, cutoff } = retention.getExpiredRuns(runs, { mode: 'count', value: 2 }, { now: NOW });
+    assert.deepEqual(expired.map(r => r.runId), ['run-3', 'run-4', 'run-5']);
+    assert.equal(cutoff.toISOString(), runs[2].finishedAt);
+});
+
+test('keeps the last N days, but never the latest file or protected runs', () => {
+    const runs = dailyRuns(6);
+    assert.deepEqual(expiredIds(runs, { mode: 'days', value: 3 }), ['run-4', 'run-5']);
+    assert.deepEqual(expiredIds(runs, { mode: 'days', value: 3 }, { keep: new Set(['run-5']) }), ['run-4']);
+
+    const stale = dailyRuns(3).map(r => ({ ...r, finishedAt: new Date(new Date(r.finishedAt).getTime() - 30 * DAY_MS).toISOString() }));
+    assert.deepEqual(expiredIds(stale, { mode: 'days', value: 7 }), ['run-1', 'run-2'], 'latest file survives');
+});
+
+test('keeps one run per week or month after N days', () => {
+    // 19 Oct 2026 is a Monday: runs older than 7 days are run-8 (11 Oct) onwards;
+    // run-8..run-14 are the week of 5 Oct, run-15..run-20 the week of 28 Sep
+    const runs = dailyRuns(21, { 8: { status: 'PARTIAL' }, 9: { hasFile: false, status: 'ERROR' } });
+    const kept = (rule) => {
+        const expired = expiredIds(runs, rule);
+        return runs.map(r => r.runId).filter(id => !expired.includes(id));
+    };
+    const recent = ['run-0', 'run-1', 'run-2', 'run-3', 'run-4', 'run-5', 'run-6', 'run-7'];
+    assert.deepEqual(kept({ mode: 'weekly', value: 7 }), [...recent, 'run-10', 'run-15'], 'newest successful run with a file of each older week');
+    assert.deepEqual(kept({ mode: 'monthly', value: 7 }), [...recent, 'run-10', 'run-19']);
+});
@@ -0,0 +1,1179 @@
+/**
+ * @file scheduler.test.js
+ * @description Integration tests for scheduled export runs.
+ * Boots the scheduler against the local DocuWare mock (mock-docuware/) with a scratch
+ * DATA_DIR, triggers runs through scheduler.forceRun and inspects the files it writes.
+ *
+ * Run: npm test
+ */
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import net from 'net';
+import os from 'os';
+import path from 'path';
+import sql from 'mssql';
+import { createMockDocuWareServer } from '../mock-docuware/server.js';
+import { xlsxWriter } from '../src/services/xlsxWriter.js';
+import { parquetWriter } from '../parquetWriter.js';
+import { MOCK_CABINET_ID, MOCK_ORG_ID } from '../mock-docuware/fixtures.js';
+
+const FIXED_HEADERS = [
+    'Instance GUID', 'DOCID', 'Instância', 'Versão', 'Iniciado Em',
+    'Atividade', 'Tipo Atividade', 'Decisão', 'Usuário', 'Data Decisão', 'Link Documento'
+];
+const FIELD_HEADERS = ['DATA_FATURA', 'DOCUMENT_TYPE', 'DWDOCID', 'DWMODDATETIME', 'DWSTOREDATETIME', 'FORNECEDOR', 'NUMERO', 'VALOR'];
+
+let dataDir;
+let mock;
+let mockServer;
+let scheduler;
+let tokenManager;
+
+// Dates in the CSV are rendered in local time; pin it so expectations are stable.
+process.env.TZ = 'UTC';
+
+const waitFor = async (predicate, timeoutMs = 10000, label = 'condition') => {
+    const startedAt = Date.now();
+    while (Date.now() - startedAt < timeoutMs) {
+        const value = await predicate();
+        if (value) return value;
+        await new Promise(resolve => setTimeout(resolve, 25));
+    }
+    throw new Error(`Timed out waiting for ${label}`);
+};
+
+// history.json is rewritten in place; a read can land mid-write, so treat unparsable content as "not yet".
+const readHistory = async () => {
+    try {
+        return JSON.parse(await fs.readFile(path.join(dataDir, 'history.json'), 'utf-8'));
+    } catch {
+        return [];
+    }
+};
+
+const historyFor = async (scheduleId) => (await readHistory()).filter(e => e.scheduleId === scheduleId);
+
+// Waits for the run's final history entry (anything but RUNNING), optionally of a given run, and for
+// its job to finish (notifications, latest.* and cleanup happen after the entry is written).
+const waitForRunEnd = async (scheduleId, runId) => {
+    const entry = await waitFor(async () => {
+        const entries = await historyFor(scheduleId);
+        return entries.find(e => e.status !== 'RUNNING' && (!runId || e.runId === runId));
+    }, 15000, `run end of ${scheduleId}`);
+    await waitFor(() => !scheduler.getJobs().running.some(j => j.runId === entry.runId), 5000, `job end of ${scheduleId}`);
+    return entry;
+};
+
+const buildSchedule = (overrides = {}) => ({
+    id: `sched-${Math.random().toString(36).slice(2, 10)}`,
+    name: 'Relatório Mensal',
+    cronExpression: '0 6 * * *',
+    enabled: false,
+    cabinetId: MOCK_CABINET_ID,
+    cabinetName: 'Faturas',
+    filters: [{ fieldName: 'DOCUMENT_TYPE', value: 'Fatura' }],
+    auth: { url: mockServer.url, organizationId: MOCK_ORG_ID, refreshToken: 'mock-refresh-token' },
+    ...overrides
+});
+
+const writeSchedules = (schedules) =>
+    fs.writeFile(path.join(dataDir, 'schedules.json'), JSON.stringify(schedules, null, 2));
+
+// Timestamped run outputs of a schedule (without its latest.* alias)
+const listExports = async (scheduleId) => {
+    try {
+        return (await fs.readdir(path.join(dataDir, 'exports', scheduleId))).filter(f => !f.startsWith('latest.'));
+    } catch {
+        return [];
+    }
+};
+
+const parseCsv = (content) => {
+    assert.equal(content.charCodeAt(0), 0xFEFF, 'CSV starts with a UTF-8 BOM');
+    const [headerLine, ...lines] = content.slice(1).split('\n');
+    const headers = headerLine.split(';');
+    // Fixture values contain no ';', quotes or newlines, so a plain split is enough here.
+    return { headers, rows: lines.map(line => Object.fromEntries(line.split(';').map((v, i) => [headers[i], v]))) };
+};
+
+const fieldValue = (doc, name) => doc.Fields.find(f => f.FieldName === name).Item;
+
+const matchingDocuments = () =>
+    mock.state.data.cabinets[0].Documents.filter(d => fieldValue(d, 'DOCUMENT_TYPE') === 'Fatura');
+
+// Edit index fields as a DocuWare user would: DWMODDATETIME moves to now
+const modifyDocument = (doc, values) => {
+    Object.entries({ ...values, DWMODDATETIME: `/Date(${Date.now()})/` }).forEach(([name, value]) => {
+        doc.Fields.find(f => f.FieldName === name).Item = value;
+    });
+};
+
+const countRequests = (fragment) => mock.state.requests.filter(r => r.path.includes(fragment)).length;
+
+// pt-BR rendering of a "/Date(ms)/" value, computed independently of the export pipeline (TZ=UTC).
+const ptBrDateTime = (docuwareDate) => {
+    const d = new Date(parseInt(docuwareDate.match(/\d+/)[0], 10));
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(d.getUTCDate())}/${pad(d.getUTCMonth() + 1)}/${d.getUTCFullYear()}, ` +
+        `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())}`;
+};
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pbi-export-test-'));
+    mock = createMockDocuWareServer({ fixtures: { documentCount: 12 } });
+    mockServer = await mock.listen();
+
+    process.env.DATA_DIR = dataDir;
+    // Fast backoff so retry tests don't wait for production delays
+    process.env.RETRY_MAX_ATTEMPTS = '3';
+    process.env.RETRY_BASE_DELAY_MS = '5';
+    process.env.RETRY_MAX_DELAY_MS = '20';
+    process.env.DOCUWARE_TOKEN_ENDPOINT = `${mockServer.url}/DocuWare/Identity/connect/token`;
+    delete process.env.DOCUWARE_PLATFORM_URL;
+
+    // Single session in the format written before connections; init files it under the mock's host
+    await fs.writeFile(path.join(dataDir, 'tokens.json'), JSON.stringify({ refreshToken: 'mock-refresh-token', url: mockServer.url }));
+
+    // Imported after DATA_DIR is set: both modules resolve their file paths at load time.
+    ({ scheduler } = await import('../scheduler.js'));
+    ({ tokenManager } = await import('../tokenManager.js'));
+    await tokenManager.init();
+});
+
+after(async () => {
+    await mockServer.close();
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    mock.clearFaults();
+    mock.state.requests = [];
+});
+
+test('writes the CSV into exports/{scheduleId} with the standard export columns and a latest.csv copy', async () => {
+    const other = buildSchedule({ name: 'Outro' });
+    const schedule = buildSchedule();
+    await writeSchedules([other, schedule]);
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    const folder = path.join(dataDir, 'exports', schedule.id);
+    const files = await listExports(schedule.id);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^relatorio_mensal_faturas_fatura_\d{4}-\d{2}-\d{2}T\d{2}-\d{2}-\d{2}-\d{3}Z\.csv$/);
+    const content = await fs.readFile(path.join(folder, files[0]), 'utf-8');
+    assert.equal(await fs.readFile(path.join(folder, 'latest.csv'), 'utf-8'), content, 'latest.csv is a copy of the run output');
+
+    const { headers, rows } = parseCsv(content);
+    assert.deepEqual(headers, [...FIXED_HEADERS, ...FIELD_HEADERS]);
+
+    const documents = matchingDocuments();
+    const expectedRows = documents.reduce((sum, doc) => sum + (doc.Instances.length === 0
+        ? 1
+        : doc.Instances.reduce((n, inst) => n + Math.max(inst.HistorySteps.length, 1), 0)), 0);
+    assert.equal(rows.length, expectedRows);
+    assert.deepEqual(new Set(rows.map(r => r['DOCID'])), new Set(documents.map(d => String(d.Id))));
+
+    // Decision step: user, decision and pt-BR decision date
+    const doc = documents.find(d => d.Instances.length > 0);
+    const instance = [...doc.Instances].sort((a, b) => b.Version - a.Version)[0];
+    const step = instance.HistorySteps.find(s => s.Info.Item.DecisionName);
+    const row = rows.find(r => r['Instance GUID'] === instance.Id && r['Atividade'] === step.ActivityName);
+    assert.ok(row, 'step row exported');
+    assert.equal(row['DOCID'], String(doc.Id));
+    assert.equal(row['Versão'], String(instance.Version));
+    assert.equal(row['Usuário'], step.Info.Item.UserName);
+    assert.equal(row['Decisão'], step.Info.Item.DecisionName);
+    assert.equal(row['Data Decisão'], ptBrDateTime(step.Info.Item.DecisionDate));
+    assert.equal(row['Iniciado Em'], ptBrDateTime(instance.StartDate));
+    assert.equal(row['DATA_FATURA'], ptBrDateTime(fieldValue(doc, 'DATA_FATURA')).split(',')[0]);
+    assert.equal(row['Link Documento'],
+        `${mockServer.url}/DocuWare/Platform/WebClient/${MOCK_ORG_ID}/Integration?fc=${MOCK_CABINET_ID}&did=${doc.Id}&p=V`);
+});
+
+test('uses all_docs in the folder name when the schedule has no filters', async () => {
+    const schedule = buildSchedule({ name: 'Sem Filtro', filters: [] });
+    await writeSchedules([schedule]);
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+    assert.equal(end.status, 'SUCCESS', end.message);
+    const files = await listExports(schedule.id);
+    assert.equal(files.length, 1);
+    assert.match(files[0], /^sem_filtro_faturas_all_docs_/);
+
+    // Document without workflow: a single placeholder row carrying its index fields
+    const { rows } = parseCsv(await fs.readFile(path.join(dataDir, 'exports', schedule.id, files[0]), 'utf-8'));
+    const withoutWorkflow = mock.state.data.cabinets[0].Documents.find(d => d.Instances.length === 0);
+    const docRows = rows.filter(r => r['DOCID'] === String(withoutWorkflow.Id));
+    assert.equal(docRows.length, 1);
+    assert.equal(docRows[0]['Instância'], 'Sem Histórico');
+    assert.equal(docRows[0]['Atividade'], '');
+    assert.equal(docRows[0]['FORNECEDOR'], fieldValue(withoutWorkflow, 'FORNECEDOR'));
+});
+
+test('incremental runs fetch changed and open-workflow documents and merge them into the previous CSV', async () => {
+    const schedule = buildSchedule({ name: 'Incremental', filters: [], exportMode: 'incremental' });
+    await writeSchedules([schedule]);
+    const readLatest = async () => parseCsv(await fs.readFile(path.join(dataDir, 'exports', schedule.id, 'latest.csv'), 'utf-8')).rows;
+    const rowKey = (r) => `${r['DOCID']}|${r['Instance GUID']}|${r['Atividade']}|${r['Data Decisão']}`;
+    const isOpen = (doc) => doc.Instances.some(inst => !inst.HistorySteps.some(step => step.ActivityType === 'End'));
+    const fetchedHistories = () => new Set(mock.state.requests
+        .filter(r => r.path.endsWith('/DocumentHistory')).map(r => r.query.documentId));
+
+    await scheduler.forceRun(schedule.id);
+    assert.equal((await waitForRunEnd(schedule.id)).status, 'SUCCESS');
+    const fullRows = await readLatest();
+
+    const documents = mock.state.data.cabinets[0].Documents;
+    const openDocs = documents.filter(isOpen);
+    const changed = documents.find(d => !isOpen(d) && d.Instances.length > 0);
+    assert.ok(openDocs.length > 0 && changed, 'fixtures have open and finished workflows');
+    modifyDocument(changed, { FORNECEDOR: 'Fornecedor Alterado' });
+    // One open workflow ends in DocuWare without its index fields changing
+    const closed = openDocs[0];
+    const closedInstance = closed.Instances.find(inst => !inst.HistorySteps.some(step => step.ActivityType === 'End'));
+    closedInstance.HistorySteps.push({ ActivityName: 'Fim', ActivityType: 'End', StepDate: `/Date(${Date.now()})/`, Info: { Item: {} } });
+    mock.state.requests = [];
+
+    const second = await scheduler.forceRun(schedule.id);
+    assert.equal((await waitForRunEnd(schedule.id, second.runId)).status, 'SUCCESS');
+
+    const search = mock.state.requests.find(r => r.path.endsWith('/Query/DialogExpression'));
+    assert.ok(search, 'searched again');
+    assert.deepEqual(fetchedHistories(), new Set([changed, ...openDocs].map(d => String(d.Id))),
+        'only the modified documents and the workflows open at the last run');
+    openDocs.forEach(doc => assert.equal(countRequests(`/Documents/${doc.Id}`), 1, `open document ${doc.Id} reloaded`));
+
+    const merged = await readLatest();
+    assert.equal(new Set(merged.map(rowKey)).size, merged.length, 'no duplicated rows');
+    assert.deepEqual(new Set(merged.map(r => r['DOCID'])), new Set(fullRows.map(r => r['DOCID'])));
+    const changedRows = merged.filter(r => r['DOCID'] === String(changed.Id));
+    assert.equal(changedRows.length, fullRows.filter(r => r['DOCID'] === String(changed.Id)).length);
+    assert.ok(changedRows.every(r => r['FORNECEDOR'] === 'Fornecedor Alterado'), 'changed rows replaced');
+    assert.ok(merged.some(r => r['DOCID'] === String(closed.Id) && r['Atividade'] === 'Fim'), 'ended workflow picked up');
+    assert.equal(merged.length, fullRows.length + 1, 'one new step, nothing else added');
+    const untouched = documents.find(d => d !== changed && !openDocs.includes(d));
+    assert.deepEqual(merged.filter(r => r['DOCID'] === String(untouched.Id)), fullRows.filter(r => r['DOCID'] === String(untouched.Id)));
+
+    // The ended workflow is no longer re-checked; the others still are
+    mock.state.requests = [];
+    const third = await scheduler.forceRun(schedule.id);
+    assert.equal((await waitForRunEnd(schedule.id, third.runId)).status, 'SUCCESS');
+    assert.deepEqual(fetchedHistories(), new Set(openDocs.slice(1).map(d => String(d.Id))));
+    assert.equal((await readLatest()).length, merged.length);
+});
+
+test('pages through search results larger than one page without skipping or repeating documents', async (t) => {
+    const cabinet = mock.state.data.cabinets[0];
+    const original = cabinet.Documents;
+    t.after(() => { cabinet.Documents = original; });
+    // More documents than one search page (SEARCH_PAGE_SIZE = 1000); copies without workflow keep the run short
+    const template = original.find(d => d.Instances.length === 0);
+    const copies = Array.from({ length: 1050 }, (_, i) => {
+        const Id = 50000 + i;
+        const Fields = template.Fields.map(f => (f.FieldName === 'DWDOCID' ? { ...f, Item: Id } : { ...f }));
+        return { ...template, Id, Fields, Instances: [] };
+    });
+    cabinet.Documents = [...original, ...copies];
+
+    const schedule = buildSchedule({ name: 'Paginado', filters: [] });
+    await writeSchedules([schedule]);
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    const searches = mock.state.requests.filter(r => r.path.endsWith('/Query/DialogExpression'));
+    assert.deepEqual(searches.map(r => r.query.start), ['0', '1000']);
+    const [file] = await listExports(schedule.id);
+    const { rows } = parseCsv(await fs.readFile(path.join(dataDir, 'exports', schedule.id, file), 'utf-8'));
+    const exportedDocs = new Set(rows.map(r => r['DOCID']));
+    assert.deepEqual(exportedDocs, new Set(cabinet.Documents.map(d => String(d.Id))), 'every page exported');
+    const copyRows = rows.filter(r => Number(r['DOCID']) >= 50000);
+    assert.equal(copyRows.length, copies.length, 'no document exported twice');
+});
+
+test('records RUNNING and SUCCESS entries in history.json', async () => {
+    const schedule = buildSchedule({ name: 'Historico' });
+    await writeSchedules([schedule]);
+
+    await scheduler.forceRun(schedule.id);
+    await waitForRunEnd(schedule.id);
+
+    const entries = await historyFor(schedule.id);
+    assert.deepEqual(entries.map(e => e.status), ['RUNNING', 'SUCCESS']);
+    entries.forEach(e => {
+        assert.equal(e.scheduleName, schedule.name);
+        assert.ok(e.id);
+        assert.equal(e.runId, entries[0].runId, 'both entries belong to the same run');
+        assert.ok(!isNaN(new Date(e.timestamp).getTime()));
+    });
+
+    const docCount = matchingDocuments().length;
+    assert.match(entries[1].message, new RegExp(`^Sucesso\\. ${docCount} de ${docCount} docs exportados com \\d+ linhas\\.$`));
+});
+
+test('records an ERROR entry when DocuWare keeps failing', async () => {
+    const schedule = buildSchedule({ name: 'Falha' });
+    await writeSchedules([schedule]);
+    mock.addFault({ path: '/Query/DialogExpression', status: 500 });
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+
+    assert.equal(end.status, 'ERROR');
+    assert.match(end.message, /^Falha: /);
+    assert.equal((await listExports(schedule.id)).length, 0);
+});
+
+test('abortExport cancels a running export without writing a file', async () => {
+    const schedule = buildSchedule({ name: 'Cancelar', filters: [] });
+    await writeSchedules([schedule]);
+    // Slow history responses keep the run busy long enough to abort it
+    mock.addFault({ path: '/Workflow/', delayMs: 200 });
+
+    assert.equal(scheduler.abortExport(schedule.id), false, 'nothing to abort before the run starts');
+
+    await scheduler.forceRun(schedule.id);
+    await waitFor(() => scheduler.getRunningFiles().includes(schedule.id), 5000, 'run to start');
+    await waitFor(() => countRequests('/Workflow/') > 0, 5000, 'history fetch');
+
+    assert.equal(scheduler.abortExport(schedule.id), true);
+    const end = await waitForRunEnd(schedule.id);
+
+    assert.equal(end.status, 'ERROR');
+    assert.equal(end.message, 'Cancelado pelo usuário.');
+    assert.ok(!scheduler.getRunningFiles().includes(schedule.id), 'run removed from running list');
+    assert.equal((await listExports(schedule.id)).length, 0);
+});
+
+test('executeWithRetry refreshes the token after a 401 and retries the call', async () => {
+    const schedule = buildSchedule({ name: 'Token' });
+    await writeSchedules([schedule]);
+    const connectionId = tokenManager.getConnectionId(mockServer.url);
+    await tokenManager.getAccessToken(connectionId); // Make sure a valid token is cached before the run
+    mock.state.requests = [];
+    mock.addFault({ path: '/Dialogs', status: 401, times: 1 });
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+
+    assert.equal(end.status, 'SUCCESS', end.message);
+    assert.equal(countRequests('/Dialogs'), 2, 'dialogs requested again after the refresh');
+    assert.equal(countRequests('/connect/token'), 1, 'exactly one refresh');
+    assert.equal((await listExports(schedule.id)).length, 1);
+
+    // The rotated refresh token was persisted for the next run
+    const { connections } = JSON.parse(await fs.readFile(path.join(dataDir, 'tokens.json'), 'utf-8'));
+    assert.notEqual(connections[connectionId].refreshToken, 'mock-refresh-token');
+    assert.ok(mock.state.refreshTokens.has(connections[connectionId].refreshToken));
+});
+
+test('keeps one session per DocuWare connection and runs each schedule with its own', async () => {
+    const readConnections = async () => JSON.parse(await fs.readFile(path.join(dataDir, 'tokens.json'), 'utf-8')).connections;
+    const mainId = tokenManager.getConnectionId(mockServer.url);
+    // Same mock under another host name: a second organization as far as tokenManager is concerned
+    const otherUrl = mockServer.url.replace('127.0.0.1', 'localhost');
+    const otherId = tokenManager.getConnectionId(otherUrl);
+    assert.notEqual(otherId, mainId);
+    await tokenManager.getAccessToken(mainId);
+    const mainBefore = (await readConnections())[mainId];
+
+    mock.state.refreshTokens.add('other-org-refresh-token');
+    const connection = await tokenManager.registerConnection({ url: otherUrl, refreshToken: 'other-org-refresh-token', name: 'Outra' });
+    assert.deepEqual([connection.id, connection.name, connection.refreshToken], [otherId, 'Outra', undefined], 'no tokens in the summary');
+    assert.equal((await readConnections())[mainId].refreshToken, mainBefore.refreshToken, 'login of another organization keeps this session');
+
+    const schedule = buildSchedule({ name: 'Outra Org', auth: { url: otherUrl, organizationId: MOCK_ORG_ID, refreshToken: 'unused' } });
+    await writeSchedules([schedule]);
+    await scheduler.save(schedule);
+    assert.equal((await scheduler.getAll())[0].connectionId, otherId, 'bound to the connection of its URL on save');
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    const after = await readConnections();
+    assert.ok(!mock.state.refreshTokens.has('other-org-refresh-token'), 'the run refreshed the connection of its schedule');
+    assert.ok(mock.state.refreshTokens.has(after[otherId].refreshToken));
+    assert.equal(after[mainId].refreshToken, mainBefore.refreshToken, 'other connection not refreshed');
+    assert.deepEqual(tokenManager.getConnections().map(c => c.id).sort(), [mainId, otherId].sort());
+});
+
+test('runs a schedule without a refresh token through the client credentials of DOCUWARE_SERVICE_CONNECTION', async (t) => {
+    const serviceId = 'service-org.docuware.cloud'; // Platform calls still go to the schedule URL (the mock)
+    process.env.DOCUWARE_CLIENT_CREDENTIALS_ID = 'pbi-export';
+    process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET = 'principal-secret';
+    t.after(() => {
+        ['DOCUWARE_CLIENT_CREDENTIALS_ID', 'DOCUWARE_CLIENT_CREDENTIALS_SECRET', 'DOCUWARE_SERVICE_CONNECTION'].forEach(key => delete process.env[key]);
+    });
+    const schedule = buildSchedule({ name: 'Sem Login', connectionId: serviceId, auth: { url: mockServer.url, organizationId: MOCK_ORG_ID } });
+    await writeSchedules([schedule]);
+
+    const first = await scheduler.forceRun(schedule.id);
+    const failed = await waitForRunEnd(schedule.id, first.runId);
+    assert.equal(failed.status, 'ERROR');
+    assert.match(failed.message, /No auth provider configured for connection 'service-org\.docuware\.cloud'.*DOCUWARE_SERVICE_CONNECTION/);
+
+    process.env.DOCUWARE_SERVICE_CONNECTION = serviceId;
+    const second = await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id, second.runId);
+    assert.equal(end.status, 'SUCCESS', end.message);
+    const status = tokenManager.getStatus().connections.find(c => c.id === serviceId);
+    assert.deepEqual([status.authProvider, status.serviceAccountInUse], ['client_credentials', true]);
+});
+
+test('retries throttled requests and honors Retry-After', async () => {
+    const schedule = buildSchedule({ name: 'Throttle' });
+    await writeSchedules([schedule]);
+    mock.addFault({ path: '/Query/DialogExpression', status: 429, retryAfter: 1, times: 1 });
+    mock.addFault({ path: '/Dialogs', status: 503, times: 1 });
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+
+    assert.equal(end.status, 'SUCCESS', end.message);
+    assert.match(end.message, / 2 novas tentativas\.$/);
+
+    const searches = mock.state.requests.filter(r => r.path.endsWith('/Query/DialogExpression'));
+    assert.equal(searches.length, 2);
+    assert.ok(new Date(searches[1].at) - new Date(searches[0].at) >= 1000, 'waited for Retry-After');
+    assert.equal((await listExports(schedule.id)).length, 1);
+});
+
+test('retries dropped connections', async () => {
+    const schedule = buildSchedule({ name: 'Rede' });
+    await writeSchedules([schedule]);
+    mock.addFault({ path: '/Dialogs', reset: true, times: 1 });
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+
+    assert.equal(end.status, 'SUCCESS', end.message);
+    assert.equal(countRequests('/Dialogs'), 2);
+    assert.match(end.message, / 1 nova tentativa\.$/);
+});
+
+test('gives up on a single document after repeated 5xx and exports the others', async () => {
+    const schedule = buildSchedule({ name: 'Documento' });
+    await writeSchedules([schedule]);
+    const [failing, healthy] = matchingDocuments();
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+
+    assert.equal(end.status, 'PARTIAL', end.message);
+    assert.match(end.message, /^Parcial\. .* 1 docs com erro no histórico\. 2 novas tentativas\.$/);
+
+    const [file] = await listExports(schedule.id);
+    const { rows } = parseCsv(await fs.readFile(path.join(dataDir, 'exports', schedule.id, file), 'utf-8'));
+    const failingRows = rows.filter(r => r['DOCID'] === String(failing.Id));
+    assert.equal(failingRows.length, 1);
+    assert.equal(failingRows[0]['Instância'], 'ERRO AO BUSCAR HISTÓRICO');
+    assert.ok(rows.filter(r => r['DOCID'] === String(healthy.Id)).every(r => r['Instance GUID']), 'other document exported normally');
+});
+
+test('replaces the SQL Server rows of documents exported again, error rows included', async (t) => {
+    // In-memory SQL Server table: DELETE by DOCID and MERGE on (DOCID, Instance GUID, Passo)
+    const table = new Map();
+    const rowKey = (row) => [row['DOCID'], row['Instance GUID'], row['Passo']].join('|');
+    let staged = [];
+    const original = { ConnectionPool: sql.ConnectionPool, Transaction: sql.Transaction, Request: sql.Request };
+    Object.assign(sql, {
+        ConnectionPool: class { async connect() { return this; } async close() {} },
+        Transaction: class { async begin() {} async commit() {} async rollback() {} },
+        Request: class {
+            async query(text) {
+                if (/DELETE FROM/.test(text)) {
+                    const ids = new Set([...text.matchAll(/N'([^']*)'/g)].map(m => m[1]));
+                    for (const [key, row] of table) if (ids.has(row['DOCID'])) table.delete(key);
+                } else if (/MERGE/.test(text)) {
+                    staged.forEach(row => table.set(rowKey(row), row));
+                }
+                return { recordset: [] };
+            }
+            async bulk(staging) {
+                const names = staging.columns.map(c => c.name);
+                staged = staging.rows.map(values => Object.fromEntries(names.map((name, i) => [name, values[i]])));
+            }
+        }
+    });
+    t.after(() => Object.assign(sql, original));
+
+    const schedule = buildSchedule({ name: 'Tabela', storageConfig: { type: 'sqlserver', sql: { server: 'db.local', database: 'Warehouse', table: 'dbo.Exports' } } });
+    await writeSchedules([schedule]);
+    const [failing] = matchingDocuments();
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(schedule.id);
+    assert.equal((await waitForRunEnd(schedule.id)).status, 'PARTIAL');
+    const rowsOf = (docId) => [...table.values()].filter(row => row['DOCID'] === String(docId));
+    assert.deepEqual(rowsOf(failing.Id).map(row => row['Instância']), ['ERRO AO BUSCAR HISTÓRICO']);
+
+    mock.clearFaults();
+    const second = await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id, second.runId);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    const fresh = rowsOf(failing.Id);
+    assert.ok(fresh.length > 0);
+    assert.ok(fresh.every(row => row['Instance GUID'] && row['Instância'] !== 'ERRO AO BUSCAR HISTÓRICO'), 'error row deleted');
+    const { lineCount } = await scheduler.getRunReport(schedule.id, second.runId);
+    assert.equal(table.size, lineCount, 'only the rows of the latest run are left');
+});
+
+test('writes a run report with the failed documents, retries and duration', async () => {
+    const schedule = buildSchedule({ name: 'Relatorio' });
+    await writeSchedules([schedule]);
+    const [failing] = matchingDocuments();
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+
+    const report = await scheduler.getRunReport(schedule.id, end.runId);
+    assert.equal(report.status, 'PARTIAL');
+    assert.equal(report.message, end.message);
+    assert.equal(report.trigger, 'manual');
+    assert.equal(report.docCount, matchingDocuments().length);
+    assert.equal(report.failedCount, 1);
+    assert.equal(report.retries, 2);
+    assert.deepEqual(report.failedDocuments.map(d => [d.docId, d.httpStatus]), [[failing.Id, 502]]);
+    assert.ok(report.failedDocuments[0].message);
+    assert.ok(report.durationMs >= 0);
+    assert.equal(new Date(report.finishedAt) - new Date(report.startedAt), report.durationMs);
+    assert.equal(report.output.type, 'csv');
+    assert.equal(path.basename(path.dirname(report.output.file)), schedule.id);
+
+    assert.equal(await scheduler.getRunReport(schedule.id, 'does-not-exist'), null);
+    assert.equal(await scheduler.getRunReport('../..', end.runId), null);
+});
+
+test('applies the schedule error threshold to the run status', async () => {
+    const [failing] = matchingDocuments();
+    const failedPercent = 100 / matchingDocuments().length;
+
+    const tolerant = buildSchedule({ name: 'Tolerante', errorPolicy: { threshold: failedPercent, action: 'failed' } });
+    const strict = buildSchedule({ name: 'Estrito', errorPolicy: { threshold: failedPercent / 2, action: 'failed' } });
+    await writeSchedules([tolerant, strict]);
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(tolerant.id);
+    const tolerantEnd = await waitForRunEnd(tolerant.id);
+    assert.equal(tolerantEnd.status, 'SUCCESS', tolerantEnd.message);
+
+    await scheduler.forceRun(strict.id);
+    const strictEnd = await waitForRunEnd(strict.id);
+    assert.equal(strictEnd.status, 'ERROR', strictEnd.message);
+    assert.match(strictEnd.message, /^Falha: limite de erros excedido\. .*\(\d+(\.\d)?%, limite \d+(\.\d)?%\)\./);
+    assert.equal((await listExports(strict.id)).length, 1, 'output is still written');
+});
+
+test('retries only the failed documents of a run and patches them into its CSV', async () => {
+    const schedule = buildSchedule({ name: 'Reprocessar' });
+    await writeSchedules([schedule]);
+    const [failing, healthy] = matchingDocuments();
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(schedule.id);
+    const first = await waitForRunEnd(schedule.id);
+    assert.equal(first.status, 'PARTIAL');
+    assert.equal(first.failedCount, 1);
+
+    const folder = path.join(dataDir, 'exports', schedule.id);
+    const [file] = await listExports(schedule.id);
+    const before = parseCsv(await fs.readFile(path.join(folder, file), 'utf-8'));
+    assert.deepEqual(await fs.readdir(folder), [file], 'no latest.csv for a PARTIAL run');
+
+    mock.clearFaults();
+    mock.state.requests = [];
+    const { runId } = await scheduler.retryFailed(schedule.id, first.runId);
+    const retry = await waitForRunEnd(schedule.id, runId);
+
+    assert.equal(retry.status, 'SUCCESS', retry.message);
+    assert.equal(retry.failedCount, 0);
+    assert.match(retry.message, /^Sucesso\. 1 de 1 docs com falha reprocessados \(\d+ linhas\)\.$/);
+    assert.equal(countRequests('/Query/DialogExpression'), 0, 'no new search');
+    assert.equal(countRequests(`/Documents/${healthy.Id}`), 0, 'healthy document not fetched again');
+
+    assert.deepEqual(await listExports(schedule.id), [file], 'same output file patched in place');
+    const patched = await fs.readFile(path.join(folder, file), 'utf-8');
+    assert.equal(await fs.readFile(path.join(folder, 'latest.csv'), 'utf-8'), patched, 'a successful retry publishes latest.csv');
+    const after = parseCsv(patched);
+    const failingRows = after.rows.filter(r => r['DOCID'] === String(failing.Id));
+    assert.ok(failingRows.length > 1);
+    assert.ok(failingRows.every(r => r['Instance GUID'] && r['Instância'] !== 'ERRO AO BUSCAR HISTÓRICO'));
+    assert.deepEqual(
+        after.rows.filter(r => r['DOCID'] === String(healthy.Id)),
+        before.rows.filter(r => r['DOCID'] === String(healthy.Id))
+    );
+
+    const original = await scheduler.getRunReport(schedule.id, first.runId);
+    assert.deepEqual(original.failedDocuments, []);
+    assert.deepEqual(original.retriedBy, [runId]);
+    const retryReport = await scheduler.getRunReport(schedule.id, runId);
+    assert.equal(retryReport.trigger, 'retry');
+    assert.equal(retryReport.retryOf, first.runId);
+
+    await assert.rejects(scheduler.retryFailed(schedule.id, first.runId), /no failed documents/);
+});
+
+test('patches retried documents into an XLSX output', async () => {
+    const schedule = buildSchedule({ name: 'Reprocessar Excel', storageConfig: { type: 'xlsx' } });
+    await writeSchedules([schedule]);
+    const [failing, healthy] = matchingDocuments();
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(schedule.id);
+    const first = await waitForRunEnd(schedule.id);
+    mock.clearFaults();
+
+    const { file } = (await scheduler.getRunReport(schedule.id, first.runId)).output;
+    const before = await xlsxWriter.read(await fs.readFile(file));
+
+    const { runId } = await scheduler.retryFailed(schedule.id, first.runId);
+    const retry = await waitForRunEnd(schedule.id, runId);
+    assert.equal(retry.status, 'SUCCESS', retry.message);
+
+    const after = await xlsxWriter.read(await fs.readFile(file));
+    assert.deepEqual(after.headers, before.headers);
+    const failingRows = after.rows.filter(r => r['DOCID'] === failing.Id);
+    assert.ok(failingRows.length > 1 && failingRows.every(r => r['Instance GUID']));
+    assert.ok(failingRows.every(r => r['Iniciado Em'] instanceof Date));
+    assert.deepEqual(
+        after.rows.filter(r => r['DOCID'] === healthy.Id),
+        before.rows.filter(r => r['DOCID'] === healthy.Id)
+    );
+});
+
+test('writes Parquet with the cabinet schema and typed values', async () => {
+    const schedule = buildSchedule({ name: 'Parquet', storageConfig: { type: 'parquet' } });
+    await writeSchedules([schedule]);
+
+    await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    const [file] = await listExports(schedule.id);
+    assert.match(file, /\.parquet$/);
+    const { columns, rows } = await parquetWriter.readFile(path.join(dataDir, 'exports', schedule.id, file));
+    assert.deepEqual(columns, [
+        { name: 'Instance GUID', type: 'String' },
+        { name: 'DOCID', type: 'Int' },
+        { name: 'Instância', type: 'String' },
+        { name: 'Versão', type: 'Int' },
+        { name: 'Iniciado Em', type: 'DateTime' },
+        { name: 'Atividade', type: 'String' },
+        { name: 'Tipo Atividade', type: 'String' },
+        { name: 'Decisão', type: 'String' },
+        { name: 'Usuário', type: 'String' },
+        { name: 'Data Decisão', type: 'DateTime' },
+        { name: 'Link Documento', type: 'String' },
+        { name: 'DATA_FATURA', type: 'Date' },
+        { name: 'DOCUMENT_TYPE', type: 'String' },
+        { name: 'DWDOCID', type: 'Int' },
+        { name: 'DWMODDATETIME', type: 'DateTime' },
+        { name: 'DWSTOREDATETIME', type: 'DateTime' },
+        { name: 'FORNECEDOR', type: 'String' },
+        { name: 'NUMERO', type: 'Int' },
+        { name: 'VALOR', type: 'Decimal' }
+    ]);
+
+    const documents = matchingDocuments();
+    const expectedRows = documents.reduce((sum, doc) => sum + (doc.Instances.length === 0
+        ? 1
+        : doc.Instances.reduce((n, inst) => n + Math.max(inst.HistorySteps.length, 1), 0)), 0);
+    assert.equal(rows.length, expectedRows);
+
+    const doc = documents.find(d => d.Instances.length > 0);
+    const row = rows.find(r => r['DOCID'] === doc.Id && r['Instance GUID']);
+    assert.equal(row['VALOR'], fieldValue(doc, 'VALOR'));
+    assert.equal(row['NUMERO'], fieldValue(doc, 'NUMERO'));
+    assert.ok(row['Iniciado Em'] instanceof Date);
+    assert.ok(row['DATA_FATURA'] instanceof Date);
+    assert.equal(row['DATA_FATURA'].toISOString().slice(0, 10),
+        new Date(parseInt(fieldValue(doc, 'DATA_FATURA').match(/\d+/)[0], 10)).toISOString().slice(0, 10));
+});
+
+test('merges incremental XLSX and Parquet runs into the previous output instead of writing the delta', async () => {
+    const readers = {
+        xlsx: async (file) => (await xlsxWriter.read(await fs.readFile(file))).rows,
+        parquet: async (file) => (await parquetWriter.readFile(file)).rows
+    };
+    for (const [format, readRows] of Object.entries(readers)) {
+        const schedule = buildSchedule({ name: `Incremental ${format}`, filters: [], exportMode: 'incremental', storageConfig: { type: format } });
+        await writeSchedules([schedule]);
+
+        await scheduler.forceRun(schedule.id);
+        const first = await waitForRunEnd(schedule.id);
+        assert.equal(first.status, 'SUCCESS', first.message);
+        const fullRows = await readRows((await scheduler.getRunReport(schedule.id, first.runId)).output.file);
+
+        const changed = mock.state.data.cabinets[0].Documents[0];
+        modifyDocument(changed, { FORNECEDOR: `Fornecedor ${format}` });
+        const { runId } = await scheduler.forceRun(schedule.id);
+        const second = await waitForRunEnd(schedule.id, runId);
+        assert.equal(second.status, 'SUCCESS', second.message);
+
+        const merged = await readRows(path.join(dataDir, 'exports', schedule.id, `latest.${format}`));
+        assert.equal(merged.length, fullRows.length, `${format}: full dataset published, not the delta`);
+        const changedRows = merged.filter(r => r['DOCID'] === changed.Id);
+        assert.equal(changedRows.length, fullRows.filter(r => r['DOCID'] === changed.Id).length);
+        assert.ok(changedRows.every(r => r['FORNECEDOR'] === `Fornecedor ${format}`), `${format}: changed rows replaced`);
+        assert.deepEqual(new Set(merged.map(r => r['DOCID'])), new Set(fullRows.map(r => r['DOCID'])));
+    }
+});
+
+test('runs at most MAX_CONCURRENT_EXPORTS jobs at a time', async (t) => {
+    process.env.MAX_CONCURRENT_EXPORTS = '1';
+    t.after(() => { delete process.env.MAX_CONCURRENT_EXPORTS; });
+    const first = buildSchedule({ name: 'Fila A' });
+    const second = buildSchedule({ name: 'Fila B' });
+    await writeSchedules([first, second]);
+    mock.addFault({ path: '/Workflow/', delayMs: 50 });
+
+    const started = await scheduler.forceRun(first.id);
+    const queued = await scheduler.forceRun(second.id);
+    assert.equal(started.status, 'started');
+    assert.equal(queued.status, 'queued');
+    assert.deepEqual(scheduler.getJobs().queued.map(j => j.scheduleId), [second.id]);
+    assert.deepEqual(scheduler.getJobs().running.map(j => j.scheduleId), [first.id]);
+
+    const firstEnd = await waitForRunEnd(first.id);
+    const secondEnd = await waitForRunEnd(second.id);
+    assert.equal(secondEnd.status, 'SUCCESS', secondEnd.message);
+    const [secondStart] = await historyFor(second.id);
+    assert.ok(new Date(secondStart.timestamp) >= new Date(firstEnd.timestamp), 'second job started after the first finished');
+
+    await waitFor(() => scheduler.getJobs().running.length === 0, 5000, 'queue to drain');
+    const finished = scheduler.getJobs().finished.filter(j => [first.id, second.id].includes(j.scheduleId));
+    assert.deepEqual(finished.map(j => [j.scheduleId, j.status]), [[second.id, 'SUCCESS'], [first.id, 'SUCCESS']]);
+});
+
+test('queues or skips a second trigger of a schedule that is already running', async () => {
+    const queuing = buildSchedule({ name: 'Sobreposicao' });
+    const skipping = buildSchedule({ name: 'Ignorar', overlapPolicy: 'skip' });
+    await writeSchedules([queuing, skipping]);
+    mock.addFault({ path: '/Workflow/', delayMs: 50 });
+
+    const first = await scheduler.forceRun(queuing.id);
+    const second = await scheduler.forceRun(queuing.id);
+    const third = await scheduler.forceRun(queuing.id);
+    assert.equal(second.status, 'queued', 'never runs alongside the first');
+    assert.equal(third.runId, second.runId, 'identical waiting job is reused');
+    await waitForRunEnd(queuing.id, first.runId);
+    const secondEnd = await waitForRunEnd(queuing.id, second.runId);
+    assert.equal(secondEnd.status, 'SUCCESS', secondEnd.message);
+    assert.deepEqual((await historyFor(queuing.id)).map(e => e.status), ['RUNNING', 'SUCCESS', 'RUNNING', 'SUCCESS']);
+
+    const running = await scheduler.forceRun(skipping.id);
+    assert.deepEqual(await scheduler.forceRun(skipping.id), { status: 'skipped' });
+    await waitForRunEnd(skipping.id, running.runId);
+    assert.deepEqual((await historyFor(skipping.id)).map(e => e.status), ['RUNNING', 'SKIPPED', 'SUCCESS']);
+});
+
+test('restores queued jobs from queue.json on init', async () => {
+    const schedule = buildSchedule({ name: 'Reiniciar' });
+    await writeSchedules([schedule]);
+    const job = (overrides) => ({
+        id: `job-${Math.random().toString(36).slice(2, 10)}`,
+        scheduleId: schedule.id,
+        scheduleName: schedule.name,
+        type: 'export',
+        trigger: 'cron',
+        runId: `run-${Math.random().toString(36).slice(2, 10)}`,
+        enqueuedAt: new Date().toISOString(),
+        ...overrides
+    });
+    const interrupted = job({ state: 'running', startedAt: new Date().toISOString() });
+    const queued = job({ state: 'queued' });
+    await fs.writeFile(path.join(dataDir, 'queue.json'), JSON.stringify({ jobs: [interrupted, queued], finished: [] }));
+
+    await scheduler.init();
+    const end = await waitForRunEnd(schedule.id, queued.runId);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    await waitFor(() => scheduler.getJobs().finished.some(j => j.id === queued.id), 5000, 'restored job to finish');
+    const { finished } = scheduler.getJobs();
+    assert.equal(finished.find(j => j.id === interrupted.id).status, 'INTERRUPTED');
+    assert.equal(finished.find(j => j.id === queued.id).status, 'SUCCESS');
+
+    const persisted = await waitFor(async () => {
+        const data = JSON.parse(await fs.readFile(path.join(dataDir, 'queue.json'), 'utf-8'));
+        return data.jobs.length === 0 && data;
+    }, 5000, 'queue.json to be rewritten');
+    assert.equal(persisted.finished[0].id, queued.id);
+});
+
+test('resumes an interrupted run from its checkpoint on init', async () => {
+    const schedule = buildSchedule({ name: 'Retomar', filters: [] });
+    await writeSchedules([schedule]);
+    const documents = mock.state.data.cabinets[0].Documents;
+
+    // Reference output of an uninterrupted run
+    await scheduler.forceRun(schedule.id);
+    const clean = await waitForRunEnd(schedule.id);
+    const expected = parseCsv(await fs.readFile((await scheduler.getRunReport(schedule.id, clean.runId)).output.file, 'utf-8'));
+
+    // Capture the checkpoint after the first batch, then stop the run
+    mock.addFault({ path: '/Workflow/', delayMs: 50 });
+    const { runId: abortedRunId } = await scheduler.forceRun(schedule.id);
+    const checkpointFile = path.join(dataDir, 'runs', schedule.id, `${abortedRunId}.checkpoint.jsonl`);
+    const lines = await waitFor(async () => {
+        const content = await fs.readFile(checkpointFile, 'utf-8').catch(() => '');
+        const complete = content.split('\n').slice(0, -1);
+        return complete.length >= 2 && complete.slice(0, 2);
+    }, 10000, 'first checkpointed batch');
+    scheduler.abortExport(schedule.id);
+    await waitForRunEnd(schedule.id, abortedRunId);
+    await assert.rejects(fs.access(checkpointFile), 'checkpoint is removed when a run ends');
+    mock.clearFaults();
+
+    // Same state as a process that died after the first batch
+    const runId = 'run-interrupted';
+    await fs.writeFile(path.join(dataDir, 'runs', schedule.id, `${runId}.checkpoint.jsonl`), lines.join('\n') + '\n{"type":"batch","docI');
+    mock.state.requests.length = 0;
+
+    await scheduler.init();
+    const end = await waitForRunEnd(schedule.id, runId);
+    assert.equal(end.status, 'SUCCESS', end.message);
+    const resumedStart = (await historyFor(schedule.id)).find(e => e.runId === runId && e.status === 'RUNNING');
+    assert.match(resumedStart.message, /^Retomando exportação interrompida \(5 de 12 docs/);
+
+    assert.equal(countRequests('/Query/DialogExpression'), 0, 'search is not repeated');
+    assert.equal(countRequests('/Workflow/Instances/DocumentHistory'), documents.length - 5, 'only unprocessed documents are fetched');
+
+    const report = await scheduler.getRunReport(schedule.id, runId);
+    assert.equal(report.docCount, documents.length);
+    assert.ok(report.resumedAt);
+    const resumed = parseCsv(await fs.readFile(report.output.file, 'utf-8'));
+    assert.deepEqual(resumed.rows, expected.rows, 'checkpointed rows (with their dates) are written unchanged');
+    await assert.rejects(fs.access(path.join(dataDir, 'runs', schedule.id, `${runId}.checkpoint.jsonl`)));
+});
+
+test('marks interrupted runs ABORTED when they cannot be resumed', async () => {
+    const schedule = buildSchedule({ name: 'Abortar', interruptPolicy: 'abort' });
+    await writeSchedules([schedule]);
+    const runsDir = path.join(dataDir, 'runs', schedule.id);
+    await fs.mkdir(runsDir, { recursive: true });
+    const start = { type: 'start', trigger: 'cron', startedAt: new Date().toISOString(), runStartedAt: new Date().toISOString(), since: null, totalCount: 3, pendingOpenDocIds: [], retries: 0, documents: [] };
+    await fs.writeFile(path.join(runsDir, 'run-checkpointed.checkpoint.jsonl'), JSON.stringify(start) + '\n');
+
+    // Left RUNNING by a crash: one with a runId, one from before run ids existed (closed by nothing)
+    const entry = (status, overrides) => ({ id: `entry-${Math.random().toString(36).slice(2, 10)}`, scheduleId: schedule.id, scheduleName: schedule.name, status, message: '', timestamp: new Date().toISOString(), ...overrides });
+    const legacy = entry('RUNNING', { timestamp: '2024-01-01T00:00:00.000Z' });
+    const finishedLegacy = [entry('RUNNING', { timestamp: '2024-01-02T00:00:00.000Z' }), entry('SUCCESS', { timestamp: '2024-01-02T00:01:00.000Z' })];
+    const history = await readHistory();
+    await fs.writeFile(path.join(dataDir, 'history.json'), JSON.stringify([
+        ...history, legacy, ...finishedLegacy,
+        entry('RUNNING', { runId: 'run-checkpointed' }),
+        entry('RUNNING', { runId: 'run-lost' })
+    ]));
+
+    await scheduler.init();
+    await scheduler.init(); // Idempotent
+
+    const aborted = (await historyFor(schedule.id)).filter(e => e.status === 'ABORTED');
+    assert.deepEqual(aborted.map(e => e.runId || e.startEntryId).sort(), [legacy.id, 'run-checkpointed', 'run-lost'].sort());
+    assert.ok(aborted.every(e => /reiniciado/.test(e.message)));
+
+    const report = await scheduler.getRunReport(schedule.id, 'run-checkpointed');
+    assert.equal(report.status, 'ABORTED');
+    await assert.rejects(fs.access(path.join(runsDir, 'run-checkpointed.checkpoint.jsonl')));
+    assert.equal(scheduler.getJobs().queued.length + scheduler.getJobs().running.length, 0, 'nothing is resumed');
+});
+
+test('catches up runs missed while the server was down according to catchUpPolicy', async (t) => {
+    const once = buildSchedule({ name: 'Atraso Uma', enabled: true, cronExpression: '0 * * * *' });
+    const all = buildSchedule({ name: 'Atraso Todas', enabled: true, cronExpression: '0 * * * *', catchUpPolicy: 'all' });
+    const skip = buildSchedule({ name: 'Atraso Ignorar', enabled: true, cronExpression: '0 * * * *', catchUpPolicy: 'skip' });
+    await writeSchedules([once, all, skip]);
+    t.after(() => [once, all, skip].forEach(s => scheduler.stopTask(s.id)));
+
+    // Down since before the hourly run two hours ago: three occurrences missed
+    const hour = new Date();
+    hour.setUTCMinutes(0, 0, 0);
+    const missed = [2, 1, 0].map(h => new Date(hour.getTime() - h * 3600000).toISOString());
+    const statePath = path.join(dataDir, 'schedule-state.json');
+    const state = JSON.parse(await fs.readFile(statePath, 'utf-8').catch(() => '{}'));
+    [once, all, skip].forEach(s => { state[s.id] = { nextRunAt: missed[0] }; });
+    await fs.writeFile(statePath, JSON.stringify(state));
+
+    await scheduler.init();
+    await waitFor(async () => (await historyFor(all.id)).filter(e => e.status === 'SUCCESS').length === 3, 15000, 'all missed runs');
+    await waitForRunEnd(once.id);
+
+    const onceEntries = await historyFor(once.id);
+    assert.deepEqual(onceEntries.map(e => e.status), ['RUNNING', 'SUCCESS']);
+    assert.match(onceEntries[0].message, /^Recuperando execução agendada perdida/);
+    const report = await scheduler.getRunReport(once.id, onceEntries[1].runId);
+    assert.equal(report.trigger, 'catchup');
+    assert.equal(report.scheduledFor, missed[2], 'runs the latest missed occurrence');
+
+    const allReports = await Promise.all((await historyFor(all.id)).filter(e => e.status === 'SUCCESS').map(e => scheduler.getRunReport(all.id, e.runId)));
+    assert.deepEqual(allReports.map(r => r.scheduledFor), missed);
+
+    const skipEntries = await historyFor(skip.id);
+    assert.deepEqual(skipEntries.map(e => e.status), ['SKIPPED']);
+    assert.match(skipEntries[0].message, /^3 execução/);
+
+    const withStatus = await scheduler.getAllWithStatus();
+    const onceStatus = withStatus.find(s => s.id === once.id);
+    assert.equal(onceStatus.lastRunAt, missed[2]);
+    assert.ok(new Date(onceStatus.nextRunAt) > new Date(), 'next run is in the future');
+    assert.equal(withStatus.find(s => s.id === skip.id).lastRunAt, null);
+});
+
+test('computes next runs in the schedule timezone', async (t) => {
+    const luanda = buildSchedule({ name: 'Luanda', enabled: true, cronExpression: '0 10 * * *', timezone: 'Africa/Luanda' });
+    const invalid = buildSchedule({ name: 'Fuso Invalido', enabled: true, cronExpression: '0 10 * * *', timezone: 'Africa/Nowhere' });
+    await writeSchedules([luanda, invalid]);
+    t.after(() => [luanda, invalid].forEach(s => scheduler.stopTask(s.id)));
+
+    await scheduler.init();
+    const withStatus = await waitFor(async () => {
+        const all = await scheduler.getAllWithStatus();
+        return all.find(s => s.id === luanda.id).nextRunAt && all;
+    }, 5000, 'nextRunAt');
+    const next = new Date(withStatus.find(s => s.id === luanda.id).nextRunAt);
+    assert.equal(next.toISOString().slice(11), '09:00:00.000Z', '10:00 in Luanda (UTC+1)');
+    assert.ok(next > new Date() && next - new Date() <= 24 * 3600000);
+    assert.equal(withStatus.find(s => s.id === invalid.id).nextRunAt, null, 'not started with an unknown timezone');
+});
+
+// Minimal SMTP server that accepts every message and keeps its raw DATA once fully received
+const createSmtpSink = () => new Promise(resolve => {
+    const messages = [];
+    const server = net.createServer(socket => {
+        let buffer = '';
+        let data = null; // Message being received
+        socket.write('220 sink ESMTP\r\n');
+        socket.on('data', chunk => {
+            buffer += chunk.toString();
+            let index;
+            while ((index = buffer.indexOf('\r\n')) >= 0) {
+                const line = buffer.slice(0, index);
+                buffer = buffer.slice(index + 2);
+                if (data !== null) {
+                    if (line === '.') {
+                        messages.push(data);
+                        data = null;
+                        socket.write('250 queued\r\n');
+                    } else {
+                        data += line + '\n';
+                    }
+                } else if (/^DATA/i.test(line)) {
+                    data = '';
+                    socket.write('354 go ahead\r\n');
+                } else if (/^QUIT/i.test(line)) {
+                    socket.end('221 bye\r\n');
+                } else {
+                    socket.write('250 ok\r\n');
+                }
+            }
+        });
+    });
+    server.listen(0, '127.0.0.1', () => resolve({ port: server.address().port, messages, close: () => server.close() }));
+});
+
+test('notifies webhook and e-mail targets according to their status toggles', async (t) => {
+    const received = [];
+    const webhook = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            received.push({ headers: req.headers, body: JSON.parse(body) });
+            res.end('ok');
+        });
+    });
+    await new Promise(resolve => webhook.listen(0, '127.0.0.1', resolve));
+    const smtp = await createSmtpSink();
+    process.env.SMTP_HOST = '127.0.0.1';
+    process.env.SMTP_PORT = String(smtp.port);
+    process.env.SMTP_FROM = 'pbi-export@test.local';
+    t.after(() => {
+        webhook.close();
+        smtp.close();
+        ['SMTP_HOST', 'SMTP_PORT', 'SMTP_FROM'].forEach(key => delete process.env[key]);
+    });
+
+    const schedule = buildSchedule({
+        name: 'Notificar',
+        notifications: [
+            { type: 'webhook', url: `http://127.0.0.1:${webhook.address().port}/hook`, headers: { 'X-Token': 'abc' }, onSuccess: true, onPartial: true, onFailure: false },
+            { type: 'email', to: 'ops@test.local', onSuccess: false, onPartial: false, onFailure: true },
+            { type: 'webhook', url: 'http://127.0.0.1:1/unreachable', onSuccess: true }
+        ]
+    });
+    await writeSchedules([schedule]);
+
+    const { runId } = await scheduler.forceRun(schedule.id);
+    await waitForRunEnd(schedule.id, runId);
+    const report = await waitFor(async () => {
+        const r = await scheduler.getRunReport(schedule.id, runId);
+        return r?.notifications && r;
+    }, 15000, 'notification results');
+
+    assert.equal(received.length, 1);
+    assert.equal(received[0].headers['x-token'], 'abc');
+    const payload = received[0].body;
+    assert.equal(payload.event, 'export.succeeded');
+    assert.deepEqual(payload.schedule, { id: schedule.id, name: 'Notificar', cabinetName: 'Faturas' });
+    assert.equal(payload.run.runId, runId);
+    assert.equal(payload.run.docCount, matchingDocuments().length);
+    assert.equal(payload.output.file, report.output.file);
+    assert.equal(smtp.messages.length, 0, 'e-mail target is only notified on failure');
+    assert.deepEqual(report.notifications.map(n => n.ok), [true, false], 'an unreachable target does not fail the run');
+    assert.equal(report.status, 'SUCCESS');
+
+    mock.addFault({ path: '/Query/DialogExpression', status: 500 });
+    const failed = await scheduler.forceRun(schedule.id);
+    await waitForRunEnd(schedule.id, failed.runId);
+    await waitFor(() => smtp.messages.length === 1, 15000, 'failure e-mail');
+    assert.match(smtp.messages[0], /Subject: \[PBI Export\] Falha: Notificar/);
+    assert.match(smtp.messages[0], /To: ops@test\.local/);
+    assert.match(smtp.messages[0], new RegExp(`/api/schedules/${schedule.id}/runs/${failed.runId}`));
+    assert.equal(received.length, 1, 'webhook is not notified on failure');
+});
+
+test('lists the export files of a schedule and resolves them for download', async () => {
+    const schedule = buildSchedule({ name: 'Arquivos' });
+    await writeSchedules([schedule]);
+    const [failing] = matchingDocuments();
+    mock.addFault({ pattern: `/Instances/${failing.Instances[0].Id}/History$`, status: 502 });
+
+    await scheduler.forceRun(schedule.id);
+    const first = await waitForRunEnd(schedule.id);
+    mock.clearFaults();
+    const retry = await scheduler.retryFailed(schedule.id, first.runId);
+    await waitForRunEnd(schedule.id, retry.runId);
+    const second = await scheduler.forceRun(schedule.id);
+    await waitForRunEnd(schedule.id, second.runId);
+
+    const exports = await scheduler.getExports(schedule.id);
+    assert.deepEqual(exports.map(e => e.runId), [second.runId, first.runId], 'newest first, retries patch their run file');
+    const report = await scheduler.getRunReport(schedule.id, second.runId);
+    const file = await scheduler.getExportFile(schedule.id, second.runId);
+    assert.equal(file, path.resolve(report.output.file));
+    assert.equal(exports[0].fileName, path.basename(file));
+    assert.equal(exports[0].size, (await fs.stat(file)).size);
+    assert.equal(exports[0].rowCount, parseCsv(await fs.readFile(file, 'utf-8')).rows.length);
+    assert.equal(exports[0].format, 'csv');
+
+    const summary = (await scheduler.getExportsSummary()).find(s => s.scheduleId === schedule.id);
+    assert.equal(summary.fileCount, 2);
+    assert.equal(summary.latestAt, exports[0].finishedAt);
+
+    // Only files inside the exports directory are served
+    await fs.writeFile(path.join(dataDir, 'runs', schedule.id, 'run-outside.json'), JSON.stringify({ runId: 'run-outside', output: { type: 'csv', file: path.join(dataDir, 'tokens.json') } }));
+    assert.equal(await scheduler.getExportFile(schedule.id, 'run-outside'), null);
+    assert.equal((await scheduler.getExports(schedule.id)).length, 2);
+    assert.equal(await scheduler.getExportFile(schedule.id, '../tokens'), null);
+});
+
+test('deletes runs expired by the schedule retention rule and caps history per schedule', async () => {
+    const schedule = buildSchedule({ name: 'Retencao', retention: { mode: 'count', value: 1 } });
+    const other = buildSchedule({ name: 'Outro' });
+    await writeSchedules([schedule, other]);
+    const old = new Date(Date.now() - 60 * 60 * 1000).toISOString();
+    await fs.writeFile(path.join(dataDir, 'history.json'), JSON.stringify([
+        { id: 'skipped-old', scheduleId: schedule.id, scheduleName: schedule.name, status: 'SKIPPED', message: 'Ignorada.', timestamp: old },
+        ...Array.from({ length: 505 }, (_, i) => ({ id: `other-${i}`, scheduleId: other.id, scheduleName: other.name, status: 'SUCCESS', message: 'ok', timestamp: old }))
+    ]));
+
+    const first = await scheduler.forceRun(schedule.id);
+    await waitForRunEnd(schedule.id, first.runId);
+    const firstFile = await scheduler.getExportFile(schedule.id, first.runId);
+    assert.ok(firstFile, 'a single run is within the rule');
+
+    const second = await scheduler.forceRun(schedule.id);
+    await waitForRunEnd(schedule.id, second.runId);
+    const history = await waitFor(async () => {
+        const entries = await historyFor(schedule.id);
+        return entries.every(e => e.runId !== first.runId) && entries;
+    }, 5000, 'cleanup of the first run');
+
+    assert.deepEqual(history.map(e => e.runId), [second.runId, second.runId], 'expired run and older unrelated entries are gone');
+    await assert.rejects(fs.access(firstFile), 'expired file is deleted');
+    assert.equal(await scheduler.getRunReport(schedule.id, first.runId), null);
+    assert.deepEqual((await scheduler.getExports(schedule.id)).map(e => e.runId), [second.runId]);
+
+    // A schedule without a rule keeps its files but not more than 500 history entries
+    const summary = await scheduler.cleanup();
+    assert.deepEqual(summary.map(s => [s.scheduleId, s.deletedRuns, s.deletedEntries]), [[other.id, 0, 5]]);
+    const otherHistory = await historyFor(other.id);
+    assert.equal(otherHistory.length, 500);
+    assert.equal(otherHistory[0].id, 'other-5', 'oldest entries are dropped first');
+});
+
+test('moves index-named export folders into the schedule id folder on init', async () => {
+    const legacy = buildSchedule({ name: 'Legado' });
+    const renamed = buildSchedule({ name: 'Renomeado' });
+    await writeSchedules([legacy, renamed]);
+    const exportsDir = path.join(dataDir, 'exports');
+    const seed = async (folder, file, content) => {
+        await fs.mkdir(path.join(exportsDir, folder), { recursive: true });
+        await fs.writeFile(path.join(exportsDir, folder, file), content);
+        return path.join(exportsDir, folder, file);
+    };
+    // Matched by its name at the schedule's current position
+    await seed('1_legado_faturas_fatura', '1_legado_faturas_fatura_2026-01-01T06-00-00-000Z.csv', 'legado');
+    // Matched through a run report: the schedule was renamed and moved since
+    const oldFile = await seed('5_nome_antigo_faturas_fatura', '5_nome_antigo_faturas_fatura_2026-01-02T06-00-00-000Z.csv', 'renomeado');
+    await fs.mkdir(path.join(dataDir, 'runs', renamed.id), { recursive: true });
+    await fs.writeFile(path.join(dataDir, 'runs', renamed.id, 'run-old.json'), JSON.stringify({
+        runId: 'run-old', scheduleId: renamed.id, status: 'SUCCESS', finishedAt: '2026-01-02T06:00:05.000Z', output: { type: 'csv', file: oldFile }
+    }));
+    await fs.writeFile(path.join(dataDir, 'schedule-state.json'), JSON.stringify({ [renamed.id]: { lastOutputFile: oldFile } }));
+    await seed('9_orfao_faturas_fatura', 'orfao.csv', 'orfao');
+
+    await scheduler.init();
+
+    assert.deepEqual(await listExports(legacy.id), ['1_legado_faturas_fatura_2026-01-01T06-00-00-000Z.csv']);
+    const movedFile = path.join(exportsDir, renamed.id, path.basename(oldFile));
+    assert.equal((await scheduler.getRunReport(renamed.id, 'run-old')).output.file, movedFile);
+    const state = JSON.parse(await fs.readFile(path.join(dataDir, 'schedule-state.json'), 'utf-8'));
+    assert.equal(state[renamed.id].lastOutputFile, movedFile);
+    assert.equal(await fs.readFile(path.join(exportsDir, renamed.id, 'latest.csv'), 'utf-8'), 'renomeado', 'latest published from the newest successful run');
+    assert.equal((await scheduler.getLatestExport(renamed.id)).fileName, 'latest.csv');
+    assert.equal(await scheduler.getLatestExport(legacy.id), null, 'no run report, nothing known to be successful');
+
+    const folders = await fs.readdir(exportsDir);
+    assert.ok(!folders.includes('1_legado_faturas_fatura') && !folders.includes('5_nome_antigo_faturas_fatura'), 'old folders removed');
+    assert.ok(folders.includes('9_orfao_faturas_fatura'), 'unmatched folder left alone');
+});
+
+test('reads the latest export back as typed rows for the OData feed', async () => {
+    const schedule = buildSchedule({ name: 'Feed' });
+    await writeSchedules([schedule]);
+    assert.equal(await scheduler.getLatestDataset(schedule.id), null, 'nothing published yet');
+
+    const { runId } = await scheduler.forceRun(schedule.id);
+    const end = await waitForRunEnd(schedule.id, runId);
+    assert.equal(end.status, 'SUCCESS', end.message);
+
+    const dataset = await scheduler.getLatestDataset(schedule.id);
+    assert.equal(dataset.runId, runId);
+    assert.deepEqual(dataset.columns.map(c => c.name), [...FIXED_HEADERS, ...FIELD_HEADERS]);
+    const types = Object.fromEntries(dataset.columns.map(c => [c.name, c.type]));
+    assert.equal(types['DOCID'], 'Int');
+    assert.equal(types['Data Decisão'], 'DateTime');
+    assert.equal(types['DATA_FATURA'], 'Date', 'cabinet field type kept in the run report');
+
+    const documents = matchingDocuments();
+    const doc = documents.find(d => d.Instances.length > 0);
+    const instance = [...doc.Instances].sort((a, b) => b.Version - a.Version)[0];
+    const step = instance.HistorySteps.find(s => s.Info.Item.DecisionName);
+    const row = dataset.rows.find(r => r['Instance GUID'] === instance.Id && r['Atividade'] === step.ActivityName);
+    assert.equal(row['DOCID'], doc.Id);
+    const decisionMs = parseInt(step.Info.Item.DecisionDate.match(/\d+/)[0], 10);
+    assert.equal(row['Data Decisão'].getTime(), Math.floor(decisionMs / 1000) * 1000, 'pt-BR text parsed back (second precision)');
+    const invoiceDate = new Date(parseInt(fieldValue(doc, 'DATA_FATURA').match(/\d+/)[0], 10));
+    assert.equal(row['DATA_FATURA'].toISOString().slice(0, 10), invoiceDate.toISOString().slice(0, 10));
+    assert.equal(await scheduler.getLatestDataset(schedule.id), dataset, 'unchanged file is not read again');
+});
@@ -0,0 +1,114 @@
+/**
+ * @file secretStore.test.js
+ * @description Encryption of credentials at rest, and the startup migration of plain text
+ * tokens.json and schedules.json, which are never overwritten when they cannot be read.
+ *
+ * Run: npm test
+ */
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { secretStore } from '../secretStore.js';
+
+const MASTER_KEY = 'test-master-key';
+let dataDir;
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pbi-export-secrets-'));
+    process.env.DATA_DIR = dataDir;
+});
+
+after(async () => {
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    process.env.SECRETS_MASTER_KEY = MASTER_KEY;
+});
+
+test('encrypts values and decrypts them only with the same master key', () => {
+    const sealed = secretStore.encrypt('refresh-token-1');
+    assert.ok(secretStore.isEncrypted(sealed));
+    assert.ok(!sealed.includes('refresh-token-1'));
+    assert.notEqual(secretStore.encrypt('refresh-token-1'), sealed, 'random IV per value');
+    assert.equal(secretStore.encrypt(sealed), sealed, 'not encrypted twice');
+    assert.equal(secretStore.decrypt(sealed), 'refresh-token-1');
+    assert.equal(secretStore.decrypt('plain'), 'plain');
+
+    process.env.SECRETS_MASTER_KEY = 'another-key';
+    assert.throws(() => secretStore.decrypt(sealed), /does not match/);
+    delete process.env.SECRETS_MASTER_KEY;
+    assert.throws(() => secretStore.decrypt(sealed), /SECRETS_MASTER_KEY is not set/);
+    assert.equal(secretStore.encrypt('plain'), 'plain', 'stored as before without a master key');
+});
+
+test('seals and opens nested fields without touching the others', () => {
+    const fields = ['auth.refreshToken', 'storageConfig.sql.password'];
+    const schedule = { id: 's1', auth: { refreshToken: 'rt', url: 'https://x' }, storageConfig: { sql: null } };
+    const sealed = secretStore.sealFields(schedule, fields);
+    assert.ok(secretStore.isEncrypted(sealed.auth.refreshToken));
+    assert.equal(sealed.auth.url, 'https://x');
+    assert.equal(sealed.storageConfig.sql, null);
+    assert.equal(schedule.auth.refreshToken, 'rt', 'input not mutated');
+    assert.equal(secretStore.needsSealing(schedule, fields), true);
+    assert.equal(secretStore.needsSealing(sealed, fields), false);
+    assert.deepEqual(secretStore.openFields(sealed, fields), schedule);
+
+    const document = secretStore.sealDocument({ token: 'at', refreshToken: 'rt' });
+    assert.ok(!document.includes('rt"'));
+    assert.deepEqual(secretStore.openDocument(document), { token: 'at', refreshToken: 'rt' });
+    assert.deepEqual(secretStore.openDocument('{"token":"old"}'), { token: 'old' }, 'plain files still readable');
+});
+
+test('encrypts plain text tokens.json and schedule credentials on startup', async () => {
+    const schedule = {
+        id: 'sched-1', name: 'Faturas', cronExpression: '0 6 * * *', enabled: false,
+        auth: { url: 'https://example.docuware.cloud', refreshToken: 'schedule-refresh-token' },
+        storageConfig: { type: 'sqlserver', sql: { server: 'db', user: 'sa', password: 'sql-password' } }
+    };
+    await fs.writeFile(path.join(dataDir, 'schedules.json'), JSON.stringify([schedule]));
+    await fs.writeFile(path.join(dataDir, 'tokens.json'), JSON.stringify({ token: 'access-token', refreshToken: 'user-refresh-token' }));
+
+    // Imported after DATA_DIR is set: both modules resolve their file paths at load time.
+    const { tokenManager } = await import('../tokenManager.js');
+    const { scheduler } = await import('../scheduler.js');
+    await tokenManager.init();
+    await scheduler.init();
+
+    const files = await Promise.all(['schedules.json', 'tokens.json'].map(f => fs.readFile(path.join(dataDir, f), 'utf-8')));
+    for (const secret of ['schedule-refresh-token', 'sql-password', 'access-token', 'user-refresh-token']) {
+        assert.ok(!files.some(content => content.includes(secret)), `${secret} not stored in plain text`);
+    }
+    const [stored] = JSON.parse(files[0]);
+    assert.equal(stored.auth.url, schedule.auth.url, 'non-secret fields stay readable');
+    assert.deepEqual(await scheduler.getAll(), [schedule]);
+
+    await scheduler.save({ ...schedule, name: 'Faturas 2' });
+    assert.ok(!(await fs.readFile(path.join(dataDir, 'schedules.json'), 'utf-8')).includes('sql-password'));
+    assert.equal((await scheduler.getAll())[0].storageConfig.sql.password, 'sql-password');
+
+    process.env.SECRETS_MASTER_KEY = 'wrong-key';
+    await assert.rejects(scheduler.getAll(), /does not match/);
+    await assert.rejects(scheduler.save(schedule), /does not match/, 'never overwrites schedules it cannot read');
+});
+
+test('never overwrites a tokens.json it cannot read', async () => {
+    const tokensFile = path.join(dataDir, 'tokens.json');
+    const sealed = secretStore.sealDocument({ connections: { 'a.docuware.cloud': { id: 'a.docuware.cloud', url: 'https://a.docuware.cloud', refreshToken: 'rt-a' } } });
+    await fs.writeFile(tokensFile, sealed);
+    const { tokenManager } = await import('../tokenManager.js');
+
+    process.env.SECRETS_MASTER_KEY = 'wrong-key';
+    await tokenManager.init();
+    assert.deepEqual(tokenManager.getConnections(), []);
+    await assert.rejects(tokenManager.registerConnection({ url: 'https://b.docuware.cloud', refreshToken: 'rt-b' }), /could not be read/);
+    assert.equal(await fs.readFile(tokensFile, 'utf-8'), sealed, 'sessions of the other connections kept');
+
+    process.env.SECRETS_MASTER_KEY = MASTER_KEY;
+    await tokenManager.init();
+    await tokenManager.registerConnection({ url: 'https://b.docuware.cloud', refreshToken: 'rt-b' });
+    assert.deepEqual(tokenManager.getConnections().map(c => c.id), ['a.docuware.cloud', 'b.docuware.cloud']);
+    assert.deepEqual(await fs.readdir(dataDir).then(files => files.filter(f => f.startsWith('tokens'))), ['tokens.json'], 'no temp file left');
+});
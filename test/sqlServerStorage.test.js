@@ -0,0 +1,152 @@
+/**
+ * @file sqlServerStorage.test.js
+ * @description Statements sqlServerStorage sends to SQL Server: table creation, staging through
+ * #DocuWareStaging and the MERGE on (DOCID, Instance GUID, Passo). The mssql connection,
+ * transaction and request classes are replaced by recorders; sql.Table is the real one.
+ *
+ * Run: npm test
+ */
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import sql from 'mssql';
+import { sqlServerStorage } from '../sqlServerStorage.js';
+
+const CONFIG = { server: 'db.local', database: 'Warehouse', table: 'dbo.Exports', user: 'sa', password: 'secret' };
+const HEADERS = ['Instance GUID', 'DOCID', 'Atividade', 'FORNECEDOR'];
+
+const original = {};
+let calls;
+let existingColumns; // sys.columns of the target table
+let failOn; // Statement kind that throws: 'bulk', 'merge', ...
+
+const statementKind = (text) => (text.match(/\b(CREATE TABLE|SELECT name|ALTER TABLE|DELETE FROM|MERGE)\b/) || [])[1];
+
+class FakeConnectionPool {
+    constructor(config) { calls.push({ type: 'connect', config }); }
+    async connect() { return this; }
+    async close() { calls.push({ type: 'close' }); }
+}
+
+class FakeTransaction {
+    async begin() { calls.push({ type: 'begin' }); }
+    async commit() { calls.push({ type: 'commit' }); }
+    async rollback() { calls.push({ type: 'rollback' }); }
+}
+
+class FakeRequest {
+    async query(text) {
+        const kind = statementKind(text);
+        calls.push({ type: 'query', kind, text: text.replace(/\s+/g, ' ').trim() });
+        if (failOn === kind) throw new Error(`${kind} failed`);
+        return { recordset: kind === 'SELECT name' ? existingColumns.map(name => ({ name })) : [] };
+    }
+
+    async bulk(table) {
+        calls.push({ type: 'bulk', table });
+        if (failOn === 'bulk') throw new Error('bulk failed');
+    }
+}
+
+const queries = (kind) => calls.filter(c => c.type === 'query' && c.kind === kind).map(c => c.text);
+
+before(() => {
+    for (const name of ['ConnectionPool', 'Transaction', 'Request']) original[name] = sql[name];
+    Object.assign(sql, { ConnectionPool: FakeConnectionPool, Transaction: FakeTransaction, Request: FakeRequest });
+});
+
+after(() => {
+    Object.assign(sql, original);
+});
+
+beforeEach(() => {
+    calls = [];
+    existingColumns = [];
+    failOn = null;
+});
+
+test('stages rows with step ordinals and merges them on DOCID, Instance GUID and Passo', async () => {
+    const rows = [
+        { 'Instance GUID': 'g1', 'DOCID': 7, 'Atividade': 'Início', 'FORNECEDOR': 'Unitel' },
+        { 'Instance GUID': 'g1', 'DOCID': 7, 'Atividade': 'Aprovação', 'FORNECEDOR': 'Unitel' },
+        { 'Instance GUID': 'g0', 'DOCID': 7, 'Atividade': 'Início', 'FORNECEDOR': 'Unitel' },
+        { 'Instance GUID': '', 'DOCID': 8, 'Atividade': '', 'FORNECEDOR': null }
+    ];
+    existingColumns = ['DOCID', 'Instance GUID', 'Passo', 'Atividade', 'FORNECEDOR', 'Atualizado Em']; // As just created
+
+    const result = await sqlServerStorage.writeRows(CONFIG, HEADERS, rows);
+    assert.deepEqual(result, { table: 'dbo.Exports', rowCount: 4 });
+
+    const [create] = queries('CREATE TABLE');
+    assert.match(create, /IF OBJECT_ID\(N'dbo\.Exports', 'U'\) IS NULL CREATE TABLE \[dbo\]\.\[Exports\]/);
+    assert.match(create, /\[DOCID\] NVARCHAR\(64\) NOT NULL, \[Instance GUID\] NVARCHAR\(64\) NOT NULL, \[Passo\] INT NOT NULL/);
+    assert.match(create, /\[FORNECEDOR\] NVARCHAR\(MAX\)/);
+    assert.match(create, /PRIMARY KEY \(\[DOCID\], \[Instance GUID\], \[Passo\]\)/);
+
+    const { table: staging } = calls.find(c => c.type === 'bulk');
+    assert.equal(staging.name, '#DocuWareStaging');
+    assert.equal(staging.create, true, 'temp table created by the bulk load');
+    const columns = staging.columns.map(c => c.name);
+    assert.deepEqual(columns, ['DOCID', 'Instance GUID', 'Passo', 'Atividade', 'FORNECEDOR']);
+    assert.deepEqual(staging.rows, [
+        ['7', 'g1', 1, 'Início', 'Unitel'],
+        ['7', 'g1', 2, 'Aprovação', 'Unitel'],
+        ['7', 'g0', 1, 'Início', 'Unitel'],
+        ['8', '', 1, '', null]
+    ], 'Passo counts the rows of each instance; documents without workflow get step 1');
+
+    const [merge] = queries('MERGE');
+    assert.match(merge, /^MERGE \[dbo\]\.\[Exports\] AS T USING #DocuWareStaging AS S ON T\.\[DOCID\] = S\.\[DOCID\] AND T\.\[Instance GUID\] = S\.\[Instance GUID\] AND T\.\[Passo\] = S\.\[Passo\]/);
+    const setClause = merge.match(/UPDATE SET (.*) WHEN NOT MATCHED/)[1];
+    assert.equal(setClause, 'T.[Atividade] = S.[Atividade], T.[FORNECEDOR] = S.[FORNECEDOR], T.[Atualizado Em] = SYSUTCDATETIME()',
+        'key columns are never updated');
+    assert.match(merge, /INSERT \(\[DOCID\], \[Instance GUID\], \[Passo\], \[Atividade\], \[FORNECEDOR\]\) VALUES \(S\.\[DOCID\], S\.\[Instance GUID\], S\.\[Passo\], S\.\[Atividade\], S\.\[FORNECEDOR\]\);$/);
+
+    assert.deepEqual(queries('DELETE FROM'), []);
+    assert.deepEqual(calls.map(c => c.kind || c.type),
+        ['connect', 'begin', 'CREATE TABLE', 'SELECT name', 'bulk', 'MERGE', 'commit', 'close']);
+});
+
+test('adds cabinet fields missing from an existing table', async () => {
+    existingColumns = ['DOCID', 'instance guid', 'Passo', 'Atividade', 'Atualizado Em'];
+
+    await sqlServerStorage.writeRows(CONFIG, HEADERS, [{ 'Instance GUID': 'g1', 'DOCID': 7, 'Atividade': 'Início', 'FORNECEDOR': 'BFA' }]);
+
+    assert.deepEqual(queries('ALTER TABLE'), ['ALTER TABLE [dbo].[Exports] ADD [FORNECEDOR] NVARCHAR(MAX);']);
+});
+
+test('replaceDocIds deletes every row of those documents before merging the new ones', async () => {
+    const rows = [{ 'Instance GUID': 'g9', 'DOCID': 9, 'Atividade': 'Início', 'FORNECEDOR': 'ENDE' }];
+
+    await sqlServerStorage.writeRows(CONFIG, HEADERS, rows, { replaceDocIds: ['9', "10'; DROP TABLE x; --"] });
+
+    assert.deepEqual(queries('DELETE FROM'), [`DELETE FROM [dbo].[Exports] WHERE [DOCID] IN (N'9', N'10''; DROP TABLE x; --')`]);
+    const order = calls.map(c => c.kind || c.type);
+    assert.ok(order.indexOf('DELETE FROM') < order.indexOf('bulk'), 'error rows removed before the fresh rows are staged');
+    assert.ok(order.indexOf('MERGE') < order.indexOf('commit'), 'in the same transaction');
+});
+
+test('splits the deletion of many documents into batches of DOCIDs', async () => {
+    const docIds = Array.from({ length: 2500 }, (_, i) => String(i + 1));
+
+    await sqlServerStorage.writeRows(CONFIG, HEADERS, [{ 'DOCID': 1 }], { replaceDocIds: docIds });
+
+    const deletes = queries('DELETE FROM');
+    assert.equal(deletes.length, 3);
+    assert.deepEqual(deletes.map(text => text.match(/N'/g).length), [1000, 1000, 500]);
+});
+
+test('rolls back and closes the pool when a statement fails', async () => {
+    failOn = 'MERGE';
+
+    await assert.rejects(sqlServerStorage.writeRows(CONFIG, HEADERS, [{ 'DOCID': 1 }]), /MERGE failed/);
+
+    const order = calls.map(c => c.kind || c.type);
+    assert.ok(order.includes('rollback'));
+    assert.ok(!order.includes('commit'));
+    assert.equal(order.at(-1), 'close');
+});
+
+test('rejects a configuration without server or database', async () => {
+    await assert.rejects(sqlServerStorage.writeRows({ server: 'db.local' }, HEADERS, []), /missing server\/database/);
+    assert.deepEqual(calls, [], 'no connection attempted');
+});
@@ -0,0 +1,277 @@
+/**
+ * @file tokenManager.test.js
+ * @description Token refresh per connection against a local identity service that rotates refresh
+ * tokens: concurrent callers share one refresh instead of replaying a consumed refresh token,
+ * background renewal, endpoint discovery and the fallback auth providers, which only send their
+ * credentials for DOCUWARE_SERVICE_CONNECTION to an endpoint discovered by the proxy-server.
+ *
+ * Run: npm test
+ */
+import { test, before, after, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import http from 'http';
+import os from 'os';
+import path from 'path';
+
+let dataDir;
+let server;
+let endpoint;
+let tokenManager;
+
+// Rotating token endpoint: every refresh token is valid once
+const identity = {
+    validRefreshTokens: new Set(),
+    grants: [],
+    counter: 0,
+    discoveries: 0,
+    paths: [], // Path of each token request
+    delayMs: 50
+};
+
+const sendJson = (res, status, data) => {
+    res.writeHead(status, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(data));
+};
+
+const issue = (res, { withRefreshToken = true } = {}) => {
+    identity.counter++;
+    const refreshToken = `rt-${identity.counter}`;
+    if (withRefreshToken) identity.validRefreshTokens.add(refreshToken);
+    sendJson(res, 200, { access_token: `at-${identity.counter}`, refresh_token: withRefreshToken ? refreshToken : undefined, expires_in: 3600 });
+};
+
+const handleRequest = (req, res) => {
+    const origin = `http://${req.headers.host}`;
+    // Discovery, as served by DocuWare Platform and Identity Service
+    if (req.url === '/DocuWare/Platform/Home/IdentityServiceInfo') {
+        identity.discoveries++;
+        return sendJson(res, 200, { IdentityServiceUrl: `${origin}/identity` });
+    }
+    if (req.url === '/identity/.well-known/openid-configuration') {
+        return sendJson(res, 200, { token_endpoint: `${origin}/identity/connect/token` });
+    }
+    let body = '';
+    req.on('data', chunk => { body += chunk; });
+    req.on('end', () => setTimeout(() => {
+        const params = new URLSearchParams(body);
+        const grant = params.get('grant_type');
+        identity.grants.push(grant);
+        identity.paths.push(req.url);
+        if (grant === 'refresh_token' && identity.validRefreshTokens.delete(params.get('refresh_token'))) return issue(res);
+        if (grant === 'client_credentials' && params.get('client_id') === 'pbi-export' && params.get('client_secret') === 'principal-secret') {
+            return issue(res, { withRefreshToken: false });
+        }
+        sendJson(res, 400, { error: 'invalid_grant' });
+    }, identity.delayMs));
+};
+
+const register = async (name, refreshToken) => {
+    identity.validRefreshTokens.add(refreshToken);
+    return tokenManager.registerConnection({ url: `https://${name}.docuware.cloud`, refreshToken });
+};
+
+before(async () => {
+    dataDir = await fs.mkdtemp(path.join(os.tmpdir(), 'pbi-export-tokens-'));
+    process.env.DATA_DIR = dataDir;
+    delete process.env.DOCUWARE_SERVICE_CONNECTION;
+    delete process.env.DOCUWARE_PLATFORM_URL;
+    // A service account login would show up as a 'password' grant (rejected by the endpoint)
+    process.env.DOCUWARE_USERNAME = 'service';
+    process.env.DOCUWARE_PASSWORD = 'secret';
+
+    server = http.createServer(handleRequest);
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    endpoint = `http://127.0.0.1:${server.address().port}/connect/token`;
+    process.env.DOCUWARE_TOKEN_ENDPOINT = endpoint; // Connections under *.docuware.cloud are not discovered
+
+    // Imported after DATA_DIR is set: the tokens file path is resolved at load time.
+    ({ tokenManager } = await import('../tokenManager.js'));
+    await tokenManager.init();
+});
+
+after(async () => {
+    delete process.env.DOCUWARE_TOKEN_ENDPOINT;
+    await new Promise(resolve => server.close(resolve));
+    await fs.rm(dataDir, { recursive: true, force: true });
+});
+
+beforeEach(() => {
+    identity.grants = [];
+    identity.paths = [];
+    identity.delayMs = 50;
+});
+
+test('concurrent refreshes of a connection share one token request', async () => {
+    const { id } = await register('org-a', 'initial-a');
+
+    const tokens = await Promise.all(Array.from({ length: 8 }, () => tokenManager.refreshAccessToken(id)));
+
+    assert.deepEqual(identity.grants, ['refresh_token'], 'one refresh, no service account fallback');
+    assert.equal(new Set(tokens).size, 1);
+    assert.equal(await tokenManager.getAccessToken(id), tokens[0], 'cached after the refresh');
+
+    // The rotated refresh token is the one used (and persisted) for the next refresh
+    const { connections } = JSON.parse(await fs.readFile(path.join(dataDir, 'tokens.json'), 'utf-8'));
+    assert.ok(identity.validRefreshTokens.has(connections[id].refreshToken));
+    const next = await tokenManager.refreshAccessToken(id);
+    assert.notEqual(next, tokens[0]);
+    assert.deepEqual(identity.grants, ['refresh_token', 'refresh_token']);
+});
+
+test('connections refresh independently of each other', async () => {
+    const a = await register('org-b', 'initial-b');
+    const c = await register('org-c', 'initial-c');
+
+    const [tokenA1, tokenC, tokenA2] = await Promise.all([
+        tokenManager.refreshAccessToken(a.id),
+        tokenManager.refreshAccessToken(c.id),
+        tokenManager.refreshAccessToken(a.id)
+    ]);
+
+    assert.equal(tokenA1, tokenA2);
+    assert.notEqual(tokenA1, tokenC);
+    assert.deepEqual(identity.grants, ['refresh_token', 'refresh_token']);
+});
+
+test('a failed refresh is not reused by later callers', async () => {
+    const { id } = await register('org-d', 'initial-d');
+    identity.validRefreshTokens.delete('initial-d'); // Revoked on the server
+
+    const results = await Promise.allSettled([tokenManager.refreshAccessToken(id), tokenManager.refreshAccessToken(id)]);
+    assert.deepEqual(results.map(r => r.status), ['rejected', 'rejected']);
+    assert.deepEqual(identity.grants, ['refresh_token'], 'one refresh for both callers, no service account without DOCUWARE_SERVICE_CONNECTION');
+
+    await register('org-d', 'renewed-d'); // Login again from the app
+    identity.grants = [];
+    assert.match(await tokenManager.refreshAccessToken(id), /^at-/);
+    assert.deepEqual(identity.grants, ['refresh_token']);
+});
+
+test('renews connections close to expiry in the background and reports their health', async (t) => {
+    t.after(() => { delete process.env.DOCUWARE_SERVICE_CONNECTION; });
+    const soon = await register('org-e', 'initial-e');
+    const fresh = await register('org-f', 'initial-f');
+    await tokenManager.refreshAccessToken(fresh.id); // Valid for an hour: beyond the next renewal
+    const broken = await register('org-g', 'initial-g');
+    identity.validRefreshTokens.delete('initial-g');
+    identity.grants = [];
+    process.env.DOCUWARE_SERVICE_CONNECTION = broken.id;
+
+    await tokenManager.renewAll();
+
+    const byId = (status) => Object.fromEntries(status.connections.map(c => [c.id, c]));
+    const status = byId(tokenManager.getStatus());
+    assert.ok(status[soon.id].healthy && status[soon.id].lastRefreshAt, 'renewed');
+    assert.ok(Date.parse(status[soon.id].expiresAt) > Date.now());
+    assert.equal(status[fresh.id].healthy, true);
+    assert.equal(status[broken.id].healthy, false);
+    assert.match(status[broken.id].problem, /Token refresh failed/);
+    assert.equal(status[broken.id].serviceAccountAvailable, true);
+    assert.equal(tokenManager.getStatus().healthy, false);
+    assert.deepEqual(identity.grants, ['refresh_token', 'refresh_token', 'password'],
+        'only the connections expiring soon, plus the service account fallback of the broken one');
+
+    await register('org-g', 'renewed-g'); // Login again from the app
+    assert.equal(byId(tokenManager.getStatus())[broken.id].healthy, true, 'a new login clears the error');
+
+    process.env.DOCUWARE_SERVICE_CONNECTION = fresh.id;
+    identity.validRefreshTokens.delete('renewed-g');
+    await assert.rejects(tokenManager.refreshAccessToken(broken.id));
+    assert.equal(byId(tokenManager.getStatus())[broken.id].serviceAccountAvailable, false);
+});
+
+test('discovers the token endpoint of a connection through IdentityServiceInfo', async (t) => {
+    delete process.env.DOCUWARE_TOKEN_ENDPOINT;
+    t.after(() => { process.env.DOCUWARE_TOKEN_ENDPOINT = endpoint; });
+    const url = endpoint.replace('/connect/token', '');
+    identity.validRefreshTokens.add('initial-h');
+    const { id } = await tokenManager.registerConnection({ url, refreshToken: 'initial-h', tokenEndpoint: `${url}/client/token` });
+
+    assert.match(await tokenManager.refreshAccessToken(id), /^at-/);
+    await tokenManager.refreshAccessToken(id);
+    assert.equal(identity.discoveries, 1, 'discovered once, then saved with the connection');
+    assert.deepEqual(identity.paths, ['/identity/connect/token', '/identity/connect/token'], 'the endpoint sent by the client is ignored');
+    const { connections } = JSON.parse(await fs.readFile(path.join(dataDir, 'tokens.json'), 'utf-8'));
+    assert.equal(connections[id].tokenEndpoint, `${url}/identity/connect/token`);
+    assert.equal(connections[id].identityServiceUrl, `${url}/identity`);
+});
+
+test('falls back to client credentials and reports the provider in use', async (t) => {
+    process.env.DOCUWARE_CLIENT_CREDENTIALS_ID = 'pbi-export';
+    process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET = 'principal-secret';
+    t.after(() => {
+        delete process.env.DOCUWARE_CLIENT_CREDENTIALS_ID;
+        delete process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET;
+        delete process.env.DOCUWARE_AUTH_PROVIDERS;
+        delete process.env.DOCUWARE_SERVICE_CONNECTION;
+    });
+    const { id } = await register('org-i', 'initial-i');
+    identity.validRefreshTokens.delete('initial-i');
+    process.env.DOCUWARE_SERVICE_CONNECTION = id;
+
+    assert.match(await tokenManager.refreshAccessToken(id), /^at-/);
+    assert.deepEqual(identity.grants, ['refresh_token', 'client_credentials'], 'password not needed');
+    const status = tokenManager.getStatus().connections.find(c => c.id === id);
+    assert.equal(status.authProvider, 'client_credentials');
+    assert.equal(status.serviceAccountInUse, true);
+    assert.deepEqual(status.availableProviders, ['client_credentials', 'password'], 'the rejected refresh token is dropped');
+
+    identity.grants = [];
+    process.env.DOCUWARE_AUTH_PROVIDERS = 'password, unknown';
+    await assert.rejects(tokenManager.refreshAccessToken(id), /All auth providers failed.*password: invalid_grant/);
+    assert.deepEqual(identity.grants, ['password'], 'only the configured providers, in order');
+});
+
+test('never sends the service credentials to another connection or to a client-supplied endpoint', async (t) => {
+    process.env.DOCUWARE_CLIENT_CREDENTIALS_ID = 'pbi-export';
+    process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET = 'principal-secret';
+    delete process.env.DOCUWARE_TOKEN_ENDPOINT;
+    t.after(() => {
+        delete process.env.DOCUWARE_CLIENT_CREDENTIALS_ID;
+        delete process.env.DOCUWARE_CLIENT_CREDENTIALS_SECRET;
+        delete process.env.DOCUWARE_SERVICE_CONNECTION;
+        delete process.env.DOCUWARE_PLATFORM_URL;
+        process.env.DOCUWARE_TOKEN_ENDPOINT = endpoint;
+    });
+    const origin = endpoint.replace('/connect/token', '');
+    const other = await tokenManager.registerConnection({ url: origin, refreshToken: 'revoked-j' });
+
+    // Without DOCUWARE_SERVICE_CONNECTION no connection gets the unattended providers
+    assert.deepEqual(tokenManager.getStatus().connections.find(c => c.id === other.id).availableProviders, ['refresh_token']);
+    assert.equal(tokenManager.getStatus().serviceAccountConfigured, false);
+    await assert.rejects(tokenManager.refreshAccessToken(other.id), /refresh_token: invalid_grant$/);
+    assert.deepEqual(identity.grants, ['refresh_token']);
+
+    // A login claiming the service organization cannot choose where its credentials go
+    process.env.DOCUWARE_SERVICE_CONNECTION = 'org-k.docuware.cloud';
+    process.env.DOCUWARE_PLATFORM_URL = origin; // Configured DocuWare host, discovered by the proxy-server
+    assert.equal(tokenManager.getStatus().connections.find(c => c.id === other.id).serviceAccountAvailable, false);
+    const service = await tokenManager.registerConnection({ url: 'https://org-k.docuware.cloud', refreshToken: 'revoked-k', tokenEndpoint: `${origin}/evil/token` });
+    identity.grants = [];
+    identity.paths = [];
+
+    assert.match(await tokenManager.refreshAccessToken(service.id), /^at-/);
+    assert.deepEqual(identity.grants, ['refresh_token', 'client_credentials']);
+    assert.deepEqual(identity.paths, ['/identity/connect/token', '/identity/connect/token']);
+});
+
+test('takes the service connection from DOCUWARE_PLATFORM_URL and refuses credentials without one', async (t) => {
+    t.after(() => {
+        delete process.env.DOCUWARE_PLATFORM_URL;
+        delete process.env.DOCUWARE_SERVICE_CONNECTION;
+    });
+    // DOCUWARE_USERNAME/DOCUWARE_PASSWORD are set, as in a deployment configured before connections
+    assert.throws(() => tokenManager.checkConfiguration(), /set DOCUWARE_SERVICE_CONNECTION .* or DOCUWARE_PLATFORM_URL\. DOCUWARE_ORG_ID is no longer used/);
+
+    const { id } = await register('org-l', 'initial-l');
+    identity.validRefreshTokens.delete('initial-l');
+    process.env.DOCUWARE_PLATFORM_URL = 'https://ORG-L.docuware.cloud/';
+    tokenManager.checkConfiguration();
+    assert.deepEqual(tokenManager.getStatus().connections.find(c => c.id === id).availableProviders, ['refresh_token', 'password']);
+    await assert.rejects(tokenManager.refreshAccessToken(id));
+    assert.deepEqual(identity.grants, ['refresh_token', 'password'], 'service account fallback kept');
+
+    process.env.DOCUWARE_SERVICE_CONNECTION = 'org-m.docuware.cloud'; // Takes precedence
+    assert.equal(tokenManager.getStatus().connections.find(c => c.id === id).serviceAccountAvailable, false);
+});
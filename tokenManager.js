@@ -1,192 +1,433 @@
 import fs from 'fs/promises';
 import path from 'path';
-import axios from 'axios';
 import { fileURLToPath } from 'url';
+import { secretStore } from './secretStore.js';
+import { authProviders } from './authProviders.js';
 
 const __dirname = path.dirname(fileURLToPath(import.meta.url));
-const TOKENS_FILE = path.join(__dirname, 'tokens.json');
+const TOKENS_FILE = path.join(process.env.DATA_DIR || __dirname, 'tokens.json');
 
-// Memory cache
-let cachedTokens = null;
+// Sessions of a tokens.json written before connections existed, without a DocuWare URL
+const DEFAULT_CONNECTION_ID = 'default';
+const EXPIRY_BUFFER_MS = 5 * 60 * 1000; // Tokens this close to expiry are refreshed before use
+
+// Memory cache: connection id -> { id, name, url, organizationId, tokenEndpoint, token, refreshToken, expiresAt, ... }
+let connections = {};
+let tokenWrites = Promise.resolve(); // Serializes tokens.json writes (connections refresh independently)
+const refreshes = new Map(); // connection id -> refresh in progress
+let serviceTokenEndpoint = null; // Token endpoint of DOCUWARE_SERVICE_CONNECTION, once discovered
+let renewalTimer = null;
+let lastRenewalAt = null;
+let loadError = null; // tokens.json exists but could not be read (e.g. wrong master key): never overwrite it
+
+// tokens.json is encrypted as a whole when SECRETS_MASTER_KEY is set. Written through a temp
+// file: a crash mid-write must not corrupt the sessions of every connection.
+const saveTokens = () => {
+    tokenWrites = tokenWrites.catch(() => {}).then(async () => {
+        if (loadError) throw new Error(`tokens.json could not be read (${loadError.message}); not overwriting it`);
+        const tmpPath = `${TOKENS_FILE}.tmp`;
+        try {
+            await fs.writeFile(tmpPath, secretStore.sealDocument({ connections }));
+            await fs.rename(tmpPath, TOKENS_FILE);
+        } catch (err) {
+            await fs.rm(tmpPath, { force: true });
+            throw err;
+        }
+    });
+    return tokenWrites;
+};
+
+/**
+ * Connection a call refers to: the given id, or the only connection when none is given
+ * (callers that predate connections, e.g. a single-organization setup).
+ */
+function getConnection(connectionId) {
+    if (connectionId) return connections[connectionId] || null;
+    const all = Object.values(connections);
+    return all.length === 1 ? all[0] : null;
+}
+
+function describeConnection(connectionId) {
+    return connectionId ? `connection '${connectionId}'` : 'the default connection';
+}
+
+// Public view of a connection: everything but the tokens
+function toSummary(connection) {
+    const { token: _token, accessToken: _accessToken, refreshToken, ...summary } = connection;
+    return { ...summary, hasRefreshToken: Boolean(refreshToken) };
+}
+
+async function updateConnection(connectionId, tokenResponse, extra = {}) {
+    const { access_token, refresh_token, expires_in } = tokenResponse;
+    // Current state: the token request may have outlived a login
+    const current = connections[connectionId] || { id: connectionId, name: connectionId };
+    connections[connectionId] = {
+        ...current,
+        token: access_token,
+        accessToken: access_token, // normalize
+        refreshToken: refresh_token || current.refreshToken, // RT rotation usually happens
+        expiresAt: Date.now() + ((expires_in || 3600) * 1000),
+        updatedAt: new Date().toISOString(),
+        lastRefreshAt: new Date().toISOString(),
+        lastError: null,
+        ...extra
+    };
+    await saveTokens();
+    return access_token;
+}
 
 export const tokenManager = {
+    DEFAULT_CONNECTION_ID,
+
     /**
      * Initialize: Read tokens from disk
      */
     init: async () => {
+        let data;
+        loadError = null;
         try {
-            const data = await fs.readFile(TOKENS_FILE, 'utf-8');
-            cachedTokens = JSON.parse(data);
-            console.log('[TokenManager] Loaded tokens.');
+            data = await fs.readFile(TOKENS_FILE, 'utf-8');
+            const stored = secretStore.openDocument(data);
+            if (stored.connections) {
+                connections = stored.connections;
+            } else {
+                // Single session saved before connections: file it under its DocuWare URL
+                const id = tokenManager.getConnectionId(stored.url) || DEFAULT_CONNECTION_ID;
+                connections = { [id]: { ...stored, id, name: stored.name || id } };
+                await saveTokens();
+                console.log(`[TokenManager] Moved the saved session to connection '${id}'.`);
+            }
+            console.log(`[TokenManager] Loaded tokens of ${Object.keys(connections).length} connection(s).`);
         } catch (error) {
-            console.log('[TokenManager] No tokens found found or error reading file.');
-            cachedTokens = null;
+            connections = {};
+            if (error.code === 'ENOENT') {
+                console.log('[TokenManager] No tokens found.');
+                return;
+            }
+            // Saving now would replace the sessions of every connection with an empty file
+            loadError = error;
+            console.error(`[TokenManager] ❌ Could not read tokens.json, left untouched and no session saved until it can be (check SECRETS_MASTER_KEY): ${error.message}`);
+            return;
+        }
+        // Tokens saved in plain text before encryption was configured
+        if (secretStore.isEnabled() && !secretStore.isEncrypted(JSON.parse(data).encrypted)) {
+            await saveTokens();
+            console.log('[TokenManager] Encrypted tokens.json.');
+        }
+    },
+
+    /**
+     * Check the auth configuration before startup: client credentials or a service account need
+     * the connection they belong to (see authProviders.getServiceConnection), otherwise they would
+     * silently never be used.
+     *
+     * @throws {Error} When unattended credentials are set without their connection.
+     */
+    checkConfiguration: () => {
+        if (authProviders.hasUnattendedCredentials() && !authProviders.getServiceConnection()) {
+            throw new Error('Client credentials or service account (DOCUWARE_USERNAME/DOCUWARE_PASSWORD) are set without the '
+                + 'DocuWare organization they belong to: set DOCUWARE_SERVICE_CONNECTION to its host (e.g. rcsangola.docuware.cloud) '
+                + 'or DOCUWARE_PLATFORM_URL. DOCUWARE_ORG_ID is no longer used.');
+        }
+        console.log(`[TokenManager] Unattended auth: ${authProviders.isUnattendedConfigured() ? `connection '${authProviders.getServiceConnection()}'` : 'not configured'}.`);
+    },
+
+    /**
+     * Connection id of a DocuWare base URL: its host (e.g. 'rcsangola.docuware.cloud'), so every
+     * login and schedule of the same organization shares one session.
+     *
+     * @param {string} url
+     * @returns {string|null}
+     */
+    getConnectionId: (url) => {
+        if (!url) return null;
+        try {
+            return new URL(/^https?:\/\//i.test(url) ? url : `https://${url}`).host.toLowerCase();
+        } catch {
+            return null;
         }
     },
 
     /**
-     * Save tokens from Frontend login
+     * Known connections, without their tokens.
      */
-    setTokens: async (tokens) => {
-        cachedTokens = {
-            ...tokens,
+    getConnections: () => Object.values(connections).map(toSummary),
+
+    /**
+     * Register or update the connection of a session from the frontend login. Other
+     * connections (other DocuWare organizations) are left untouched. A token endpoint sent by the
+     * client is ignored: endpoints are only discovered by the proxy-server.
+     *
+     * @param {Object} session - { token, refreshToken, url, name?, organizationId? }
+     * @returns {Promise<Object>} The connection, without its tokens.
+     */
+    registerConnection: async (login) => {
+        const { tokenEndpoint: _tokenEndpoint, identityServiceUrl: _identityServiceUrl, ...session } = login;
+        const id = tokenManager.getConnectionId(session.url);
+        if (!id) throw new Error('A session needs the DocuWare URL it belongs to');
+        const previous = connections[id] || {};
+        connections[id] = {
+            ...previous,
+            ...session,
+            id,
+            name: session.name || previous.name || id,
+            accessToken: session.token,
+            expiresAt: session.expiresAt || getJwtExpiry(session.token), // Unknown (null): refreshed on first use
+            isServiceAccount: false,
+            authProvider: 'refresh_token', // Login session: refreshed with its own refresh token
+            lastError: null,
             updatedAt: new Date().toISOString()
         };
-        await fs.writeFile(TOKENS_FILE, JSON.stringify(cachedTokens, null, 2));
-        console.log('[TokenManager] Tokens updated manually.');
+        await saveTokens();
+        console.log(`[TokenManager] Session of connection '${id}' updated.`);
+        return toSummary(connections[id]);
+    },
+
+    /**
+     * Connection id of a schedule: its `connectionId`, or the one of its DocuWare URL. A connection
+     * not known yet is registered with the schedule's refresh token, if any (schedules created before
+     * connections); without one, the unattended providers can still obtain its tokens.
+     *
+     * @param {Object} schedule
+     * @returns {Promise<string>}
+     */
+    ensureConnection: async (schedule) => {
+        const { auth = {} } = schedule;
+        const id = schedule.connectionId || tokenManager.getConnectionId(auth.url);
+        if (!id) throw new Error('Schedule has no DocuWare connection');
+        if (!connections[id]) {
+            connections[id] = {
+                id,
+                name: id,
+                url: auth.url,
+                organizationId: auth.organizationId,
+                refreshToken: auth.refreshToken || null,
+                updatedAt: new Date().toISOString()
+            };
+            await saveTokens();
+            console.log(`[TokenManager] Registered connection '${id}' from schedule ${schedule.name}.`);
+        }
+        return id;
     },
 
     /**
-     * Get a valid Access Token.
+     * Get a valid Access Token of a connection.
      * Refreshes automatically if needed/possible.
+     *
+     * @param {string} [connectionId] - Defaults to the only connection.
      */
-    getAccessToken: async () => {
+    getAccessToken: async (connectionId) => {
+        const connection = getConnection(connectionId);
         // 1. Try Cached Token first
-        if (cachedTokens && cachedTokens.token) {
+        if (connection && connection.token) {
             const now = Date.now();
-            // Buffer of 5 minutes (300000ms) to ensure safety
-            if (cachedTokens.expiresAt && now < (cachedTokens.expiresAt - 300000)) {
-                return cachedTokens.token;
+            // Buffer of 5 minutes to ensure safety
+            if (connection.expiresAt && now < (connection.expiresAt - EXPIRY_BUFFER_MS)) {
+                return connection.token;
             }
-            console.warn('[TokenManager] Cached token expired or expiring soon. Refreshing...');
+            console.warn(`[TokenManager] Cached token of '${connection.id}' expired or expiring soon. Refreshing...`);
         }
 
         // 2. Refresh or Fallback
         try {
-            return await tokenManager.refreshAccessToken();
-        } catch (e) {
-            console.warn('[TokenManager] Refresh failed. Attempting Service Account fallback...');
-            // 3. Fallback to Service Account
-            try {
-                return await tokenManager.loginWithServiceAccount();
-            } catch (fatalError) {
-                console.error('[TokenManager] All auth methods failed.');
-                throw new Error('No authentication session found and Service Account failed. Please login via the App.');
-            }
+            return await tokenManager.refreshAccessToken(connectionId);
+        } catch (error) {
+            console.error(`[TokenManager] All auth methods failed for ${describeConnection(connectionId)}.`);
+            throw new Error(`No authentication session found for ${describeConnection(connectionId)} and no auth provider succeeded (${error.message}). Please login via the App.`);
         }
     },
 
     /**
-     * Refresh the token using the stored Refresh Token.
-     * Synchronized to prevent parallel refreshes.
+     * Refresh a connection's token using its stored Refresh Token.
+     * Tries the auth providers in order (see authProviders.js), starting with the refresh token.
+     * Single-flight per connection: callers arriving while a refresh is in progress (e.g. the
+     * document fetches of a batch that all got a 401) await that refresh instead of sending the
+     * refresh token it is rotating away.
+     *
+     * @param {string} [connectionId] - Defaults to the only connection.
      */
-    refreshAccessToken: async () => {
-        if (!cachedTokens || !cachedTokens.refreshToken) {
-            console.warn('[TokenManager] No refresh token available. Trying Service Account...');
-            return await tokenManager.loginWithServiceAccount();
+    refreshAccessToken: (connectionId) => {
+        const key = getConnection(connectionId)?.id || connectionId || DEFAULT_CONNECTION_ID;
+        if (!refreshes.has(key)) {
+            const refresh = requestConnectionToken(connectionId).catch(async (error) => {
+                // Reported by getStatus until a refresh or login succeeds
+                if (connections[key]) {
+                    connections[key] = { ...connections[key], lastError: { message: error.message, at: new Date().toISOString() } };
+                    await saveTokens();
+                }
+                throw error;
+            });
+            refreshes.set(key, refresh.finally(() => refreshes.delete(key)));
         }
+        return refreshes.get(key);
+    },
 
-        console.log('[TokenManager] Refreshing token...');
-
-        const params = new URLSearchParams();
-        params.append('grant_type', 'refresh_token');
-        params.append('refresh_token', cachedTokens.refreshToken);
-        params.append('client_id', process.env.VITE_DOCUWARE_CLIENT_ID || 'docuware.platform');
-        params.append('client_secret', process.env.VITE_DOCUWARE_CLIENT_SECRET || '');
-
-        try {
-            // We need the token endpoint. Saved in tokens?
-            // If missing, we must discover it (hard without a base URL context unless saved)
-            // Ideally, we saved 'tokenEndpoint' in cachedTokens
-            const tokenEndpoint = cachedTokens.tokenEndpoint || 'https://login-emea.docuware.cloud/oauth/token';
+    /**
+     * Refresh, in the background, every connection whose access token expires before the next
+     * renewal, so refresh tokens keep being used (and rotated) even when no schedule runs for a while.
+     * Failures are logged and reported by getStatus.
+     */
+    renewAll: async () => {
+        lastRenewalAt = new Date().toISOString();
+        const horizon = Date.now() + getRenewalIntervalMs() + EXPIRY_BUFFER_MS;
+        for (const connection of Object.values(connections)) {
+            if (connection.expiresAt && connection.expiresAt > horizon) continue;
+            try {
+                await tokenManager.refreshAccessToken(connection.id);
+            } catch (error) {
+                console.error(`[TokenManager] Background renewal of '${connection.id}' failed: ${error.message}`);
+            }
+        }
+    },
 
-            const response = await axios.post(tokenEndpoint, params, {
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-            });
+    /**
+     * Start the background renewal: now and every TOKEN_RENEWAL_INTERVAL_MINUTES (default 15).
+     */
+    startRenewal: () => {
+        if (renewalTimer) return;
+        renewalTimer = setInterval(() => tokenManager.renewAll(), getRenewalIntervalMs());
+        renewalTimer.unref(); // Does not keep the process alive
+        tokenManager.renewAll();
+    },
 
-            const { access_token, refresh_token, expires_in } = response.data;
+    stopRenewal: () => {
+        clearInterval(renewalTimer);
+        renewalTimer = null;
+    },
 
-            // Update state
-            cachedTokens = {
-                ...cachedTokens,
-                token: access_token,
-                accessToken: access_token, // normalize
-                refreshToken: refresh_token || cachedTokens.refreshToken, // RT rotation usually happens
-                expiresAt: Date.now() + ((expires_in || 3600) * 1000),
-                updatedAt: new Date().toISOString()
+    /**
+     * Health of the backend sessions, for GET /api/auth/status. A connection is unhealthy when its
+     * last refresh failed, or when no auth provider can obtain a token for it.
+     *
+     * @returns {{ healthy: boolean, serviceAccountConfigured: boolean, renewal: Object, connections: Array<Object> }}
+     */
+    getStatus: () => {
+        const list = Object.values(connections).map(connection => {
+            const availableProviders = authProviders.getAvailable(connection);
+            let problem = null;
+            if (connection.lastError) problem = `Token refresh failed: ${connection.lastError.message}`;
+            else if (availableProviders.length === 0) problem = 'No refresh token, client credentials or service account';
+            return {
+                id: connection.id,
+                name: connection.name,
+                url: connection.url,
+                expiresAt: connection.expiresAt ? new Date(connection.expiresAt).toISOString() : null,
+                lastRefreshAt: connection.lastRefreshAt || null,
+                lastError: connection.lastError || null,
+                authProvider: connection.authProvider || null,
+                availableProviders,
+                serviceAccountInUse: Boolean(connection.isServiceAccount),
+                serviceAccountAvailable: availableProviders.some(name => authProviders.get(name).unattended),
+                healthy: !problem,
+                problem
             };
-
-            await fs.writeFile(TOKENS_FILE, JSON.stringify(cachedTokens, null, 2));
-            console.log('[TokenManager] Token refreshed successfully.');
-
-            return cachedTokens.token;
-
-        } catch (err) {
-            console.error('[TokenManager] Refresh failed:', err.response?.data || err.message);
-            // Fallback to Service Account on hard failure
-            console.warn('[TokenManager] Refresh failed. Attempting Service Account login...');
-            return await tokenManager.loginWithServiceAccount();
-        }
+        });
+        return {
+            healthy: list.length > 0 && list.every(c => c.healthy),
+            serviceAccountConfigured: authProviders.isUnattendedConfigured(),
+            renewal: { running: Boolean(renewalTimer), intervalMinutes: getRenewalIntervalMs() / 60000, lastRunAt: lastRenewalAt },
+            connections: list
+        };
     },
 
     /**
-     * Login using Service Account Credentials (ROPC Flow)
-     * This is the robust fallback for background tasks.
+     * Obtain a token with the unattended auth providers only (client credentials, service account),
+     * e.g. when a connection has no usable refresh token.
+     *
+     * @param {string} [connectionId] - Defaults to the only connection.
      */
-    loginWithServiceAccount: async () => {
-        const username = process.env.DOCUWARE_USERNAME;
-        const password = process.env.DOCUWARE_PASSWORD;
-
-        if (!username || !password) {
-            throw new Error("Service Account credentials (DOCUWARE_USERNAME/PASSWORD) not configured in .env");
-        }
+    loginWithServiceAccount: (connectionId) => requestConnectionToken(connectionId, { unattendedOnly: true })
+};
 
-        console.log('[TokenManager] 🔄 Attempting Service Account Login...');
+/**
+ * Obtain a new access token for a connection from the first auth provider that succeeds, and
+ * save it with the provider used. Called through tokenManager.refreshAccessToken, which
+ * deduplicates concurrent calls.
+ */
+async function requestConnectionToken(connectionId, { unattendedOnly = false } = {}) {
+    const connection = getConnection(connectionId) || (connectionId ? { id: connectionId, name: connectionId } : null);
+    if (!connection) throw new Error('No connection to request a token for. Please login via the App.');
+    const providers = authProviders.getAvailable(connection, { unattendedOnly });
+    if (providers.length === 0) {
+        throw new Error(`No auth provider configured for connection '${connection.id}': no refresh token from an app login, and client credentials or service account need DOCUWARE_SERVICE_CONNECTION=${connection.id}`);
+    }
 
+    const failures = [];
+    for (const name of providers) {
+        console.log(`[TokenManager] 🔄 Requesting token of '${connection.id}' (${name})...`);
         try {
-            // We need a Token Endpoint. 
-            // Since we might not have a session, we need a default one or discover it from a known Org URL?
-            // Problem: Multi-tenant URLs vary. 
-            // Solution: Use the hardcoded main endpoint if known, or rely on a configured Base URL in .env?
-            // Let's rely on cachedTokens.tokenEndpoint if available, OR a default EMEA one if empty. 
-            // Use Org-Specific Endpoint (Required for ROPC with docuware.platform.net.client)
-            const orgId = process.env.DOCUWARE_ORG_ID;
-            console.log(`[TokenManager] Service Login > Org ID: ${orgId}`);
-            let tokenEndpoint = 'https://login-emea.docuware.cloud/connect/token'; // Fallback
-
-            if (orgId) {
-                tokenEndpoint = `https://login-emea.docuware.cloud/${orgId}/connect/token`;
-            } else if (cachedTokens && cachedTokens.tokenEndpoint) {
-                tokenEndpoint = cachedTokens.tokenEndpoint;
+            const tokenEndpoint = authProviders.get(name).unattended ? await resolveServiceTokenEndpoint() : await resolveTokenEndpoint(connection);
+            const tokenResponse = await authProviders.requestToken(name, connections[connection.id] || connection, tokenEndpoint);
+            const token = await updateConnection(connection.id, tokenResponse, {
+                authProvider: name,
+                isServiceAccount: authProviders.get(name).unattended
+            });
+            console.log(`[TokenManager] ✅ Token of '${connection.id}' obtained (${name}).`);
+            return token;
+        } catch (error) {
+            console.error(`[TokenManager] ❌ ${name} failed for '${connection.id}':`, error.response?.data || error.message);
+            failures.push(`${name}: ${error.response?.data?.error || error.message}`);
+            // A rejected refresh token will not work again: skip it until the next login
+            if (name === 'refresh_token' && error.response?.data?.error === 'invalid_grant' && connections[connection.id]) {
+                connections[connection.id] = { ...connections[connection.id], refreshToken: null };
             }
+        }
+    }
+    throw new Error(`All auth providers failed for connection '${connection.id}': ${failures.join('; ')}`);
+}
 
-            console.log(`[TokenManager] Using Token Endpoint: ${tokenEndpoint}`);
-
-            const params = new URLSearchParams();
-            params.append('grant_type', 'password');
-            params.append('username', username);
-            params.append('password', password);
-            // 'docuware.platform.net.client' is required for ROPC (Public Client)
-            params.append('client_id', 'docuware.platform.net.client');
-            // Public clients (docuware.platform) do not use client_secret
-            // params.append('client_secret', ''); 
-            params.append('scope', 'docuware.platform');
+function getRenewalIntervalMs() {
+    const minutes = Number(process.env.TOKEN_RENEWAL_INTERVAL_MINUTES);
+    return (Number.isFinite(minutes) && minutes > 0 ? minutes : 15) * 60 * 1000;
+}
 
-            const response = await axios.post(tokenEndpoint, params, {
-                headers: { 'Content-Type': 'application/x-www-form-urlencoded' }
-            });
-
-            const { access_token, refresh_token, expires_in } = response.data;
-
-            // Save new session
-            cachedTokens = {
-                ...cachedTokens, // Keep other info like tokenEndpoint if possible
-                token: access_token,
-                accessToken: access_token,
-                refreshToken: refresh_token,
-                expiresAt: Date.now() + ((expires_in || 3600) * 1000),
-                updatedAt: new Date().toISOString(),
-                isServiceAccount: true
-            };
+/**
+ * Expiry (ms) of a JWT access token from its `exp` claim, or null when it cannot be read.
+ */
+function getJwtExpiry(token) {
+    try {
+        const { exp } = JSON.parse(Buffer.from(token.split('.')[1], 'base64url').toString('utf-8'));
+        return Number.isFinite(exp) ? exp * 1000 : null;
+    } catch {
+        return null;
+    }
+}
 
-            await fs.writeFile(TOKENS_FILE, JSON.stringify(cachedTokens, null, 2));
-            console.log('[TokenManager] ✅ Service Account Login Successful.');
+/**
+ * Token endpoint of a connection for its refresh token: DOCUWARE_TOKEN_ENDPOINT (override, e.g. the
+ * local mock server), the one already discovered, or else discovered now from the connection's
+ * DocuWare URL and saved. An endpoint without its identityServiceUrl came from the client
+ * (sessions saved before discovery) and is discovered again.
+ */
+async function resolveTokenEndpoint(connection) {
+    if (process.env.DOCUWARE_TOKEN_ENDPOINT) return process.env.DOCUWARE_TOKEN_ENDPOINT;
+    const current = connections[connection.id] || connection;
+    if (current.tokenEndpoint && current.identityServiceUrl) return current.tokenEndpoint;
 
-            return access_token;
+    // The connection id is the host of its DocuWare URL
+    const baseUrl = process.env.DOCUWARE_PLATFORM_URL || current.url || (current.id !== DEFAULT_CONNECTION_ID ? `https://${current.id}` : null);
+    if (!baseUrl) throw new Error(`No token endpoint known for connection '${connection.id}'. Please login via the App.`);
+    console.log(`[TokenManager] Discovering token endpoint of '${connection.id}' from ${baseUrl}...`);
+    const { identityServiceUrl, tokenEndpoint } = await authProviders.discoverTokenEndpoint(baseUrl);
+    if (connections[connection.id]) {
+        connections[connection.id] = { ...connections[connection.id], identityServiceUrl, tokenEndpoint };
+        await saveTokens();
+    }
+    return tokenEndpoint;
+}
 
-        } catch (error) {
-            console.error('[TokenManager] ❌ Service Account Login Failed:', error.response?.data || error.message);
-            throw error;
-        }
+/**
+ * Token endpoint for the unattended providers: DOCUWARE_TOKEN_ENDPOINT, or discovered from the
+ * configured DocuWare host (DOCUWARE_PLATFORM_URL, else the service connection), never from
+ * a URL or endpoint sent by a client, so the service credentials only go to that organization.
+ */
+async function resolveServiceTokenEndpoint() {
+    if (process.env.DOCUWARE_TOKEN_ENDPOINT) return process.env.DOCUWARE_TOKEN_ENDPOINT;
+    const baseUrl = process.env.DOCUWARE_PLATFORM_URL || `https://${authProviders.getServiceConnection()}`;
+    if (serviceTokenEndpoint?.baseUrl !== baseUrl) {
+        console.log(`[TokenManager] Discovering the service token endpoint from ${baseUrl}...`);
+        const { tokenEndpoint } = await authProviders.discoverTokenEndpoint(baseUrl);
+        serviceTokenEndpoint = { baseUrl, tokenEndpoint };
     }
-};
+    return serviceTokenEndpoint.tokenEndpoint;
+}